@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * x-deleter - delete X content and prune followers from the terminal
+ *
+ * Run `node bin/x-deleter.js --help` for commands and options; see src/cli.js.
+ */
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,3889 @@
+/**
+ * X Content Deleter - Browser Console Script
+ *
+ * GENERATED by scripts/build-console.js from src/ - do not edit by hand.
+ * Change the sources, then run: node scripts/build-console.js
+ *
+ * 1. Open your X profile (x.com/yourusername), its Replies tab or its Likes tab
+ * 2. Open DevTools Console (F12 or Cmd+Option+J)
+ * 3. Adjust CONFIG below, then paste this whole file and press Enter
+ *
+ * The profile tab deletes posts and quote tweets, then undoes reposts.
+ * The Replies tab deletes replies; the Likes tab unlikes.
+ */
+
+(async () => {
+  const CONFIG = {
+    delays: {                // Floors: each step also waits for what it did to show (see waits)
+      betweenClicks: 50,     // ms at least between menu clicks
+      afterDeletion: 100,    // ms at least after confirming deletion
+      scrollLoad: 200,       // ms at least after opening a tab or scrolling
+      rateLimitSafe: 200     // ms between each tweet deletion (the rate-limit floor)
+    },
+    waits: {
+      timeout: 5000,         // Longest wait for a menu, confirmation sheet or removal to show (ms)
+      loadTimeout: 3000,     // Longest wait for tweets to render after opening a tab or scrolling
+      interval: 100          // How often a condition is checked while waiting
+    },
+    language: null,          // X's display language, e.g. 'de'; null = detect from the page
+    maxEmptyAttempts: 5,
+    scrollAmount: 500,       // Scroll more to load more tweets
+    logInterval: 50,         // Log progress every N deletions
+    unlikeAttempts: 2,       // Unlike clicks per tweet before giving up (X sometimes reverts one)
+    maxAttemptsPerTweet: 3,  // Tries per tweet before moving past it
+    types: null,             // null = what the tab holds (Replies tab: replies only, its posts stay);
+                             // or a list of post, reply, repost, quote, like, e.g. ['repost'] to keep quote tweets
+    retention: {
+      before: null,          // e.g. '2022-01-01' - only delete tweets before this date
+      after: null,           // e.g. '2019-01-01' - only delete tweets after this date
+      olderThanDays: null    // e.g. 30 - keep the last 30 days
+    },
+    filters: {
+      keepIds: [],           // Tweet IDs or status URLs to never delete
+      include: [],           // Only delete tweets matching one of these, e.g. ['acme', /launch/i]
+      exclude: [],           // Never delete tweets matching one of these
+      keepIfAtLeast: {       // Keep tweets reaching ANY of these counts, e.g. { likes: 50, reposts: 10 }
+        replies: null,
+        reposts: null,
+        likes: null,
+        views: null
+      }
+    },
+    dryRun: false,           // true = decide and download a plan, delete nothing
+    plan: null,              // Paste a saved plan's JSON here to delete exactly its items
+    journal: true,           // Record each item in localStorage so a reload can resume
+    resume: false,           // true = skip items finished before the reload, retry failures
+    backup: true,            // Capture each tweet before deleting; download JSON + HTML at the end
+    panel: true,             // Show the on-page panel (Start/Pause/Stop, counters); false = start at once
+    verify: true,            // Walk the tab again afterwards; list leftovers and download a plan of them
+    enumerate: false,        // true = load the whole tab from X's responses first and download the inventory;
+                             // dry runs and direct mode then work from it without scrolling again
+    direct: {
+      enabled: false,        // true = remove through X's API with this tab's login instead of clicking
+      concurrency: 3,        // API calls in flight at once
+      queryIds: {}           // Newer GraphQL query IDs if X changed them, e.g. { DeleteTweet: '...' }
+    },
+    backoff: {
+      baseDelay: 5000,       // First cooldown when throttled (ms)
+      maxDelay: 300000,      // Longest single cooldown (5 min)
+      factor: 2,             // Cooldown and pacing multiplier per throttle level
+      jitter: 0.3,           // ±30% randomness
+      failureThreshold: 3,   // Consecutive failures that count as throttling
+      recoverAfter: 10       // Successes needed to speed back up one level
+    }
+  };
+
+  const modules = {
+    // src/console.js
+    "console": [{"./core":"core","./engine":"engine","./drivers/dom":"drivers/dom","./panel":"panel","./verify":"verify","./backup-html":"backup-html","./plan-format":"plan-format","./direct":"direct","./intercept":"intercept","./drivers/inventory":"drivers/inventory","./console-files":"console-files"}, function (module, exports, require) {
+      /**
+       * Console Script Entry
+       *
+       * Runs the deletion engine with the DOM driver on the X tab it is pasted
+       * into. Not pasted from here: scripts/build-console.js bundles this file
+       * with the modules it requires into console/delete-x-content.js, with the
+       * CONFIG block below copied to the top for editing.
+       *
+       * The journal lives in localStorage and the backup and dry-run plan
+       * download as files when the run finishes (console-files.js). The
+       * control panel (panel.js) starts, pauses and stops the run, and
+       * afterwards the tab is walked again to list what is left (verify.js).
+       * CONFIG.direct swaps the clicks for X's own API calls (direct.js),
+       * falling back to clicking, and CONFIG.enumerate reads the whole tab
+       * from X's own timeline responses before anything is deleted
+       * (intercept.js).
+       */
+
+      const { getPassTypes } = require('./core');
+      const { runAllDeletion } = require('./engine');
+      const { createDomDriver } = require('./drivers/dom');
+      const { createControlPanel, readProfileCount } = require('./panel');
+      const { verifyDeletion } = require('./verify');
+      const { renderBackupHtml } = require('./backup-html');
+      const { createPlan } = require('./plan-format');
+      const { readCookie, createDirectRemover } = require('./direct');
+      const { createInventory, installInterceptor, enumerateTimeline } = require('./intercept');
+      const { createInventoryDriver } = require('./drivers/inventory');
+      const { openLocalJournal, download, downloadJson } = require('./console-files');
+
+      // CONFIG START
+      const CONFIG = {
+        delays: {                // Floors: each step also waits for what it did to show (see waits)
+          betweenClicks: 50,     // ms at least between menu clicks
+          afterDeletion: 100,    // ms at least after confirming deletion
+          scrollLoad: 200,       // ms at least after opening a tab or scrolling
+          rateLimitSafe: 200     // ms between each tweet deletion (the rate-limit floor)
+        },
+        waits: {
+          timeout: 5000,         // Longest wait for a menu, confirmation sheet or removal to show (ms)
+          loadTimeout: 3000,     // Longest wait for tweets to render after opening a tab or scrolling
+          interval: 100          // How often a condition is checked while waiting
+        },
+        language: null,          // X's display language, e.g. 'de'; null = detect from the page
+        maxEmptyAttempts: 5,
+        scrollAmount: 500,       // Scroll more to load more tweets
+        logInterval: 50,         // Log progress every N deletions
+        unlikeAttempts: 2,       // Unlike clicks per tweet before giving up (X sometimes reverts one)
+        maxAttemptsPerTweet: 3,  // Tries per tweet before moving past it
+        types: null,             // null = what the tab holds (Replies tab: replies only, its posts stay);
+                                 // or a list of post, reply, repost, quote, like, e.g. ['repost'] to keep quote tweets
+        retention: {
+          before: null,          // e.g. '2022-01-01' - only delete tweets before this date
+          after: null,           // e.g. '2019-01-01' - only delete tweets after this date
+          olderThanDays: null    // e.g. 30 - keep the last 30 days
+        },
+        filters: {
+          keepIds: [],           // Tweet IDs or status URLs to never delete
+          include: [],           // Only delete tweets matching one of these, e.g. ['acme', /launch/i]
+          exclude: [],           // Never delete tweets matching one of these
+          keepIfAtLeast: {       // Keep tweets reaching ANY of these counts, e.g. { likes: 50, reposts: 10 }
+            replies: null,
+            reposts: null,
+            likes: null,
+            views: null
+          }
+        },
+        dryRun: false,           // true = decide and download a plan, delete nothing
+        plan: null,              // Paste a saved plan's JSON here to delete exactly its items
+        journal: true,           // Record each item in localStorage so a reload can resume
+        resume: false,           // true = skip items finished before the reload, retry failures
+        backup: true,            // Capture each tweet before deleting; download JSON + HTML at the end
+        panel: true,             // Show the on-page panel (Start/Pause/Stop, counters); false = start at once
+        verify: true,            // Walk the tab again afterwards; list leftovers and download a plan of them
+        enumerate: false,        // true = load the whole tab from X's responses first and download the inventory;
+                                 // dry runs and direct mode then work from it without scrolling again
+        direct: {
+          enabled: false,        // true = remove through X's API with this tab's login instead of clicking
+          concurrency: 3,        // API calls in flight at once
+          queryIds: {}           // Newer GraphQL query IDs if X changed them, e.g. { DeleteTweet: '...' }
+        },
+        backoff: {
+          baseDelay: 5000,       // First cooldown when throttled (ms)
+          maxDelay: 300000,      // Longest single cooldown (5 min)
+          factor: 2,             // Cooldown and pacing multiplier per throttle level
+          jitter: 0.3,           // ±30% randomness
+          failureThreshold: 3,   // Consecutive failures that count as throttling
+          recoverAfter: 10       // Successes needed to speed back up one level
+        }
+      };
+      // CONFIG END
+
+      /**
+       * Passes that run on the current tab, since a navigation ends the script
+       * @param {string} pathname - location.pathname
+       * @returns {array} Content types
+       */
+      function getPagePasses(pathname) {
+        if (pathname.endsWith('/likes')) return ['LIKES'];
+        if (pathname.endsWith('/with_replies')) return ['REPLIES'];
+        return ['POSTS', 'REPOSTS'];
+      }
+
+      /**
+       * Run the console script
+       * @param {object} config - The CONFIG block from the top of the built script
+       * @returns {object} Summary from runAllDeletion
+       */
+      async function main(config = CONFIG) {
+        console.log('🚀 X Content Deleter - OPTIMIZED');
+        console.log('⚠️  Stop anytime with the panel\'s Stop button (or reload the page).\n');
+
+        const username = location.pathname.split('/')[1];
+        const contentTypes = getPagePasses(location.pathname);
+        if (contentTypes[0] === 'LIKES') console.log('❤️  Likes tab: unliking every liked tweet\n');
+
+        let journal = null;
+        if (config.journal && !config.dryRun) {
+          journal = openLocalJournal(username);
+          if (config.resume) {
+            console.log(`🗒️  Resuming from ${journal.count()} journal entries`);
+          } else if (journal.count() > 0) {
+            console.log('🗒️  Starting a new journal (set CONFIG.resume = true to continue the previous run instead)');
+            journal.clear();
+          }
+        }
+
+        // Pre-deletion captures, downloaded when the run finishes
+        const captured = [];
+        const backup = config.backup ? { capture: record => captured.push(record) } : null;
+
+        // A saved plan replaces all other rules: delete exactly what it lists
+        const planIds = config.plan
+          ? config.plan.items.filter(item => item.action === 'delete').map(item => item.id)
+          : null;
+
+        const panel = config.panel
+          ? createControlPanel({
+            title: config.dryRun ? 'X Content Deleter (dry run)' : 'X Content Deleter',
+            config,
+            dryRun: config.dryRun,
+            total: planIds ? planIds.length : readProfileCount()
+          })
+          : null;
+        if (panel) {
+          console.log('👉 Press Start on the panel at the top right of the page');
+          await panel.started;
+        }
+
+        // Direct mode: X's own API calls with this tab's session, clicks as the fallback
+        let remover = null;
+        if (config.direct && config.direct.enabled && !config.dryRun) {
+          remover = createDirectRemover({
+            origin: location.origin,
+            csrfToken: readCookie(document.cookie, 'ct0'),
+            queryIds: config.direct.queryIds
+          });
+          console.log(remover.enabled()
+            ? `⚡ Direct mode: ${config.direct.concurrency} at a time through X's API`
+            : '⚠️  Direct mode needs the ct0 cookie (log in to X in this tab); clicking instead');
+        }
+
+        const startTime = Date.now();
+        const pageDriver = createDomDriver(config);
+
+        // Enumeration: scroll the tab to the end once, keeping what X's own timeline responses hold
+        let inventory = null;
+        if (config.enumerate) {
+          inventory = createInventory(username);
+          const uninstall = installInterceptor(window, inventory.add);
+          console.log('📚 Loading the whole tab before deleting anything...');
+          try {
+            for (const tab of new Set(contentTypes.map(type => (type === 'REPOSTS' ? 'POSTS' : type)))) {
+              await enumerateTimeline(pageDriver, inventory, tab, config);
+            }
+          } finally {
+            uninstall();
+          }
+          console.table(inventory.counts());
+          downloadJson(`x-deleter-inventory-${username}.json`, inventory.toJSON());
+          if (panel && !planIds) panel.setTotal(inventory.size());
+        }
+
+        // The inventory can't click, so without direct mode deletions go through the page
+        const driver = inventory && (config.dryRun || (remover && remover.enabled()))
+          ? createInventoryDriver(inventory)
+          : pageDriver;
+        const runOptions = {
+          ...config.retention,
+          ...config.filters,
+          types: config.types || getPassTypes(contentTypes),
+          planIds,
+          dryRun: config.dryRun,
+          journal,
+          resume: config.resume,
+          backup,
+          config,
+          contentTypes,
+          control: panel ? panel.control : null,
+          hooks: panel ? panel.hooks : {},
+          remover,
+          concurrency: config.direct ? config.direct.concurrency : 1
+        };
+        const summary = await runAllDeletion(driver, username, runOptions);
+        if (panel) panel.finish(summary.stopped ? 'Stopped' : 'Done');
+
+        if (config.dryRun) {
+          const plan = createPlan('content', username, summary.planned, { retention: config.retention, filters: config.filters });
+          console.log('\n📝 Dry run complete - nothing was deleted');
+          console.table(plan.counts);
+          downloadJson(`x-deleter-plan-${username}.json`, plan);
+          return summary;
+        }
+
+        const { byType } = summary;
+        const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
+        console.log(`\n${summary.stopped ? '⏹️  Stopped' : '🎉 Done'}! ${contentTypes[0] === 'LIKES' ? 'Unliked' : 'Deleted'}: ${summary.total} | Kept: ${summary.skipped} | Failed: ${summary.failed} | Time: ${totalTime} min`);
+        console.log(`   Posts: ${byType.post} | Replies: ${byType.reply} | Reposts undone: ${byType.repost} | Quotes: ${byType.quote} | Likes: ${byType.like}`);
+        if (summary.skips.length > 0) console.table(summary.skips);
+        if (summary.failures.length > 0) {
+          const reasons = Object.fromEntries(Object.entries(summary.failureReasons).filter(([, count]) => count > 0));
+          console.log('⚠️  Moved past:', reasons);
+          console.table(summary.failures);
+        }
+        if (summary.throttle.events.length > 0) {
+          console.log(`🐢 Throttled ${summary.throttle.events.length} times, ${(summary.throttle.backedOffMs / 60000).toFixed(1)} min backing off`);
+          console.table(summary.throttle.events);
+        }
+
+        // Walk the tab again from the top: what is still there, and why.
+        // Tweets removed through the API stay on the page until it is reloaded.
+        if (config.verify && !summary.stopped && remover) {
+          console.log('🔎 To verify, reload the tab and run again with CONFIG.dryRun = true');
+        } else if (config.verify && !summary.stopped) {
+          const verification = await verifyDeletion(pageDriver, username, summary, runOptions);
+          summary.verification = verification;
+          if (verification.leftovers.length > 0) console.table(verification.leftovers);
+          if (panel) panel.log(`🔎 Leftovers: ${verification.leftovers.length} (${verification.retryIds.length} to retry)`);
+          if (verification.retryIds.length > 0) {
+            const retryIds = new Set(verification.retryIds);
+            const items = verification.leftovers
+              .filter(leftover => retryIds.has(leftover.id))
+              .map(leftover => ({ id: leftover.id, type: leftover.type, action: 'delete', rule: null, cause: leftover.cause }));
+            downloadJson(`x-deleter-leftovers-${username}.json`, createPlan('content', username, items, { leftovers: true }));
+            console.log('🔁 Downloaded a plan of the leftovers: paste it as CONFIG.plan and run again to retry just those');
+          }
+        }
+
+        // Offer the pre-deletion captures of everything this run removed
+        if (captured.length > 0) {
+          download(`x-deleter-backup-${username}.ndjson`, captured.map(record => JSON.stringify(record)).join('\n') + '\n', 'application/x-ndjson');
+          download(`x-deleter-backup-${username}.html`, renderBackupHtml(captured), 'text/html');
+          console.log(`💾 Downloaded backup of ${captured.length} captured tweets (NDJSON + HTML)`);
+        }
+
+        // Throttling is handled automatically; raise CONFIG.backoff.baseDelay if X still blocks you
+        return summary;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        CONFIG,
+        main,
+        getPagePasses
+      };
+    }],
+
+    // src/core.js
+    "core": [{"./locale":"locale"}, function (module, exports, require) {
+      /**
+       * Shared Deletion Core
+       *
+       * Settings, decision rules and the adaptive throttle used by every way of
+       * running the deleter. Nothing here touches a page, so the same code runs
+       * under Node (Playwright MCP, the Node `playwright` library) and inside
+       * the generated browser console script.
+       */
+
+      const { getAllUiTexts } = require('./locale');
+
+      /**
+       * Configuration
+       */
+      const CONFIG = {
+        delays: {                  // Floors: each step also waits for what it did to show (see waits)
+          betweenClicks: 50,       // ms at least between menu clicks
+          afterDeletion: 100,      // ms at least after confirming deletion
+          scrollLoad: 200,         // ms at least after opening a tab or scrolling
+          rateLimitSafe: 200       // ms between each tweet deletion (the rate-limit floor)
+        },
+        waits: {
+          timeout: 5000,           // Longest wait for a menu, confirmation sheet or removal to show (ms)
+          loadTimeout: 3000,       // Longest wait for tweets to render after opening a tab or scrolling
+          interval: 100            // How often a condition is checked while waiting
+        },
+        selectors: {
+          tweet: 'article[data-testid="tweet"]',
+          moreButton: '[data-testid="caret"]',
+          deleteButton: '[role="menuitem"]',  // Contains "Delete" text
+          confirmButton: '[data-testid="confirmationSheetConfirm"]',
+          unretweetButton: '[data-testid="unretweet"]',
+          unretweetConfirm: '[data-testid="unretweetConfirm"]',
+          unlikeButton: '[data-testid="unlike"]',
+          likeButton: '[data-testid="like"]',
+          retweetButton: '[data-testid="retweet"]',
+          replyButton: '[data-testid="reply"]',
+          tweetText: '[data-testid="tweetText"]',
+          userName: '[data-testid="User-Name"]',
+          socialContext: '[data-testid="socialContext"]',
+          toast: '[data-testid="toast"]',
+          emptyState: '[data-testid="emptyState"]'
+        },
+        language: null,            // X's display language ('de', 'ja', ...; see locale.js), null = read <html lang>
+        scrollAmount: 500,         // Scroll more to load more tweets at once
+        maxEmptyAttempts: 3,       // Scrolls without new tweets before a pass ends
+        logInterval: 50,           // Log progress every N deletions (less spam for large accounts)
+        unlikeAttempts: 2,         // Unlike clicks per tweet before giving up (X sometimes reverts one)
+        maxAttemptsPerTweet: 3,    // Tries per tweet before moving past it for the rest of the run
+        retention: {
+          before: null,            // Only delete tweets posted before this date (e.g. '2022-01-01')
+          after: null,             // Only delete tweets posted after this date (e.g. '2019-01-01')
+          olderThanDays: null      // Keep the last N days (e.g. 30 = keep the last month)
+        },
+        filters: {
+          keepIds: [],             // Tweet IDs or status URLs to never delete
+          include: [],             // Only delete tweets matching one of these (strings or RegExps)
+          exclude: [],             // Never delete tweets matching one of these (strings or RegExps)
+          keepIfAtLeast: {         // Keep tweets reaching ANY of these counts (null = ignore)
+            replies: null,
+            reposts: null,
+            likes: null,           // e.g. 50 = keep tweets with 50+ likes
+            views: null
+          }
+        },
+        backoff: {
+          baseDelay: 5000,         // First cooldown when throttled (ms)
+          maxDelay: 300000,        // Longest single cooldown (5 min)
+          factor: 2,               // Cooldown and pacing multiplier per throttle level
+          jitter: 0.3,             // ±30% randomness so retries don't line up
+          failureThreshold: 3,     // Consecutive failed deletions that count as throttling
+          recoverAfter: 10         // Successes needed to speed back up one level
+        }
+      };
+
+      /**
+       * Content types and their URLs
+       */
+      const CONTENT_TYPES = {
+        POSTS: '',                    // /username
+        REPLIES: '/with_replies',     // /username/with_replies
+        REPOSTS: '',                  // Same page as posts; only reposts are undone
+        LIKES: '/likes'               // /username/likes
+      };
+
+      /**
+       * Month abbreviations used in X timestamp labels ("Jan 5", "Mar 3, 2021")
+       */
+      const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+      const DAY_MS = 24 * 60 * 60 * 1000;
+
+      /**
+       * Why an item could not be removed
+       * not-owned: the menu has no Delete item (someone else's tweet)
+       * menu-missing: the More/undo button or its menu never showed up
+       * confirm-missing: the confirmation sheet or undo item never showed up
+       * vanished: the tweet left the page mid-flow
+       * throttled: X showed a rate-limit error, or a click or unlike didn't take
+       */
+      const FAILURE_REASONS = ['not-owned', 'menu-missing', 'confirm-missing', 'vanished', 'throttled'];
+
+      /**
+       * Item types a run can remove (quote tweets are deleted like posts)
+       */
+      const TWEET_TYPES = ['post', 'reply', 'repost', 'quote', 'like'];
+
+      /**
+       * Item types each content type stands for when no types are given
+       * The Replies tab lists standalone posts too, so asking for replies
+       * alone must not take them with it
+       */
+      const PASS_TYPES = {
+        POSTS: ['post', 'quote'],
+        REPLIES: ['reply'],
+        REPOSTS: ['repost'],
+        LIKES: ['like']
+      };
+
+      /**
+       * Words that follow the count in engagement labels ("12 Likes. Like",
+       * "12 „Gefällt mir“-Angaben"), per metric and in every language
+       */
+      const ENGAGEMENT_WORDS = {
+        replies: getAllUiTexts('replyCount'),
+        reposts: getAllUiTexts('repostCount'),
+        likes: getAllUiTexts('likeCount'),
+        views: getAllUiTexts('viewCount')
+      };
+
+      /**
+       * Count abbreviations X uses, in every language it is shown in
+       */
+      const COUNT_MULTIPLIERS = {
+        k: 1e3, tsd: 1e3, mil: 1e3, 'k.': 1e3, 'tsd.': 1e3, '千': 1e3, '万': 1e4,
+        m: 1e6, mio: 1e6, 'mio.': 1e6, mi: 1e6, mn: 1e6, 'm.': 1e6, '億': 1e8,
+        b: 1e9, md: 1e9, 'mrd.': 1e9
+      };
+
+      /**
+       * Page texts X shows when it is throttling the session, in every language
+       */
+      const RATE_LIMIT_TEXTS = getAllUiTexts('rateLimit');
+
+      /**
+       * Start of X's ID clock (tweet IDs carry their creation time)
+       */
+      const TWITTER_EPOCH = 1288834974657;
+
+      /**
+       * Delay helper
+       */
+      function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+      }
+
+      /**
+       * Wait until a condition holds, checking every interval
+       *
+       * Steps wait for what they did to show (a menu, a confirmation sheet, a
+       * tweet leaving the page) instead of sleeping a fixed time, so they move
+       * on as soon as X renders and give slow pages as long as the timeout.
+       *
+       * @param {function} check - Returns (or resolves to) something truthy once the condition holds
+       * @param {object} options - { timeout (ms, default CONFIG.waits.timeout), interval (ms, default
+       *                           CONFIG.waits.interval), floor (ms to wait at least, even when the
+       *                           condition holds at once) }
+       * @returns {*} What check returned, or null when the timeout passed first
+       */
+      async function waitFor(check, options = {}) {
+        const timeout = options.timeout ?? CONFIG.waits.timeout;
+        const interval = Math.max(1, options.interval ?? CONFIG.waits.interval);
+        const floor = delay(options.floor || 0);
+        const deadline = Date.now() + timeout;
+
+        let value = await check();
+        while (!value && Date.now() < deadline) {
+          await delay(Math.min(interval, deadline - Date.now()));
+          value = await check();
+        }
+        await floor;
+        return value || null;
+      }
+
+      /**
+       * Create the adaptive rate limiter shared by a run's deletion loops
+       *
+       * Each throttle signal (error toast, 429 response, a streak of failed
+       * deletions) raises the level by one and pauses for an exponentially
+       * growing, jittered cooldown. While the level is raised every item is
+       * paced slower, and each run of `recoverAfter` successes drops a level.
+       *
+       * @param {object} settings - Overrides for CONFIG.backoff
+       * @param {number|function} baseDelay - Delay between items at level 0 (ms), or a
+       *                                      function returning it (read on every pace)
+       * @returns {object} { check, success, failure, backoff, ready, pace, listen, stats }
+       */
+      function createThrottle(settings = {}, baseDelay = CONFIG.delays.rateLimitSafe) {
+        const backoff = { ...CONFIG.backoff, ...settings };
+        const stats = { events: [], backedOffMs: 0 };
+        const listeners = new Set();
+        let level = 0;
+        let failures = 0;
+        let successes = 0;
+        let cooldown = null;
+
+        return {
+          stats,
+
+          /**
+           * Back off if the driver sees throttling on the page or network
+           * @param {object} driver - Driver from src/drivers (uses checkThrottle)
+           * @returns {boolean} Whether it backed off
+           */
+          async check(driver) {
+            const reason = await driver.checkThrottle();
+            if (!reason) return false;
+            await this.backoff(reason);
+            return true;
+          },
+
+          success() {
+            failures = 0;
+            if (level > 0 && ++successes >= backoff.recoverAfter) {
+              level--;
+              successes = 0;
+              console.log(`⏩ Speeding back up (throttle level ${level})`);
+            }
+          },
+
+          /**
+           * Count a failed deletion, backing off after a streak
+           * @param {string} reason - Why it failed
+           */
+          async failure(reason) {
+            successes = 0;
+            if (++failures >= backoff.failureThreshold) {
+              await this.backoff(`${failures} failures in a row (${reason})`);
+            }
+          },
+
+          /**
+           * Raise the throttle level and wait out a jittered cooldown
+           * @param {string} reason - What triggered it
+           */
+          async backoff(reason) {
+            // Removals in flight together (direct mode) share one cooldown
+            if (cooldown) return cooldown;
+
+            level++;
+            failures = 0;
+            successes = 0;
+            const base = Math.min(backoff.maxDelay, backoff.baseDelay * Math.pow(backoff.factor, level - 1));
+            const wait = Math.round(base * (1 + (Math.random() * 2 - 1) * backoff.jitter));
+
+            const event = { at: new Date().toISOString(), reason, level, waitMs: wait };
+            stats.events.push(event);
+            stats.backedOffMs += wait;
+            for (const listener of listeners) listener(event);
+            console.log(`🐢 Throttled (${reason}), cooling down ${(wait / 1000).toFixed(0)}s at level ${level}`);
+            cooldown = delay(wait);
+            await cooldown;
+            cooldown = null;
+          },
+
+          /**
+           * Wait out a cooldown another removal started
+           */
+          async ready() {
+            if (cooldown) await cooldown;
+          },
+
+          /**
+           * Delay between items for the current level
+           * @returns {number} ms
+           */
+          pace() {
+            const base = typeof baseDelay === 'function' ? baseDelay() : baseDelay;
+            return base * Math.pow(backoff.factor, level);
+          },
+
+          /**
+           * Hear about each backoff as it starts
+           * @param {function} listener - Called with { at, reason, level, waitMs }
+           * @returns {function} Stops listening
+           */
+          listen(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+          }
+        };
+      }
+
+      /**
+       * Create the pause/stop switch for a run
+       *
+       * The engine calls checkpoint() between tweets: it waits while the run
+       * is paused and returns false once it is stopped, so a run always stops
+       * between tweets, never halfway through deleting one.
+       *
+       * @returns {object} { state, pause, resume, stop, checkpoint }
+       */
+      function createRunControl() {
+        let state = 'running';
+        let wake = null;
+
+        const setState = next => {
+          state = next;
+          if (wake) {
+            wake();
+            wake = null;
+          }
+        };
+
+        return {
+          /**
+           * @returns {string} 'running', 'paused' or 'stopped'
+           */
+          state() {
+            return state;
+          },
+
+          pause() {
+            if (state === 'running') setState('paused');
+          },
+
+          resume() {
+            if (state === 'paused') setState('running');
+          },
+
+          stop() {
+            setState('stopped');
+          },
+
+          /**
+           * Wait out a pause
+           * @returns {boolean} Whether the run should go on
+           */
+          async checkpoint() {
+            while (state === 'paused') {
+              await new Promise(resolve => { wake = resolve; });
+            }
+            return state !== 'stopped';
+          }
+        };
+      }
+
+      /**
+       * Call hooks without letting them break the run
+       * @param {object} hooks - { onStart, onItem, ... } (see engine.js)
+       * @returns {function} emit(name, payload)
+       */
+      function createEmitter(hooks) {
+        const handlers = hooks || {};
+        const warn = (name, error) => console.warn(`⚠️  ${name} hook failed: ${error.message}`);
+        return (name, payload) => {
+          if (typeof handlers[name] !== 'function') return;
+          try {
+            const result = handlers[name](payload);
+            if (result && typeof result.catch === 'function') result.catch(error => warn(name, error));
+          } catch (error) {
+            warn(name, error);
+          }
+        };
+      }
+
+      /**
+       * Navigate to a specific content type tab
+       * @param {string} username - X username (without @)
+       * @param {string} contentType - One of: 'POSTS', 'REPLIES', 'REPOSTS', 'LIKES'
+       * @param {string} origin - Site to visit, default https://x.com (a local fixture server in tests)
+       */
+      function getProfileUrl(username, contentType, origin = 'https://x.com') {
+        const baseUrl = `${origin}/${username}`;
+        const suffix = CONTENT_TYPES[contentType] || '';
+        return baseUrl + suffix;
+      }
+
+      /**
+       * Classify a tweet on a profile tab
+       * Quote tweets are our own posts; reposts are someone else's tweet. The
+       * Replies tab lists standalone posts too, so only the tweet itself (its
+       * "Replying to" line, or in_reply_to_status_id in intercepted data) says
+       * it is a reply.
+       * @param {object} info - Item metadata from a driver's readItem ({ repost, quote, reply })
+       * @param {string} contentType - Profile tab being processed
+       * @returns {string} 'post', 'reply', 'repost', 'quote' or 'like'
+       */
+      function getItemType(info, contentType) {
+        if (contentType === 'LIKES') return 'like';
+        if (info.repost) return 'repost';
+        if (info.quote) return 'quote';
+        return info.reply ? 'reply' : 'post';
+      }
+
+      /**
+       * Check if a tweet type is handled by a content type's pass
+       * Reposts appear on the Posts and Replies tabs too, but only the
+       * REPOSTS pass undoes them
+       * @param {string} type - From getItemType
+       * @param {string} contentType - Pass being run
+       * @returns {boolean}
+       */
+      function isInPass(type, contentType) {
+        return contentType === 'REPOSTS' ? type === 'repost' : type !== 'repost';
+      }
+
+      /**
+       * Item types to remove when running some content types' passes
+       * @param {array} contentTypes - Passes being run, e.g. ['REPLIES']
+       * @returns {array} Their types from PASS_TYPES, in TWEET_TYPES order
+       */
+      function getPassTypes(contentTypes) {
+        const wanted = contentTypes.flatMap(contentType => PASS_TYPES[contentType] || []);
+        return TWEET_TYPES.filter(type => wanted.includes(type));
+      }
+
+      /**
+       * Resolve retention options into the date range of tweets to delete
+       * @param {object} options - { before, after, olderThanDays } (falls back to CONFIG.retention)
+       * @param {Date} now - Reference time for olderThanDays
+       * @returns {{from: Date|null, to: Date|null}} Delete tweets with from <= date <= to
+       */
+      function resolveDateRange(options = {}, now = new Date()) {
+        const retention = { ...CONFIG.retention, ...options };
+        const toDate = (value, name) => {
+          if (value === null || value === undefined) return null;
+          const date = new Date(value);
+          if (isNaN(date.getTime())) {
+            throw new Error(`Invalid "${name}" date: ${value}`);
+          }
+          return date;
+        };
+
+        let to = toDate(retention.before, 'before');
+        const from = toDate(retention.after, 'after');
+
+        if (retention.olderThanDays !== null && retention.olderThanDays !== undefined) {
+          const cutoff = new Date(now.getTime() - retention.olderThanDays * DAY_MS);
+          if (!to || cutoff < to) {
+            to = cutoff;
+          }
+        }
+
+        return { from, to };
+      }
+
+      /**
+       * Check where a tweet date falls relative to the retention range
+       * @param {Date|null} date - Tweet timestamp
+       * @param {object} range - Range from resolveDateRange
+       * @returns {string} 'in-range', 'too-recent', 'too-old' or 'unknown'
+       */
+      function classifyDate(date, range) {
+        if (!range.from && !range.to) return 'in-range';
+        if (!date) return 'unknown';
+        if (range.to && date > range.to) return 'too-recent';
+        if (range.from && date < range.from) return 'too-old';
+        return 'in-range';
+      }
+
+      /**
+       * Extract a tweet ID from an ID or status URL
+       * @param {string|number} value - e.g. '1234' or 'https://x.com/user/status/1234'
+       * @returns {string|null}
+       */
+      function parseTweetId(value) {
+        const text = String(value).trim();
+        const status = text.match(/\/status(?:es)?\/(\d+)/);
+        if (status) return status[1];
+        return /^\d+$/.test(text) ? text : null;
+      }
+
+      /**
+       * Read the creation time out of a tweet ID
+       * IDs since late 2010 are snowflakes holding milliseconds since
+       * TWITTER_EPOCH above bit 22; older, smaller IDs carry no time
+       * @param {string} id - Tweet ID
+       * @returns {Date|null}
+       */
+      function getTweetIdDate(id) {
+        if (!/^\d{15,}$/.test(String(id || ''))) return null;
+        return new Date(Number(BigInt(id) >> 22n) + TWITTER_EPOCH);
+      }
+
+      /**
+       * Compile keep/delete filter options into matchers
+       * Strings match case-insensitively as substrings, RegExps are used as-is
+       * @param {object} options - { keepIds, include, exclude } (falls back to CONFIG.filters)
+       * @returns {object} Compiled filters for evaluateTweet
+       */
+      function compileFilters(options = {}) {
+        const filters = { ...CONFIG.filters, ...options };
+        const toMatcher = rule => {
+          if (rule instanceof RegExp) {
+            // A g or y flag would make test() resume from the last match, and answer differently
+            // for the same text from one tweet to the next
+            const pattern = new RegExp(rule.source, rule.flags.replace(/[gy]/g, ''));
+            return { label: String(rule), test: text => pattern.test(text) };
+          }
+          const needle = String(rule).toLowerCase();
+          return { label: JSON.stringify(String(rule)), test: text => text.toLowerCase().includes(needle) };
+        };
+
+        const keepIds = new Set();
+        for (const value of filters.keepIds || []) {
+          const id = parseTweetId(value);
+          if (!id) {
+            throw new Error(`Invalid tweet ID or URL in keepIds: ${value}`);
+          }
+          keepIds.add(id);
+        }
+
+        const keepIfAtLeast = {};
+        for (const [metric, threshold] of Object.entries(filters.keepIfAtLeast || {})) {
+          if (threshold !== null && threshold !== undefined) {
+            keepIfAtLeast[metric] = threshold;
+          }
+        }
+
+        return {
+          keepIds,
+          keepIfAtLeast,
+          include: (filters.include || []).map(toMatcher),
+          exclude: (filters.exclude || []).map(toMatcher)
+        };
+      }
+
+      /**
+       * Parse an abbreviated count as X displays it ("987", "3,456", "1.2K", "2M"),
+       * in the page's language too ("1.234", "1 234", "1,2 Mio.", "1.2万")
+       * A separator before exactly three digits groups thousands; any other is the
+       * decimal point
+       * @param {string} text
+       * @returns {number|null}
+       */
+      function parseCount(text) {
+        const match = String(text).replace(/[\s\u00a0\u202f]+/g, ' ').trim()
+          .match(/^(\d{1,3}(?:[., ]\d{3})+|\d+)(?:[.,](\d+))?\s*(\S*)$/);
+        if (!match) return null;
+        const suffix = match[3].toLowerCase();
+        const multiplier = suffix ? COUNT_MULTIPLIERS[suffix] : 1;
+        if (!multiplier) return null;
+        const value = parseFloat(`${match[1].replace(/[., ]/g, '')}.${match[2] || 0}`);
+        return Math.round(value * multiplier);
+      }
+
+      /**
+       * Read the count an engagement label starts with ("52 Likes. Like")
+       * X leaves the count out at zero, so a label without digits is 0
+       * @param {string} label - e.g. a button's aria-label
+       * @returns {number|null} null when there is a count but it doesn't parse
+       */
+      function parseLeadingCount(label) {
+        const text = String(label || '').replace(/[\s\u00a0\u202f]+/g, ' ').trim();
+        if (!/\d/.test(text)) return 0;
+        const number = text.match(/^\d[\d., ]*/);
+        if (!number) return null;
+        const digits = number[0].replace(/[., ]+$/, '');
+        // The word after the number is only its suffix if it is one ("1,2 Mio." but "52 Likes")
+        const word = text.slice(digits.length).trim().split(/[ ,。、]|\.(?=\s|$)/)[0];
+        return parseCount(`${digits} ${word}`) ?? parseCount(digits);
+      }
+
+      /**
+       * Parse an engagement label into a metric and count
+       * The metric is told by its word in any language (see locale.js)
+       * @param {string} label - e.g. '12 Likes. Like' or '1.234 Aufrufe. Post-Statistiken ansehen'
+       * @returns {object|null} { metric, count } where metric is replies/reposts/likes/views,
+       *                        and count is null when it can't be read
+       */
+      function parseEngagementLabel(label) {
+        const text = String(label || '');
+        if (!/^\s*\d/.test(text)) return null;
+
+        // The first metric word after the count names it
+        const lower = text.toLowerCase();
+        let found = null;
+        for (const [metric, words] of Object.entries(ENGAGEMENT_WORDS)) {
+          for (const word of words) {
+            const at = lower.indexOf(word.toLowerCase());
+            if (at > 0 && (!found || at < found.at)) found = { metric, at };
+          }
+        }
+        return found ? { metric: found.metric, count: parseLeadingCount(text) } : null;
+      }
+
+      /**
+       * Decide what to do with a tweet
+       * @param {object} info - Item metadata from a driver's readItem: { id, date, text, pinned, engagement }
+       * @param {object} range - Range from resolveDateRange
+       * @param {object} filters - Filters from compileFilters
+       * @returns {object} { action: 'delete' | 'keep' | 'stop', rule }
+       */
+      function evaluateTweet(info, range, filters) {
+        const placement = classifyDate(info.date, range);
+        if (placement === 'too-old' && !info.pinned) {
+          // Timeline is newest-first, so everything below is older too
+          return { action: 'stop', rule: 'date:too-old' };
+        }
+        if (placement !== 'in-range') {
+          return { action: 'keep', rule: `date:${placement}` };
+        }
+
+        if (info.id && filters.keepIds.has(info.id)) {
+          return { action: 'keep', rule: `keepId:${info.id}` };
+        }
+
+        const engagement = info.engagement || {};
+        for (const [metric, threshold] of Object.entries(filters.keepIfAtLeast)) {
+          // A count the driver saw but couldn't read may be over the threshold
+          if (engagement[metric] === null) {
+            return { action: 'keep', rule: `engagement:${metric}-unknown` };
+          }
+          if ((engagement[metric] || 0) >= threshold) {
+            return { action: 'keep', rule: `engagement:${metric}>=${threshold}` };
+          }
+        }
+
+        const text = info.text || '';
+        const excluded = filters.exclude.find(matcher => matcher.test(text));
+        if (excluded) {
+          return { action: 'keep', rule: `exclude:${excluded.label}` };
+        }
+
+        if (filters.include.length > 0 && !filters.include.some(matcher => matcher.test(text))) {
+          return { action: 'keep', rule: 'include:no-match' };
+        }
+
+        return { action: 'delete', rule: null };
+      }
+
+      /**
+       * Parse a tweet timestamp as X renders it
+       * Handles ISO datetimes, relative labels ("45s", "3h") and
+       * short dates ("Jan 5" for this year, "Jan 5, 2021" for older ones)
+       * @param {string} label - datetime attribute or visible timestamp text
+       * @param {Date} now - Reference time for relative labels
+       * @returns {Date|null}
+       */
+      function parseTweetTimestamp(label, now = new Date()) {
+        if (!label) return null;
+        const text = label.trim();
+
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+          const date = new Date(text);
+          return isNaN(date.getTime()) ? null : date;
+        }
+
+        const relative = text.match(/^(\d+)\s*([smhd])$/);
+        if (relative) {
+          const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+          return new Date(now.getTime() - parseInt(relative[1], 10) * units[relative[2]]);
+        }
+
+        const short = text.match(/^([A-Z][a-z]{2}) (\d{1,2})(?:, (\d{4}))?$/);
+        if (short && MONTHS.includes(short[1])) {
+          const year = short[3] ? parseInt(short[3], 10) : now.getFullYear();
+          return new Date(year, MONTHS.indexOf(short[1]), parseInt(short[2], 10));
+        }
+
+        return null;
+      }
+
+      /**
+       * Categorize an exception thrown mid-flow
+       * Playwright MCP reports clicks on refs that left the page as "not found",
+       * the Playwright library as "not attached to the DOM"
+       * @param {Error} error
+       * @returns {string} 'vanished' or 'throttled'
+       */
+      function categorizeError(error) {
+        return /not found|detached|not attached|no longer/i.test(error.message) ? 'vanished' : 'throttled';
+      }
+
+      /**
+       * Count failures per reason
+       * @param {array} failures - Items with a reason
+       * @returns {object} Count for each of FAILURE_REASONS
+       */
+      function countFailureReasons(failures) {
+        const counts = {};
+        for (const reason of FAILURE_REASONS) {
+          counts[reason] = 0;
+        }
+        for (const failure of failures) {
+          counts[failure.reason] = (counts[failure.reason] || 0) + 1;
+        }
+        return counts;
+      }
+
+      /**
+       * Print the non-zero failure counts, one reason per line
+       * @param {object} failureReasons - From countFailureReasons
+       */
+      function logFailureReasons(failureReasons) {
+        for (const [reason, count] of Object.entries(failureReasons)) {
+          if (count > 0) console.log(`  ${reason}: ${count}`);
+        }
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        CONFIG,
+        CONTENT_TYPES,
+        TWEET_TYPES,
+        PASS_TYPES,
+        FAILURE_REASONS,
+        RATE_LIMIT_TEXTS,
+        DAY_MS,
+        delay,
+        waitFor,
+        createThrottle,
+        createRunControl,
+        createEmitter,
+        getProfileUrl,
+        getItemType,
+        isInPass,
+        getPassTypes,
+        resolveDateRange,
+        classifyDate,
+        parseTweetId,
+        getTweetIdDate,
+        compileFilters,
+        parseCount,
+        parseLeadingCount,
+        parseEngagementLabel,
+        evaluateTweet,
+        parseTweetTimestamp,
+        categorizeError,
+        countFailureReasons,
+        logFailureReasons
+      };
+    }],
+
+    // src/locale.js
+    "locale": [{}, function (module, exports, require) {
+      /**
+       * X Interface Strings
+       *
+       * The words the deleters look for where X gives an element no test id:
+       * menu items ("Delete", "Remove this follower"), timeline headers
+       * ("Pinned", "You reposted"), the button names Playwright MCP snapshots
+       * show, the words after engagement counts, and the messages X puts on
+       * the page. The language comes from <html lang>, which X sets to the
+       * account's display language; CONFIG.language overrides it.
+       *
+       * Lookups try the page's language first and English second, since X
+       * leaves some strings untranslated. Throttling and missing-page messages
+       * are matched in every language, so they are caught before the language
+       * is known.
+       *
+       * To support another language, add an entry keyed by its <html lang>
+       * primary tag. Keys left out fall back to English.
+       *
+       * Usage:
+       *
+       *   const ui = getUiStrings(detectLanguage(document.documentElement.lang));
+       *   const deleteItem = [...menuItems].find(item => equalsUiText(item.textContent, ui.delete));
+       */
+
+      /**
+       * Strings per language
+       * Each value lists what X shows; more than one where X has used several
+       * (labels that changed with the Twitter to X rename). Exact-match keys:
+       * delete, undoRepost, more, pinned. Suffix keys (end of a button name
+       * such as "12 Likes. Liked"): like, liked, reposted. Count keys (the
+       * word after the number in "12 Likes. Like", any case): replyCount,
+       * repostCount, likeCount, viewCount. Everything else matches anywhere in
+       * the text.
+       */
+      const UI_STRINGS = {
+        en: {
+          delete: ['Delete'],
+          undoRepost: ['Undo repost', 'Undo Retweet'],
+          removeFollower: ['Remove this follower'],
+          more: ['More'],
+          pinned: ['Pinned'],
+          youReposted: ['You reposted', 'You Retweeted'],
+          reposted: ['Reposted', 'Retweeted'],
+          like: ['Like'],
+          liked: ['Liked'],
+          replyCount: ['Replies', 'Reply'],
+          repostCount: ['reposts', 'repost', 'Retweets', 'Retweet'],
+          likeCount: ['Likes', 'Like'],
+          viewCount: ['views', 'view'],
+          replyingTo: ['Replying to'],
+          protectedPosts: ['posts are protected', 'Tweets are protected'],
+          rateLimit: ['Something went wrong. Try reloading.', 'Rate limit exceeded', 'You are over the daily limit'],
+          missingPage: ['this page doesn’t exist', "this page doesn't exist", 'This post was deleted', 'This Tweet was deleted', 'This post is unavailable']
+        },
+        de: {
+          delete: ['Löschen'],
+          undoRepost: ['Repost rückgängig machen'],
+          removeFollower: ['Diesen Follower entfernen'],
+          more: ['Mehr'],
+          pinned: ['Angeheftet'],
+          youReposted: ['Du hast repostet'],
+          reposted: ['Repostet'],
+          like: ['Gefällt mir'],
+          liked: ['Gefällt mir nicht mehr'],
+          replyCount: ['Antworten', 'Antwort'],
+          repostCount: ['Reposts', 'Repost'],
+          likeCount: ['„Gefällt mir“-Angaben', '„Gefällt mir“-Angabe', 'Gefällt mir'],
+          viewCount: ['Aufrufe', 'Aufruf'],
+          replyingTo: ['Antwort an'],
+          protectedPosts: ['Posts sind geschützt'],
+          rateLimit: ['Etwas ist schiefgelaufen'],
+          missingPage: ['diese Seite existiert nicht', 'Dieser Post wurde gelöscht']
+        },
+        es: {
+          delete: ['Eliminar'],
+          undoRepost: ['Deshacer repost'],
+          removeFollower: ['Eliminar este seguidor'],
+          more: ['Más opciones', 'Más'],
+          pinned: ['Fijado'],
+          youReposted: ['Reposteaste'],
+          reposted: ['Reposteado'],
+          like: ['Me gusta'],
+          liked: ['Ya no me gusta'],
+          replyCount: ['respuestas', 'respuesta'],
+          repostCount: ['reposts', 'repost'],
+          likeCount: ['Me gusta'],
+          viewCount: ['visualizaciones', 'visualización'],
+          replyingTo: ['En respuesta a'],
+          protectedPosts: ['posts están protegidos'],
+          rateLimit: ['Algo salió mal'],
+          missingPage: ['esta página no existe', 'Este post fue eliminado']
+        },
+        fr: {
+          delete: ['Supprimer'],
+          undoRepost: ['Annuler le repost'],
+          removeFollower: ['Retirer cet abonné'],
+          more: ['Plus'],
+          pinned: ['Épinglé'],
+          youReposted: ['Vous avez reposté'],
+          reposted: ['Reposté'],
+          like: ['J’aime', "J'aime"],
+          liked: ['Je n’aime plus', "Je n'aime plus"],
+          replyCount: ['réponses', 'réponse'],
+          repostCount: ['reposts', 'repost'],
+          likeCount: ['J’aime', "J'aime"],
+          viewCount: ['vues', 'vue'],
+          replyingTo: ['En réponse à'],
+          protectedPosts: ['posts sont protégés'],
+          rateLimit: ['Un problème est survenu'],
+          missingPage: ['cette page n’existe pas', "cette page n'existe pas", 'Ce post a été supprimé']
+        },
+        ja: {
+          delete: ['削除'],
+          undoRepost: ['リポストを取り消す'],
+          removeFollower: ['このフォロワーを削除'],
+          more: ['もっと見る'],
+          pinned: ['固定'],
+          youReposted: ['リポストしました'],
+          reposted: ['リポスト済み'],
+          like: ['いいねする'],
+          liked: ['いいねしました'],
+          replyCount: ['件の返信'],
+          repostCount: ['件のリポスト'],
+          likeCount: ['件のいいね'],
+          viewCount: ['件の表示'],
+          replyingTo: ['返信先'],
+          protectedPosts: ['ポストは非公開です'],
+          rateLimit: ['問題が発生しました'],
+          missingPage: ['このページは存在しません', 'このポストは削除されました']
+        },
+        pt: {
+          delete: ['Excluir'],
+          undoRepost: ['Desfazer repost'],
+          removeFollower: ['Remover este seguidor'],
+          more: ['Mais opções', 'Mais'],
+          pinned: ['Fixado'],
+          youReposted: ['Você repostou'],
+          reposted: ['Repostado'],
+          like: ['Curtir'],
+          liked: ['Descurtir'],
+          replyCount: ['respostas', 'resposta'],
+          repostCount: ['reposts', 'repost'],
+          likeCount: ['curtidas', 'curtida'],
+          viewCount: ['visualizações', 'visualização'],
+          replyingTo: ['Em resposta a'],
+          protectedPosts: ['posts estão protegidos'],
+          rateLimit: ['Algo deu errado'],
+          missingPage: ['essa página não existe', 'esta página não existe', 'Este post foi excluído']
+        }
+      };
+
+      /**
+       * Pick the supported language for an <html lang> value
+       * @param {string} lang - e.g. 'de', 'pt-BR', 'ja'
+       * @returns {string} A UI_STRINGS key ('en' when unsupported or unknown)
+       */
+      function detectLanguage(lang) {
+        const primary = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+        return Object.prototype.hasOwnProperty.call(UI_STRINGS, primary) ? primary : 'en';
+      }
+
+      /**
+       * Strings to look for on a page in this language
+       * @param {string} language - A UI_STRINGS key (see detectLanguage)
+       * @returns {object} Each key's candidates: the language's own, then English
+       */
+      function getUiStrings(language = 'en') {
+        const own = UI_STRINGS[detectLanguage(language)];
+        const strings = {};
+        for (const key of Object.keys(UI_STRINGS.en)) {
+          strings[key] = [...new Set([...(own[key] || []), ...UI_STRINGS.en[key]])];
+        }
+        return strings;
+      }
+
+      /**
+       * A key's strings in every language, for messages that must be caught
+       * whatever the page's language
+       * @param {string} key - e.g. 'rateLimit'
+       * @returns {array}
+       */
+      function getAllUiTexts(key) {
+        return [...new Set(Object.values(UI_STRINGS).flatMap(strings => strings[key] || []))];
+      }
+
+      /**
+       * Whether text is exactly one of the candidates (ignoring surrounding space)
+       * @param {string} text
+       * @param {array} candidates - From getUiStrings
+       * @returns {boolean}
+       */
+      function equalsUiText(text, candidates) {
+        const trimmed = String(text || '').trim();
+        return candidates.some(candidate => trimmed === candidate);
+      }
+
+      /**
+       * The candidate text contains, if any
+       * @param {string} text
+       * @param {array} candidates - From getUiStrings or getAllUiTexts
+       * @returns {string|null}
+       */
+      function findUiText(text, candidates) {
+        const value = String(text || '');
+        return candidates.find(candidate => value.includes(candidate)) || null;
+      }
+
+      /**
+       * Whether text ends with one of the candidates, as button names like
+       * "12 Likes. Liked" end with the button's state
+       * @param {string} text
+       * @param {array} candidates - From getUiStrings
+       * @returns {boolean}
+       */
+      function endsWithUiText(text, candidates) {
+        const trimmed = String(text || '').trim();
+        // A letter just before the match means it is the end of a longer word
+        // ("Unliked" is not "Liked"); scripts without spaces need no separator
+        return candidates.some(candidate =>
+          trimmed.endsWith(candidate) && !/[A-Za-z\u00C0-\u024F]$/.test(trimmed.slice(0, -candidate.length)));
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        UI_STRINGS,
+        detectLanguage,
+        getUiStrings,
+        getAllUiTexts,
+        equalsUiText,
+        findUiText,
+        endsWithUiText
+      };
+    }],
+
+    // src/engine.js
+    "engine": [{"./core":"core"}, function (module, exports, require) {
+      /**
+       * Deletion Engine
+       *
+       * The timeline walk every deleter shares: decide what to do with each
+       * tweet, remove it through a driver, retry within a per-tweet budget,
+       * journal, back up and pace against throttling. Drivers do the page
+       * work, so a fix here reaches Playwright MCP, the Node `playwright`
+       * library and the console script alike.
+       *
+       * A driver is an object with these async methods:
+       *
+       *   open(url)                   Show a profile tab, scrolled to the top
+       *   findItems()                 Tweets currently on the page, in timeline order
+       *   readItem(item)              { key, id, date, text, pinned, engagement, repost, quote, liked }
+       *   captureItem(item, info, username)
+       *                               Backup record (see backup.js) for a tweet about to go
+       *   openMenu(item, menu)        'more' (the ⋯ menu) or 'repost' (the undo-repost menu)
+       *   chooseAction(item, action)  'delete', 'undo-repost', 'like' or 'unlike'
+       *   confirm(item)               Accept the confirmation sheet
+       *   scroll(pixels)              Scroll and wait for more tweets to load
+       *   dismiss()                   Close any open menu or sheet
+       *   hasItem(item)               Whether the tweet is still on the page
+       *   rateLimitMessage()          X's throttling message on the page, or null
+       *   checkThrottle()             rateLimitMessage() or new 429 responses, or null
+       *   isMissingPage(id)           Whether the page says the tweet or page doesn't exist;
+       *                               never while tweet id is still on it (optional; used
+       *                               by verify.js's status checks)
+       *
+       * openMenu, chooseAction and confirm return { ok: true } or
+       * { ok: false, reason, error } with reason from FAILURE_REASONS.
+       *
+       * Drivers: drivers/mcp.js (Playwright MCP), drivers/dom.js (in the page,
+       * built into the console script), drivers/playwright.js (Node library)
+       * and drivers/inventory.js (intercepted timelines, see intercept.js).
+       *
+       * Callers follow a run through options.hooks, an object with any of:
+       *
+       *   onStart({ username, contentTypes, dryRun, startedAt })
+       *   onItem(item)                Every tweet a decision was made on; item is
+       *                               { contentType, key, id, type, date, text, pinned,
+       *                               engagement, decision: { action, rule } }
+       *   onDeleted(item)             Removed, with durationMs and attempts
+       *   onSkipped(item)             Kept by a rule (item.decision.rule)
+       *   onError(item)               A failed attempt, with reason, error, attempts and
+       *                               final (true once the run moves past the tweet)
+       *   onThrottle(event)           A backoff: { contentType, at, reason, level, waitMs }
+       *   onProgress(progress)        After each tweet: { contentType, deleted, skipped,
+       *                               failed, elapsedMs, perMinute }
+       *   onComplete(result)          The run's result, as returned
+       *
+       * Hooks are called as things happen and not awaited; one that throws is
+       * logged and the run goes on.
+       *
+       * options.remover (see direct.js) replaces the clicks with API calls,
+       * options.concurrency of them at a time. Its remove(info, kind) returns
+       * removeItem's result, or { success: false, fallback: true, error } for
+       * tweets to click through instead, one at a time.
+       */
+
+      const {
+        CONFIG,
+        TWEET_TYPES,
+        delay,
+        createThrottle,
+        createEmitter,
+        getProfileUrl,
+        getItemType,
+        isInPass,
+        resolveDateRange,
+        compileFilters,
+        evaluateTweet,
+        categorizeError,
+        countFailureReasons,
+        logFailureReasons
+      } = require('./core');
+
+      /**
+       * Give up on a tweet for this attempt: close menus and report why
+       * A rate-limit message or the tweet leaving the page overrides the
+       * step's own reason, since that is what actually went wrong
+       * @param {object} driver - Page driver
+       * @param {object} item - Item from findItems
+       * @param {string} reason - One of FAILURE_REASONS
+       * @param {string} error - What was missing
+       * @returns {object} { success: false, reason, error }
+       */
+      async function abandonItem(driver, item, reason, error) {
+        const throttled = await driver.rateLimitMessage();
+        const present = await driver.hasItem(item);
+        await driver.dismiss();
+
+        if (throttled) {
+          return { success: false, reason: 'throttled', error };
+        }
+        if (!present) {
+          return { success: false, reason: 'vanished', error };
+        }
+        return { success: false, reason, error };
+      }
+
+      /**
+       * Undo a like and make sure it sticks
+       * X sometimes flips the button back to "Liked" after an unlike, so the
+       * click is retried until the button stays "Like". Tweets can also stay
+       * on the Likes tab showing "Like" while X still counts the like; those
+       * are liked again first so the unlike registers.
+       * @param {object} driver - Page driver
+       * @param {object} item - Item from findItems
+       * @param {object} config - Settings (unlikeAttempts)
+       * @returns {object} { success, type } or { success: false, reason, error }
+       */
+      async function unlikeItem(driver, item, config = CONFIG) {
+        if (!(await driver.readItem(item)).liked) {
+          const step = await driver.chooseAction(item, 'like');
+          if (!step.ok) return abandonItem(driver, item, step.reason, step.error);
+
+          if (!(await driver.readItem(item)).liked) {
+            return abandonItem(driver, item, 'throttled', 'Like did not register');
+          }
+        }
+
+        for (let attempt = 1; attempt <= config.unlikeAttempts; attempt++) {
+          const step = await driver.chooseAction(item, 'unlike');
+          if (!step.ok) return abandonItem(driver, item, step.reason, step.error);
+
+          if (!(await driver.readItem(item)).liked) {
+            return { success: true, type: 'like' };
+          }
+        }
+
+        return abandonItem(driver, item, 'throttled', 'Unlike did not stick');
+      }
+
+      /**
+       * Delete (or undo the repost or like of) a single tweet
+       * @param {object} driver - Page driver
+       * @param {object} item - Item from findItems
+       * @param {string} kind - 'post' (posts, replies and quotes), 'repost' or 'like'
+       * @param {object} config - Settings (unlikeAttempts)
+       * @returns {object} { success, type } or { success: false, reason, error } (reason from FAILURE_REASONS)
+       */
+      async function removeItem(driver, item, kind, config = CONFIG) {
+        // Likes are undone with a single click, no confirmation
+        if (kind === 'like') {
+          return unlikeItem(driver, item, config);
+        }
+
+        // Reposts are undone from the repost button's menu
+        const steps = kind === 'repost'
+          ? [() => driver.openMenu(item, 'repost'), () => driver.chooseAction(item, 'undo-repost')]
+          : [() => driver.openMenu(item, 'more'), () => driver.chooseAction(item, 'delete'), () => driver.confirm(item)];
+
+        for (const step of steps) {
+          const result = await step();
+          if (!result.ok) return abandonItem(driver, item, result.reason, result.error);
+        }
+
+        // X sometimes takes the click and keeps the tweet; only count it once it's gone
+        if (await driver.hasItem(item)) {
+          return abandonItem(driver, item, 'throttled', 'Tweet still there after deleting');
+        }
+        return { success: true, type: kind };
+      }
+
+      /**
+       * Walk one profile tab and delete what the rules allow
+       * @param {object} driver - Page driver (see top of file)
+       * @param {string} username - X username (without @)
+       * @param {string} contentType - 'POSTS', 'REPLIES', 'REPOSTS' or 'LIKES'
+       * @param {object} options - Retention options ({ before, after, olderThanDays }),
+       *                           filters ({ keepIds, include, exclude, keepIfAtLeast }),
+       *                           types (item types to remove, default TWEET_TYPES; e.g. leave out
+       *                           'quote' to undo reposts but keep quote tweets),
+       *                           planIds (delete exactly these IDs and keep the rest),
+       *                           dryRun (walk and decide, but delete nothing),
+       *                           journal (from openJournal), resume (skip journaled items)
+       *                           backup (from openBackup, captures each tweet before deletion),
+       *                           throttle (from createThrottle, shared across passes),
+       *                           control (from createRunControl: pause and stop between tweets),
+       *                           hooks (see top of file),
+       *                           remover and concurrency (direct mode, see top of file),
+       *                           origin (site to open, default https://x.com)
+       *                           and config (settings, default CONFIG)
+       * @returns {object} { deleted, skipped, failed, failures, failureReasons, skips, planned, byType, throttle,
+       *                   stopped, records, timings } - failures lists each tweet moved past with its
+       *                   reason, failureReasons counts them per FAILURE_REASONS entry, skips lists each
+       *                   kept tweet with its rule, planned lists every decision in a dry run, byType
+       *                   counts removals per TWEET_TYPES entry, throttle holds backoff events and time
+       *                   spent backing off, stopped is true when the control stopped the run early,
+       *                   records has one entry per tweet decided on ({ contentType, key, id, type, date,
+       *                   action, rule, outcome ('deleted', 'kept', 'planned' or 'failed'), reason, error,
+       *                   attempts, durationMs }) and timings is { startedAt, finishedAt, durationMs }
+       */
+      async function runDeletion(driver, username, contentType, options = {}) {
+        const config = options.config || CONFIG;
+        const range = resolveDateRange(options);
+        const filters = compileFilters(options);
+        const types = options.types || TWEET_TYPES;
+        const planIds = options.planIds ? new Set(options.planIds) : null;
+        const journal = options.dryRun ? null : (options.journal || null);
+        const prior = journal && options.resume ? journal.totals(contentType) : null;
+        const throttle = options.throttle || createThrottle(config.backoff, () => config.delays.rateLimitSafe);
+        const control = options.control || null;
+        const emit = createEmitter(options.hooks);
+        const remover = options.remover || null;
+        const concurrency = remover ? Math.max(1, options.concurrency || 1) : 1;
+        const startTime = Date.now();
+
+        let deletedCount = 0;
+        let failedCount = 0;
+        let emptyAttempts = 0;
+        let reachedEnd = false;
+        let stopped = false;
+        const skips = [];
+        const planned = [];
+        const failures = [];
+        const byType = {};
+        const attempts = new Map();
+        const handled = new Set();
+        const captured = new Set();
+        const records = new Map();
+        const inFlight = new Set();
+        let clicks = Promise.resolve();
+        for (const type of TWEET_TYPES) {
+          byType[type] = 0;
+        }
+
+        // What hooks hear about a tweet
+        const describe = (info, type, decision) => ({
+          contentType,
+          key: info.key,
+          id: info.id,
+          type,
+          date: info.date ? info.date.toISOString() : null,
+          text: info.text.slice(0, 280),
+          pinned: info.pinned,
+          engagement: info.engagement,
+          decision
+        });
+
+        // One record per tweet, updated as its attempts play out
+        const recordOutcome = (item, outcome, details = {}) => {
+          const record = records.get(item.key) || {
+            contentType,
+            key: item.key,
+            id: item.id,
+            type: item.type,
+            date: item.date,
+            action: item.decision.action,
+            rule: item.decision.rule,
+            outcome: null,
+            reason: null,
+            error: null,
+            attempts: 0,
+            durationMs: 0
+          };
+          records.set(item.key, Object.assign(record, { outcome, ...details }));
+        };
+
+        const progress = () => {
+          const elapsedMs = Date.now() - startTime;
+          emit('onProgress', {
+            contentType,
+            deleted: deletedCount,
+            skipped: skips.length,
+            failed: failedCount,
+            elapsedMs,
+            perMinute: elapsedMs > 0 ? deletedCount / (elapsedMs / 60000) : 0
+          });
+        };
+
+        // Keep going unless the control paused (wait) or stopped (false) the run
+        const proceed = async () => {
+          if (!control || await control.checkpoint()) return true;
+          stopped = true;
+          return false;
+        };
+
+        // Retry a failed tweet until its budget runs out, then move past it.
+        // Retrying can't make someone else's tweet ours or bring back a gone one.
+        const noteFailure = (info, item, reason, error) => {
+          const tries = (attempts.get(info.key) || 0) + 1;
+          attempts.set(info.key, tries);
+          const final = reason === 'not-owned' || reason === 'vanished' || tries >= config.maxAttemptsPerTweet;
+          recordOutcome(item, 'failed', { reason, error, attempts: tries });
+          // Retries and give-ups are reported through onError (the panel shows them) and the
+          // summary's failures, not logged one by one
+          emit('onError', { ...item, reason, error, attempts: tries, final });
+          if (!final) return;
+
+          failedCount++;
+          handled.add(info.key);
+          failures.push({ id: info.id, reason, error, attempts: tries });
+        };
+
+        // Remove one tweet, then journal, count and report the outcome
+        const attemptRemoval = async (item, info, type, kind, described) => {
+          const itemStart = Date.now();
+          try {
+            if (options.backup && !captured.has(info.key)) {
+              captured.add(info.key);
+              options.backup.capture({ ...(await driver.captureItem(item, info, username)), type });
+            }
+
+            let result = remover ? await remover.remove(info, kind) : null;
+            if (!result || result.fallback) {
+              if (result) console.log(`↩️  ${result.error}; clicking through tweet ${info.id || info.key}`);
+              const clicked = clicks.then(() => removeItem(driver, item, kind, config));
+              clicks = clicked.catch(() => {});
+              result = await clicked;
+            }
+            const durationMs = Date.now() - itemStart;
+            if (journal) {
+              journal.record({
+                id: info.id,
+                contentType,
+                action: 'delete',
+                outcome: result.success ? 'success' : 'failed',
+                reason: result.reason,
+                error: result.error
+              });
+            }
+
+            if (result.success) {
+              deletedCount++;
+              byType[type]++;
+              throttle.success();
+              // Removed through the API, the tweet stays on the page
+              if (remover) handled.add(info.key);
+              const tries = (attempts.get(info.key) || 0) + 1;
+              recordOutcome(described, 'deleted', { reason: null, error: null, attempts: tries, durationMs });
+              emit('onDeleted', { ...described, durationMs, attempts: tries });
+
+              // Log progress
+              if (deletedCount % config.logInterval === 0) {
+                const rate = (deletedCount / ((Date.now() - startTime) / 60000)).toFixed(1);
+                console.log(`✓ Deleted ${deletedCount} ${contentType}... (${rate}/min)`);
+              }
+            } else {
+              noteFailure(info, described, result.reason, result.error);
+              if (result.rateLimited) await throttle.backoff(result.error);
+              else await throttle.failure(result.error);
+            }
+          } catch (error) {
+            const reason = categorizeError(error);
+            if (journal) {
+              journal.record({ id: info.id, contentType, action: 'delete', outcome: 'failed', reason, error: error.message });
+            }
+            console.error(`Error deleting tweet: ${error.message}`);
+            await driver.dismiss();
+            noteFailure(info, described, reason, error.message);
+            await throttle.failure(error.message);
+          }
+
+          progress();
+        };
+
+        // A saved plan replaces all other rules; otherwise the date range,
+        // filters and type list decide
+        const decide = (info, type) => {
+          if (planIds) {
+            return info.id && planIds.has(info.id)
+              ? { action: 'delete', rule: null }
+              : { action: 'keep', rule: 'plan:not-listed' };
+          }
+
+          const decision = evaluateTweet(info, range, filters);
+          // Reposts and likes show the original tweet's date, and the Likes tab is
+          // ordered by when you liked, so neither can end the pass
+          if (decision.action === 'stop' && (type === 'repost' || type === 'like')) {
+            return { action: 'keep', rule: decision.rule };
+          }
+          if (decision.action === 'delete' && !types.includes(type)) {
+            return { action: 'keep', rule: `type:${type}` };
+          }
+          return decision;
+        };
+
+        // Carry totals forward from the interrupted run
+        if (prior) {
+          deletedCount = prior.delete || 0;
+          console.log(`Resuming ${contentType}: ${deletedCount} already deleted, ${prior.failed} to retry`);
+        }
+
+        const url = getProfileUrl(username, contentType, options.origin);
+        emit('onStart', { username, contentTypes: [contentType], dryRun: Boolean(options.dryRun), startedAt: new Date(startTime).toISOString() });
+        const unlisten = throttle.listen(event => emit('onThrottle', { contentType, ...event }));
+        await driver.open(url);
+
+        console.log(`Starting deletion of ${contentType} for @${username}`);
+        console.log(`URL: ${url}`);
+        if (range.from || range.to) {
+          console.log(`Date range: ${range.from ? range.from.toISOString() : 'beginning'} → ${range.to ? range.to.toISOString() : 'now'}`);
+        }
+
+        while (!reachedEnd && await proceed()) {
+          const items = await driver.findItems();
+
+          // Cool down and look again if X is throttling us
+          if (!options.dryRun && await throttle.check(driver)) {
+            continue;
+          }
+
+          // Pass over tweets already handled and ones another pass handles
+          // (reposts on the Posts tab and vice versa)
+          let unseen = 0;
+          const batch = [];
+          for (const item of items) {
+            const info = await driver.readItem(item);
+            if (handled.has(info.key)) continue;
+
+            unseen++;
+            const type = getItemType(info, contentType);
+            if (isInPass(type, contentType)) {
+              batch.push({ item, info, type });
+            } else {
+              handled.add(info.key);
+            }
+          }
+
+          if (batch.length === 0) {
+            // Only an empty attempt if nothing new loaded at all
+            emptyAttempts = unseen > 0 ? 0 : emptyAttempts + 1;
+            if (emptyAttempts >= config.maxEmptyAttempts) {
+              console.log(`No more ${contentType} found after ${config.maxEmptyAttempts} attempts`);
+              break;
+            }
+            await driver.scroll(config.scrollAmount);
+            continue;
+          }
+          emptyAttempts = 0;
+
+          // Work through everything loaded before scrolling for more
+          for (const { item, info, type } of batch) {
+            if (!(await proceed())) break;
+
+            const decision = decide(info, type);
+            if (decision.action === 'stop') {
+              console.log('Reached tweets older than the date range, stopping');
+              reachedEnd = true;
+              break;
+            }
+
+            // Already handled before the interruption
+            if (prior && info.id && journal.isCompleted(info.id)) {
+              handled.add(info.key);
+              continue;
+            }
+
+            const described = describe(info, type, decision);
+            emit('onItem', described);
+
+            if (decision.action === 'keep') {
+              handled.add(info.key);
+              skips.push({ id: info.id, rule: decision.rule });
+              recordOutcome(described, 'kept');
+              emit('onSkipped', described);
+              if (journal) {
+                journal.record({ id: info.id, contentType, action: 'keep', outcome: 'success', rule: decision.rule });
+              }
+            }
+
+            // Dry run: record the decision and move on without touching the tweet
+            if (options.dryRun) {
+              handled.add(info.key);
+              planned.push({
+                id: info.id,
+                type,
+                action: decision.action,
+                rule: decision.rule,
+                date: info.date ? info.date.toISOString() : null,
+                text: info.text.slice(0, 280)
+              });
+              if (decision.action === 'delete') recordOutcome(described, 'planned');
+              progress();
+              continue;
+            }
+            if (decision.action === 'keep') {
+              progress();
+              continue;
+            }
+
+            // Unliked tweets stay on the Likes tab until reload, so try each once
+            const kind = type === 'repost' || type === 'like' ? type : 'post';
+            if (kind === 'like') {
+              handled.add(info.key);
+            }
+
+            // Direct mode keeps several removals in flight; clicks go one at a time
+            await throttle.ready();
+            const task = attemptRemoval(item, info, type, kind, described);
+            if (concurrency > 1) {
+              inFlight.add(task);
+              task.finally(() => inFlight.delete(task));
+              if (inFlight.size >= concurrency) await Promise.race(inFlight);
+            } else {
+              await task;
+            }
+
+            // Rate limiting protection (slower while throttled)
+            await delay(throttle.pace());
+          }
+          await Promise.all(inFlight);
+
+          if (!reachedEnd && !stopped) {
+            await driver.scroll(config.scrollAmount);
+          }
+        }
+
+        unlisten();
+
+        if (stopped) {
+          console.log(`⏹️  Stopped ${contentType} early`);
+        }
+        if (options.dryRun) {
+          const toDelete = planned.filter(entry => entry.action === 'delete').length;
+          console.log(`✓ Dry run of ${contentType}: ${toDelete} would be deleted, ${skips.length} kept`);
+        } else {
+          console.log(`✓ Completed ${contentType}: ${deletedCount} items deleted, ${skips.length} kept, ${failedCount} failed`);
+        }
+        const skipped = skips.length + (prior ? prior.keep || 0 : 0);
+        const finishedAt = Date.now();
+        const result = {
+          deleted: deletedCount,
+          skipped,
+          failed: failedCount,
+          failures,
+          failureReasons: countFailureReasons(failures),
+          skips,
+          planned,
+          byType,
+          throttle: throttle.stats,
+          stopped,
+          records: [...records.values()],
+          timings: {
+            startedAt: new Date(startTime).toISOString(),
+            finishedAt: new Date(finishedAt).toISOString(),
+            durationMs: finishedAt - startTime
+          }
+        };
+        emit('onComplete', result);
+        return result;
+      }
+
+      /**
+       * Run several profile tabs as passes sharing one throttle
+       * @param {object} driver - Page driver (see top of file)
+       * @param {string} username - X username (without @)
+       * @param {object} options - runDeletion options, plus contentTypes
+       *                           (default ['POSTS', 'REPOSTS', 'REPLIES', 'LIKES'])
+       * @returns {object} Summary of deletions: counts per pass and in total, plus the passes'
+       *                   failures, skips, planned, records and byType combined, and timings
+       *                   { startedAt, finishedAt, durationMs, passes: { POSTS: ms, ... } }
+       */
+      async function runAllDeletion(driver, username, options = {}) {
+        const config = options.config || CONFIG;
+        const hooks = options.hooks || {};
+        const emit = createEmitter(hooks);
+        const startTime = Date.now();
+
+        console.log(`Starting deletion process for @${username}`);
+        console.log('This may take 20-60 minutes for 1,000 items\n');
+
+        const summary = {
+          posts: 0,
+          replies: 0,
+          reposts: 0,
+          likes: 0,
+          total: 0,
+          skipped: 0,
+          failed: 0,
+          failures: [],
+          failureReasons: null,
+          skips: [],
+          planned: [],
+          byType: {},
+          throttle: null,
+          stopped: false,
+          records: [],
+          timings: null
+        };
+        const passTimes = {};
+        for (const type of TWEET_TYPES) {
+          summary.byType[type] = 0;
+        }
+        const contentTypes = options.contentTypes || ['POSTS', 'REPOSTS', 'REPLIES', 'LIKES'];
+        const passes = [
+          { contentType: 'POSTS', title: 'Posts', field: 'posts' },     // includes quote tweets
+          { contentType: 'REPOSTS', title: 'Reposts', field: 'reposts' },
+          { contentType: 'REPLIES', title: 'Replies', field: 'replies' },
+          { contentType: 'LIKES', title: 'Likes', field: 'likes' }
+        ];
+        const runOptions = {
+          ...options,
+          throttle: options.throttle || createThrottle(config.backoff, () => config.delays.rateLimitSafe),
+          // Passes report everything but their own start and end
+          hooks: { ...hooks, onStart: null, onComplete: null }
+        };
+        emit('onStart', {
+          username,
+          contentTypes: passes.map(pass => pass.contentType).filter(type => contentTypes.includes(type)),
+          dryRun: Boolean(options.dryRun),
+          startedAt: new Date(startTime).toISOString()
+        });
+
+        for (const pass of passes) {
+          if (!contentTypes.includes(pass.contentType)) continue;
+
+          console.log(`\n=== Processing ${pass.title} ===`);
+          const result = await runDeletion(driver, username, pass.contentType, runOptions);
+          summary[pass.field] = result.deleted;
+          summary.total += result.deleted;
+          summary.skips.push(...result.skips);
+          summary.skipped += result.skipped;
+          summary.failed += result.failed;
+          summary.failures.push(...result.failures);
+          summary.planned.push(...result.planned);
+          summary.records.push(...result.records);
+          passTimes[pass.contentType] = result.timings.durationMs;
+          for (const type of TWEET_TYPES) {
+            summary.byType[type] += result.byType[type];
+          }
+          if (result.stopped) {
+            summary.stopped = true;
+            break;
+          }
+        }
+        summary.failureReasons = countFailureReasons(summary.failures);
+        summary.throttle = runOptions.throttle.stats;
+        const finishedAt = Date.now();
+        summary.timings = {
+          startedAt: new Date(startTime).toISOString(),
+          finishedAt: new Date(finishedAt).toISOString(),
+          durationMs: finishedAt - startTime,
+          passes: passTimes
+        };
+
+        console.log('\n=== Deletion Complete ===');
+        console.log(`Posts deleted: ${summary.posts}`);
+        console.log(`Reposts undone: ${summary.reposts}`);
+        console.log(`Replies deleted: ${summary.replies}`);
+        console.log(`Likes removed: ${summary.likes}`);
+        console.log(`Total deleted: ${summary.total}`);
+        console.log(`Kept by rules: ${summary.skipped}`);
+        console.log(`Failed: ${summary.failed}`);
+        logFailureReasons(summary.failureReasons);
+        console.log(`Throttled: ${summary.throttle.events.length} times, ${(summary.throttle.backedOffMs / 60000).toFixed(1)} min backing off`);
+
+        emit('onComplete', summary);
+        return summary;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        runDeletion,
+        runAllDeletion,
+        removeItem,
+        unlikeItem,
+        abandonItem
+      };
+    }],
+
+    // src/drivers/dom.js
+    "drivers/dom": [{"../core":"core","../locale":"locale"}, function (module, exports, require) {
+      /**
+       * In-Page DOM Driver
+       *
+       * Drives the deletion engine from inside the X tab, querying and clicking
+       * elements by their data-testid (CONFIG.selectors) and, where X has no
+       * test id, by text in the page's language (see locale.js). This is the
+       * driver built into the console script. Items are the tweet <article>
+       * elements.
+       *
+       * Each step waits for what it should bring about (the menu opening, the
+       * confirmation sheet, the tweet leaving the page, new tweets after a
+       * scroll) with waitForDom, up to CONFIG.waits; CONFIG.delays only sets
+       * the least time a step takes.
+       *
+       * readTweetElement and captureTweetElement only use their arguments, so
+       * the Playwright driver runs the same code in the page through
+       * elementHandle.evaluate.
+       *
+       * Usage (in the page):
+       *
+       *   const driver = createDomDriver();
+       *   await runDeletion(driver, 'yourusername', 'POSTS');
+       */
+
+      const { CONFIG, RATE_LIMIT_TEXTS, delay, parseLeadingCount } = require('../core');
+      const { getUiStrings, equalsUiText } = require('../locale');
+
+      /**
+       * Read what the engine needs to know about a tweet article
+       * Must stay self-contained (see top of file)
+       * @param {Element} article - Tweet article element
+       * @param {object} lookup - { selectors (CONFIG.selectors), ui (from getUiStrings) }
+       * @returns {object} { key, id, date, text, pinned, engagementLabels, repost, quote, liked } with date as an ISO string
+       */
+      function readTweetElement(article, { selectors, ui }) {
+        const timeLink = article.querySelector('a[href*="/status/"] time');
+        const href = timeLink ? timeLink.closest('a').getAttribute('href') : '';
+        const status = href.match(/\/status\/(\d+)/);
+        const id = status ? status[1] : null;
+
+        // Tweets without a status link (ads, tombstones) still need a stable key
+        if (!id && !article.dataset.xDeleterKey) {
+          article.dataset.xDeleterKey = `el-${Math.random().toString(36).slice(2)}`;
+        }
+
+        const time = article.querySelector('time');
+        const context = article.querySelector(selectors.socialContext);
+        const contextText = context ? context.textContent : '';
+        const pinned = ui.pinned.some(label => contextText.includes(label));
+        const text = article.querySelector(selectors.tweetText);
+
+        // Engagement labels ("12 Likes. Like") by test id, so the metric is known in any
+        // language; toItemInfo reads the counts
+        const engagementLabels = {};
+        const metricSelectors = {
+          replies: selectors.replyButton,
+          reposts: `${selectors.retweetButton}, ${selectors.unretweetButton}`,
+          likes: `${selectors.likeButton}, ${selectors.unlikeButton}`,
+          views: 'a[href$="/analytics"]'
+        };
+        for (const [metric, selector] of Object.entries(metricSelectors)) {
+          const button = article.querySelector(selector);
+          engagementLabels[metric] = button ? button.getAttribute('aria-label') || '' : '';
+        }
+
+        return {
+          key: id || article.dataset.xDeleterKey,
+          id,
+          date: time ? time.getAttribute('datetime') : null,
+          text: text ? text.textContent : '',
+          pinned,
+          engagementLabels,
+          // Reposts carry a "You reposted" header and the unretweet button (told
+          // apart from the "Pinned" header by test id, whatever the language);
+          // quote tweets are our own posts with a second tweet (the quoted one) inside
+          repost: Boolean(contextText) && !pinned && Boolean(article.querySelector(selectors.unretweetButton)),
+          quote: article.querySelectorAll(selectors.userName).length > 1,
+          // Replies carry "Replying to @bob"; the Replies tab lists standalone posts too
+          reply: ui.replyingTo.some(label => article.textContent.includes(label)),
+          liked: Boolean(article.querySelector(selectors.unlikeButton))
+        };
+      }
+
+      /**
+       * Capture a tweet article for the backup, right before deleting it
+       * Must stay self-contained (see top of file)
+       * @param {Element} article - Tweet article element
+       * @param {object} lookup - { selectors (CONFIG.selectors), ui (from getUiStrings) }
+       * @returns {object} { id, permalink, date, text, media, quoted, replyTo }
+       */
+      function captureTweetElement(article, { selectors, ui }) {
+        const timeLink = article.querySelector('a[href*="/status/"] time');
+        const href = timeLink ? timeLink.closest('a').getAttribute('href') : '';
+        const status = href.match(/\/status\/(\d+)/);
+        const id = status ? status[1] : null;
+
+        const time = article.querySelector('time');
+        const text = article.querySelector(selectors.tweetText);
+        const statuses = [...article.querySelectorAll('a[href*="/status/"]')]
+          .map(a => a.getAttribute('href').match(/^\/[^/]+\/status\/(\d+)/))
+          .filter(Boolean);
+        const own = statuses.find(match => match[1] === id);
+        const quoted = statuses.find(match => match[1] !== id);
+        // "Replying to @bob", in the page's language
+        let replyTo = null;
+        for (const label of ui.replyingTo) {
+          const at = article.textContent.indexOf(label);
+          replyTo = at >= 0 ? article.textContent.slice(at + label.length).match(/^[\s:：]*@(\w+)/) : null;
+          if (replyTo) break;
+        }
+        const media = [
+          ...[...article.querySelectorAll('img[src*="pbs.twimg.com/media"]')].map(img => img.src),
+          ...[...article.querySelectorAll('video')].map(video => video.src || video.poster)
+        ].filter(Boolean);
+
+        return {
+          id,
+          permalink: own ? `https://x.com${own[0]}` : null,
+          date: time ? time.getAttribute('datetime') : null,
+          text: text ? text.textContent : '',
+          media: [...new Set(media)],
+          quoted: quoted ? `https://x.com${quoted[0]}` : null,
+          replyTo: replyTo ? `@${replyTo[1]}` : null
+        };
+      }
+
+      /**
+       * Turn readTweetElement's result into engine item metadata
+       * @param {object} info - From readTweetElement
+       * @returns {object} Same, with date as a Date (or null) and engagement counts in place of
+       *                   their labels (null for a count that doesn't parse)
+       */
+      function toItemInfo(info) {
+        const { engagementLabels, ...rest } = info;
+        const date = info.date ? new Date(info.date) : null;
+        const engagement = {};
+        for (const [metric, label] of Object.entries(engagementLabels || {})) {
+          engagement[metric] = parseLeadingCount(label);
+        }
+        return { ...rest, date: date && !isNaN(date.getTime()) ? date : null, engagement };
+      }
+
+      /**
+       * Complete a captureTweetElement result into a backup record
+       * @param {object} capture - From captureTweetElement
+       * @param {object} info - Item metadata from readItem
+       * @param {string} username - X username (without @), for the permalink fallback
+       * @returns {object} { id, permalink, date, text, media, quoted, replyTo, engagement, capturedAt }
+       */
+      function toBackupRecord(capture, info, username) {
+        return {
+          ...capture,
+          permalink: capture.permalink || (capture.id ? `https://x.com/${username}/status/${capture.id}` : null),
+          engagement: info.engagement,
+          capturedAt: new Date().toISOString()
+        };
+      }
+
+      /**
+       * Find X's throttling message in a toast or on the page
+       * @param {string} toastText - Text of the toast, if one is showing
+       * @param {string} pageText - Visible text of the page
+       * @returns {string|null} Reason, or null if the page looks normal
+       */
+      function findRateLimitText(toastText, pageText) {
+        if (toastText && (/something went wrong|rate limit/i.test(toastText) || RATE_LIMIT_TEXTS.some(t => toastText.includes(t)))) {
+          return `toast: ${toastText.trim()}`;
+        }
+        const text = RATE_LIMIT_TEXTS.find(t => pageText.includes(t));
+        return text ? `toast: ${text}` : null;
+      }
+
+      /**
+       * Wait until the page reaches a condition
+       * Checks again on every DOM change, and every interval for changes that
+       * don't touch the DOM, so a step moves on as soon as X renders
+       * @param {function} check - Returns something truthy once the condition holds
+       * @param {object} options - { timeout, interval, floor } as for waitFor in core.js
+       * @returns {Promise<*>} What check returned, or null when the timeout passed first
+       */
+      async function waitForDom(check, options = {}) {
+        const timeout = options.timeout ?? CONFIG.waits.timeout;
+        const interval = Math.max(1, options.interval ?? CONFIG.waits.interval);
+
+        const settled = new Promise(resolve => {
+          const first = check();
+          if (first || timeout <= 0) {
+            resolve(first || null);
+            return;
+          }
+
+          let done = false;
+          const finish = value => {
+            if (done) return;
+            done = true;
+            observer.disconnect();
+            clearInterval(poll);
+            clearTimeout(timer);
+            resolve(value);
+          };
+          const test = () => {
+            const value = check();
+            if (value) finish(value);
+          };
+          const observer = new MutationObserver(test);
+          observer.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true });
+          const poll = setInterval(test, interval);
+          const timer = setTimeout(() => finish(null), timeout);
+        });
+
+        const [value] = await Promise.all([settled, delay(options.floor || 0)]);
+        return value;
+      }
+
+      /**
+       * Create a driver for the page the script runs in
+       * @param {object} config - Settings (delays, waits, selectors), default CONFIG
+       * @returns {object} Driver (see engine.js)
+       */
+      function createDomDriver(config = CONFIG) {
+        const selectors = { ...CONFIG.selectors, ...config.selectors };
+        const waits = { ...CONFIG.waits, ...config.waits };
+        const ui = getUiStrings(config.language || document.documentElement.lang);
+        let seen429 = 0;
+
+        const throttled = () => {
+          const toast = document.querySelector(selectors.toast);
+          return Boolean(findRateLimitText(toast ? toast.textContent : '', ''));
+        };
+        // Click, then wait for the click's effect to show (or the timeout to pass)
+        const click = async (element, floor, until) => {
+          element.click();
+          await waitForDom(until, { timeout: waits.timeout, interval: waits.interval, floor });
+        };
+        const missing = (reason, error) => ({ ok: false, reason, error });
+
+        return {
+          name: 'dom',
+
+          // The script can't survive a navigation, so each pass must run on its own tab
+          async open(url) {
+            const target = new URL(url).pathname.toLowerCase();
+            if (location.pathname.replace(/\/$/, '').toLowerCase() !== target) {
+              throw new Error(`Open ${url} and run the script there`);
+            }
+            window.scrollTo(0, 0);
+            // The profile timeline is rendered once it shows tweets or says it has none
+            await waitForDom(() => document.querySelector(`${selectors.tweet}, ${selectors.emptyState}`), {
+              timeout: waits.loadTimeout,
+              interval: waits.interval,
+              floor: config.delays.scrollLoad
+            });
+          },
+
+          async findItems() {
+            return [...document.querySelectorAll(selectors.tweet)];
+          },
+
+          async readItem(article) {
+            return toItemInfo(readTweetElement(article, { selectors, ui }));
+          },
+
+          async captureItem(article, info, username) {
+            return toBackupRecord(captureTweetElement(article, { selectors, ui }), info, username);
+          },
+
+          async openMenu(article, menu) {
+            if (menu === 'repost') {
+              const unretweetBtn = article.querySelector(selectors.unretweetButton);
+              if (!unretweetBtn) return missing('menu-missing', 'No unretweet button');
+              await click(unretweetBtn, config.delays.betweenClicks, () => document.querySelector(selectors.unretweetConfirm));
+              return { ok: true };
+            }
+
+            const moreBtn = article.querySelector(selectors.moreButton);
+            if (!moreBtn) return missing('menu-missing', 'No More button');
+            await click(moreBtn, config.delays.betweenClicks, () => document.querySelector(selectors.deleteButton));
+            return { ok: true };
+          },
+
+          async chooseAction(article, action) {
+            if (action === 'delete') {
+              const menuItems = [...document.querySelectorAll(selectors.deleteButton)];
+              const deleteBtn = menuItems.find(item => equalsUiText(item.textContent, ui.delete));
+              if (!deleteBtn) {
+                // A menu without Delete means the tweet isn't ours
+                return menuItems.length > 0
+                  ? missing('not-owned', 'No Delete button in menu')
+                  : missing('menu-missing', 'Menu did not open');
+              }
+              await click(deleteBtn, config.delays.betweenClicks, () => document.querySelector(selectors.confirmButton));
+              return { ok: true };
+            }
+
+            if (action === 'undo-repost') {
+              const confirmBtn = document.querySelector(selectors.unretweetConfirm);
+              if (!confirmBtn) return missing('confirm-missing', 'No unretweet confirm');
+              await click(confirmBtn, config.delays.afterDeletion,
+                () => !article.isConnected || !article.querySelector(selectors.unretweetButton) || throttled());
+              return { ok: true };
+            }
+
+            const liking = action === 'like';
+            const button = article.querySelector(liking ? selectors.likeButton : selectors.unlikeButton);
+            if (!button) return missing('menu-missing', 'No unlike button');
+            await click(button, config.delays.afterDeletion,
+              () => !article.isConnected || Boolean(article.querySelector(selectors.unlikeButton)) === liking || throttled());
+            return { ok: true };
+          },
+
+          async confirm(article) {
+            const confirmBtn = document.querySelector(selectors.confirmButton);
+            if (!confirmBtn) return missing('confirm-missing', 'No confirm button');
+            await click(confirmBtn, config.delays.afterDeletion, () => !article.isConnected || throttled());
+            return { ok: true };
+          },
+
+          async scroll(pixels) {
+            const before = new Set(document.querySelectorAll(selectors.tweet));
+            window.scrollBy(0, pixels);
+            await waitForDom(() => [...document.querySelectorAll(selectors.tweet)].some(article => !before.has(article)), {
+              timeout: waits.loadTimeout,
+              interval: waits.interval,
+              floor: config.delays.scrollLoad
+            });
+          },
+
+          async dismiss() {
+            document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+            await waitForDom(() => !document.querySelector(`${selectors.deleteButton}, ${selectors.confirmButton}, ${selectors.unretweetConfirm}`), {
+              timeout: waits.timeout,
+              interval: waits.interval,
+              floor: config.delays.betweenClicks
+            });
+          },
+
+          async hasItem(article) {
+            return document.contains(article);
+          },
+
+          async rateLimitMessage() {
+            const toast = document.querySelector(selectors.toast);
+            return findRateLimitText(toast ? toast.textContent : '', document.body.innerText);
+          },
+
+          async checkThrottle() {
+            const message = await this.rateLimitMessage();
+            if (message) return message;
+
+            const hits = window.performance.getEntriesByType('resource').filter(entry => entry.responseStatus === 429).length;
+            const fresh = hits > seen429;
+            seen429 = hits;
+            return fresh ? 'http: 429 Too Many Requests' : null;
+          }
+        };
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        createDomDriver,
+        waitForDom,
+        readTweetElement,
+        captureTweetElement,
+        toItemInfo,
+        toBackupRecord,
+        findRateLimitText
+      };
+    }],
+
+    // src/panel.js
+    "panel": [{"./core":"core"}, function (module, exports, require) {
+      /**
+       * Console Control Panel
+       *
+       * The floating panel the console script puts on the X tab, so a run can
+       * be started, paused, resumed and stopped without touching DevTools:
+       * live counters (deleted, kept, failed, rate, ETA), the tweet being
+       * worked on, the delays (edits apply from the next tweet) and a log of
+       * errors.
+       *
+       * The buttons drive a run control (see createRunControl in core.js),
+       * which the engine checks between tweets, and the engine's hooks (see
+       * engine.js) update the counters. The follower script uses it too, with
+       * options.labels naming followers and removals instead.
+       *
+       * Usage:
+       *
+       *   const panel = createControlPanel({ title: 'X Content Deleter', config });
+       *   await panel.started;
+       *   const summary = await runAllDeletion(driver, username, { control: panel.control, hooks: panel.hooks, config });
+       *   panel.finish('Done');
+       */
+
+      const { createRunControl, parseCount } = require('./core');
+
+      const PANEL_ID = 'x-deleter-panel';
+
+      // Errors kept on screen; older ones are still in the console
+      const MAX_LOG_LINES = 50;
+
+      /**
+       * Format a duration for the panel
+       * @param {number} ms
+       * @returns {string} e.g. '45s', '12m 05s', '2h 10m'
+       */
+      function formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        const pad = value => String(value).padStart(2, '0');
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+        return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds / 60) % 60)}m`;
+      }
+
+      /**
+       * Estimate the time left from the pace so far
+       * @param {number} done - Items finished (removed, kept or failed)
+       * @param {number|null} total - Items expected, when known
+       * @param {number} activeMs - Time spent running, pauses left out
+       * @returns {number|null} ms, or null when there is nothing to go on
+       */
+      function estimateRemaining(done, total, activeMs) {
+        if (!total || done === 0 || activeMs <= 0) return null;
+        return Math.max(0, total - done) * (activeMs / done);
+      }
+
+      /**
+       * Read the item count X shows under the profile name ("1,234 posts")
+       * Only a guide for the ETA: it counts reposts and replies too
+       * @param {object} root - Document to read
+       * @returns {number|null}
+       */
+      function readProfileCount(root = document) {
+        const column = root.querySelector('[data-testid="primaryColumn"]');
+        if (!column) return null;
+        for (const element of column.querySelectorAll('h2 ~ div, h2 + div')) {
+          const match = (element.textContent || '').trim().match(/^([\d.,]+\s*[KkMm]?)\s+\S+$/);
+          if (match) return parseCount(match[1]);
+        }
+        return null;
+      }
+
+      /**
+       * Add the control panel to the page
+       * @param {object} options - { title, config (its delays become editable), total (items expected,
+       *                           for the ETA), dryRun (count planned deletions instead),
+       *                           autoStart (skip waiting for Start), labels ({ item, deleted,
+       *                           planned }, default { item: 'tweet', deleted: 'Deleted',
+       *                           planned: 'Would delete' }) }
+       * @returns {object} { control, hooks, started, setTotal, log, finish, remove } - started
+       *                   resolves when Start is pressed
+       */
+      function createControlPanel(options = {}) {
+        const config = options.config || {};
+        const labels = { item: 'tweet', deleted: 'Deleted', planned: 'Would delete', ...options.labels };
+        const counts = { deleted: 0, kept: 0, failed: 0 };
+        let total = options.total || null;
+        let startedAt = null;
+        let pausedAt = null;
+        let pausedMs = 0;
+        let timer = null;
+
+        const existing = document.getElementById(PANEL_ID);
+        if (existing) existing.remove();
+
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.style.cssText = 'position:fixed;top:12px;right:12px;z-index:2147483647;width:300px;padding:12px;' +
+          'background:#fff;color:#0f1419;border:1px solid #cfd9de;border-radius:12px;box-shadow:0 4px 16px rgba(0,0,0,.2);' +
+          'font:13px/1.4 system-ui,sans-serif';
+        panel.innerHTML = `
+          <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+            <strong data-panel="title"></strong>
+            <span data-panel="state" style="color:#536471">Ready</span>
+          </div>
+          <div style="display:flex;gap:6px;margin-bottom:8px">
+            <button data-panel="start">▶️ Start</button>
+            <button data-panel="pause" disabled>⏸️ Pause</button>
+            <button data-panel="stop" disabled>⏹️ Stop</button>
+          </div>
+          <div data-panel="counts" style="display:grid;grid-template-columns:1fr 1fr;gap:2px 12px"></div>
+          <div data-panel="current" style="margin-top:8px;color:#536471;white-space:nowrap;overflow:hidden;text-overflow:ellipsis"></div>
+          <details style="margin-top:8px">
+            <summary>Delays (ms)</summary>
+            <div data-panel="delays" style="display:grid;grid-template-columns:1fr 80px;gap:4px;margin-top:4px"></div>
+          </details>
+          <div data-panel="log" style="margin-top:8px;max-height:120px;overflow:auto;color:#b42318;font-size:12px"></div>
+        `;
+        const part = name => panel.querySelector(`[data-panel="${name}"]`);
+        part('title').textContent = options.title || 'X Deleter';
+
+        // Delays are read from config on every use, so edits apply from the next item
+        for (const [name, value] of Object.entries(config.delays || {})) {
+          const label = document.createElement('label');
+          label.textContent = name;
+          const input = document.createElement('input');
+          input.type = 'number';
+          input.min = '0';
+          input.step = '50';
+          input.value = String(value);
+          input.addEventListener('change', () => {
+            const ms = Number(input.value);
+            if (Number.isFinite(ms) && ms >= 0) config.delays[name] = ms;
+            else input.value = String(config.delays[name]);
+          });
+          part('delays').append(label, input);
+        }
+
+        const activeMs = () => (startedAt ? (pausedAt || Date.now()) - startedAt - pausedMs : 0);
+
+        const render = () => {
+          const done = counts.deleted + counts.kept + counts.failed;
+          const minutes = activeMs() / 60000;
+          const remaining = estimateRemaining(done, total, activeMs());
+          const rows = [
+            [options.dryRun ? labels.planned : labels.deleted, counts.deleted],
+            ['Kept', counts.kept],
+            ['Failed', counts.failed],
+            ['Rate', minutes > 0 ? `${(counts.deleted / minutes).toFixed(1)}/min` : '—'],
+            ['Elapsed', formatDuration(activeMs())],
+            ['ETA', remaining === null ? '—' : formatDuration(remaining)]
+          ];
+          part('counts').innerHTML = '';
+          for (const [name, value] of rows) {
+            const cell = document.createElement('span');
+            cell.textContent = `${name}: ${value}`;
+            part('counts').append(cell);
+          }
+        };
+
+        const setState = (text, buttons) => {
+          part('state').textContent = text;
+          part('start').disabled = !buttons.start;
+          part('pause').disabled = !buttons.pause;
+          part('stop').disabled = !buttons.stop;
+        };
+
+        const log = message => {
+          const line = document.createElement('div');
+          line.textContent = `${new Date().toLocaleTimeString()} ${message}`;
+          part('log').prepend(line);
+          while (part('log').children.length > MAX_LOG_LINES) part('log').lastChild.remove();
+        };
+
+        const control = createRunControl();
+        const label = item => `${item.type} ${item.id || ''}`.trim();
+        const hooks = {
+          onItem(item) {
+            if (item.decision.action === 'keep') return;
+            part('current').textContent = `Working on ${label(item)}${item.text ? `: ${item.text.slice(0, 140)}` : ''}`;
+            // A dry run decides and moves on, so deciding is the whole job
+            if (options.dryRun) counts.deleted++;
+            render();
+          },
+          onDeleted() {
+            counts.deleted++;
+            render();
+          },
+          onSkipped() {
+            counts.kept++;
+            render();
+          },
+          onError(item) {
+            if (item.final) counts.failed++;
+            log(item.final ? `❌ ${label(item)}: ${item.reason} (${item.error})` : `↻ ${label(item)}: ${item.error}, retrying`);
+            render();
+          },
+          onThrottle(event) {
+            log(`🐢 ${event.reason}, cooling down ${formatDuration(event.waitMs)}`);
+          }
+        };
+
+        let markStarted;
+        const started = new Promise(resolve => { markStarted = resolve; });
+        const start = () => {
+          startedAt = Date.now();
+          setState('Running', { pause: true, stop: true });
+          timer = setInterval(render, 1000);
+          markStarted();
+        };
+
+        part('start').addEventListener('click', start);
+        part('pause').addEventListener('click', () => {
+          if (control.state() === 'running') {
+            control.pause();
+            pausedAt = Date.now();
+            part('pause').textContent = '▶️ Resume';
+            setState(`Paused (after this ${labels.item})`, { pause: true, stop: true });
+          } else if (control.state() === 'paused') {
+            control.resume();
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+            part('pause').textContent = '⏸️ Pause';
+            setState('Running', { pause: true, stop: true });
+          }
+        });
+        part('stop').addEventListener('click', () => {
+          if (pausedAt) {
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+          }
+          control.stop();
+          setState(`Stopping after this ${labels.item}…`, {});
+        });
+
+        document.body.append(panel);
+        render();
+        if (options.autoStart) start();
+
+        return {
+          control,
+          hooks,
+          started,
+
+          /**
+           * Set the number of items expected, for the ETA
+           * @param {number|null} count
+           */
+          setTotal(count) {
+            total = count;
+            render();
+          },
+
+          log,
+
+          /**
+           * Show the run as over and stop the clock
+           * @param {string} message - e.g. 'Done' or 'Stopped'
+           */
+          finish(message) {
+            clearInterval(timer);
+            render();
+            part('current').textContent = '';
+            setState(message, {});
+          },
+
+          remove() {
+            clearInterval(timer);
+            panel.remove();
+          }
+        };
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        createControlPanel,
+        formatDuration,
+        estimateRemaining,
+        readProfileCount
+      };
+    }],
+
+    // src/verify.js
+    "verify": [{"./core":"core","./engine":"engine"}, function (module, exports, require) {
+      /**
+       * Post-Run Verification
+       *
+       * After a run, walk the profile tabs again and list what is still there,
+       * with the likely reason each tweet survived:
+       *
+       *   failed        The run tried and moved past it (see the failure reason)
+       *   came-back     The run saw it go, but X has it again
+       *   not-loaded    The run never reached it (the timeline stopped loading,
+       *                 or the run was stopped)
+       *   kept-by-rule  A date range, filter or type list keeps it on purpose
+       *   still-up      Its status page still shows it (status checks only)
+       *
+       * The sweep is a dry run with the same rules, so it never deletes. It
+       * can also visit each deleted tweet's status page (from the journal or an
+       * archive) to confirm X shows "This post was deleted" or a missing page;
+       * that needs a driver that can navigate (MCP or Node Playwright).
+       *
+       * Usage:
+       *
+       *   const summary = await runAllDeletion(driver, 'yourusername', options);
+       *   const verification = await verifyDeletion(driver, 'yourusername', summary, options);
+       *   if (verification.retryIds.length > 0) {
+       *     await retryLeftovers(driver, 'yourusername', verification, options);
+       *   }
+       */
+
+      const { getProfileUrl, getItemType } = require('./core');
+      const { runAllDeletion } = require('./engine');
+
+      /**
+       * Leftover causes the run could still fix with another pass
+       */
+      const RETRYABLE_CAUSES = ['failed', 'came-back', 'not-loaded', 'still-up'];
+
+      /**
+       * Explain each tweet the sweep found against what the run did
+       * @param {array} planned - Decisions from the sweep (a dry run's planned list)
+       * @param {object} result - The run's result (records, failures)
+       * @returns {array} Leftovers: { id, type, cause, rule, reason, error }
+       */
+      function findLeftovers(planned, result = {}) {
+        const records = new Map((result.records || []).filter(record => record.id).map(record => [record.id, record]));
+        const failures = new Map((result.failures || []).filter(failure => failure.id).map(failure => [failure.id, failure]));
+        const leftovers = [];
+        const seen = new Set();
+
+        for (const entry of planned) {
+          if (entry.id && seen.has(entry.id)) continue;
+          seen.add(entry.id);
+
+          const record = records.get(entry.id);
+          const failure = failures.get(entry.id);
+          let cause = 'not-loaded';
+          if (entry.action === 'keep') {
+            cause = 'kept-by-rule';
+          } else if (failure || (record && record.outcome === 'failed')) {
+            cause = 'failed';
+          } else if (record && record.outcome === 'deleted') {
+            cause = 'came-back';
+          }
+
+          leftovers.push({
+            id: entry.id,
+            type: entry.type,
+            cause,
+            rule: entry.rule || null,
+            reason: cause === 'failed' ? (failure || record).reason : null,
+            error: cause === 'failed' ? (failure || record).error : null
+          });
+        }
+
+        return leftovers;
+      }
+
+      /**
+       * Count leftovers per cause
+       * @param {array} leftovers - From findLeftovers
+       * @returns {object} cause -> count
+       */
+      function countLeftovers(leftovers) {
+        const counts = { failed: 0, 'came-back': 0, 'not-loaded': 0, 'kept-by-rule': 0, 'still-up': 0 };
+        for (const leftover of leftovers) {
+          counts[leftover.cause]++;
+        }
+        return counts;
+      }
+
+      /**
+       * List the tweets a journal records as deleted, for status checks
+       * @param {object} journal - From openJournal
+       * @returns {array} Tweet IDs
+       */
+      function journaledDeletions(journal) {
+        return journal.entries()
+          .filter(entry => entry.id && entry.action === 'delete' && entry.outcome === 'success')
+          .map(entry => entry.id);
+      }
+
+      /**
+       * Check a deleted tweet's status page
+       * @param {object} driver - Page driver with isMissingPage
+       * @param {string} username - X username (without @)
+       * @param {string} id - Tweet ID
+       * @param {string} origin - Site, default https://x.com
+       * @returns {object} { status, type } - status is 'gone', 'still-up' or 'unknown' (the page
+       *                   showed neither); type is the tweet's type when it is still up
+       */
+      async function checkStatus(driver, username, id, origin) {
+        await driver.open(`${getProfileUrl(username, 'POSTS', origin)}/status/${id}`);
+        // Only when the tweet itself is gone: its parent or a quoted post may be the one missing
+        if (await driver.isMissingPage(id)) return { status: 'gone', type: null };
+
+        const items = await driver.findItems();
+        for (const item of items) {
+          const info = await driver.readItem(item);
+          if (info.id === id) return { status: 'still-up', type: getItemType(info, 'POSTS') };
+        }
+        // A reply's status page shows the tweets above it, so other tweets can remain
+        return { status: items.length > 0 ? 'gone' : 'unknown', type: null };
+      }
+
+      /**
+       * Sweep the profile tabs (and optionally status pages) for leftovers
+       * @param {object} driver - Page driver (see engine.js)
+       * @param {string} username - X username (without @)
+       * @param {object} result - What the run returned (runAllDeletion or runDeletion)
+       * @param {object} options - The run's options (rules, contentTypes, origin, config), plus
+       *                           statusIds (deleted tweet IDs whose status pages to check)
+       * @returns {object} { leftovers, counts, retryIds, statuses } - retryIds lists the leftovers
+       *                   another pass could still remove, statuses maps each checked ID to
+       *                   'gone', 'still-up' or 'unknown'
+       */
+      async function verifyDeletion(driver, username, result, options = {}) {
+        console.log('\n=== Verifying ===');
+        const sweep = await runAllDeletion(driver, username, {
+          ...options,
+          dryRun: true,
+          journal: null,
+          resume: false,
+          backup: null,
+          hooks: null,
+          control: null
+        });
+        const leftovers = findLeftovers(sweep.planned, result);
+
+        const statuses = {};
+        const statusIds = options.statusIds || [];
+        if (statusIds.length > 0 && typeof driver.isMissingPage !== 'function') {
+          console.log(`⚠️  The ${driver.name} driver can't open status pages; skipping ${statusIds.length} status checks`);
+        } else {
+          const listed = new Set(leftovers.map(leftover => leftover.id));
+          for (const id of statusIds) {
+            const { status, type } = await checkStatus(driver, username, id, options.origin);
+            statuses[id] = status;
+            if (status === 'still-up' && !listed.has(id)) {
+              leftovers.push({ id, type, cause: 'still-up', rule: null, reason: null, error: null });
+              listed.add(id);
+            }
+          }
+        }
+
+        const counts = countLeftovers(leftovers);
+        const retryIds = leftovers
+          .filter(leftover => leftover.id && RETRYABLE_CAUSES.includes(leftover.cause))
+          .map(leftover => leftover.id);
+
+        console.log(`Leftovers: ${leftovers.length} (${Object.entries(counts).filter(([, count]) => count > 0).map(([cause, count]) => `${cause}: ${count}`).join(', ') || 'none'})`);
+        if (retryIds.length > 0) {
+          console.log(`${retryIds.length} could go with another pass (retryLeftovers, or a plan of just these)`);
+        }
+
+        return { leftovers, counts, retryIds, statuses };
+      }
+
+      /**
+       * Run another pass on just the leftovers another pass could remove
+       * @param {object} driver - Page driver
+       * @param {string} username - X username (without @)
+       * @param {object} verification - From verifyDeletion
+       * @param {object} options - The run's options (planIds is replaced)
+       * @returns {object} Summary from runAllDeletion
+       */
+      async function retryLeftovers(driver, username, verification, options = {}) {
+        return runAllDeletion(driver, username, { ...options, planIds: verification.retryIds, resume: false });
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        RETRYABLE_CAUSES,
+        findLeftovers,
+        countLeftovers,
+        journaledDeletions,
+        checkStatus,
+        verifyDeletion,
+        retryLeftovers
+      };
+    }],
+
+    // src/backup-html.js
+    "backup-html": [{}, function (module, exports, require) {
+      /**
+       * Backup HTML View
+       *
+       * Renders captured tweets (see backup.js) as a self-contained offline
+       * page. Kept apart from backup.js, which writes files, so the console
+       * script can bundle the same renderer.
+       *
+       * Usage:
+       *
+       *   const html = renderBackupHtml(records, { title: 'Deleted in 2024' });
+       */
+
+      /**
+       * Escape text for HTML output
+       * @param {*} value
+       * @returns {string}
+       */
+      function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;');
+      }
+
+      /**
+       * Render captured tweets as a self-contained offline HTML page
+       * Media is linked, not embedded, so the page works without network access
+       * @param {array} records - Captured tweets
+       * @param {object} options - { title }
+       * @returns {string} HTML document
+       */
+      function renderBackupHtml(records, options = {}) {
+        const title = options.title || `Deleted tweets (${records.length})`;
+
+        const cards = records.map(record => {
+          const engagement = record.engagement || {};
+          const meta = [
+            record.type,
+            record.date ? new Date(record.date).toLocaleString() : 'unknown date',
+            record.replyTo ? `reply to ${record.replyTo}` : null
+          ].filter(Boolean).join(' · ');
+          const links = [
+            record.permalink ? `<a href="${escapeHtml(record.permalink)}">permalink</a>` : null,
+            record.quoted ? `<a href="${escapeHtml(record.quoted)}">quoted tweet</a>` : null,
+            ...(record.media || []).map((url, i) => `<a href="${escapeHtml(url)}">media ${i + 1}</a>`)
+          ].filter(Boolean).join(' · ');
+
+          return `  <article>
+          <div class="meta">${escapeHtml(meta)}</div>
+          <p>${escapeHtml(record.text).replace(/\n/g, '<br>')}</p>
+          <div class="meta">💬 ${engagement.replies || 0} · 🔁 ${engagement.reposts || 0} · ❤️ ${engagement.likes || 0} · 👁 ${engagement.views || 0}</div>
+          <div class="links">${links}</div>
+        </article>`;
+        });
+
+        return `<!DOCTYPE html>
+      <html lang="en">
+      <head>
+      <meta charset="utf-8">
+      <title>${escapeHtml(title)}</title>
+      <style>
+        body { font-family: -apple-system, system-ui, sans-serif; max-width: 640px; margin: 2em auto; color: #0f1419; }
+        article { border: 1px solid #cfd9de; border-radius: 12px; padding: 12px 16px; margin: 12px 0; }
+        p { white-space: normal; margin: 8px 0; }
+        .meta, .links { color: #536471; font-size: 14px; }
+      </style>
+      </head>
+      <body>
+      <h1>${escapeHtml(title)}</h1>
+      ${cards.join('\n')}
+      </body>
+      </html>
+      `;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        renderBackupHtml
+      };
+    }],
+
+    // src/plan-format.js
+    "plan-format": [{}, function (module, exports, require) {
+      /**
+       * Plan Format
+       *
+       * Builds dry-run plans (see plan.js for the format). Kept apart from
+       * plan.js, which reads and writes files and drives runs, so the console
+       * scripts can bundle the same builder.
+       *
+       * Usage:
+       *
+       *   const plan = createPlan('content', 'yourusername', summary.planned, options);
+       */
+
+      const PLAN_VERSION = 1;
+
+      /**
+       * Build a plan from recorded decisions
+       * Items are deduplicated by ID (the replies tab repeats your posts),
+       * keeping the first decision seen
+       * @param {string} kind - 'content' or 'followers'
+       * @param {string} username - X username (without @)
+       * @param {array} entries - Decisions: { id, type, action, rule, ... }
+       * @param {object} options - Options the dry run used, stored for reference
+       * @returns {object} Plan
+       */
+      function createPlan(kind, username, entries, options = {}) {
+        const seen = new Set();
+        const items = entries.filter(entry => {
+          if (!entry.id) return true;
+          if (seen.has(entry.id)) return false;
+          seen.add(entry.id);
+          return true;
+        });
+
+        return {
+          version: PLAN_VERSION,
+          kind,
+          username,
+          createdAt: new Date().toISOString(),
+          options,
+          counts: countPlanItems(kind, items),
+          items
+        };
+      }
+
+      /**
+       * Count plan items by category
+       * @param {string} kind - 'content' or 'followers'
+       * @param {array} items - Plan items
+       * @returns {object} Content: deletions per type plus kept.
+       *                   Followers: verdicts per category.
+       */
+      function countPlanItems(kind, items) {
+        if (kind === 'followers') {
+          const counts = { inactive: 0, spam: 0, active: 0, protected: 0, safe: 0, unknown: 0 };
+          for (const item of items) {
+            counts[item.category] = (counts[item.category] || 0) + 1;
+          }
+          return counts;
+        }
+
+        const counts = { post: 0, reply: 0, repost: 0, quote: 0, like: 0, kept: 0 };
+        for (const item of items) {
+          if (item.action === 'delete') {
+            counts[item.type]++;
+          } else {
+            counts.kept++;
+          }
+        }
+        return counts;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        PLAN_VERSION,
+        createPlan,
+        countPlanItems
+      };
+    }],
+
+    // src/direct.js
+    "direct": [{}, function (module, exports, require) {
+      /**
+       * Direct Mode: Removal Through X's Web API
+       *
+       * Clicking ⋯ → Delete → confirm for every tweet is what makes a big
+       * account take an hour. From a logged-in x.com page, the same
+       * DeleteTweet, DeleteRetweet and UnfavoriteTweet GraphQL calls the web
+       * client makes can be sent directly, with the page's own session: the
+       * ct0 cookie as the CSRF token and the web client's bearer token.
+       *
+       * The engine still walks the timeline and decides every tweet; a
+       * remover only replaces the clicks, several at a time (options.remover
+       * and options.concurrency in engine.js). Anything the API can't explain
+       * falls back to clicking, and a rejected session turns direct mode off
+       * for the rest of the run.
+       *
+       * Query IDs change when X ships a new web client. When calls start
+       * failing with 404s, copy the current ones from the DevTools Network tab
+       * (the path is /i/api/graphql/<queryId>/DeleteTweet) into queryIds.
+       *
+       * Usage (in the page):
+       *
+       *   const remover = createDirectRemover({ csrfToken: readCookie(document.cookie, 'ct0') });
+       *   await runAllDeletion(driver, 'yourusername', { remover, concurrency: 3 });
+       */
+
+      /**
+       * The bearer token x.com's web client sends with every API call
+       */
+      const WEB_BEARER_TOKEN = 'AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs%3D1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA';
+
+      /**
+       * GraphQL query IDs of the web client's mutations
+       */
+      const DEFAULT_QUERY_IDS = {
+        DeleteTweet: 'VaenaVgh5q5ih7kvyVjgtg',
+        DeleteRetweet: 'iQtK4dl5hBmXewYZuEOKVw',
+        UnfavoriteTweet: 'ZYKSe-w7KEslx3JhSIk5LA'
+      };
+
+      /**
+       * The mutation for each kind of removal (see engine.js removeItem), and its variables
+       */
+      const OPERATIONS = {
+        post: { name: 'DeleteTweet', variables: id => ({ tweet_id: id, dark_request: false }) },
+        repost: { name: 'DeleteRetweet', variables: id => ({ source_tweet_id: id, dark_request: false }) },
+        like: { name: 'UnfavoriteTweet', variables: id => ({ tweet_id: id }) }
+      };
+
+      // GraphQL error codes: 88 rate limit, 144 no such tweet, 32 and 353 bad session or CSRF token
+      const RATE_LIMIT_CODES = [88];
+      const MISSING_CODES = [144];
+      const SESSION_CODES = [32, 353];
+
+      /**
+       * Read a cookie's value
+       * @param {string} cookies - A Cookie header or document.cookie
+       * @param {string} name - e.g. 'ct0'
+       * @returns {string|null}
+       */
+      function readCookie(cookies, name) {
+        for (const part of (cookies || '').split(';')) {
+          const [key, ...value] = part.trim().split('=');
+          if (key === name) return decodeURIComponent(value.join('='));
+        }
+        return null;
+      }
+
+      /**
+       * Build the request the web client would send
+       * @param {string} kind - 'post' (posts, replies and quotes), 'repost' or 'like'
+       * @param {string} id - Tweet ID (the original tweet's, for reposts and likes)
+       * @param {object} session - { origin, csrfToken, bearerToken, queryIds }
+       * @returns {object} { url, init } for fetch
+       */
+      function buildRequest(kind, id, session) {
+        const operation = OPERATIONS[kind];
+        const queryId = { ...DEFAULT_QUERY_IDS, ...session.queryIds }[operation.name];
+        return {
+          url: `${session.origin || 'https://x.com'}/i/api/graphql/${queryId}/${operation.name}`,
+          init: {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+              authorization: `Bearer ${session.bearerToken || WEB_BEARER_TOKEN}`,
+              'content-type': 'application/json',
+              'x-csrf-token': session.csrfToken,
+              'x-twitter-auth-type': 'OAuth2Session',
+              'x-twitter-active-user': 'yes'
+            },
+            body: JSON.stringify({ variables: operation.variables(id), queryId })
+          }
+        };
+      }
+
+      /**
+       * Make sense of a mutation's response
+       * @param {number} status - HTTP status
+       * @param {object|null} body - Parsed JSON, or null if it wasn't JSON
+       * @returns {object} { ok: true }, or { ok: false, error } plus one of: reason (from
+       *                   FAILURE_REASONS), rateLimited (back off now), fallback (click instead)
+       *                   and session (the session was refused: stop using the API)
+       */
+      function interpretResponse(status, body) {
+        const errors = (body && Array.isArray(body.errors)) ? body.errors : [];
+        const codes = errors.map(entry => entry.code);
+        const error = `HTTP ${status}${errors.length > 0 ? `: ${errors.map(entry => entry.message).join('; ')}` : ''}`;
+
+        if (status === 429 || codes.some(code => RATE_LIMIT_CODES.includes(code))) {
+          return { ok: false, reason: 'throttled', rateLimited: true, error };
+        }
+        if (status === 401 || codes.some(code => SESSION_CODES.includes(code))) {
+          return { ok: false, fallback: true, session: true, error };
+        }
+        if (status >= 500) {
+          return { ok: false, reason: 'throttled', error };
+        }
+        if (codes.some(code => MISSING_CODES.includes(code))) {
+          return { ok: false, reason: 'vanished', error };
+        }
+        if (status !== 200 || errors.length > 0 || !body || !body.data) {
+          return { ok: false, fallback: true, error };
+        }
+        return { ok: true };
+      }
+
+      /**
+       * Create a remover that sends removals straight to X's API
+       * @param {object} options - { csrfToken (the ct0 cookie), origin (default https://x.com),
+       *                           bearerToken (default the web client's), queryIds (overrides
+       *                           DEFAULT_QUERY_IDS), fetch (default the global fetch) }
+       * @returns {object} { name, stats, enabled, remove } - remove(info, kind) returns
+       *                   { success, type }, { success: false, reason, error, rateLimited }, or
+       *                   { success: false, fallback: true, error } when the tweet should be clicked
+       *                   through instead
+       */
+      function createDirectRemover(options = {}) {
+        const send = options.fetch || ((url, init) => fetch(url, init));
+        const stats = { calls: 0, fallbacks: 0, rateLimited: 0 };
+        let disabled = options.csrfToken ? null : 'No ct0 cookie: log in to X in this tab';
+
+        return {
+          name: 'direct',
+          stats,
+
+          /**
+           * @returns {boolean} Whether calls still go to the API
+           */
+          enabled() {
+            return !disabled;
+          },
+
+          /**
+           * Remove a tweet with one API call
+           * @param {object} info - From the driver's readItem (uses id)
+           * @param {string} kind - 'post', 'repost' or 'like'
+           * @returns {object} See createDirectRemover
+           */
+          async remove(info, kind) {
+            if (disabled || !info.id) {
+              stats.fallbacks++;
+              return { success: false, fallback: true, error: disabled || 'No tweet ID to send' };
+            }
+
+            const { url, init } = buildRequest(kind, info.id, options);
+            stats.calls++;
+            let result;
+            try {
+              const response = await send(url, init);
+              const body = await response.json().catch(() => null);
+              result = interpretResponse(response.status, body);
+            } catch (error) {
+              return { success: false, reason: 'throttled', error: error.message };
+            }
+
+            if (result.ok) return { success: true, type: kind };
+            if (result.rateLimited) stats.rateLimited++;
+            if (result.session && !disabled) {
+              disabled = `X refused the session (${result.error})`;
+              console.log(`⚠️  ${disabled}; clicking through the rest`);
+            }
+            if (result.fallback) {
+              stats.fallbacks++;
+              return { success: false, fallback: true, error: result.error };
+            }
+            return { success: false, reason: result.reason, error: result.error, rateLimited: Boolean(result.rateLimited) };
+          }
+        };
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        WEB_BEARER_TOKEN,
+        DEFAULT_QUERY_IDS,
+        readCookie,
+        buildRequest,
+        interpretResponse,
+        createDirectRemover
+      };
+    }],
+
+    // src/intercept.js
+    "intercept": [{"./core":"core"}, function (module, exports, require) {
+      /**
+       * Timeline Interception
+       *
+       * X's web client loads every timeline as GraphQL JSON: UserTweets (the
+       * Posts tab), UserTweetsAndReplies, Likes and Followers. Reading those
+       * responses instead of the rendered articles is faster and misses
+       * nothing, where the page drops articles as it virtualizes the list.
+       *
+       * installInterceptor hooks the page's fetch and XMLHttpRequest, and
+       * hands each timeline response to an inventory, which keeps one entry
+       * per tweet (or follower) with the fields the engine's rules need. The
+       * inventory can then drive a run (drivers/inventory.js) or be saved.
+       *
+       * Usage (in the page):
+       *
+       *   const inventory = createInventory('yourusername');
+       *   const uninstall = installInterceptor(window, inventory.add);
+       *   await enumerateTimeline(createDomDriver(config), inventory, 'POSTS', config);
+       *   uninstall();
+       */
+
+      const { getItemType } = require('./core');
+
+      /**
+       * Intercepted GraphQL operations and the profile tab each one feeds
+       */
+      const TIMELINE_OPERATIONS = {
+        UserTweets: 'POSTS',
+        UserTweetsAndReplies: 'REPLIES',
+        Likes: 'LIKES',
+        Followers: 'FOLLOWERS'
+      };
+
+      const OPERATION_PATTERN = /\/i\/api\/graphql\/[^/]+\/(UserTweets|UserTweetsAndReplies|Likes|Followers)(?:[?#]|$)/;
+
+      /**
+       * Name the timeline operation a request URL calls
+       * @param {string} url
+       * @returns {string|null} A TIMELINE_OPERATIONS key
+       */
+      function matchOperation(url) {
+        const match = String(url || '').match(OPERATION_PATTERN);
+        return match ? match[1] : null;
+      }
+
+      /**
+       * Find a timeline's instructions, wherever this response version keeps them
+       * (data.user.result.timeline_v2.timeline, .timeline.timeline, ...)
+       * @param {*} node - Parsed response, or a part of it
+       * @returns {array} Instructions, or [] if there are none
+       */
+      function findInstructions(node) {
+        if (!node || typeof node !== 'object') return [];
+        if (Array.isArray(node.instructions)) return node.instructions;
+        for (const value of Object.values(node)) {
+          const found = findInstructions(value);
+          if (found.length > 0) return found;
+        }
+        return [];
+      }
+
+      /**
+       * List a response's timeline items in order
+       * @param {object} json - Parsed GraphQL response
+       * @returns {object} { items: [{ content, pinned }], cursor } - content is an itemContent
+       *                   (TimelineTweet or TimelineUser), cursor the Bottom cursor if any
+       */
+      function readTimelineEntries(json) {
+        const items = [];
+        let cursor = null;
+
+        const addEntry = (entry, pinned) => {
+          const content = entry && entry.content;
+          if (!content) return;
+          if (content.cursorType === 'Bottom') cursor = content.value;
+          if (content.itemContent) items.push({ content: content.itemContent, pinned });
+          // Conversation modules (replies with the tweets above them)
+          for (const moduleItem of content.items || []) {
+            if (moduleItem.item && moduleItem.item.itemContent) items.push({ content: moduleItem.item.itemContent, pinned });
+          }
+        };
+
+        for (const instruction of findInstructions(json)) {
+          if (instruction.type === 'TimelinePinEntry') addEntry(instruction.entry, true);
+          if (instruction.type === 'TimelineReplaceEntry') addEntry(instruction.entry, false);
+          for (const entry of instruction.entries || []) addEntry(entry, false);
+        }
+        return { items, cursor };
+      }
+
+      /**
+       * Get the tweet out of a tweet_results.result
+       * @param {object} result
+       * @returns {object|null} The Tweet, or null for tombstones and withheld tweets
+       */
+      function unwrapTweet(result) {
+        if (!result) return null;
+        if (result.__typename === 'TweetWithVisibilityResults') return unwrapTweet(result.tweet);
+        return result.legacy ? result : null;
+      }
+
+      /**
+       * Read a tweet author's username
+       * @param {object} tweet - Unwrapped tweet
+       * @returns {string|null}
+       */
+      function readAuthor(tweet) {
+        const user = tweet.core && tweet.core.user_results && tweet.core.user_results.result;
+        if (!user) return null;
+        return (user.core && user.core.screen_name) || (user.legacy && user.legacy.screen_name) || null;
+      }
+
+      /**
+       * Turn a tweet from a timeline response into what a driver's readItem returns
+       * Reposts read as the original tweet, as they show on the page
+       * @param {object} result - tweet_results.result
+       * @param {boolean} pinned - From a pin entry
+       * @returns {object|null} { key, id, date, text, pinned, engagement, repost, quote, liked,
+       *                        reply, author, replyTo, repostedBy, media, quoted }
+       */
+      function readTweetResult(result, pinned = false) {
+        const tweet = unwrapTweet(result);
+        if (!tweet) return null;
+
+        const retweet = tweet.legacy.retweeted_status_result;
+        const original = retweet ? unwrapTweet(retweet.result) : null;
+        const shown = original || tweet;
+        const legacy = shown.legacy;
+        const note = shown.note_tweet && shown.note_tweet.note_tweet_results && shown.note_tweet.note_tweet_results.result;
+        const quoted = unwrapTweet(shown.quoted_status_result && shown.quoted_status_result.result);
+        const id = shown.rest_id || legacy.id_str;
+        const date = new Date(legacy.created_at);
+        const media = ((legacy.extended_entities || legacy.entities || {}).media || []).map(entry => entry.media_url_https);
+
+        return {
+          key: id,
+          id,
+          date: isNaN(date.getTime()) ? null : date,
+          text: (note && note.text) || legacy.full_text || '',
+          pinned,
+          engagement: {
+            replies: legacy.reply_count || 0,
+            reposts: legacy.retweet_count || 0,
+            likes: legacy.favorite_count || 0,
+            views: Number(shown.views && shown.views.count) || 0
+          },
+          repost: Boolean(original),
+          quote: !original && Boolean(legacy.is_quote_status),
+          liked: Boolean(legacy.favorited),
+          reply: !original && Boolean(legacy.in_reply_to_status_id_str),
+          author: readAuthor(shown),
+          replyTo: legacy.in_reply_to_screen_name || null,
+          repostedBy: original ? readAuthor(tweet) : null,
+          media,
+          quoted: quoted ? `https://x.com/${readAuthor(quoted)}/status/${quoted.rest_id}` : null
+        };
+      }
+
+      /**
+       * Turn a user from a Followers response into an inventory entry
+       * @param {object} result - user_results.result
+       * @returns {object|null} { id, username, name, bio, followers, following, tweets, protected,
+       *                        verified, followedByYou, defaultAvatar, createdAt }
+       */
+      function readUserResult(result) {
+        if (!result || !result.legacy) return null;
+        const legacy = result.legacy;
+        const core = result.core || {};
+        return {
+          id: result.rest_id,
+          username: core.screen_name || legacy.screen_name,
+          name: core.name || legacy.name || '',
+          bio: legacy.description || '',
+          followers: legacy.followers_count || 0,
+          following: legacy.friends_count || 0,
+          tweets: legacy.statuses_count || 0,
+          protected: Boolean(legacy.protected || (result.privacy && result.privacy.protected)),
+          verified: Boolean(legacy.verified || result.is_blue_verified),
+          followedByYou: Boolean(legacy.following || (result.relationship_perspectives && result.relationship_perspectives.following)),
+          defaultAvatar: Boolean(legacy.default_profile_image),
+          createdAt: legacy.created_at || (core.created_at || null)
+        };
+      }
+
+      /**
+       * Read one intercepted timeline response
+       * @param {string} operation - A TIMELINE_OPERATIONS key
+       * @param {object} json - Parsed response
+       * @returns {object} { tweets, users, cursor }
+       */
+      function parseTimelineResponse(operation, json) {
+        const { items, cursor } = readTimelineEntries(json);
+        const tweets = [];
+        const users = [];
+        for (const { content, pinned } of items) {
+          if (content.tweet_results) {
+            const tweet = readTweetResult(content.tweet_results.result, pinned);
+            if (tweet) tweets.push(tweet);
+          } else if (content.user_results && operation === 'Followers') {
+            const user = readUserResult(content.user_results.result);
+            if (user) users.push(user);
+          }
+        }
+        return { tweets, users, cursor };
+      }
+
+      /**
+       * Create an inventory of what the timelines loaded
+       * @param {string} username - Your username (without @); conversation tweets by others on
+       *                            your Posts and Replies tabs are left out
+       * @returns {object} { add, addItem, items, followers, size, counts, toJSON } - add(operation,
+       *                   json) takes intercepted responses, addItem(contentType, info) tweets read
+       *                   off the page
+       */
+      function createInventory(username) {
+        const tabs = { POSTS: new Map(), REPLIES: new Map(), LIKES: new Map() };
+        const followers = new Map();
+        const own = author => !username || !author || author.toLowerCase() === username.toLowerCase();
+
+        const inventory = {
+          /**
+           * Take an intercepted response
+           * @param {string} operation - A TIMELINE_OPERATIONS key
+           * @param {object} json - Parsed response
+           * @returns {number} New entries
+           */
+          add(operation, json) {
+            const contentType = TIMELINE_OPERATIONS[operation];
+            if (!contentType) return 0;
+            const before = inventory.size();
+            const { tweets, users } = parseTimelineResponse(operation, json);
+            for (const user of users) {
+              if (!followers.has(user.username)) followers.set(user.username, user);
+            }
+            for (const tweet of tweets) {
+              inventory.addItem(contentType, tweet);
+            }
+            return inventory.size() - before;
+          },
+
+          /**
+           * Add one tweet, e.g. one the page showed before the interceptor was installed
+           * @param {string} contentType - 'POSTS', 'REPLIES' or 'LIKES'
+           * @param {object} info - readItem-style tweet
+           */
+          addItem(contentType, info) {
+            const tab = tabs[contentType];
+            if (!tab || !info.key || tab.has(info.key)) return;
+            if (contentType !== 'LIKES' && !(info.repost ? own(info.repostedBy) : own(info.author))) return;
+            const type = contentType === 'LIKES'
+              ? 'like'
+              : (info.reply && !info.repost ? 'reply' : getItemType(info, 'POSTS'));
+            tab.set(info.key, { ...info, type });
+          },
+
+          /**
+           * Tweets captured for a tab, in the order they loaded
+           * @param {string} contentType - 'POSTS', 'REPLIES' or 'LIKES'
+           * @returns {array}
+           */
+          items(contentType) {
+            return [...(tabs[contentType] || new Map()).values()];
+          },
+
+          /**
+           * @returns {array} Followers captured, in list order
+           */
+          followers() {
+            return [...followers.values()];
+          },
+
+          /**
+           * @returns {number} Entries across all tabs and followers
+           */
+          size() {
+            return Object.values(tabs).reduce((total, tab) => total + tab.size, followers.size);
+          },
+
+          /**
+           * @returns {object} Entries per tab, e.g. { POSTS: 120, REPLIES: 40, LIKES: 300, FOLLOWERS: 0 }
+           */
+          counts() {
+            return {
+              POSTS: tabs.POSTS.size,
+              REPLIES: tabs.REPLIES.size,
+              LIKES: tabs.LIKES.size,
+              FOLLOWERS: followers.size
+            };
+          },
+
+          /**
+           * The inventory as saved to a file
+           * @returns {object} { version, username, createdAt, counts, tweets: { POSTS, REPLIES, LIKES }, followers }
+           */
+          toJSON() {
+            const list = contentType => inventory.items(contentType).map(item => ({
+              ...item,
+              date: item.date ? item.date.toISOString() : null
+            }));
+            return {
+              version: 1,
+              username,
+              createdAt: new Date().toISOString(),
+              counts: inventory.counts(),
+              tweets: { POSTS: list('POSTS'), REPLIES: list('REPLIES'), LIKES: list('LIKES') },
+              followers: inventory.followers()
+            };
+          }
+        };
+
+        return inventory;
+      }
+
+      /**
+       * Hook a page's fetch and XMLHttpRequest to pass on timeline responses
+       * The page gets its responses untouched; a response that won't parse is skipped
+       * @param {object} win - The window (or anything with fetch and XMLHttpRequest)
+       * @param {function} onResponse - Called with (operation, json)
+       * @returns {function} Uninstall, restoring the originals
+       */
+      function installInterceptor(win, onResponse) {
+        const deliver = (operation, read) => {
+          try {
+            const json = read();
+            if (json) onResponse(operation, json);
+          } catch (e) {
+            console.warn(`⚠️  Could not read a ${operation} response: ${e.message}`);
+          }
+        };
+
+        const originalFetch = win.fetch;
+        if (originalFetch) {
+          win.fetch = async function (...args) {
+            const response = await originalFetch.apply(this, args);
+            const request = args[0];
+            const operation = matchOperation(typeof request === 'string' ? request : request && request.url);
+            if (operation && response.ok) {
+              response.clone().text().then(text => deliver(operation, () => JSON.parse(text)), () => {});
+            }
+            return response;
+          };
+        }
+
+        const XHR = win.XMLHttpRequest && win.XMLHttpRequest.prototype;
+        const originalOpen = XHR && XHR.open;
+        const originalSend = XHR && XHR.send;
+        if (XHR) {
+          XHR.open = function (method, url, ...rest) {
+            this.xDeleterOperation = matchOperation(url);
+            return originalOpen.call(this, method, url, ...rest);
+          };
+          XHR.send = function (...args) {
+            const operation = this.xDeleterOperation;
+            if (operation) {
+              this.addEventListener('load', () => {
+                if (this.status !== 200) return;
+                deliver(operation, () => (this.responseType === 'json' ? this.response : JSON.parse(this.responseText)));
+              });
+            }
+            return originalSend.apply(this, args);
+          };
+        }
+
+        return () => {
+          if (originalFetch) win.fetch = originalFetch;
+          if (XHR) {
+            XHR.open = originalOpen;
+            XHR.send = originalSend;
+          }
+        };
+      }
+
+      /**
+       * Scroll a tab to the end so the web client loads (and the interceptor
+       * captures) all of it
+       * Tweets already on the page loaded before the hook, so they are read off
+       * the page first
+       * @param {object} driver - Page driver (see engine.js), on the tab
+       * @param {object} inventory - From createInventory, fed by installInterceptor
+       * @param {string} contentType - The tab: 'POSTS', 'REPLIES' or 'LIKES'
+       * @param {object} config - Settings (scrollAmount, maxEmptyAttempts)
+       * @returns {number} Tweets captured for the tab
+       */
+      async function enumerateTimeline(driver, inventory, contentType, config) {
+        for (const item of await driver.findItems()) {
+          inventory.addItem(contentType, await driver.readItem(item));
+        }
+
+        let idle = 0;
+        while (idle < config.maxEmptyAttempts) {
+          const before = inventory.size();
+          await driver.scroll(config.scrollAmount * 4);
+          idle = inventory.size() > before ? 0 : idle + 1;
+        }
+        return inventory.items(contentType).length;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        TIMELINE_OPERATIONS,
+        matchOperation,
+        parseTimelineResponse,
+        readTweetResult,
+        readUserResult,
+        createInventory,
+        installInterceptor,
+        enumerateTimeline
+      };
+    }],
+
+    // src/drivers/inventory.js
+    "drivers/inventory": [{}, function (module, exports, require) {
+      /**
+       * Inventory Driver
+       *
+       * Runs the engine over an inventory of intercepted timeline responses
+       * (see intercept.js) instead of the page: every tweet of a tab is there
+       * at once, so nothing is scrolled or missed. Items are inventory entries.
+       *
+       * Nothing here can click, so removals need a remover (direct mode, see
+       * direct.js); a tweet the remover hands back to be clicked is reported
+       * as menu-missing. Dry runs need nothing else.
+       *
+       * Usage:
+       *
+       *   const driver = createInventoryDriver(inventory);
+       *   await runAllDeletion(driver, 'yourusername', { remover, concurrency: 3 });
+       */
+
+      /**
+       * Find the tab a profile URL shows
+       * @param {string} url - From getProfileUrl
+       * @returns {string} 'POSTS', 'REPLIES' or 'LIKES'
+       */
+      function getUrlTab(url) {
+        const path = new URL(url).pathname.replace(/\/+$/, '');
+        if (path.endsWith('/with_replies')) return 'REPLIES';
+        if (path.endsWith('/likes')) return 'LIKES';
+        return 'POSTS';
+      }
+
+      /**
+       * Create a driver over an inventory
+       * @param {object} inventory - From createInventory
+       * @returns {object} Driver (see engine.js)
+       */
+      function createInventoryDriver(inventory) {
+        let items = [];
+        const walked = new Set();
+        const notOnPage = () => ({ ok: false, reason: 'menu-missing', error: 'Not on the page (inventory runs remove through the API)' });
+
+        return {
+          name: 'inventory',
+
+          async open(url) {
+            const tab = getUrlTab(url);
+            // The Replies tab lists your posts too. Removed ones would be gone from
+            // a reloaded page, so leave the ones the Posts pass already decided.
+            items = inventory.items(tab).filter(item => tab !== 'REPLIES' || !walked.has(item.key));
+            if (tab === 'POSTS') {
+              for (const item of items) walked.add(item.key);
+            }
+          },
+
+          async findItems() {
+            return items;
+          },
+
+          async readItem(item) {
+            return item;
+          },
+
+          async captureItem(item, info, username) {
+            return {
+              id: item.id,
+              permalink: item.id ? `https://x.com/${item.author || username}/status/${item.id}` : null,
+              date: item.date ? item.date.toISOString() : null,
+              text: item.text,
+              media: item.media || [],
+              quoted: item.quoted || null,
+              replyTo: item.replyTo || null,
+              engagement: item.engagement,
+              capturedAt: new Date().toISOString()
+            };
+          },
+
+          async openMenu() {
+            return notOnPage();
+          },
+
+          async chooseAction() {
+            return notOnPage();
+          },
+
+          async confirm() {
+            return notOnPage();
+          },
+
+          async scroll() {},
+
+          async dismiss() {},
+
+          // Still listed, so a tweet handed back by the remover is menu-missing, not vanished
+          async hasItem(item) {
+            return items.includes(item);
+          },
+
+          async rateLimitMessage() {
+            return null;
+          },
+
+          async checkThrottle() {
+            return null;
+          }
+        };
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        createInventoryDriver,
+        getUrlTab
+      };
+    }],
+
+    // src/console-files.js
+    "console-files": [{}, function (module, exports, require) {
+      /**
+       * Console Script Files
+       *
+       * What the console scripts keep instead of files on disk: the journal
+       * lives in localStorage (one key per entry, so every write is an append
+       * and a reload loses nothing), and plans and backups are offered as
+       * downloads.
+       *
+       * Usage (in the page):
+       *
+       *   const journal = openLocalJournal('yourusername');
+       *   journal.record({ id: '1234', contentType: 'POSTS', action: 'delete', outcome: 'success' });
+       *   downloadJson('plan.json', plan);
+       */
+
+      /**
+       * Get the key an entry is tracked by (tweet ID or follower username)
+       * @param {object} entry - Journal entry
+       * @returns {string|null}
+       */
+      function entryKey(entry) {
+        return entry.id || entry.username || null;
+      }
+
+      /**
+       * Open the crash-safe localStorage journal for a user
+       * Same interface as journal.js's openJournal
+       * @param {string} username - X username (without @)
+       * @param {string} name - Journal name, so each script keeps its own
+       * @returns {object} { record, isCompleted, latest, totals, entries, clear, count }
+       */
+      function openLocalJournal(username, name = 'x-deleter-journal') {
+        const journalKey = `${name}:${username}`;
+        const latestByKey = new Map();
+        let count = parseInt(localStorage.getItem(`${journalKey}:count`) || '0', 10);
+
+        for (let i = 0; i < count; i++) {
+          const entry = JSON.parse(localStorage.getItem(`${journalKey}:${i}`) || 'null');
+          if (entry && entryKey(entry)) latestByKey.set(entryKey(entry), entry);
+        }
+
+        return {
+          record(entry) {
+            const stamped = { ts: new Date().toISOString(), ...entry };
+            localStorage.setItem(`${journalKey}:${count}`, JSON.stringify(stamped));
+            localStorage.setItem(`${journalKey}:count`, String(++count));
+            if (entryKey(stamped)) latestByKey.set(entryKey(stamped), stamped);
+          },
+
+          isCompleted(key) {
+            const entry = latestByKey.get(key);
+            return Boolean(entry && entry.outcome === 'success');
+          },
+
+          latest(key) {
+            return latestByKey.get(key);
+          },
+
+          totals(contentType) {
+            const totals = { failed: 0 };
+            for (const entry of latestByKey.values()) {
+              if (contentType && entry.contentType !== contentType) continue;
+              if (entry.outcome === 'success') {
+                totals[entry.action] = (totals[entry.action] || 0) + 1;
+              } else {
+                totals.failed++;
+              }
+            }
+            return totals;
+          },
+
+          entries() {
+            return [...latestByKey.values()];
+          },
+
+          clear() {
+            for (let i = 0; i < count; i++) localStorage.removeItem(`${journalKey}:${i}`);
+            localStorage.removeItem(`${journalKey}:count`);
+            latestByKey.clear();
+            count = 0;
+          },
+
+          count() {
+            return count;
+          }
+        };
+      }
+
+      /**
+       * Offer a file download from the page
+       * @param {string} filename
+       * @param {string} content
+       * @param {string} type - MIME type
+       */
+      function download(filename, content, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+      }
+
+      /**
+       * Offer data as a pretty-printed JSON download
+       * @param {string} filename
+       * @param {*} data
+       */
+      function downloadJson(filename, data) {
+        download(filename, JSON.stringify(data, null, 2), 'application/json');
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        openLocalJournal,
+        download,
+        downloadJson
+      };
+    }]
+  };
+
+  const cache = {};
+  const load = id => {
+    if (!cache[id]) {
+      const [requires, factory] = modules[id];
+      cache[id] = { exports: {} };
+      factory(cache[id], cache[id].exports, specifier => load(requires[specifier]));
+    }
+    return cache[id].exports;
+  };
+
+  await load("console").main(CONFIG);
+})();
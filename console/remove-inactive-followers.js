@@ -0,0 +1,3181 @@
+/**
+ * Remove Inactive Followers - Browser Console Script
+ *
+ * GENERATED by scripts/build-console.js from src/ - do not edit by hand.
+ * Change the sources, then run: node scripts/build-console.js
+ *
+ * 1. Open your followers list (x.com/yourusername/followers)
+ * 2. Open DevTools Console (F12 or Cmd+Option+J)
+ * 3. Adjust CONFIG below, then paste this whole file and press Enter
+ *
+ * Removes followers who haven't tweeted in CONFIG.inactiveDays using X's
+ * "Remove this follower" feature, checking each profile in a popup
+ * (allow popups for x.com). With CONFIG.spam.enabled, followers whose
+ * profile scores as spam or a bot go too, active or not. Followers on
+ * the protection list (CONFIG.protect) are never removed.
+ */
+
+(async () => {
+  const CONFIG = {
+    inactiveDays: 180,           // 6 months
+    language: null,              // X's display language (null = read <html lang>)
+    activityArticles: 5,         // Tweets read from the top of a profile; the newest date counts
+    checkReplies: false,         // Also open the Replies tab before calling someone inactive (one more popup each)
+    protect: {                   // Never removed, however quiet or spammy they look
+      // Allowlist: paste handles between the backticks, one per line (or separated by
+      // commas); @, profile URLs and # comments are fine
+      usernames: `
+      `,
+      following: true,           // Accounts you follow back (their card's button says Following)
+      verified: false,           // Verified accounts
+      minFollowers: null         // Accounts with at least this many followers (read from their profile)
+    },
+    spam: {
+      enabled: false,            // Also remove followers whose profile scores as spam, active or not
+      threshold: 5,              // Score at which a follower counts as spam
+      // null = the default rules. Each matching rule adds its weight; conditions are equals,
+      // matches (pattern), includes (any word), empty, below or above on one field, combined
+      // with all, any or not, e.g.
+      // [{ name: 'empty-bio', weight: 1, field: 'bio', empty: true }]
+      rules: null
+    },
+    delays: {                    // Floors: each step also waits for what it did to show (see waits)
+      profileLoad: 500,          // At least this long on each profile
+      betweenClicks: 300,        // At least this long between menu clicks
+      afterAction: 500,          // At least this long after the removal
+      scrollLoad: 500,           // At least this long after a scroll
+      betweenFollowers: 6000     // Rate limiting between followers (avoid 429)
+    },
+    waits: {
+      timeout: 8000,             // Longest wait for a menu, confirmation sheet or removal to show (ms)
+      loadTimeout: 10000,        // Longest wait for a profile or more followers to render
+      interval: 250              // How often a condition is checked while waiting
+    },
+    maxEmptyAttempts: 3,
+    scrollAmount: 300,
+    dryRun: false,               // true = check everyone and download a plan, remove nobody
+    plan: null,                  // Paste a saved plan's JSON here to remove exactly its users
+    journal: true,               // Record each follower in localStorage so a reload can resume
+    resume: false,               // true = skip followers finished before the reload, retry failures
+    panel: true,                 // Show the on-page panel (Start/Pause/Stop, counters); false = start at once
+    backoff: {
+      baseDelay: 30000,          // First cooldown when throttled (ms)
+      maxDelay: 900000,          // Longest single cooldown (15 min)
+      factor: 2,                 // Cooldown and pacing multiplier per throttle level
+      jitter: 0.3,               // ±30% randomness
+      failureThreshold: 3,       // Consecutive failures that count as throttling
+      recoverAfter: 10           // Successes needed to speed back up one level
+    }
+  };
+
+  const modules = {
+    // src/console-followers.js
+    "console-followers": [{"./core":"core","./followers":"followers","./drivers/dom-followers":"drivers/dom-followers","./panel":"panel","./plan-format":"plan-format","./console-files":"console-files"}, function (module, exports, require) {
+      /**
+       * Follower Console Script Entry
+       *
+       * Runs the follower flow (followers.js) with the in-page follower driver
+       * on the followers list it is pasted into. Not pasted from here:
+       * scripts/build-console.js bundles this file with the modules it
+       * requires into console/remove-inactive-followers.js, with the CONFIG
+       * block below copied to the top for editing.
+       *
+       * The journal lives in localStorage and a dry run's plan downloads as a
+       * file (console-files.js); the control panel (panel.js) starts, pauses
+       * and stops the run between followers.
+       */
+
+      const { createThrottle } = require('./core');
+      const { FOLLOWER_CONFIG, resolveFollowerConfig, pruneFollowers } = require('./followers');
+      const { createDomFollowerDriver } = require('./drivers/dom-followers');
+      const { createControlPanel } = require('./panel');
+      const { createPlan } = require('./plan-format');
+      const { openLocalJournal, downloadJson } = require('./console-files');
+
+      // CONFIG START
+      const CONFIG = {
+        inactiveDays: 180,           // 6 months
+        language: null,              // X's display language (null = read <html lang>)
+        activityArticles: 5,         // Tweets read from the top of a profile; the newest date counts
+        checkReplies: false,         // Also open the Replies tab before calling someone inactive (one more popup each)
+        protect: {                   // Never removed, however quiet or spammy they look
+          // Allowlist: paste handles between the backticks, one per line (or separated by
+          // commas); @, profile URLs and # comments are fine
+          usernames: `
+          `,
+          following: true,           // Accounts you follow back (their card's button says Following)
+          verified: false,           // Verified accounts
+          minFollowers: null         // Accounts with at least this many followers (read from their profile)
+        },
+        spam: {
+          enabled: false,            // Also remove followers whose profile scores as spam, active or not
+          threshold: 5,              // Score at which a follower counts as spam
+          // null = the default rules. Each matching rule adds its weight; conditions are equals,
+          // matches (pattern), includes (any word), empty, below or above on one field, combined
+          // with all, any or not, e.g.
+          // [{ name: 'empty-bio', weight: 1, field: 'bio', empty: true }]
+          rules: null
+        },
+        delays: {                    // Floors: each step also waits for what it did to show (see waits)
+          profileLoad: 500,          // At least this long on each profile
+          betweenClicks: 300,        // At least this long between menu clicks
+          afterAction: 500,          // At least this long after the removal
+          scrollLoad: 500,           // At least this long after a scroll
+          betweenFollowers: 6000     // Rate limiting between followers (avoid 429)
+        },
+        waits: {
+          timeout: 8000,             // Longest wait for a menu, confirmation sheet or removal to show (ms)
+          loadTimeout: 10000,        // Longest wait for a profile or more followers to render
+          interval: 250              // How often a condition is checked while waiting
+        },
+        maxEmptyAttempts: 3,
+        scrollAmount: 300,
+        dryRun: false,               // true = check everyone and download a plan, remove nobody
+        plan: null,                  // Paste a saved plan's JSON here to remove exactly its users
+        journal: true,               // Record each follower in localStorage so a reload can resume
+        resume: false,               // true = skip followers finished before the reload, retry failures
+        panel: true,                 // Show the on-page panel (Start/Pause/Stop, counters); false = start at once
+        backoff: {
+          baseDelay: 30000,          // First cooldown when throttled (ms)
+          maxDelay: 900000,          // Longest single cooldown (15 min)
+          factor: 2,                 // Cooldown and pacing multiplier per throttle level
+          jitter: 0.3,               // ±30% randomness
+          failureThreshold: 3,       // Consecutive failures that count as throttling
+          recoverAfter: 10           // Successes needed to speed back up one level
+        }
+      };
+      // CONFIG END
+
+      /**
+       * Run the follower console script
+       * @param {object} config - The CONFIG block from the top of the built script
+       * @returns {object|null} Summary from pruneFollowers, or null when not on a followers list
+       */
+      async function main(config = CONFIG) {
+        console.log('🚀 Remove Inactive Followers - Starting...');
+        console.log(`⚠️  This will remove followers who haven't tweeted in ${config.inactiveDays}+ days.`);
+        console.log('⚠️  They can re-follow you later if they want.');
+        console.log('⚠️  Allow popups if prompted!\n');
+
+        if (!/^\/[^/]+\/followers\/?$/.test(location.pathname)) {
+          console.error('❌ Please run this script on your followers page!');
+          console.log('   Go to: https://x.com/yourusername/followers');
+          return null;
+        }
+        const username = location.pathname.split('/')[1];
+
+        // One settings object for the panel, driver and pacing, so delay edits apply at once
+        const settings = resolveFollowerConfig({
+          ...config,
+          spam: { ...config.spam, rules: config.spam.rules || FOLLOWER_CONFIG.spam.rules }
+        });
+
+        if (config.plan && config.plan.kind !== 'followers') {
+          console.error(`❌ CONFIG.plan is a ${config.plan.kind} plan; paste a followers plan`);
+          return null;
+        }
+        // A saved plan replaces the activity check: remove exactly who it lists
+        const planUsernames = config.plan
+          ? config.plan.items.filter(item => item.action === 'remove').map(item => item.username)
+          : null;
+        if (planUsernames) console.log(`📋 Executing plan from ${config.plan.createdAt}: ${planUsernames.length} followers to remove\n`);
+
+        let journal = null;
+        if (config.journal && !config.dryRun) {
+          journal = openLocalJournal(username, 'x-deleter-followers-journal');
+          if (config.resume) {
+            console.log(`🗒️  Resuming from ${journal.count()} journal entries`);
+          } else if (journal.count() > 0) {
+            console.log('🗒️  Starting a new journal (set CONFIG.resume = true to continue the previous run instead)');
+            journal.clear();
+          }
+        }
+
+        const panel = config.panel
+          ? createControlPanel({
+            title: config.dryRun ? 'Remove Inactive Followers (dry run)' : 'Remove Inactive Followers',
+            config: settings,
+            dryRun: config.dryRun,
+            total: planUsernames ? planUsernames.length : null,
+            labels: { item: 'follower', deleted: 'Removed', planned: 'Would remove' }
+          })
+          : null;
+        if (panel) {
+          console.log('👉 Press Start on the panel at the top right of the page');
+          await panel.started;
+        }
+
+        const startTime = Date.now();
+        const summary = await pruneFollowers(createDomFollowerDriver(settings), username, {
+          origin: location.origin,
+          dryRun: config.dryRun,
+          planUsernames,
+          journal,
+          resume: config.resume,
+          throttle: createThrottle(settings.backoff, () => settings.delays.betweenFollowers),
+          control: panel ? panel.control : null,
+          hooks: panel ? panel.hooks : {},
+          config: settings
+        });
+        if (panel) panel.finish(summary.stopped ? 'Stopped' : 'Done');
+
+        if (config.dryRun) {
+          const plan = createPlan('followers', username, summary.planned, {
+            inactiveDays: settings.inactiveDays,
+            spamThreshold: settings.spam.enabled ? settings.spam.threshold : null
+          });
+          console.log('\n📝 Dry run complete - nobody was removed');
+          console.table(plan.counts);
+          downloadJson(`x-deleter-followers-plan-${username}.json`, plan);
+          return summary;
+        }
+
+        console.log(`\n${summary.stopped ? '⏹️  Stopped' : '🎉 Done'}! Time: ${((Date.now() - startTime) / 60000).toFixed(1)} min`);
+        if (summary.removedUsers.length > 0) {
+          console.log('\n👋 Removed users:');
+          summary.removedUsers.forEach(user => console.log(`   @${user}`));
+        }
+        if (summary.notFound.length > 0) {
+          console.log(`\n⚠️  ${summary.notFound.length} planned followers were not found in the list:`);
+          summary.notFound.forEach(user => console.log(`   @${user}`));
+        }
+        if (summary.failures.length > 0) console.table(summary.failures);
+        return summary;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        CONFIG,
+        main
+      };
+    }],
+
+    // src/core.js
+    "core": [{"./locale":"locale"}, function (module, exports, require) {
+      /**
+       * Shared Deletion Core
+       *
+       * Settings, decision rules and the adaptive throttle used by every way of
+       * running the deleter. Nothing here touches a page, so the same code runs
+       * under Node (Playwright MCP, the Node `playwright` library) and inside
+       * the generated browser console script.
+       */
+
+      const { getAllUiTexts } = require('./locale');
+
+      /**
+       * Configuration
+       */
+      const CONFIG = {
+        delays: {                  // Floors: each step also waits for what it did to show (see waits)
+          betweenClicks: 50,       // ms at least between menu clicks
+          afterDeletion: 100,      // ms at least after confirming deletion
+          scrollLoad: 200,         // ms at least after opening a tab or scrolling
+          rateLimitSafe: 200       // ms between each tweet deletion (the rate-limit floor)
+        },
+        waits: {
+          timeout: 5000,           // Longest wait for a menu, confirmation sheet or removal to show (ms)
+          loadTimeout: 3000,       // Longest wait for tweets to render after opening a tab or scrolling
+          interval: 100            // How often a condition is checked while waiting
+        },
+        selectors: {
+          tweet: 'article[data-testid="tweet"]',
+          moreButton: '[data-testid="caret"]',
+          deleteButton: '[role="menuitem"]',  // Contains "Delete" text
+          confirmButton: '[data-testid="confirmationSheetConfirm"]',
+          unretweetButton: '[data-testid="unretweet"]',
+          unretweetConfirm: '[data-testid="unretweetConfirm"]',
+          unlikeButton: '[data-testid="unlike"]',
+          likeButton: '[data-testid="like"]',
+          retweetButton: '[data-testid="retweet"]',
+          replyButton: '[data-testid="reply"]',
+          tweetText: '[data-testid="tweetText"]',
+          userName: '[data-testid="User-Name"]',
+          socialContext: '[data-testid="socialContext"]',
+          toast: '[data-testid="toast"]',
+          emptyState: '[data-testid="emptyState"]'
+        },
+        language: null,            // X's display language ('de', 'ja', ...; see locale.js), null = read <html lang>
+        scrollAmount: 500,         // Scroll more to load more tweets at once
+        maxEmptyAttempts: 3,       // Scrolls without new tweets before a pass ends
+        logInterval: 50,           // Log progress every N deletions (less spam for large accounts)
+        unlikeAttempts: 2,         // Unlike clicks per tweet before giving up (X sometimes reverts one)
+        maxAttemptsPerTweet: 3,    // Tries per tweet before moving past it for the rest of the run
+        retention: {
+          before: null,            // Only delete tweets posted before this date (e.g. '2022-01-01')
+          after: null,             // Only delete tweets posted after this date (e.g. '2019-01-01')
+          olderThanDays: null      // Keep the last N days (e.g. 30 = keep the last month)
+        },
+        filters: {
+          keepIds: [],             // Tweet IDs or status URLs to never delete
+          include: [],             // Only delete tweets matching one of these (strings or RegExps)
+          exclude: [],             // Never delete tweets matching one of these (strings or RegExps)
+          keepIfAtLeast: {         // Keep tweets reaching ANY of these counts (null = ignore)
+            replies: null,
+            reposts: null,
+            likes: null,           // e.g. 50 = keep tweets with 50+ likes
+            views: null
+          }
+        },
+        backoff: {
+          baseDelay: 5000,         // First cooldown when throttled (ms)
+          maxDelay: 300000,        // Longest single cooldown (5 min)
+          factor: 2,               // Cooldown and pacing multiplier per throttle level
+          jitter: 0.3,             // ±30% randomness so retries don't line up
+          failureThreshold: 3,     // Consecutive failed deletions that count as throttling
+          recoverAfter: 10         // Successes needed to speed back up one level
+        }
+      };
+
+      /**
+       * Content types and their URLs
+       */
+      const CONTENT_TYPES = {
+        POSTS: '',                    // /username
+        REPLIES: '/with_replies',     // /username/with_replies
+        REPOSTS: '',                  // Same page as posts; only reposts are undone
+        LIKES: '/likes'               // /username/likes
+      };
+
+      /**
+       * Month abbreviations used in X timestamp labels ("Jan 5", "Mar 3, 2021")
+       */
+      const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+      const DAY_MS = 24 * 60 * 60 * 1000;
+
+      /**
+       * Why an item could not be removed
+       * not-owned: the menu has no Delete item (someone else's tweet)
+       * menu-missing: the More/undo button or its menu never showed up
+       * confirm-missing: the confirmation sheet or undo item never showed up
+       * vanished: the tweet left the page mid-flow
+       * throttled: X showed a rate-limit error, or a click or unlike didn't take
+       */
+      const FAILURE_REASONS = ['not-owned', 'menu-missing', 'confirm-missing', 'vanished', 'throttled'];
+
+      /**
+       * Item types a run can remove (quote tweets are deleted like posts)
+       */
+      const TWEET_TYPES = ['post', 'reply', 'repost', 'quote', 'like'];
+
+      /**
+       * Item types each content type stands for when no types are given
+       * The Replies tab lists standalone posts too, so asking for replies
+       * alone must not take them with it
+       */
+      const PASS_TYPES = {
+        POSTS: ['post', 'quote'],
+        REPLIES: ['reply'],
+        REPOSTS: ['repost'],
+        LIKES: ['like']
+      };
+
+      /**
+       * Words that follow the count in engagement labels ("12 Likes. Like",
+       * "12 „Gefällt mir“-Angaben"), per metric and in every language
+       */
+      const ENGAGEMENT_WORDS = {
+        replies: getAllUiTexts('replyCount'),
+        reposts: getAllUiTexts('repostCount'),
+        likes: getAllUiTexts('likeCount'),
+        views: getAllUiTexts('viewCount')
+      };
+
+      /**
+       * Count abbreviations X uses, in every language it is shown in
+       */
+      const COUNT_MULTIPLIERS = {
+        k: 1e3, tsd: 1e3, mil: 1e3, 'k.': 1e3, 'tsd.': 1e3, '千': 1e3, '万': 1e4,
+        m: 1e6, mio: 1e6, 'mio.': 1e6, mi: 1e6, mn: 1e6, 'm.': 1e6, '億': 1e8,
+        b: 1e9, md: 1e9, 'mrd.': 1e9
+      };
+
+      /**
+       * Page texts X shows when it is throttling the session, in every language
+       */
+      const RATE_LIMIT_TEXTS = getAllUiTexts('rateLimit');
+
+      /**
+       * Start of X's ID clock (tweet IDs carry their creation time)
+       */
+      const TWITTER_EPOCH = 1288834974657;
+
+      /**
+       * Delay helper
+       */
+      function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+      }
+
+      /**
+       * Wait until a condition holds, checking every interval
+       *
+       * Steps wait for what they did to show (a menu, a confirmation sheet, a
+       * tweet leaving the page) instead of sleeping a fixed time, so they move
+       * on as soon as X renders and give slow pages as long as the timeout.
+       *
+       * @param {function} check - Returns (or resolves to) something truthy once the condition holds
+       * @param {object} options - { timeout (ms, default CONFIG.waits.timeout), interval (ms, default
+       *                           CONFIG.waits.interval), floor (ms to wait at least, even when the
+       *                           condition holds at once) }
+       * @returns {*} What check returned, or null when the timeout passed first
+       */
+      async function waitFor(check, options = {}) {
+        const timeout = options.timeout ?? CONFIG.waits.timeout;
+        const interval = Math.max(1, options.interval ?? CONFIG.waits.interval);
+        const floor = delay(options.floor || 0);
+        const deadline = Date.now() + timeout;
+
+        let value = await check();
+        while (!value && Date.now() < deadline) {
+          await delay(Math.min(interval, deadline - Date.now()));
+          value = await check();
+        }
+        await floor;
+        return value || null;
+      }
+
+      /**
+       * Create the adaptive rate limiter shared by a run's deletion loops
+       *
+       * Each throttle signal (error toast, 429 response, a streak of failed
+       * deletions) raises the level by one and pauses for an exponentially
+       * growing, jittered cooldown. While the level is raised every item is
+       * paced slower, and each run of `recoverAfter` successes drops a level.
+       *
+       * @param {object} settings - Overrides for CONFIG.backoff
+       * @param {number|function} baseDelay - Delay between items at level 0 (ms), or a
+       *                                      function returning it (read on every pace)
+       * @returns {object} { check, success, failure, backoff, ready, pace, listen, stats }
+       */
+      function createThrottle(settings = {}, baseDelay = CONFIG.delays.rateLimitSafe) {
+        const backoff = { ...CONFIG.backoff, ...settings };
+        const stats = { events: [], backedOffMs: 0 };
+        const listeners = new Set();
+        let level = 0;
+        let failures = 0;
+        let successes = 0;
+        let cooldown = null;
+
+        return {
+          stats,
+
+          /**
+           * Back off if the driver sees throttling on the page or network
+           * @param {object} driver - Driver from src/drivers (uses checkThrottle)
+           * @returns {boolean} Whether it backed off
+           */
+          async check(driver) {
+            const reason = await driver.checkThrottle();
+            if (!reason) return false;
+            await this.backoff(reason);
+            return true;
+          },
+
+          success() {
+            failures = 0;
+            if (level > 0 && ++successes >= backoff.recoverAfter) {
+              level--;
+              successes = 0;
+              console.log(`⏩ Speeding back up (throttle level ${level})`);
+            }
+          },
+
+          /**
+           * Count a failed deletion, backing off after a streak
+           * @param {string} reason - Why it failed
+           */
+          async failure(reason) {
+            successes = 0;
+            if (++failures >= backoff.failureThreshold) {
+              await this.backoff(`${failures} failures in a row (${reason})`);
+            }
+          },
+
+          /**
+           * Raise the throttle level and wait out a jittered cooldown
+           * @param {string} reason - What triggered it
+           */
+          async backoff(reason) {
+            // Removals in flight together (direct mode) share one cooldown
+            if (cooldown) return cooldown;
+
+            level++;
+            failures = 0;
+            successes = 0;
+            const base = Math.min(backoff.maxDelay, backoff.baseDelay * Math.pow(backoff.factor, level - 1));
+            const wait = Math.round(base * (1 + (Math.random() * 2 - 1) * backoff.jitter));
+
+            const event = { at: new Date().toISOString(), reason, level, waitMs: wait };
+            stats.events.push(event);
+            stats.backedOffMs += wait;
+            for (const listener of listeners) listener(event);
+            console.log(`🐢 Throttled (${reason}), cooling down ${(wait / 1000).toFixed(0)}s at level ${level}`);
+            cooldown = delay(wait);
+            await cooldown;
+            cooldown = null;
+          },
+
+          /**
+           * Wait out a cooldown another removal started
+           */
+          async ready() {
+            if (cooldown) await cooldown;
+          },
+
+          /**
+           * Delay between items for the current level
+           * @returns {number} ms
+           */
+          pace() {
+            const base = typeof baseDelay === 'function' ? baseDelay() : baseDelay;
+            return base * Math.pow(backoff.factor, level);
+          },
+
+          /**
+           * Hear about each backoff as it starts
+           * @param {function} listener - Called with { at, reason, level, waitMs }
+           * @returns {function} Stops listening
+           */
+          listen(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+          }
+        };
+      }
+
+      /**
+       * Create the pause/stop switch for a run
+       *
+       * The engine calls checkpoint() between tweets: it waits while the run
+       * is paused and returns false once it is stopped, so a run always stops
+       * between tweets, never halfway through deleting one.
+       *
+       * @returns {object} { state, pause, resume, stop, checkpoint }
+       */
+      function createRunControl() {
+        let state = 'running';
+        let wake = null;
+
+        const setState = next => {
+          state = next;
+          if (wake) {
+            wake();
+            wake = null;
+          }
+        };
+
+        return {
+          /**
+           * @returns {string} 'running', 'paused' or 'stopped'
+           */
+          state() {
+            return state;
+          },
+
+          pause() {
+            if (state === 'running') setState('paused');
+          },
+
+          resume() {
+            if (state === 'paused') setState('running');
+          },
+
+          stop() {
+            setState('stopped');
+          },
+
+          /**
+           * Wait out a pause
+           * @returns {boolean} Whether the run should go on
+           */
+          async checkpoint() {
+            while (state === 'paused') {
+              await new Promise(resolve => { wake = resolve; });
+            }
+            return state !== 'stopped';
+          }
+        };
+      }
+
+      /**
+       * Call hooks without letting them break the run
+       * @param {object} hooks - { onStart, onItem, ... } (see engine.js)
+       * @returns {function} emit(name, payload)
+       */
+      function createEmitter(hooks) {
+        const handlers = hooks || {};
+        const warn = (name, error) => console.warn(`⚠️  ${name} hook failed: ${error.message}`);
+        return (name, payload) => {
+          if (typeof handlers[name] !== 'function') return;
+          try {
+            const result = handlers[name](payload);
+            if (result && typeof result.catch === 'function') result.catch(error => warn(name, error));
+          } catch (error) {
+            warn(name, error);
+          }
+        };
+      }
+
+      /**
+       * Navigate to a specific content type tab
+       * @param {string} username - X username (without @)
+       * @param {string} contentType - One of: 'POSTS', 'REPLIES', 'REPOSTS', 'LIKES'
+       * @param {string} origin - Site to visit, default https://x.com (a local fixture server in tests)
+       */
+      function getProfileUrl(username, contentType, origin = 'https://x.com') {
+        const baseUrl = `${origin}/${username}`;
+        const suffix = CONTENT_TYPES[contentType] || '';
+        return baseUrl + suffix;
+      }
+
+      /**
+       * Classify a tweet on a profile tab
+       * Quote tweets are our own posts; reposts are someone else's tweet. The
+       * Replies tab lists standalone posts too, so only the tweet itself (its
+       * "Replying to" line, or in_reply_to_status_id in intercepted data) says
+       * it is a reply.
+       * @param {object} info - Item metadata from a driver's readItem ({ repost, quote, reply })
+       * @param {string} contentType - Profile tab being processed
+       * @returns {string} 'post', 'reply', 'repost', 'quote' or 'like'
+       */
+      function getItemType(info, contentType) {
+        if (contentType === 'LIKES') return 'like';
+        if (info.repost) return 'repost';
+        if (info.quote) return 'quote';
+        return info.reply ? 'reply' : 'post';
+      }
+
+      /**
+       * Check if a tweet type is handled by a content type's pass
+       * Reposts appear on the Posts and Replies tabs too, but only the
+       * REPOSTS pass undoes them
+       * @param {string} type - From getItemType
+       * @param {string} contentType - Pass being run
+       * @returns {boolean}
+       */
+      function isInPass(type, contentType) {
+        return contentType === 'REPOSTS' ? type === 'repost' : type !== 'repost';
+      }
+
+      /**
+       * Item types to remove when running some content types' passes
+       * @param {array} contentTypes - Passes being run, e.g. ['REPLIES']
+       * @returns {array} Their types from PASS_TYPES, in TWEET_TYPES order
+       */
+      function getPassTypes(contentTypes) {
+        const wanted = contentTypes.flatMap(contentType => PASS_TYPES[contentType] || []);
+        return TWEET_TYPES.filter(type => wanted.includes(type));
+      }
+
+      /**
+       * Resolve retention options into the date range of tweets to delete
+       * @param {object} options - { before, after, olderThanDays } (falls back to CONFIG.retention)
+       * @param {Date} now - Reference time for olderThanDays
+       * @returns {{from: Date|null, to: Date|null}} Delete tweets with from <= date <= to
+       */
+      function resolveDateRange(options = {}, now = new Date()) {
+        const retention = { ...CONFIG.retention, ...options };
+        const toDate = (value, name) => {
+          if (value === null || value === undefined) return null;
+          const date = new Date(value);
+          if (isNaN(date.getTime())) {
+            throw new Error(`Invalid "${name}" date: ${value}`);
+          }
+          return date;
+        };
+
+        let to = toDate(retention.before, 'before');
+        const from = toDate(retention.after, 'after');
+
+        if (retention.olderThanDays !== null && retention.olderThanDays !== undefined) {
+          const cutoff = new Date(now.getTime() - retention.olderThanDays * DAY_MS);
+          if (!to || cutoff < to) {
+            to = cutoff;
+          }
+        }
+
+        return { from, to };
+      }
+
+      /**
+       * Check where a tweet date falls relative to the retention range
+       * @param {Date|null} date - Tweet timestamp
+       * @param {object} range - Range from resolveDateRange
+       * @returns {string} 'in-range', 'too-recent', 'too-old' or 'unknown'
+       */
+      function classifyDate(date, range) {
+        if (!range.from && !range.to) return 'in-range';
+        if (!date) return 'unknown';
+        if (range.to && date > range.to) return 'too-recent';
+        if (range.from && date < range.from) return 'too-old';
+        return 'in-range';
+      }
+
+      /**
+       * Extract a tweet ID from an ID or status URL
+       * @param {string|number} value - e.g. '1234' or 'https://x.com/user/status/1234'
+       * @returns {string|null}
+       */
+      function parseTweetId(value) {
+        const text = String(value).trim();
+        const status = text.match(/\/status(?:es)?\/(\d+)/);
+        if (status) return status[1];
+        return /^\d+$/.test(text) ? text : null;
+      }
+
+      /**
+       * Read the creation time out of a tweet ID
+       * IDs since late 2010 are snowflakes holding milliseconds since
+       * TWITTER_EPOCH above bit 22; older, smaller IDs carry no time
+       * @param {string} id - Tweet ID
+       * @returns {Date|null}
+       */
+      function getTweetIdDate(id) {
+        if (!/^\d{15,}$/.test(String(id || ''))) return null;
+        return new Date(Number(BigInt(id) >> 22n) + TWITTER_EPOCH);
+      }
+
+      /**
+       * Compile keep/delete filter options into matchers
+       * Strings match case-insensitively as substrings, RegExps are used as-is
+       * @param {object} options - { keepIds, include, exclude } (falls back to CONFIG.filters)
+       * @returns {object} Compiled filters for evaluateTweet
+       */
+      function compileFilters(options = {}) {
+        const filters = { ...CONFIG.filters, ...options };
+        const toMatcher = rule => {
+          if (rule instanceof RegExp) {
+            // A g or y flag would make test() resume from the last match, and answer differently
+            // for the same text from one tweet to the next
+            const pattern = new RegExp(rule.source, rule.flags.replace(/[gy]/g, ''));
+            return { label: String(rule), test: text => pattern.test(text) };
+          }
+          const needle = String(rule).toLowerCase();
+          return { label: JSON.stringify(String(rule)), test: text => text.toLowerCase().includes(needle) };
+        };
+
+        const keepIds = new Set();
+        for (const value of filters.keepIds || []) {
+          const id = parseTweetId(value);
+          if (!id) {
+            throw new Error(`Invalid tweet ID or URL in keepIds: ${value}`);
+          }
+          keepIds.add(id);
+        }
+
+        const keepIfAtLeast = {};
+        for (const [metric, threshold] of Object.entries(filters.keepIfAtLeast || {})) {
+          if (threshold !== null && threshold !== undefined) {
+            keepIfAtLeast[metric] = threshold;
+          }
+        }
+
+        return {
+          keepIds,
+          keepIfAtLeast,
+          include: (filters.include || []).map(toMatcher),
+          exclude: (filters.exclude || []).map(toMatcher)
+        };
+      }
+
+      /**
+       * Parse an abbreviated count as X displays it ("987", "3,456", "1.2K", "2M"),
+       * in the page's language too ("1.234", "1 234", "1,2 Mio.", "1.2万")
+       * A separator before exactly three digits groups thousands; any other is the
+       * decimal point
+       * @param {string} text
+       * @returns {number|null}
+       */
+      function parseCount(text) {
+        const match = String(text).replace(/[\s\u00a0\u202f]+/g, ' ').trim()
+          .match(/^(\d{1,3}(?:[., ]\d{3})+|\d+)(?:[.,](\d+))?\s*(\S*)$/);
+        if (!match) return null;
+        const suffix = match[3].toLowerCase();
+        const multiplier = suffix ? COUNT_MULTIPLIERS[suffix] : 1;
+        if (!multiplier) return null;
+        const value = parseFloat(`${match[1].replace(/[., ]/g, '')}.${match[2] || 0}`);
+        return Math.round(value * multiplier);
+      }
+
+      /**
+       * Read the count an engagement label starts with ("52 Likes. Like")
+       * X leaves the count out at zero, so a label without digits is 0
+       * @param {string} label - e.g. a button's aria-label
+       * @returns {number|null} null when there is a count but it doesn't parse
+       */
+      function parseLeadingCount(label) {
+        const text = String(label || '').replace(/[\s\u00a0\u202f]+/g, ' ').trim();
+        if (!/\d/.test(text)) return 0;
+        const number = text.match(/^\d[\d., ]*/);
+        if (!number) return null;
+        const digits = number[0].replace(/[., ]+$/, '');
+        // The word after the number is only its suffix if it is one ("1,2 Mio." but "52 Likes")
+        const word = text.slice(digits.length).trim().split(/[ ,。、]|\.(?=\s|$)/)[0];
+        return parseCount(`${digits} ${word}`) ?? parseCount(digits);
+      }
+
+      /**
+       * Parse an engagement label into a metric and count
+       * The metric is told by its word in any language (see locale.js)
+       * @param {string} label - e.g. '12 Likes. Like' or '1.234 Aufrufe. Post-Statistiken ansehen'
+       * @returns {object|null} { metric, count } where metric is replies/reposts/likes/views,
+       *                        and count is null when it can't be read
+       */
+      function parseEngagementLabel(label) {
+        const text = String(label || '');
+        if (!/^\s*\d/.test(text)) return null;
+
+        // The first metric word after the count names it
+        const lower = text.toLowerCase();
+        let found = null;
+        for (const [metric, words] of Object.entries(ENGAGEMENT_WORDS)) {
+          for (const word of words) {
+            const at = lower.indexOf(word.toLowerCase());
+            if (at > 0 && (!found || at < found.at)) found = { metric, at };
+          }
+        }
+        return found ? { metric: found.metric, count: parseLeadingCount(text) } : null;
+      }
+
+      /**
+       * Decide what to do with a tweet
+       * @param {object} info - Item metadata from a driver's readItem: { id, date, text, pinned, engagement }
+       * @param {object} range - Range from resolveDateRange
+       * @param {object} filters - Filters from compileFilters
+       * @returns {object} { action: 'delete' | 'keep' | 'stop', rule }
+       */
+      function evaluateTweet(info, range, filters) {
+        const placement = classifyDate(info.date, range);
+        if (placement === 'too-old' && !info.pinned) {
+          // Timeline is newest-first, so everything below is older too
+          return { action: 'stop', rule: 'date:too-old' };
+        }
+        if (placement !== 'in-range') {
+          return { action: 'keep', rule: `date:${placement}` };
+        }
+
+        if (info.id && filters.keepIds.has(info.id)) {
+          return { action: 'keep', rule: `keepId:${info.id}` };
+        }
+
+        const engagement = info.engagement || {};
+        for (const [metric, threshold] of Object.entries(filters.keepIfAtLeast)) {
+          // A count the driver saw but couldn't read may be over the threshold
+          if (engagement[metric] === null) {
+            return { action: 'keep', rule: `engagement:${metric}-unknown` };
+          }
+          if ((engagement[metric] || 0) >= threshold) {
+            return { action: 'keep', rule: `engagement:${metric}>=${threshold}` };
+          }
+        }
+
+        const text = info.text || '';
+        const excluded = filters.exclude.find(matcher => matcher.test(text));
+        if (excluded) {
+          return { action: 'keep', rule: `exclude:${excluded.label}` };
+        }
+
+        if (filters.include.length > 0 && !filters.include.some(matcher => matcher.test(text))) {
+          return { action: 'keep', rule: 'include:no-match' };
+        }
+
+        return { action: 'delete', rule: null };
+      }
+
+      /**
+       * Parse a tweet timestamp as X renders it
+       * Handles ISO datetimes, relative labels ("45s", "3h") and
+       * short dates ("Jan 5" for this year, "Jan 5, 2021" for older ones)
+       * @param {string} label - datetime attribute or visible timestamp text
+       * @param {Date} now - Reference time for relative labels
+       * @returns {Date|null}
+       */
+      function parseTweetTimestamp(label, now = new Date()) {
+        if (!label) return null;
+        const text = label.trim();
+
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+          const date = new Date(text);
+          return isNaN(date.getTime()) ? null : date;
+        }
+
+        const relative = text.match(/^(\d+)\s*([smhd])$/);
+        if (relative) {
+          const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+          return new Date(now.getTime() - parseInt(relative[1], 10) * units[relative[2]]);
+        }
+
+        const short = text.match(/^([A-Z][a-z]{2}) (\d{1,2})(?:, (\d{4}))?$/);
+        if (short && MONTHS.includes(short[1])) {
+          const year = short[3] ? parseInt(short[3], 10) : now.getFullYear();
+          return new Date(year, MONTHS.indexOf(short[1]), parseInt(short[2], 10));
+        }
+
+        return null;
+      }
+
+      /**
+       * Categorize an exception thrown mid-flow
+       * Playwright MCP reports clicks on refs that left the page as "not found",
+       * the Playwright library as "not attached to the DOM"
+       * @param {Error} error
+       * @returns {string} 'vanished' or 'throttled'
+       */
+      function categorizeError(error) {
+        return /not found|detached|not attached|no longer/i.test(error.message) ? 'vanished' : 'throttled';
+      }
+
+      /**
+       * Count failures per reason
+       * @param {array} failures - Items with a reason
+       * @returns {object} Count for each of FAILURE_REASONS
+       */
+      function countFailureReasons(failures) {
+        const counts = {};
+        for (const reason of FAILURE_REASONS) {
+          counts[reason] = 0;
+        }
+        for (const failure of failures) {
+          counts[failure.reason] = (counts[failure.reason] || 0) + 1;
+        }
+        return counts;
+      }
+
+      /**
+       * Print the non-zero failure counts, one reason per line
+       * @param {object} failureReasons - From countFailureReasons
+       */
+      function logFailureReasons(failureReasons) {
+        for (const [reason, count] of Object.entries(failureReasons)) {
+          if (count > 0) console.log(`  ${reason}: ${count}`);
+        }
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        CONFIG,
+        CONTENT_TYPES,
+        TWEET_TYPES,
+        PASS_TYPES,
+        FAILURE_REASONS,
+        RATE_LIMIT_TEXTS,
+        DAY_MS,
+        delay,
+        waitFor,
+        createThrottle,
+        createRunControl,
+        createEmitter,
+        getProfileUrl,
+        getItemType,
+        isInPass,
+        getPassTypes,
+        resolveDateRange,
+        classifyDate,
+        parseTweetId,
+        getTweetIdDate,
+        compileFilters,
+        parseCount,
+        parseLeadingCount,
+        parseEngagementLabel,
+        evaluateTweet,
+        parseTweetTimestamp,
+        categorizeError,
+        countFailureReasons,
+        logFailureReasons
+      };
+    }],
+
+    // src/locale.js
+    "locale": [{}, function (module, exports, require) {
+      /**
+       * X Interface Strings
+       *
+       * The words the deleters look for where X gives an element no test id:
+       * menu items ("Delete", "Remove this follower"), timeline headers
+       * ("Pinned", "You reposted"), the button names Playwright MCP snapshots
+       * show, the words after engagement counts, and the messages X puts on
+       * the page. The language comes from <html lang>, which X sets to the
+       * account's display language; CONFIG.language overrides it.
+       *
+       * Lookups try the page's language first and English second, since X
+       * leaves some strings untranslated. Throttling and missing-page messages
+       * are matched in every language, so they are caught before the language
+       * is known.
+       *
+       * To support another language, add an entry keyed by its <html lang>
+       * primary tag. Keys left out fall back to English.
+       *
+       * Usage:
+       *
+       *   const ui = getUiStrings(detectLanguage(document.documentElement.lang));
+       *   const deleteItem = [...menuItems].find(item => equalsUiText(item.textContent, ui.delete));
+       */
+
+      /**
+       * Strings per language
+       * Each value lists what X shows; more than one where X has used several
+       * (labels that changed with the Twitter to X rename). Exact-match keys:
+       * delete, undoRepost, more, pinned. Suffix keys (end of a button name
+       * such as "12 Likes. Liked"): like, liked, reposted. Count keys (the
+       * word after the number in "12 Likes. Like", any case): replyCount,
+       * repostCount, likeCount, viewCount. Everything else matches anywhere in
+       * the text.
+       */
+      const UI_STRINGS = {
+        en: {
+          delete: ['Delete'],
+          undoRepost: ['Undo repost', 'Undo Retweet'],
+          removeFollower: ['Remove this follower'],
+          more: ['More'],
+          pinned: ['Pinned'],
+          youReposted: ['You reposted', 'You Retweeted'],
+          reposted: ['Reposted', 'Retweeted'],
+          like: ['Like'],
+          liked: ['Liked'],
+          replyCount: ['Replies', 'Reply'],
+          repostCount: ['reposts', 'repost', 'Retweets', 'Retweet'],
+          likeCount: ['Likes', 'Like'],
+          viewCount: ['views', 'view'],
+          replyingTo: ['Replying to'],
+          protectedPosts: ['posts are protected', 'Tweets are protected'],
+          rateLimit: ['Something went wrong. Try reloading.', 'Rate limit exceeded', 'You are over the daily limit'],
+          missingPage: ['this page doesn’t exist', "this page doesn't exist", 'This post was deleted', 'This Tweet was deleted', 'This post is unavailable']
+        },
+        de: {
+          delete: ['Löschen'],
+          undoRepost: ['Repost rückgängig machen'],
+          removeFollower: ['Diesen Follower entfernen'],
+          more: ['Mehr'],
+          pinned: ['Angeheftet'],
+          youReposted: ['Du hast repostet'],
+          reposted: ['Repostet'],
+          like: ['Gefällt mir'],
+          liked: ['Gefällt mir nicht mehr'],
+          replyCount: ['Antworten', 'Antwort'],
+          repostCount: ['Reposts', 'Repost'],
+          likeCount: ['„Gefällt mir“-Angaben', '„Gefällt mir“-Angabe', 'Gefällt mir'],
+          viewCount: ['Aufrufe', 'Aufruf'],
+          replyingTo: ['Antwort an'],
+          protectedPosts: ['Posts sind geschützt'],
+          rateLimit: ['Etwas ist schiefgelaufen'],
+          missingPage: ['diese Seite existiert nicht', 'Dieser Post wurde gelöscht']
+        },
+        es: {
+          delete: ['Eliminar'],
+          undoRepost: ['Deshacer repost'],
+          removeFollower: ['Eliminar este seguidor'],
+          more: ['Más opciones', 'Más'],
+          pinned: ['Fijado'],
+          youReposted: ['Reposteaste'],
+          reposted: ['Reposteado'],
+          like: ['Me gusta'],
+          liked: ['Ya no me gusta'],
+          replyCount: ['respuestas', 'respuesta'],
+          repostCount: ['reposts', 'repost'],
+          likeCount: ['Me gusta'],
+          viewCount: ['visualizaciones', 'visualización'],
+          replyingTo: ['En respuesta a'],
+          protectedPosts: ['posts están protegidos'],
+          rateLimit: ['Algo salió mal'],
+          missingPage: ['esta página no existe', 'Este post fue eliminado']
+        },
+        fr: {
+          delete: ['Supprimer'],
+          undoRepost: ['Annuler le repost'],
+          removeFollower: ['Retirer cet abonné'],
+          more: ['Plus'],
+          pinned: ['Épinglé'],
+          youReposted: ['Vous avez reposté'],
+          reposted: ['Reposté'],
+          like: ['J’aime', "J'aime"],
+          liked: ['Je n’aime plus', "Je n'aime plus"],
+          replyCount: ['réponses', 'réponse'],
+          repostCount: ['reposts', 'repost'],
+          likeCount: ['J’aime', "J'aime"],
+          viewCount: ['vues', 'vue'],
+          replyingTo: ['En réponse à'],
+          protectedPosts: ['posts sont protégés'],
+          rateLimit: ['Un problème est survenu'],
+          missingPage: ['cette page n’existe pas', "cette page n'existe pas", 'Ce post a été supprimé']
+        },
+        ja: {
+          delete: ['削除'],
+          undoRepost: ['リポストを取り消す'],
+          removeFollower: ['このフォロワーを削除'],
+          more: ['もっと見る'],
+          pinned: ['固定'],
+          youReposted: ['リポストしました'],
+          reposted: ['リポスト済み'],
+          like: ['いいねする'],
+          liked: ['いいねしました'],
+          replyCount: ['件の返信'],
+          repostCount: ['件のリポスト'],
+          likeCount: ['件のいいね'],
+          viewCount: ['件の表示'],
+          replyingTo: ['返信先'],
+          protectedPosts: ['ポストは非公開です'],
+          rateLimit: ['問題が発生しました'],
+          missingPage: ['このページは存在しません', 'このポストは削除されました']
+        },
+        pt: {
+          delete: ['Excluir'],
+          undoRepost: ['Desfazer repost'],
+          removeFollower: ['Remover este seguidor'],
+          more: ['Mais opções', 'Mais'],
+          pinned: ['Fixado'],
+          youReposted: ['Você repostou'],
+          reposted: ['Repostado'],
+          like: ['Curtir'],
+          liked: ['Descurtir'],
+          replyCount: ['respostas', 'resposta'],
+          repostCount: ['reposts', 'repost'],
+          likeCount: ['curtidas', 'curtida'],
+          viewCount: ['visualizações', 'visualização'],
+          replyingTo: ['Em resposta a'],
+          protectedPosts: ['posts estão protegidos'],
+          rateLimit: ['Algo deu errado'],
+          missingPage: ['essa página não existe', 'esta página não existe', 'Este post foi excluído']
+        }
+      };
+
+      /**
+       * Pick the supported language for an <html lang> value
+       * @param {string} lang - e.g. 'de', 'pt-BR', 'ja'
+       * @returns {string} A UI_STRINGS key ('en' when unsupported or unknown)
+       */
+      function detectLanguage(lang) {
+        const primary = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+        return Object.prototype.hasOwnProperty.call(UI_STRINGS, primary) ? primary : 'en';
+      }
+
+      /**
+       * Strings to look for on a page in this language
+       * @param {string} language - A UI_STRINGS key (see detectLanguage)
+       * @returns {object} Each key's candidates: the language's own, then English
+       */
+      function getUiStrings(language = 'en') {
+        const own = UI_STRINGS[detectLanguage(language)];
+        const strings = {};
+        for (const key of Object.keys(UI_STRINGS.en)) {
+          strings[key] = [...new Set([...(own[key] || []), ...UI_STRINGS.en[key]])];
+        }
+        return strings;
+      }
+
+      /**
+       * A key's strings in every language, for messages that must be caught
+       * whatever the page's language
+       * @param {string} key - e.g. 'rateLimit'
+       * @returns {array}
+       */
+      function getAllUiTexts(key) {
+        return [...new Set(Object.values(UI_STRINGS).flatMap(strings => strings[key] || []))];
+      }
+
+      /**
+       * Whether text is exactly one of the candidates (ignoring surrounding space)
+       * @param {string} text
+       * @param {array} candidates - From getUiStrings
+       * @returns {boolean}
+       */
+      function equalsUiText(text, candidates) {
+        const trimmed = String(text || '').trim();
+        return candidates.some(candidate => trimmed === candidate);
+      }
+
+      /**
+       * The candidate text contains, if any
+       * @param {string} text
+       * @param {array} candidates - From getUiStrings or getAllUiTexts
+       * @returns {string|null}
+       */
+      function findUiText(text, candidates) {
+        const value = String(text || '');
+        return candidates.find(candidate => value.includes(candidate)) || null;
+      }
+
+      /**
+       * Whether text ends with one of the candidates, as button names like
+       * "12 Likes. Liked" end with the button's state
+       * @param {string} text
+       * @param {array} candidates - From getUiStrings
+       * @returns {boolean}
+       */
+      function endsWithUiText(text, candidates) {
+        const trimmed = String(text || '').trim();
+        // A letter just before the match means it is the end of a longer word
+        // ("Unliked" is not "Liked"); scripts without spaces need no separator
+        return candidates.some(candidate =>
+          trimmed.endsWith(candidate) && !/[A-Za-z\u00C0-\u024F]$/.test(trimmed.slice(0, -candidate.length)));
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        UI_STRINGS,
+        detectLanguage,
+        getUiStrings,
+        getAllUiTexts,
+        equalsUiText,
+        findUiText,
+        endsWithUiText
+      };
+    }],
+
+    // src/followers.js
+    "followers": [{"./core":"core","./follower-rules":"follower-rules","./locale":"locale"}, function (module, exports, require) {
+      /**
+       * Follower Pruning
+       *
+       * Walk your followers list, open each follower's profile to read their
+       * latest tweet, and remove anyone quiet for longer than inactiveDays
+       * through the card's "Remove this follower" menu. With spam scoring on,
+       * the profile header is scored too (see follower-rules.js) and followers
+       * who look like spam or bots go whether or not they tweet. Followers on
+       * the protection list (config.protect: an allowlist, people you follow
+       * back, optionally verified or well-followed accounts) are never
+       * removed, not even by a plan.
+       *
+       * Drivers do the page work, as for the deletion engine, so the CLI and
+       * the console script run this same flow. A follower driver is an object
+       * with these async methods:
+       *
+       *   open(url)                   Show the followers list and wait for it to render
+       *   findFollowers()             Followers on the list, in page order (see readFollowerCells)
+       *   scroll(pixels)              Scroll and wait for more followers to load
+       *   readProfile(url, lookup)    Open a profile once it has rendered (see isProfileRendered):
+       *                               { activity (from readProfileActivity), header (from
+       *                               readProfileFields when lookup.header is set, else null) }
+       *   removeFollower(username)    { success, error }
+       *   checkThrottle()             X's throttling message or new 429 responses, or null
+       *   close()                     Let go of what the driver opened (tabs, listeners)
+       *
+       * Drivers: drivers/playwright-followers.js (Node library, used by the
+       * CLI) and drivers/dom-followers.js (in the page, built into the console
+       * script).
+       *
+       * Callers follow a run through options.hooks, as for the engine (see
+       * engine.js): onItem, onDeleted, onSkipped, onError and onThrottle, with
+       * each follower as { type: 'follower', id: username, text: '',
+       * decision: { action: 'remove' or 'keep', rule: its category } }.
+       *
+       * Usage:
+       *
+       *   const config = resolveFollowerConfig({ inactiveDays: 365 });
+       *   const driver = createPlaywrightFollowerDriver(await context.newPage(), config);
+       *   const summary = await pruneFollowers(driver, 'yourusername', {
+       *     config,
+       *     journal: openJournal('followers.jsonl')
+       *   });
+       */
+
+      const { DAY_MS, delay, createThrottle, createEmitter, parseCount } = require('./core');
+      const { DEFAULT_FOLLOWER_RULES, compileFollowerRules, scoreFollower, describeScore } = require('./follower-rules');
+      const { getAllUiTexts } = require('./locale');
+
+      const FOLLOWER_CONFIG = {
+        inactiveDays: 180,           // 6 months
+        language: null,              // X's display language (null = read <html lang>), see locale.js
+        activityArticles: 5,         // Tweets read from the top of a profile; the newest date counts
+        checkReplies: false,         // Also read the Replies tab before calling someone inactive (one more page each)
+        protect: {                   // Never removed, however quiet or spammy they look
+          usernames: [],             // Allowlist: handles, or pasted text with one per line (see toAllowlist)
+          following: true,           // Accounts you follow back (their card's button says Following)
+          verified: false,           // Verified accounts
+          minFollowers: null         // Accounts with at least this many followers (read from their profile)
+        },
+        spam: {
+          enabled: false,            // Also remove followers whose profile scores as spam, active or not
+          threshold: 5,              // Score at which a follower counts as spam
+          rules: DEFAULT_FOLLOWER_RULES // See follower-rules.js
+        },
+        delays: {                    // Floors: each step also waits for what it did to show (see waits)
+          profileLoad: 500,          // At least this long on each profile
+          betweenClicks: 300,        // At least this long between menu clicks
+          afterAction: 500,          // At least this long after the removal
+          scrollLoad: 500,           // At least this long after opening the list or scrolling
+          betweenFollowers: 6000     // Rate limiting between followers (avoid 429)
+        },
+        waits: {
+          timeout: 8000,             // Longest wait for a menu, confirmation sheet or removal to show (ms)
+          loadTimeout: 10000,        // Longest wait for a profile or the list to render
+          interval: 250              // How often a condition is checked while waiting
+        },
+        maxEmptyAttempts: 3,
+        scrollAmount: 300,
+        backoff: {
+          baseDelay: 30000,          // First cooldown when throttled (ms)
+          maxDelay: 900000,          // Longest single cooldown (15 min)
+          factor: 2,
+          jitter: 0.3,
+          failureThreshold: 3,
+          recoverAfter: 10
+        }
+      };
+
+      /**
+       * What an activity verdict rests on
+       * tweet: the newest of the first activityArticles tweets, pinned ones and reposts left out
+       * repost: they reposted something, and their own tweets alone would call them inactive; a
+       *         repost shows the original tweet's date, not when they reposted it, so they are kept
+       * pinned: only a pinned tweet had a date
+       * reply: their Replies tab showed something newer (checkReplies)
+       * protected: their tweets are protected, so they are left alone
+       * none: nothing dated showed up
+       */
+      const ACTIVITY_SIGNALS = ['tweet', 'repost', 'pinned', 'reply', 'protected', 'none'];
+
+      /**
+       * Why a follower is on the protection list, for the log
+       */
+      const PROTECTION_REASONS = {
+        allowlist: 'on your allowlist',
+        following: 'you follow them',
+        verified: 'verified',
+        followers: 'well followed'
+      };
+
+      /**
+       * Paths on x.com that look like profile links but aren't people
+       */
+      const RESERVED_PATHS = ['home', 'explore', 'notifications', 'messages', 'settings', 'i'];
+
+      /**
+       * Fill in FOLLOWER_CONFIG's defaults around some overrides
+       * @param {object} overrides - Any FOLLOWER_CONFIG settings; delays, waits, protect, spam and
+       *                             backoff are merged key by key
+       * @returns {object} Complete settings
+       */
+      function resolveFollowerConfig(overrides = {}) {
+        return {
+          ...FOLLOWER_CONFIG,
+          ...overrides,
+          delays: { ...FOLLOWER_CONFIG.delays, ...overrides.delays },
+          waits: { ...FOLLOWER_CONFIG.waits, ...overrides.waits },
+          protect: { ...FOLLOWER_CONFIG.protect, ...overrides.protect },
+          spam: { ...FOLLOWER_CONFIG.spam, ...overrides.spam },
+          backoff: { ...FOLLOWER_CONFIG.backoff, ...overrides.backoff }
+        };
+      }
+
+      /**
+       * Check if a last tweet is older than the inactivity window
+       * @param {Date|null} lastTweetDate - Latest tweet's date
+       * @param {number} inactiveDays - Days of silence that count as inactive
+       * @param {number} now - Current time in ms (for tests)
+       * @returns {boolean} False when the date is unknown
+       */
+      function isInactive(lastTweetDate, inactiveDays, now = Date.now()) {
+        if (!lastTweetDate) return false;
+        return (now - lastTweetDate.getTime()) / DAY_MS > inactiveDays;
+      }
+
+      /**
+       * Turn what a profile showed into an activity verdict
+       * @param {object} seen - From readProfileActivity (or combineActivity)
+       * @param {number} inactiveDays - Days of silence that count as inactive
+       * @returns {object} { hasActivity, lastTweetDate, inactive, signal, reason, skip, rateLimited } -
+       *                   signal (from ACTIVITY_SIGNALS) says what decided it
+       */
+      function toActivity(seen, inactiveDays) {
+        if (seen.rateLimited) return { hasActivity: true, reason: 'rate_limited', rateLimited: true, message: seen.message };
+        if (seen.protected) return { hasActivity: true, reason: 'protected_account', skip: true, signal: 'protected' };
+        const lastTweetDate = seen.datetime ? new Date(seen.datetime) : null;
+        if (lastTweetDate && isNaN(lastTweetDate)) return { hasActivity: false, reason: 'parse_error', signal: 'none' };
+
+        const inactive = !lastTweetDate || isInactive(lastTweetDate, inactiveDays);
+        // A repost may be from yesterday whatever its date says, so it can't prove them quiet
+        if (inactive && seen.reposted) return { hasActivity: true, reason: 'repost_undated', signal: 'repost' };
+        if (!lastTweetDate) return { hasActivity: false, reason: seen.reason || 'parse_error', signal: 'none' };
+        return { hasActivity: !inactive, lastTweetDate, inactive, signal: seen.signal || 'tweet' };
+      }
+
+      /**
+       * Combine what a profile's Posts and Replies tabs showed
+       * @param {object} posts - readProfileActivity on the profile
+       * @param {object} replies - readProfileActivity on its Replies tab
+       * @returns {object} Whichever has the newer date (a newer tweet from the Replies tab
+       *                   becomes signal 'reply'); posts when the Replies tab had none. A repost
+       *                   on either tab carries over
+       */
+      function combineActivity(posts, replies) {
+        if (replies.rateLimited) return replies;
+        const reposted = Boolean(posts.reposted || replies.reposted);
+        let newer = posts;
+        if (replies.datetime && !(posts.datetime && new Date(posts.datetime) >= new Date(replies.datetime))) {
+          newer = { ...replies, signal: replies.signal === 'tweet' ? 'reply' : replies.signal };
+        }
+        return reposted && !newer.reposted ? { ...newer, reposted } : newer;
+      }
+
+      /**
+       * Plan category for an activity verdict
+       * @param {object} activity - From toActivity, with score from scoreFollower when spam scoring is on
+       * @returns {string} 'spam', 'protected', 'inactive', 'active' or 'unknown'
+       */
+      function categorize(activity) {
+        if (activity.score && activity.score.spam) return 'spam';
+        if (activity.skip) return 'protected';
+        if (activity.inactive) return 'inactive';
+        if (activity.lastTweetDate) return 'active';
+        return 'unknown';
+      }
+
+      /**
+       * Turn an allowlist into usernames
+       * @param {array|string} list - Handles, or pasted text with one per line (or separated by
+       *                              commas or spaces); @, profile URLs and # comments are fine
+       * @returns {Set} Lowercase usernames
+       */
+      function toAllowlist(list) {
+        const lines = Array.isArray(list) ? list : String(list || '').split('\n');
+        return new Set(lines
+          .flatMap(line => String(line).replace(/#.*$/, '').split(/[\s,]+/))
+          .map(handle => handle.replace(/^(https?:\/\/)?(www\.)?(x|twitter)\.com\//i, '').replace(/^@/, '').split('/')[0].toLowerCase())
+          .filter(Boolean));
+      }
+
+      /**
+       * Why a follower is on the protection list, if they are
+       * @param {object} follower - What is known so far: { username, followedByYou, verified, followers }
+       * @param {object} protect - FOLLOWER_CONFIG.protect
+       * @param {Set} allowlist - From toAllowlist(protect.usernames)
+       * @returns {string|null} A key of PROTECTION_REASONS, or null
+       */
+      function protectionReason(follower, protect, allowlist) {
+        if (allowlist.has(follower.username.toLowerCase())) return 'allowlist';
+        if (protect.following && follower.followedByYou) return 'following';
+        if (protect.verified && follower.verified) return 'verified';
+        if (protect.minFollowers && typeof follower.followers === 'number' && follower.followers >= protect.minFollowers) {
+          return 'followers';
+        }
+        return null;
+      }
+
+      /**
+       * Followers in the list, in page order, with what their cards show
+       * Runs in the page, so it only uses its arguments
+       * @param {array} reserved - Paths that aren't usernames (RESERVED_PATHS)
+       * @param {Document} root - Document to read
+       * @returns {array} { username, followedByYou, verified } - followedByYou when the card's
+       *                  button says Following
+       */
+      function readFollowerCells(reserved, root = document) {
+        const followers = [];
+        for (const cell of root.querySelectorAll('[data-testid="cellInnerDiv"]')) {
+          const userLink = cell.querySelector('a[href^="/"][role="link"]');
+          const href = userLink && userLink.getAttribute('href');
+          if (!href || !/^\/[^/]+$/.test(href)) continue;
+
+          const username = href.substring(1);
+          if (!reserved.includes(username) && !followers.some(follower => follower.username === username)) {
+            followers.push({
+              username,
+              followedByYou: Boolean(cell.querySelector('[data-testid$="-unfollow"]')),
+              verified: Boolean(cell.querySelector('[data-testid="icon-verified"]'))
+            });
+          }
+        }
+        return followers;
+      }
+
+      /**
+       * What a profile page shows about its owner's activity
+       * The first tweet is often an old pinned one, so this reads the first
+       * few and keeps the newest date, falling back to pinned tweets only
+       * when nothing else has one
+       * Runs in the page, so it only uses its arguments
+       * @param {object} lookup - { rateLimit, protectedPosts, pinned }: texts to look for, in every
+       *                          language, and articles: how many tweets to read
+       * @param {Document} root - Document to read
+       * @returns {object} { rateLimited, message } | { protected } | { reason } |
+       *                   { datetime, signal, read, reposted } - message is the throttling text X
+       *                   showed; reposted says a repost was among the tweets read (its date is the
+       *                   original's, so it never becomes datetime)
+       */
+      function readProfileActivity(lookup, root = document) {
+        const pageText = root.body ? root.body.innerText : '';
+        const throttled = lookup.rateLimit.find(text => pageText.includes(text));
+        if (throttled) return { rateLimited: true, message: throttled };
+        if (lookup.protectedPosts.some(text => pageText.includes(text))) return { protected: true };
+
+        const articles = [...root.querySelectorAll('article[data-testid="tweet"]')].slice(0, lookup.articles);
+        if (articles.length === 0) return { reason: 'no_tweets_visible' };
+
+        const newer = (found, datetime) => !found || new Date(datetime) > new Date(found.datetime);
+        let newest = null;
+        let pinned = null;
+        let reposted = false;
+        for (const article of articles) {
+          const context = article.querySelector('[data-testid="socialContext"]');
+          const contextText = context ? context.textContent : '';
+          const isPinned = lookup.pinned.some(label => contextText.includes(label));
+          // Any other header on someone's profile is "<name> reposted"
+          if (contextText && !isPinned) {
+            reposted = true;
+            continue;
+          }
+
+          // The tweet's own time comes first; a quoted tweet's follows it
+          const timeElement = article.querySelector('time');
+          const datetime = timeElement && timeElement.getAttribute('datetime');
+          if (!datetime || isNaN(new Date(datetime))) continue;
+
+          if (isPinned) {
+            if (newer(pinned, datetime)) pinned = { datetime, signal: 'pinned' };
+          } else if (newer(newest, datetime)) {
+            newest = { datetime, signal: 'tweet' };
+          }
+        }
+
+        const found = newest || pinned;
+        return found ? { ...found, read: articles.length, reposted } : { reason: 'no_timestamp', reposted };
+      }
+
+      /**
+       * What a profile's header shows, as the page's text
+       * Runs in the page, so it only uses its arguments
+       * @param {string} username - Whose profile it is
+       * @param {Document} root - Document to read
+       * @returns {object|null} { bio, avatar, followers, following, tweets, joined, verified, followsYou,
+       *                        followedByYou }, or null when no profile header rendered
+       */
+      function readProfileFields(username, root = document) {
+        const header = root.querySelector('[data-testid="UserName"]');
+        if (!header) return null;
+        const textOf = selector => {
+          const element = root.querySelector(selector);
+          return element ? element.textContent.trim() : null;
+        };
+        const column = root.querySelector('[data-testid="primaryColumn"]') || root.body;
+        const postsLine = [...column.querySelectorAll('h2 ~ div, h2 + div')]
+          .map(element => element.textContent.trim())
+          .find(text => /^[\d.,]+\s*[KkMm]?\s+\S+$/.test(text));
+        const avatar = root.querySelector(`[data-testid="UserAvatar-Container-${username}"] img`);
+
+        return {
+          // X leaves the description out when there is none
+          bio: textOf('[data-testid="UserDescription"]') || '',
+          avatar: avatar ? avatar.getAttribute('src') : null,
+          followers: textOf(`a[href$="/${username}/verified_followers"], a[href$="/${username}/followers"]`),
+          following: textOf(`a[href$="/${username}/following"]`),
+          tweets: postsLine || null,
+          joined: textOf('[data-testid="UserJoinDate"]'),
+          verified: Boolean(header.querySelector('[data-testid="icon-verified"]')),
+          followsYou: Boolean(root.querySelector('[data-testid="userFollowIndicator"]')),
+          followedByYou: Boolean(root.querySelector('[data-testid$="-unfollow"]'))
+        };
+      }
+
+      /**
+       * Turn readProfileFields' text into the profile follower-rules.js scores
+       * Counts and join dates in other languages than English may not parse; rules on them
+       * then don't match
+       * @param {object} raw - From readProfileFields
+       * @param {string} username - Whose profile it is
+       * @returns {object} { username, bio, followers, following, tweets, createdAt, defaultAvatar,
+       *                   verified, followsYou, followedByYou }
+       */
+      function toProfileFields(raw, username) {
+        const leadingCount = text => (text ? parseCount(text.split(/\s+/)[0]) : null);
+        const joined = raw.joined && raw.joined.match(/([A-Za-z]+)\s+(\d{4})/);
+        const createdAt = joined ? new Date(`${joined[1]} 1, ${joined[2]} UTC`) : null;
+        return {
+          username,
+          bio: raw.bio,
+          followers: leadingCount(raw.followers),
+          following: leadingCount(raw.following),
+          tweets: leadingCount(raw.tweets),
+          createdAt: createdAt && !isNaN(createdAt) ? createdAt.toISOString() : null,
+          defaultAvatar: raw.avatar ? raw.avatar.includes('default_profile_images') : null,
+          verified: raw.verified,
+          followsYou: raw.followsYou,
+          followedByYou: raw.followedByYou
+        };
+      }
+
+      /**
+       * Whether a profile page has rendered enough to judge: a dated tweet, X
+       * saying there are none, or a message explaining why not
+       * Runs in the page, so it only uses its arguments
+       * @param {object} lookup - { rateLimit, protectedPosts, missingPage }: messages to look for, in every language
+       * @param {Document} root - Document to read
+       * @returns {boolean}
+       */
+      function isProfileRendered(lookup, root = document) {
+        if (root.querySelector('article[data-testid="tweet"] time, [data-testid="emptyState"]')) return true;
+        const pageText = root.body ? root.body.innerText : '';
+        return [...lookup.rateLimit, ...lookup.protectedPosts, ...lookup.missingPage].some(text => pageText.includes(text));
+      }
+
+      /**
+       * Open a follower's profile and judge their activity
+       * With checkReplies, someone who looks quiet on their profile also gets
+       * their Replies tab read, since people who only reply look inactive
+       * @param {object} driver - Follower driver (see top of file)
+       * @param {string} username - Follower's username
+       * @param {object} settings - { origin, inactiveDays, config, spamRules (compiled, when spam scoring is
+       *                            on), readHeader (read the profile header even without spam scoring) }
+       * @returns {object} Activity verdict from toActivity, plus profile (from toProfileFields) when the
+       *                   header was read and score (from scoreFollower) when scored
+       */
+      async function checkFollower(driver, username, settings) {
+        const { activityArticles, checkReplies } = settings.config;
+        const lookup = {
+          rateLimit: getAllUiTexts('rateLimit'),
+          protectedPosts: getAllUiTexts('protectedPosts'),
+          missingPage: getAllUiTexts('missingPage'),
+          pinned: getAllUiTexts('pinned'),
+          articles: activityArticles,
+          username,
+          header: Boolean(settings.spamRules || settings.readHeader)
+        };
+
+        const shown = await driver.readProfile(`${settings.origin}/${username}`, lookup);
+        let seen = shown.activity;
+        const header = {};
+        if (shown.header && !seen.rateLimited) {
+          header.profile = toProfileFields(shown.header, username);
+          if (settings.spamRules) header.score = scoreFollower(header.profile, settings.spamRules, settings.config.spam.threshold);
+        }
+        if (checkReplies && !seen.rateLimited && !seen.protected && !toActivity(seen, settings.inactiveDays).hasActivity) {
+          const replies = await driver.readProfile(`${settings.origin}/${username}/with_replies`, { ...lookup, header: false });
+          seen = combineActivity(seen, replies.activity);
+        }
+        const activity = toActivity(seen, settings.inactiveDays);
+        return activity.rateLimited ? activity : { ...activity, ...header };
+      }
+
+      /**
+       * Walk the followers list and remove inactive (and, with spam scoring, spam) followers
+       * @param {object} driver - Follower driver (see top of file)
+       * @param {string} username - Your X username (without @)
+       * @param {object} options - inactiveDays, dryRun (check everyone, remove nobody),
+       *                           planUsernames (remove exactly these, without re-checking),
+       *                           journal (from openJournal), resume (skip journaled followers),
+       *                           throttle (from createThrottle), control (from createRunControl: pause
+       *                           and stop between followers), hooks (see top of file),
+       *                           origin (default https://x.com) and config (overrides for FOLLOWER_CONFIG)
+       * @returns {object} { checked, removed, spam, skipped, safe, failed, removedUsers, safeUsers, failures, planned,
+       *                   notFound, throttle, stopped } - spam counts the removed followers that scored as spam,
+       *                   safe the ones the protection list kept (safeUsers: { username, reason }), failures
+       *                   lists { username, error },
+       *                   planned lists every verdict in a dry run,
+       *                   notFound lists planned usernames the list never showed,
+       *                   stopped is true when the control stopped the run early
+       */
+      async function pruneFollowers(driver, username, options = {}) {
+        const config = resolveFollowerConfig(options.config);
+        const settings = {
+          origin: options.origin || 'https://x.com',
+          inactiveDays: options.inactiveDays || config.inactiveDays,
+          spamRules: config.spam.enabled ? compileFollowerRules(config.spam.rules) : null,
+          readHeader: Boolean(config.protect.verified || config.protect.minFollowers),
+          config
+        };
+        const allowlist = toAllowlist(config.protect.usernames);
+        const journal = options.dryRun ? null : (options.journal || null);
+        const throttle = options.throttle || createThrottle(config.backoff, config.delays.betweenFollowers);
+        const control = options.control || null;
+        const emit = createEmitter(options.hooks);
+        const planRemovals = options.planUsernames ? new Set(options.planUsernames) : null;
+
+        const summary = {
+          checked: 0,
+          removed: 0,
+          spam: 0,
+          skipped: 0,
+          safe: 0,
+          failed: 0,
+          removedUsers: [],
+          safeUsers: [],
+          failures: [],
+          planned: [],
+          notFound: [],
+          throttle: throttle.stats,
+          stopped: false
+        };
+        const processed = new Set();
+        const record = entry => journal && journal.record(entry);
+        // What hooks hear about a follower
+        const describe = (follower, action, rule) => ({ type: 'follower', id: follower, text: '', decision: { action, rule } });
+        const fail = (follower, error, reason = 'remove-failed') => {
+          summary.failed++;
+          summary.failures.push({ username: follower, error });
+          emit('onError', { ...describe(follower, 'remove', null), reason, error, final: true });
+        };
+        const keepSafe = (follower, reason) => {
+          summary.safe++;
+          summary.safeUsers.push({ username: follower, reason });
+        };
+
+        // Skip finished followers and carry totals forward; failed ones are retried
+        if (journal && options.resume) {
+          for (const entry of journal.entries()) {
+            if (!entry.username || entry.outcome !== 'success') continue;
+            processed.add(entry.username);
+            summary.checked++;
+            if (entry.action === 'remove') {
+              summary.removed++;
+              if (entry.category === 'spam') summary.spam++;
+              summary.removedUsers.push(entry.username);
+            } else if (entry.category === 'safe') {
+              keepSafe(entry.username, entry.safeBy);
+            } else {
+              summary.skipped++;
+            }
+            if (planRemovals) planRemovals.delete(entry.username);
+          }
+          console.log(`🗒️  Resuming: ${summary.checked} already checked, ${summary.removed} removed`);
+        }
+
+        // Keep going unless the control paused (wait) or stopped (false) the run
+        const proceed = async () => {
+          if (!control || await control.checkpoint()) return true;
+          summary.stopped = true;
+          return false;
+        };
+
+        console.log(`🚀 Checking followers of @${username} (inactive after ${settings.inactiveDays} days)`);
+        if (settings.spamRules) console.log(`🤖 Scoring profiles: ${settings.spamRules.length} rules, spam at ${config.spam.threshold}`);
+        if (allowlist.size > 0) console.log(`🛡️  Allowlist: ${allowlist.size} followers are never removed`);
+        if (options.dryRun) console.log('📝 Dry run - nobody will be removed');
+        if (planRemovals) console.log(`📋 Executing plan: ${planRemovals.size} followers to remove`);
+
+        const unlisten = throttle.listen(event => emit('onThrottle', event));
+        let emptyAttempts = 0;
+        try {
+          await driver.open(`${settings.origin}/${username}/followers`);
+
+          while ((!planRemovals || planRemovals.size > 0) && await proceed()) {
+            const fresh = (await driver.findFollowers()).filter(cell => !processed.has(cell.username));
+
+            if (fresh.length === 0) {
+              emptyAttempts++;
+              console.log(`⏳ No new followers found (attempt ${emptyAttempts}/${config.maxEmptyAttempts})`);
+              if (emptyAttempts >= config.maxEmptyAttempts) break;
+              await driver.scroll(config.scrollAmount);
+              continue;
+            }
+            emptyAttempts = 0;
+
+            // Cool down and look again if X is throttling us
+            if (await throttle.check(driver)) continue;
+
+            const cell = fresh[0];
+            const follower = cell.username;
+            processed.add(follower);
+            const markSafe = (reason, details = {}) => {
+              record({ username: follower, action: 'keep', outcome: 'success', category: 'safe', safeBy: reason, ...details });
+              keepSafe(follower, reason);
+              emit('onSkipped', describe(follower, 'keep', 'safe'));
+              console.log(`   🛡️  Protected (${PROTECTION_REASONS[reason]})`);
+            };
+
+            // Plan mode: remove listed followers without re-checking, pass over the rest
+            if (planRemovals) {
+              if (!planRemovals.has(follower)) continue;
+              planRemovals.delete(follower);
+              summary.checked++;
+
+              // The protection list still holds: the plan may be older than it
+              const reason = protectionReason(cell, config.protect, allowlist);
+              if (reason) {
+                console.log(`📋 Planned @${follower} is on the protection list`);
+                markSafe(reason);
+                continue;
+              }
+
+              emit('onItem', describe(follower, 'remove', 'plan'));
+              const result = await driver.removeFollower(follower);
+              record({ username: follower, action: 'remove', outcome: result.success ? 'success' : 'failed', error: result.error });
+              if (result.success) {
+                summary.removed++;
+                summary.removedUsers.push(follower);
+                emit('onDeleted', describe(follower, 'remove', 'plan'));
+                console.log(`   ✅ Removed @${follower} (planned)`);
+                throttle.success();
+              } else {
+                fail(follower, result.error);
+                console.log(`   ❌ Failed to remove @${follower}: ${result.error}`);
+                await throttle.failure(result.error);
+              }
+              await delay(throttle.pace());
+              continue;
+            }
+
+            summary.checked++;
+            console.log(`📋 Checking @${follower}...`);
+
+            // Whatever the card shows is enough to protect someone without visiting them
+            const listedReason = protectionReason(cell, config.protect, allowlist);
+            if (listedReason) {
+              if (options.dryRun) {
+                summary.planned.push({ username: follower, category: 'safe', action: 'keep', safeBy: listedReason });
+              }
+              markSafe(listedReason);
+              continue;
+            }
+
+            let activity;
+            try {
+              activity = await checkFollower(driver, follower, settings);
+            } catch (error) {
+              record({ username: follower, action: 'check', outcome: 'failed', error: error.message });
+              fail(follower, error.message, 'check-failed');
+              console.log(`   ❌ Error checking @${follower}: ${error.message}`);
+              await throttle.failure(error.message);
+              await delay(throttle.pace());
+              continue;
+            }
+
+            // Throttled: cool down and check this follower again
+            if (activity.rateLimited) {
+              processed.delete(follower);
+              summary.checked--;
+              await throttle.backoff(`toast: ${activity.message}`);
+              continue;
+            }
+            throttle.success();
+
+            // Verified and follower counts only show on the profile
+            const safeBy = activity.profile ? protectionReason({ ...cell, ...activity.profile }, config.protect, allowlist) : null;
+            const category = safeBy ? 'safe' : categorize(activity);
+            const remove = category === 'inactive' || category === 'spam';
+            const lastSeen = activity.lastTweetDate ? activity.lastTweetDate.toISOString().slice(0, 10) : 'unknown';
+            // Scores go along with every verdict, so a plan shows how close the kept ones came
+            const scored = activity.score
+              ? { score: activity.score.score, rules: activity.score.matched.map(rule => rule.name) }
+              : {};
+
+            if (options.dryRun) {
+              summary.planned.push({
+                username: follower,
+                category,
+                action: remove ? 'remove' : 'keep',
+                lastTweetDate: activity.lastTweetDate ? activity.lastTweetDate.toISOString() : null,
+                signal: activity.signal,
+                reason: activity.reason || null,
+                ...(safeBy ? { safeBy } : {}),
+                ...scored
+              });
+            }
+
+            const verdict = category === 'spam'
+              ? `🤖 Spam (${describeScore(activity.score)})`
+              : `⏰ Inactive since ${lastSeen} (from a ${activity.signal})`;
+            if (safeBy) {
+              markSafe(safeBy, { signal: activity.signal, ...scored });
+            } else if (!remove) {
+              record({ username: follower, action: 'keep', outcome: 'success', category, signal: activity.signal, ...scored });
+              summary.skipped++;
+              emit('onSkipped', describe(follower, 'keep', category));
+              console.log(category === 'active'
+                ? `   ✓ Active (last tweet: ${lastSeen}, from a ${activity.signal})`
+                : `   ✓ Skipped (${activity.reason || 'could not determine activity'})`);
+            } else if (options.dryRun) {
+              emit('onItem', describe(follower, 'remove', category));
+              console.log(`   ${verdict} - would remove`);
+            } else {
+              emit('onItem', describe(follower, 'remove', category));
+              console.log(`   ${verdict}`);
+              const result = await driver.removeFollower(follower);
+              record({ username: follower, action: 'remove', outcome: result.success ? 'success' : 'failed', category, signal: activity.signal, ...scored, error: result.error });
+              if (result.success) {
+                if (category === 'spam') summary.spam++;
+                summary.removed++;
+                summary.removedUsers.push(follower);
+                emit('onDeleted', describe(follower, 'remove', category));
+                console.log(`   ✅ Removed @${follower}`);
+              } else {
+                fail(follower, result.error);
+                console.log(`   ❌ Failed to remove @${follower}: ${result.error}`);
+                await throttle.failure(result.error);
+              }
+            }
+
+            // Rate limiting (slower while throttled)
+            await delay(throttle.pace());
+          }
+        } finally {
+          unlisten();
+          await driver.close();
+        }
+
+        if (planRemovals && planRemovals.size > 0 && !summary.stopped) {
+          summary.notFound = [...planRemovals];
+          console.log(`⚠️  ${planRemovals.size} planned followers were not found in the list`);
+        }
+
+        console.log(`\n=== Follower Check ${summary.stopped ? 'Stopped' : 'Complete'} ===`);
+        console.log(`Checked: ${summary.checked}`);
+        console.log(`Removed: ${summary.removed}${summary.spam > 0 ? ` (${summary.spam} as spam)` : ''}`);
+        console.log(`Kept: ${summary.skipped}`);
+        console.log(`Protection list kept: ${summary.safe}`);
+        console.log(`Failed: ${summary.failed}`);
+        console.log(`Throttled: ${summary.throttle.events.length} times, ${(summary.throttle.backedOffMs / 60000).toFixed(1)} min backing off`);
+        return summary;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        FOLLOWER_CONFIG,
+        ACTIVITY_SIGNALS,
+        PROTECTION_REASONS,
+        RESERVED_PATHS,
+        resolveFollowerConfig,
+        isInactive,
+        toActivity,
+        combineActivity,
+        categorize,
+        toAllowlist,
+        protectionReason,
+        readFollowerCells,
+        readProfileActivity,
+        readProfileFields,
+        toProfileFields,
+        isProfileRendered,
+        checkFollower,
+        pruneFollowers
+      };
+    }],
+
+    // src/follower-rules.js
+    "follower-rules": [{"./core":"core"}, function (module, exports, require) {
+      /**
+       * Follower Spam and Bot Rules
+       *
+       * Scores a follower's profile against weighted rules, so spam and bot
+       * followers can be removed whether or not they still tweet. Each rule
+       * that matches adds its weight (negative weights vouch for someone); a
+       * follower whose score reaches the threshold counts as spam.
+       *
+       * Rules are plain data, so they can be kept in a JSON file:
+       *
+       *   { "name": "empty-bio", "weight": 1, "field": "bio", "empty": true }
+       *   { "name": "promo-bot", "weight": 4, "all": [
+       *       { "field": "bio", "includes": ["dm for promo", "crypto"] },
+       *       { "field": "followRatio", "below": 0.1 }
+       *   ] }
+       *
+       * A condition tests one field with one of: equals, matches (a RegExp or
+       * a pattern string, case-insensitive), includes (any of these words,
+       * case-insensitive), empty, below or above. all, any and not combine
+       * conditions. A field the profile doesn't show never matches.
+       *
+       * Fields are those of a profile (see readUserResult in intercept.js, or
+       * readProfileFields in followers.js): username, name, bio, followers,
+       * following, tweets, verified, followsYou, followedByYou, defaultAvatar,
+       * createdAt; plus followRatio (followers / following) and
+       * accountAgeDays.
+       *
+       * Usage:
+       *
+       *   const rules = compileFollowerRules(DEFAULT_FOLLOWER_RULES);
+       *   const result = scoreFollower(profile, rules, 5);
+       *   if (result.spam) console.log(describeScore(result));
+       */
+
+      const { DAY_MS } = require('./core');
+
+      /**
+       * Rules that catch the usual spam and bot followers
+       */
+      const DEFAULT_FOLLOWER_RULES = [
+        { name: 'default-avatar', weight: 2, field: 'defaultAvatar', equals: true },
+        { name: 'generated-handle', weight: 2, field: 'username', matches: '^[a-z]+_?[a-z]*\\d{5,}$' },
+        { name: 'empty-bio', weight: 1, field: 'bio', empty: true },
+        { name: 'follows-far-more-than-followed', weight: 2, all: [
+          { field: 'following', above: 200 },
+          { field: 'followRatio', below: 0.05 }
+        ] },
+        { name: 'new-account', weight: 1, field: 'accountAgeDays', below: 90 },
+        { name: 'few-tweets', weight: 1, field: 'tweets', below: 5 },
+        { name: 'spam-bio', weight: 3, field: 'bio', includes: ['dm for promo', 'promotion', 'crypto', 'forex', 'onlyfans', 'giveaway', 'nft drop'] },
+        { name: 'mutual', weight: -5, field: 'followedByYou', equals: true }
+      ];
+
+      const OPERATORS = ['equals', 'matches', 'includes', 'empty', 'below', 'above'];
+
+      /**
+       * Check and prepare a condition (patterns become RegExps)
+       * @param {object} condition
+       * @param {string} path - Where it is, for error messages
+       * @returns {object}
+       */
+      function compileCondition(condition, path) {
+        if (!condition || typeof condition !== 'object') throw new Error(`${path}: expected a condition object`);
+        for (const key of ['all', 'any']) {
+          if (condition[key] !== undefined) {
+            if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+              throw new Error(`${path}: ${key} needs a list of conditions`);
+            }
+            return { [key]: condition[key].map((inner, i) => compileCondition(inner, `${path}.${key}[${i}]`)) };
+          }
+        }
+        if (condition.not !== undefined) return { not: compileCondition(condition.not, `${path}.not`) };
+
+        const operators = OPERATORS.filter(operator => condition[operator] !== undefined);
+        if (typeof condition.field !== 'string' || operators.length !== 1) {
+          throw new Error(`${path}: needs a field and one of ${OPERATORS.join(', ')} (or all, any, not)`);
+        }
+        const [operator] = operators;
+        let value = condition[operator];
+        if (operator === 'matches') {
+          try {
+            value = value instanceof RegExp ? value : new RegExp(value, 'i');
+          } catch (e) {
+            throw new Error(`${path}: ${e.message}`);
+          }
+        } else if (operator === 'includes') {
+          value = [].concat(value).map(word => String(word).toLowerCase());
+        } else if ((operator === 'below' || operator === 'above') && typeof value !== 'number') {
+          throw new Error(`${path}: ${operator} needs a number`);
+        }
+        return { field: condition.field, operator, value };
+      }
+
+      /**
+       * Check rules and prepare them for scoreFollower
+       * @param {array} rules - Rules like DEFAULT_FOLLOWER_RULES
+       * @returns {array} Compiled rules
+       */
+      function compileFollowerRules(rules) {
+        if (!Array.isArray(rules)) throw new Error('Follower rules must be a list');
+        return rules.map((rule, i) => {
+          const path = `rule ${rule && rule.name ? `"${rule.name}"` : i + 1}`;
+          if (!rule || typeof rule.name !== 'string' || typeof rule.weight !== 'number') {
+            throw new Error(`${path}: needs a name and a numeric weight`);
+          }
+          const { name, weight, ...condition } = rule;
+          return { name, weight, condition: compileCondition(condition, path) };
+        });
+      }
+
+      /**
+       * Add the derived fields rules can test
+       * @param {object} profile - Profile fields
+       * @param {number} now - Current time in ms (for tests)
+       * @returns {object} The profile plus followRatio and accountAgeDays (null when unknown)
+       */
+      function toProfileFacts(profile, now = Date.now()) {
+        const hasCounts = typeof profile.followers === 'number' && typeof profile.following === 'number';
+        let followRatio = null;
+        if (hasCounts) followRatio = profile.following > 0 ? profile.followers / profile.following : Infinity;
+        const created = profile.createdAt ? new Date(profile.createdAt) : null;
+        const accountAgeDays = created && !isNaN(created) ? Math.floor((now - created.getTime()) / DAY_MS) : null;
+        return { ...profile, followRatio, accountAgeDays };
+      }
+
+      /**
+       * Test a compiled condition against a profile
+       * @param {object} facts - From toProfileFacts
+       * @param {object} condition - From compileFollowerRules
+       * @returns {boolean}
+       */
+      function matchesCondition(facts, condition) {
+        if (condition.all) return condition.all.every(inner => matchesCondition(facts, inner));
+        if (condition.any) return condition.any.some(inner => matchesCondition(facts, inner));
+        if (condition.not) return !matchesCondition(facts, condition.not);
+
+        const value = facts[condition.field];
+        if (value === null || value === undefined) return false;
+        switch (condition.operator) {
+          case 'equals': return value === condition.value;
+          case 'matches': return condition.value.test(String(value));
+          case 'includes': return condition.value.some(word => String(value).toLowerCase().includes(word));
+          case 'empty': return (String(value).trim() === '') === Boolean(condition.value);
+          case 'below': return typeof value === 'number' && value < condition.value;
+          case 'above': return typeof value === 'number' && value > condition.value;
+          default: return false;
+        }
+      }
+
+      /**
+       * Score a follower's profile
+       * @param {object} profile - Profile fields (see top of file)
+       * @param {array} rules - From compileFollowerRules
+       * @param {number} threshold - Score at which a follower counts as spam
+       * @param {number} now - Current time in ms (for tests)
+       * @returns {object} { score, threshold, spam, matched } - matched lists { name, weight } per rule that matched
+       */
+      function scoreFollower(profile, rules, threshold, now = Date.now()) {
+        const facts = toProfileFacts(profile || {}, now);
+        const matched = rules
+          .filter(rule => matchesCondition(facts, rule.condition))
+          .map(rule => ({ name: rule.name, weight: rule.weight }));
+        const score = matched.reduce((sum, rule) => sum + rule.weight, 0);
+        return { score, threshold, spam: score >= threshold, matched };
+      }
+
+      /**
+       * One line for the log
+       * @param {object} result - From scoreFollower
+       * @returns {string} e.g. 'score 5/5: default-avatar +2, generated-handle +2, empty-bio +1'
+       */
+      function describeScore(result) {
+        const rules = result.matched.map(rule => `${rule.name} ${rule.weight >= 0 ? '+' : ''}${rule.weight}`);
+        return `score ${result.score}/${result.threshold}: ${rules.join(', ') || 'no rules matched'}`;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        DEFAULT_FOLLOWER_RULES,
+        compileFollowerRules,
+        toProfileFacts,
+        matchesCondition,
+        scoreFollower,
+        describeScore
+      };
+    }],
+
+    // src/drivers/dom-followers.js
+    "drivers/dom-followers": [{"../core":"core","../locale":"locale","./dom":"drivers/dom","../followers":"followers"}, function (module, exports, require) {
+      /**
+       * In-Page Follower Driver
+       *
+       * Drives the follower flow (see followers.js) from inside the X tab, on
+       * your followers list. This is the driver built into the follower
+       * console script. Profiles are read in a popup window, so the script
+       * keeps running on the list; the popup navigates on its own, so it is
+       * polled (waitFor in core.js) rather than observed, and closed after
+       * each read so a stale profile is never read twice.
+       *
+       * Usage (in the page, with popups allowed for x.com):
+       *
+       *   const driver = createDomFollowerDriver(config);
+       *   await pruneFollowers(driver, 'yourusername', { config });
+       */
+
+      const { waitFor } = require('../core');
+      const { getUiStrings } = require('../locale');
+      const { waitForDom, findRateLimitText } = require('./dom');
+      const {
+        FOLLOWER_CONFIG,
+        RESERVED_PATHS,
+        readFollowerCells,
+        readProfileActivity,
+        readProfileFields,
+        isProfileRendered
+      } = require('../followers');
+
+      const CELL = '[data-testid="cellInnerDiv"]';
+
+      /**
+       * Create a follower driver for the page the script runs in
+       * @param {object} config - Follower settings (delays, waits, language), default FOLLOWER_CONFIG
+       * @returns {object} Follower driver (see followers.js)
+       */
+      function createDomFollowerDriver(config = FOLLOWER_CONFIG) {
+        const waits = { ...FOLLOWER_CONFIG.waits, ...config.waits };
+        const ui = getUiStrings(config.language || document.documentElement.lang);
+        let seen429 = 0;
+
+        const lastCell = () => [...document.querySelectorAll(CELL)].pop() || null;
+        // The list is rendered once it shows a follower (or says there are none), and
+        // more have loaded after a scroll once its last cell changes
+        const listLoaded = previous => waitForDom(() => {
+          const last = lastCell();
+          return (last && last !== previous) || document.querySelector('[data-testid="emptyState"]');
+        }, { timeout: waits.loadTimeout, interval: waits.interval, floor: config.delays.scrollLoad });
+
+        return {
+          name: 'dom',
+
+          // The script can't survive a navigation, so it must be pasted on the list
+          async open(url) {
+            const target = new URL(url).pathname.toLowerCase();
+            if (location.pathname.replace(/\/$/, '').toLowerCase() !== target) {
+              throw new Error(`Open ${url} and run the script there`);
+            }
+            await listLoaded(null);
+          },
+
+          async findFollowers() {
+            return readFollowerCells(RESERVED_PATHS);
+          },
+
+          async scroll(pixels) {
+            const previous = lastCell();
+            window.scrollBy(0, pixels);
+            await listLoaded(previous);
+          },
+
+          async readProfile(url, lookup) {
+            const popup = window.open(url, 'followerCheck', 'width=800,height=600');
+            if (!popup) throw new Error('Popup blocked - allow popups for x.com');
+
+            try {
+              // Cross-origin or still blank while it loads
+              const loadedDocument = () => {
+                try {
+                  const doc = popup.document;
+                  return doc && doc.location.href !== 'about:blank' && doc.readyState !== 'loading' ? doc : null;
+                } catch (e) {
+                  return null;
+                }
+              };
+              const rendered = await waitFor(() => {
+                const doc = loadedDocument();
+                return Boolean(doc) && isProfileRendered(lookup, doc);
+              }, { timeout: waits.loadTimeout, interval: waits.interval, floor: config.delays.profileLoad });
+
+              // Loaded but showing nothing to go on: readProfileActivity says why
+              const doc = loadedDocument();
+              if (!rendered && (!doc || doc.readyState !== 'complete')) throw new Error('Profile failed to load');
+
+              const activity = readProfileActivity(lookup, doc);
+              const header = lookup.header && !activity.rateLimited ? readProfileFields(lookup.username, doc) : null;
+              return { activity, header };
+            } finally {
+              popup.close();
+            }
+          },
+
+          // Through the card's menu on the followers list
+          async removeFollower(username) {
+            try {
+              const card = [...document.querySelectorAll(CELL)].find(cell => cell.querySelector(`a[href="/${username}"]`));
+              const moreButton = card && card.querySelector('[data-testid="userActions"], [role="button"][aria-haspopup="menu"]');
+              if (!moreButton) {
+                return { success: false, error: 'No more button on card' };
+              }
+
+              const step = { timeout: waits.timeout, interval: waits.interval, floor: config.delays.betweenClicks };
+              moreButton.click();
+              await waitForDom(() => document.querySelector('[role="menuitem"]'), step);
+
+              const removeButton = [...document.querySelectorAll('[role="menuitem"]')]
+                .find(item => ui.removeFollower.some(text => item.textContent.includes(text)));
+              if (!removeButton) {
+                document.body.click(); // Close the menu
+                return { success: false, error: 'No remove button found' };
+              }
+
+              removeButton.click();
+              const confirmButton = await waitForDom(() => document.querySelector('[data-testid="confirmationSheetConfirm"]'), step);
+              if (!confirmButton) {
+                return { success: false, error: 'No confirm button' };
+              }
+
+              // Confirm, then wait for the card to leave the list
+              confirmButton.click();
+              const removed = await waitForDom(() => !card.isConnected, { ...step, floor: config.delays.afterAction });
+              // X sometimes takes the click and keeps the follower
+              return removed ? { success: true } : { success: false, error: 'Still listed after removing' };
+            } catch (e) {
+              return { success: false, error: e.message };
+            }
+          },
+
+          async checkThrottle() {
+            const toast = document.querySelector('[data-testid="toast"]');
+            const message = findRateLimitText(toast ? toast.textContent : '', '');
+            if (message) return message;
+
+            const hits = window.performance.getEntriesByType('resource').filter(entry => entry.responseStatus === 429).length;
+            const fresh = hits > seen429;
+            seen429 = hits;
+            return fresh ? 'http: 429 Too Many Requests' : null;
+          },
+
+          // Popups close after each profile, so there is nothing left open
+          async close() {}
+        };
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        createDomFollowerDriver
+      };
+    }],
+
+    // src/drivers/dom.js
+    "drivers/dom": [{"../core":"core","../locale":"locale"}, function (module, exports, require) {
+      /**
+       * In-Page DOM Driver
+       *
+       * Drives the deletion engine from inside the X tab, querying and clicking
+       * elements by their data-testid (CONFIG.selectors) and, where X has no
+       * test id, by text in the page's language (see locale.js). This is the
+       * driver built into the console script. Items are the tweet <article>
+       * elements.
+       *
+       * Each step waits for what it should bring about (the menu opening, the
+       * confirmation sheet, the tweet leaving the page, new tweets after a
+       * scroll) with waitForDom, up to CONFIG.waits; CONFIG.delays only sets
+       * the least time a step takes.
+       *
+       * readTweetElement and captureTweetElement only use their arguments, so
+       * the Playwright driver runs the same code in the page through
+       * elementHandle.evaluate.
+       *
+       * Usage (in the page):
+       *
+       *   const driver = createDomDriver();
+       *   await runDeletion(driver, 'yourusername', 'POSTS');
+       */
+
+      const { CONFIG, RATE_LIMIT_TEXTS, delay, parseLeadingCount } = require('../core');
+      const { getUiStrings, equalsUiText } = require('../locale');
+
+      /**
+       * Read what the engine needs to know about a tweet article
+       * Must stay self-contained (see top of file)
+       * @param {Element} article - Tweet article element
+       * @param {object} lookup - { selectors (CONFIG.selectors), ui (from getUiStrings) }
+       * @returns {object} { key, id, date, text, pinned, engagementLabels, repost, quote, liked } with date as an ISO string
+       */
+      function readTweetElement(article, { selectors, ui }) {
+        const timeLink = article.querySelector('a[href*="/status/"] time');
+        const href = timeLink ? timeLink.closest('a').getAttribute('href') : '';
+        const status = href.match(/\/status\/(\d+)/);
+        const id = status ? status[1] : null;
+
+        // Tweets without a status link (ads, tombstones) still need a stable key
+        if (!id && !article.dataset.xDeleterKey) {
+          article.dataset.xDeleterKey = `el-${Math.random().toString(36).slice(2)}`;
+        }
+
+        const time = article.querySelector('time');
+        const context = article.querySelector(selectors.socialContext);
+        const contextText = context ? context.textContent : '';
+        const pinned = ui.pinned.some(label => contextText.includes(label));
+        const text = article.querySelector(selectors.tweetText);
+
+        // Engagement labels ("12 Likes. Like") by test id, so the metric is known in any
+        // language; toItemInfo reads the counts
+        const engagementLabels = {};
+        const metricSelectors = {
+          replies: selectors.replyButton,
+          reposts: `${selectors.retweetButton}, ${selectors.unretweetButton}`,
+          likes: `${selectors.likeButton}, ${selectors.unlikeButton}`,
+          views: 'a[href$="/analytics"]'
+        };
+        for (const [metric, selector] of Object.entries(metricSelectors)) {
+          const button = article.querySelector(selector);
+          engagementLabels[metric] = button ? button.getAttribute('aria-label') || '' : '';
+        }
+
+        return {
+          key: id || article.dataset.xDeleterKey,
+          id,
+          date: time ? time.getAttribute('datetime') : null,
+          text: text ? text.textContent : '',
+          pinned,
+          engagementLabels,
+          // Reposts carry a "You reposted" header and the unretweet button (told
+          // apart from the "Pinned" header by test id, whatever the language);
+          // quote tweets are our own posts with a second tweet (the quoted one) inside
+          repost: Boolean(contextText) && !pinned && Boolean(article.querySelector(selectors.unretweetButton)),
+          quote: article.querySelectorAll(selectors.userName).length > 1,
+          // Replies carry "Replying to @bob"; the Replies tab lists standalone posts too
+          reply: ui.replyingTo.some(label => article.textContent.includes(label)),
+          liked: Boolean(article.querySelector(selectors.unlikeButton))
+        };
+      }
+
+      /**
+       * Capture a tweet article for the backup, right before deleting it
+       * Must stay self-contained (see top of file)
+       * @param {Element} article - Tweet article element
+       * @param {object} lookup - { selectors (CONFIG.selectors), ui (from getUiStrings) }
+       * @returns {object} { id, permalink, date, text, media, quoted, replyTo }
+       */
+      function captureTweetElement(article, { selectors, ui }) {
+        const timeLink = article.querySelector('a[href*="/status/"] time');
+        const href = timeLink ? timeLink.closest('a').getAttribute('href') : '';
+        const status = href.match(/\/status\/(\d+)/);
+        const id = status ? status[1] : null;
+
+        const time = article.querySelector('time');
+        const text = article.querySelector(selectors.tweetText);
+        const statuses = [...article.querySelectorAll('a[href*="/status/"]')]
+          .map(a => a.getAttribute('href').match(/^\/[^/]+\/status\/(\d+)/))
+          .filter(Boolean);
+        const own = statuses.find(match => match[1] === id);
+        const quoted = statuses.find(match => match[1] !== id);
+        // "Replying to @bob", in the page's language
+        let replyTo = null;
+        for (const label of ui.replyingTo) {
+          const at = article.textContent.indexOf(label);
+          replyTo = at >= 0 ? article.textContent.slice(at + label.length).match(/^[\s:：]*@(\w+)/) : null;
+          if (replyTo) break;
+        }
+        const media = [
+          ...[...article.querySelectorAll('img[src*="pbs.twimg.com/media"]')].map(img => img.src),
+          ...[...article.querySelectorAll('video')].map(video => video.src || video.poster)
+        ].filter(Boolean);
+
+        return {
+          id,
+          permalink: own ? `https://x.com${own[0]}` : null,
+          date: time ? time.getAttribute('datetime') : null,
+          text: text ? text.textContent : '',
+          media: [...new Set(media)],
+          quoted: quoted ? `https://x.com${quoted[0]}` : null,
+          replyTo: replyTo ? `@${replyTo[1]}` : null
+        };
+      }
+
+      /**
+       * Turn readTweetElement's result into engine item metadata
+       * @param {object} info - From readTweetElement
+       * @returns {object} Same, with date as a Date (or null) and engagement counts in place of
+       *                   their labels (null for a count that doesn't parse)
+       */
+      function toItemInfo(info) {
+        const { engagementLabels, ...rest } = info;
+        const date = info.date ? new Date(info.date) : null;
+        const engagement = {};
+        for (const [metric, label] of Object.entries(engagementLabels || {})) {
+          engagement[metric] = parseLeadingCount(label);
+        }
+        return { ...rest, date: date && !isNaN(date.getTime()) ? date : null, engagement };
+      }
+
+      /**
+       * Complete a captureTweetElement result into a backup record
+       * @param {object} capture - From captureTweetElement
+       * @param {object} info - Item metadata from readItem
+       * @param {string} username - X username (without @), for the permalink fallback
+       * @returns {object} { id, permalink, date, text, media, quoted, replyTo, engagement, capturedAt }
+       */
+      function toBackupRecord(capture, info, username) {
+        return {
+          ...capture,
+          permalink: capture.permalink || (capture.id ? `https://x.com/${username}/status/${capture.id}` : null),
+          engagement: info.engagement,
+          capturedAt: new Date().toISOString()
+        };
+      }
+
+      /**
+       * Find X's throttling message in a toast or on the page
+       * @param {string} toastText - Text of the toast, if one is showing
+       * @param {string} pageText - Visible text of the page
+       * @returns {string|null} Reason, or null if the page looks normal
+       */
+      function findRateLimitText(toastText, pageText) {
+        if (toastText && (/something went wrong|rate limit/i.test(toastText) || RATE_LIMIT_TEXTS.some(t => toastText.includes(t)))) {
+          return `toast: ${toastText.trim()}`;
+        }
+        const text = RATE_LIMIT_TEXTS.find(t => pageText.includes(t));
+        return text ? `toast: ${text}` : null;
+      }
+
+      /**
+       * Wait until the page reaches a condition
+       * Checks again on every DOM change, and every interval for changes that
+       * don't touch the DOM, so a step moves on as soon as X renders
+       * @param {function} check - Returns something truthy once the condition holds
+       * @param {object} options - { timeout, interval, floor } as for waitFor in core.js
+       * @returns {Promise<*>} What check returned, or null when the timeout passed first
+       */
+      async function waitForDom(check, options = {}) {
+        const timeout = options.timeout ?? CONFIG.waits.timeout;
+        const interval = Math.max(1, options.interval ?? CONFIG.waits.interval);
+
+        const settled = new Promise(resolve => {
+          const first = check();
+          if (first || timeout <= 0) {
+            resolve(first || null);
+            return;
+          }
+
+          let done = false;
+          const finish = value => {
+            if (done) return;
+            done = true;
+            observer.disconnect();
+            clearInterval(poll);
+            clearTimeout(timer);
+            resolve(value);
+          };
+          const test = () => {
+            const value = check();
+            if (value) finish(value);
+          };
+          const observer = new MutationObserver(test);
+          observer.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true });
+          const poll = setInterval(test, interval);
+          const timer = setTimeout(() => finish(null), timeout);
+        });
+
+        const [value] = await Promise.all([settled, delay(options.floor || 0)]);
+        return value;
+      }
+
+      /**
+       * Create a driver for the page the script runs in
+       * @param {object} config - Settings (delays, waits, selectors), default CONFIG
+       * @returns {object} Driver (see engine.js)
+       */
+      function createDomDriver(config = CONFIG) {
+        const selectors = { ...CONFIG.selectors, ...config.selectors };
+        const waits = { ...CONFIG.waits, ...config.waits };
+        const ui = getUiStrings(config.language || document.documentElement.lang);
+        let seen429 = 0;
+
+        const throttled = () => {
+          const toast = document.querySelector(selectors.toast);
+          return Boolean(findRateLimitText(toast ? toast.textContent : '', ''));
+        };
+        // Click, then wait for the click's effect to show (or the timeout to pass)
+        const click = async (element, floor, until) => {
+          element.click();
+          await waitForDom(until, { timeout: waits.timeout, interval: waits.interval, floor });
+        };
+        const missing = (reason, error) => ({ ok: false, reason, error });
+
+        return {
+          name: 'dom',
+
+          // The script can't survive a navigation, so each pass must run on its own tab
+          async open(url) {
+            const target = new URL(url).pathname.toLowerCase();
+            if (location.pathname.replace(/\/$/, '').toLowerCase() !== target) {
+              throw new Error(`Open ${url} and run the script there`);
+            }
+            window.scrollTo(0, 0);
+            // The profile timeline is rendered once it shows tweets or says it has none
+            await waitForDom(() => document.querySelector(`${selectors.tweet}, ${selectors.emptyState}`), {
+              timeout: waits.loadTimeout,
+              interval: waits.interval,
+              floor: config.delays.scrollLoad
+            });
+          },
+
+          async findItems() {
+            return [...document.querySelectorAll(selectors.tweet)];
+          },
+
+          async readItem(article) {
+            return toItemInfo(readTweetElement(article, { selectors, ui }));
+          },
+
+          async captureItem(article, info, username) {
+            return toBackupRecord(captureTweetElement(article, { selectors, ui }), info, username);
+          },
+
+          async openMenu(article, menu) {
+            if (menu === 'repost') {
+              const unretweetBtn = article.querySelector(selectors.unretweetButton);
+              if (!unretweetBtn) return missing('menu-missing', 'No unretweet button');
+              await click(unretweetBtn, config.delays.betweenClicks, () => document.querySelector(selectors.unretweetConfirm));
+              return { ok: true };
+            }
+
+            const moreBtn = article.querySelector(selectors.moreButton);
+            if (!moreBtn) return missing('menu-missing', 'No More button');
+            await click(moreBtn, config.delays.betweenClicks, () => document.querySelector(selectors.deleteButton));
+            return { ok: true };
+          },
+
+          async chooseAction(article, action) {
+            if (action === 'delete') {
+              const menuItems = [...document.querySelectorAll(selectors.deleteButton)];
+              const deleteBtn = menuItems.find(item => equalsUiText(item.textContent, ui.delete));
+              if (!deleteBtn) {
+                // A menu without Delete means the tweet isn't ours
+                return menuItems.length > 0
+                  ? missing('not-owned', 'No Delete button in menu')
+                  : missing('menu-missing', 'Menu did not open');
+              }
+              await click(deleteBtn, config.delays.betweenClicks, () => document.querySelector(selectors.confirmButton));
+              return { ok: true };
+            }
+
+            if (action === 'undo-repost') {
+              const confirmBtn = document.querySelector(selectors.unretweetConfirm);
+              if (!confirmBtn) return missing('confirm-missing', 'No unretweet confirm');
+              await click(confirmBtn, config.delays.afterDeletion,
+                () => !article.isConnected || !article.querySelector(selectors.unretweetButton) || throttled());
+              return { ok: true };
+            }
+
+            const liking = action === 'like';
+            const button = article.querySelector(liking ? selectors.likeButton : selectors.unlikeButton);
+            if (!button) return missing('menu-missing', 'No unlike button');
+            await click(button, config.delays.afterDeletion,
+              () => !article.isConnected || Boolean(article.querySelector(selectors.unlikeButton)) === liking || throttled());
+            return { ok: true };
+          },
+
+          async confirm(article) {
+            const confirmBtn = document.querySelector(selectors.confirmButton);
+            if (!confirmBtn) return missing('confirm-missing', 'No confirm button');
+            await click(confirmBtn, config.delays.afterDeletion, () => !article.isConnected || throttled());
+            return { ok: true };
+          },
+
+          async scroll(pixels) {
+            const before = new Set(document.querySelectorAll(selectors.tweet));
+            window.scrollBy(0, pixels);
+            await waitForDom(() => [...document.querySelectorAll(selectors.tweet)].some(article => !before.has(article)), {
+              timeout: waits.loadTimeout,
+              interval: waits.interval,
+              floor: config.delays.scrollLoad
+            });
+          },
+
+          async dismiss() {
+            document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+            await waitForDom(() => !document.querySelector(`${selectors.deleteButton}, ${selectors.confirmButton}, ${selectors.unretweetConfirm}`), {
+              timeout: waits.timeout,
+              interval: waits.interval,
+              floor: config.delays.betweenClicks
+            });
+          },
+
+          async hasItem(article) {
+            return document.contains(article);
+          },
+
+          async rateLimitMessage() {
+            const toast = document.querySelector(selectors.toast);
+            return findRateLimitText(toast ? toast.textContent : '', document.body.innerText);
+          },
+
+          async checkThrottle() {
+            const message = await this.rateLimitMessage();
+            if (message) return message;
+
+            const hits = window.performance.getEntriesByType('resource').filter(entry => entry.responseStatus === 429).length;
+            const fresh = hits > seen429;
+            seen429 = hits;
+            return fresh ? 'http: 429 Too Many Requests' : null;
+          }
+        };
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        createDomDriver,
+        waitForDom,
+        readTweetElement,
+        captureTweetElement,
+        toItemInfo,
+        toBackupRecord,
+        findRateLimitText
+      };
+    }],
+
+    // src/panel.js
+    "panel": [{"./core":"core"}, function (module, exports, require) {
+      /**
+       * Console Control Panel
+       *
+       * The floating panel the console script puts on the X tab, so a run can
+       * be started, paused, resumed and stopped without touching DevTools:
+       * live counters (deleted, kept, failed, rate, ETA), the tweet being
+       * worked on, the delays (edits apply from the next tweet) and a log of
+       * errors.
+       *
+       * The buttons drive a run control (see createRunControl in core.js),
+       * which the engine checks between tweets, and the engine's hooks (see
+       * engine.js) update the counters. The follower script uses it too, with
+       * options.labels naming followers and removals instead.
+       *
+       * Usage:
+       *
+       *   const panel = createControlPanel({ title: 'X Content Deleter', config });
+       *   await panel.started;
+       *   const summary = await runAllDeletion(driver, username, { control: panel.control, hooks: panel.hooks, config });
+       *   panel.finish('Done');
+       */
+
+      const { createRunControl, parseCount } = require('./core');
+
+      const PANEL_ID = 'x-deleter-panel';
+
+      // Errors kept on screen; older ones are still in the console
+      const MAX_LOG_LINES = 50;
+
+      /**
+       * Format a duration for the panel
+       * @param {number} ms
+       * @returns {string} e.g. '45s', '12m 05s', '2h 10m'
+       */
+      function formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        const pad = value => String(value).padStart(2, '0');
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+        return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds / 60) % 60)}m`;
+      }
+
+      /**
+       * Estimate the time left from the pace so far
+       * @param {number} done - Items finished (removed, kept or failed)
+       * @param {number|null} total - Items expected, when known
+       * @param {number} activeMs - Time spent running, pauses left out
+       * @returns {number|null} ms, or null when there is nothing to go on
+       */
+      function estimateRemaining(done, total, activeMs) {
+        if (!total || done === 0 || activeMs <= 0) return null;
+        return Math.max(0, total - done) * (activeMs / done);
+      }
+
+      /**
+       * Read the item count X shows under the profile name ("1,234 posts")
+       * Only a guide for the ETA: it counts reposts and replies too
+       * @param {object} root - Document to read
+       * @returns {number|null}
+       */
+      function readProfileCount(root = document) {
+        const column = root.querySelector('[data-testid="primaryColumn"]');
+        if (!column) return null;
+        for (const element of column.querySelectorAll('h2 ~ div, h2 + div')) {
+          const match = (element.textContent || '').trim().match(/^([\d.,]+\s*[KkMm]?)\s+\S+$/);
+          if (match) return parseCount(match[1]);
+        }
+        return null;
+      }
+
+      /**
+       * Add the control panel to the page
+       * @param {object} options - { title, config (its delays become editable), total (items expected,
+       *                           for the ETA), dryRun (count planned deletions instead),
+       *                           autoStart (skip waiting for Start), labels ({ item, deleted,
+       *                           planned }, default { item: 'tweet', deleted: 'Deleted',
+       *                           planned: 'Would delete' }) }
+       * @returns {object} { control, hooks, started, setTotal, log, finish, remove } - started
+       *                   resolves when Start is pressed
+       */
+      function createControlPanel(options = {}) {
+        const config = options.config || {};
+        const labels = { item: 'tweet', deleted: 'Deleted', planned: 'Would delete', ...options.labels };
+        const counts = { deleted: 0, kept: 0, failed: 0 };
+        let total = options.total || null;
+        let startedAt = null;
+        let pausedAt = null;
+        let pausedMs = 0;
+        let timer = null;
+
+        const existing = document.getElementById(PANEL_ID);
+        if (existing) existing.remove();
+
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.style.cssText = 'position:fixed;top:12px;right:12px;z-index:2147483647;width:300px;padding:12px;' +
+          'background:#fff;color:#0f1419;border:1px solid #cfd9de;border-radius:12px;box-shadow:0 4px 16px rgba(0,0,0,.2);' +
+          'font:13px/1.4 system-ui,sans-serif';
+        panel.innerHTML = `
+          <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+            <strong data-panel="title"></strong>
+            <span data-panel="state" style="color:#536471">Ready</span>
+          </div>
+          <div style="display:flex;gap:6px;margin-bottom:8px">
+            <button data-panel="start">▶️ Start</button>
+            <button data-panel="pause" disabled>⏸️ Pause</button>
+            <button data-panel="stop" disabled>⏹️ Stop</button>
+          </div>
+          <div data-panel="counts" style="display:grid;grid-template-columns:1fr 1fr;gap:2px 12px"></div>
+          <div data-panel="current" style="margin-top:8px;color:#536471;white-space:nowrap;overflow:hidden;text-overflow:ellipsis"></div>
+          <details style="margin-top:8px">
+            <summary>Delays (ms)</summary>
+            <div data-panel="delays" style="display:grid;grid-template-columns:1fr 80px;gap:4px;margin-top:4px"></div>
+          </details>
+          <div data-panel="log" style="margin-top:8px;max-height:120px;overflow:auto;color:#b42318;font-size:12px"></div>
+        `;
+        const part = name => panel.querySelector(`[data-panel="${name}"]`);
+        part('title').textContent = options.title || 'X Deleter';
+
+        // Delays are read from config on every use, so edits apply from the next item
+        for (const [name, value] of Object.entries(config.delays || {})) {
+          const label = document.createElement('label');
+          label.textContent = name;
+          const input = document.createElement('input');
+          input.type = 'number';
+          input.min = '0';
+          input.step = '50';
+          input.value = String(value);
+          input.addEventListener('change', () => {
+            const ms = Number(input.value);
+            if (Number.isFinite(ms) && ms >= 0) config.delays[name] = ms;
+            else input.value = String(config.delays[name]);
+          });
+          part('delays').append(label, input);
+        }
+
+        const activeMs = () => (startedAt ? (pausedAt || Date.now()) - startedAt - pausedMs : 0);
+
+        const render = () => {
+          const done = counts.deleted + counts.kept + counts.failed;
+          const minutes = activeMs() / 60000;
+          const remaining = estimateRemaining(done, total, activeMs());
+          const rows = [
+            [options.dryRun ? labels.planned : labels.deleted, counts.deleted],
+            ['Kept', counts.kept],
+            ['Failed', counts.failed],
+            ['Rate', minutes > 0 ? `${(counts.deleted / minutes).toFixed(1)}/min` : '—'],
+            ['Elapsed', formatDuration(activeMs())],
+            ['ETA', remaining === null ? '—' : formatDuration(remaining)]
+          ];
+          part('counts').innerHTML = '';
+          for (const [name, value] of rows) {
+            const cell = document.createElement('span');
+            cell.textContent = `${name}: ${value}`;
+            part('counts').append(cell);
+          }
+        };
+
+        const setState = (text, buttons) => {
+          part('state').textContent = text;
+          part('start').disabled = !buttons.start;
+          part('pause').disabled = !buttons.pause;
+          part('stop').disabled = !buttons.stop;
+        };
+
+        const log = message => {
+          const line = document.createElement('div');
+          line.textContent = `${new Date().toLocaleTimeString()} ${message}`;
+          part('log').prepend(line);
+          while (part('log').children.length > MAX_LOG_LINES) part('log').lastChild.remove();
+        };
+
+        const control = createRunControl();
+        const label = item => `${item.type} ${item.id || ''}`.trim();
+        const hooks = {
+          onItem(item) {
+            if (item.decision.action === 'keep') return;
+            part('current').textContent = `Working on ${label(item)}${item.text ? `: ${item.text.slice(0, 140)}` : ''}`;
+            // A dry run decides and moves on, so deciding is the whole job
+            if (options.dryRun) counts.deleted++;
+            render();
+          },
+          onDeleted() {
+            counts.deleted++;
+            render();
+          },
+          onSkipped() {
+            counts.kept++;
+            render();
+          },
+          onError(item) {
+            if (item.final) counts.failed++;
+            log(item.final ? `❌ ${label(item)}: ${item.reason} (${item.error})` : `↻ ${label(item)}: ${item.error}, retrying`);
+            render();
+          },
+          onThrottle(event) {
+            log(`🐢 ${event.reason}, cooling down ${formatDuration(event.waitMs)}`);
+          }
+        };
+
+        let markStarted;
+        const started = new Promise(resolve => { markStarted = resolve; });
+        const start = () => {
+          startedAt = Date.now();
+          setState('Running', { pause: true, stop: true });
+          timer = setInterval(render, 1000);
+          markStarted();
+        };
+
+        part('start').addEventListener('click', start);
+        part('pause').addEventListener('click', () => {
+          if (control.state() === 'running') {
+            control.pause();
+            pausedAt = Date.now();
+            part('pause').textContent = '▶️ Resume';
+            setState(`Paused (after this ${labels.item})`, { pause: true, stop: true });
+          } else if (control.state() === 'paused') {
+            control.resume();
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+            part('pause').textContent = '⏸️ Pause';
+            setState('Running', { pause: true, stop: true });
+          }
+        });
+        part('stop').addEventListener('click', () => {
+          if (pausedAt) {
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+          }
+          control.stop();
+          setState(`Stopping after this ${labels.item}…`, {});
+        });
+
+        document.body.append(panel);
+        render();
+        if (options.autoStart) start();
+
+        return {
+          control,
+          hooks,
+          started,
+
+          /**
+           * Set the number of items expected, for the ETA
+           * @param {number|null} count
+           */
+          setTotal(count) {
+            total = count;
+            render();
+          },
+
+          log,
+
+          /**
+           * Show the run as over and stop the clock
+           * @param {string} message - e.g. 'Done' or 'Stopped'
+           */
+          finish(message) {
+            clearInterval(timer);
+            render();
+            part('current').textContent = '';
+            setState(message, {});
+          },
+
+          remove() {
+            clearInterval(timer);
+            panel.remove();
+          }
+        };
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        createControlPanel,
+        formatDuration,
+        estimateRemaining,
+        readProfileCount
+      };
+    }],
+
+    // src/plan-format.js
+    "plan-format": [{}, function (module, exports, require) {
+      /**
+       * Plan Format
+       *
+       * Builds dry-run plans (see plan.js for the format). Kept apart from
+       * plan.js, which reads and writes files and drives runs, so the console
+       * scripts can bundle the same builder.
+       *
+       * Usage:
+       *
+       *   const plan = createPlan('content', 'yourusername', summary.planned, options);
+       */
+
+      const PLAN_VERSION = 1;
+
+      /**
+       * Build a plan from recorded decisions
+       * Items are deduplicated by ID (the replies tab repeats your posts),
+       * keeping the first decision seen
+       * @param {string} kind - 'content' or 'followers'
+       * @param {string} username - X username (without @)
+       * @param {array} entries - Decisions: { id, type, action, rule, ... }
+       * @param {object} options - Options the dry run used, stored for reference
+       * @returns {object} Plan
+       */
+      function createPlan(kind, username, entries, options = {}) {
+        const seen = new Set();
+        const items = entries.filter(entry => {
+          if (!entry.id) return true;
+          if (seen.has(entry.id)) return false;
+          seen.add(entry.id);
+          return true;
+        });
+
+        return {
+          version: PLAN_VERSION,
+          kind,
+          username,
+          createdAt: new Date().toISOString(),
+          options,
+          counts: countPlanItems(kind, items),
+          items
+        };
+      }
+
+      /**
+       * Count plan items by category
+       * @param {string} kind - 'content' or 'followers'
+       * @param {array} items - Plan items
+       * @returns {object} Content: deletions per type plus kept.
+       *                   Followers: verdicts per category.
+       */
+      function countPlanItems(kind, items) {
+        if (kind === 'followers') {
+          const counts = { inactive: 0, spam: 0, active: 0, protected: 0, safe: 0, unknown: 0 };
+          for (const item of items) {
+            counts[item.category] = (counts[item.category] || 0) + 1;
+          }
+          return counts;
+        }
+
+        const counts = { post: 0, reply: 0, repost: 0, quote: 0, like: 0, kept: 0 };
+        for (const item of items) {
+          if (item.action === 'delete') {
+            counts[item.type]++;
+          } else {
+            counts.kept++;
+          }
+        }
+        return counts;
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        PLAN_VERSION,
+        createPlan,
+        countPlanItems
+      };
+    }],
+
+    // src/console-files.js
+    "console-files": [{}, function (module, exports, require) {
+      /**
+       * Console Script Files
+       *
+       * What the console scripts keep instead of files on disk: the journal
+       * lives in localStorage (one key per entry, so every write is an append
+       * and a reload loses nothing), and plans and backups are offered as
+       * downloads.
+       *
+       * Usage (in the page):
+       *
+       *   const journal = openLocalJournal('yourusername');
+       *   journal.record({ id: '1234', contentType: 'POSTS', action: 'delete', outcome: 'success' });
+       *   downloadJson('plan.json', plan);
+       */
+
+      /**
+       * Get the key an entry is tracked by (tweet ID or follower username)
+       * @param {object} entry - Journal entry
+       * @returns {string|null}
+       */
+      function entryKey(entry) {
+        return entry.id || entry.username || null;
+      }
+
+      /**
+       * Open the crash-safe localStorage journal for a user
+       * Same interface as journal.js's openJournal
+       * @param {string} username - X username (without @)
+       * @param {string} name - Journal name, so each script keeps its own
+       * @returns {object} { record, isCompleted, latest, totals, entries, clear, count }
+       */
+      function openLocalJournal(username, name = 'x-deleter-journal') {
+        const journalKey = `${name}:${username}`;
+        const latestByKey = new Map();
+        let count = parseInt(localStorage.getItem(`${journalKey}:count`) || '0', 10);
+
+        for (let i = 0; i < count; i++) {
+          const entry = JSON.parse(localStorage.getItem(`${journalKey}:${i}`) || 'null');
+          if (entry && entryKey(entry)) latestByKey.set(entryKey(entry), entry);
+        }
+
+        return {
+          record(entry) {
+            const stamped = { ts: new Date().toISOString(), ...entry };
+            localStorage.setItem(`${journalKey}:${count}`, JSON.stringify(stamped));
+            localStorage.setItem(`${journalKey}:count`, String(++count));
+            if (entryKey(stamped)) latestByKey.set(entryKey(stamped), stamped);
+          },
+
+          isCompleted(key) {
+            const entry = latestByKey.get(key);
+            return Boolean(entry && entry.outcome === 'success');
+          },
+
+          latest(key) {
+            return latestByKey.get(key);
+          },
+
+          totals(contentType) {
+            const totals = { failed: 0 };
+            for (const entry of latestByKey.values()) {
+              if (contentType && entry.contentType !== contentType) continue;
+              if (entry.outcome === 'success') {
+                totals[entry.action] = (totals[entry.action] || 0) + 1;
+              } else {
+                totals.failed++;
+              }
+            }
+            return totals;
+          },
+
+          entries() {
+            return [...latestByKey.values()];
+          },
+
+          clear() {
+            for (let i = 0; i < count; i++) localStorage.removeItem(`${journalKey}:${i}`);
+            localStorage.removeItem(`${journalKey}:count`);
+            latestByKey.clear();
+            count = 0;
+          },
+
+          count() {
+            return count;
+          }
+        };
+      }
+
+      /**
+       * Offer a file download from the page
+       * @param {string} filename
+       * @param {string} content
+       * @param {string} type - MIME type
+       */
+      function download(filename, content, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+      }
+
+      /**
+       * Offer data as a pretty-printed JSON download
+       * @param {string} filename
+       * @param {*} data
+       */
+      function downloadJson(filename, data) {
+        download(filename, JSON.stringify(data, null, 2), 'application/json');
+      }
+
+      /**
+       * Export for use in modules
+       */
+      module.exports = {
+        openLocalJournal,
+        download,
+        downloadJson
+      };
+    }]
+  };
+
+  const cache = {};
+  const load = id => {
+    if (!cache[id]) {
+      const [requires, factory] = modules[id];
+      cache[id] = { exports: {} };
+      factory(cache[id], cache[id].exports, specifier => load(requires[specifier]));
+    }
+    return cache[id].exports;
+  };
+
+  await load("console-followers").main(CONFIG);
+})();
@@ -0,0 +1,210 @@
+/**
+ * Console Script Builder
+ *
+ * Bundles each console entry (src/console.js, src/console-followers.js)
+ * and every module it requires into one script that can be pasted into
+ * the DevTools console, so the console scripts run the same engine,
+ * follower flow and rules as the Node tools instead of keeping their own
+ * copies.
+ *
+ * The CONFIG block between `// CONFIG START` and `// CONFIG END` in an
+ * entry is copied to the top of its output, where users edit it before
+ * pasting.
+ *
+ * Usage:
+ *
+ *   node scripts/build-console.js           # write the scripts in console/
+ *   node scripts/build-console.js --check   # exit 1 if any is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const CONSOLE_DIR = path.join(__dirname, '..', 'console');
+
+const GENERATED = `
+ * GENERATED by scripts/build-console.js from src/ - do not edit by hand.
+ * Change the sources, then run: node scripts/build-console.js
+ *`;
+
+/**
+ * The console scripts: entry module, output file and the header users read first
+ */
+const BUNDLES = [
+  {
+    entry: 'console',
+    output: path.join(CONSOLE_DIR, 'delete-x-content.js'),
+    header: `/**
+ * X Content Deleter - Browser Console Script
+ *${GENERATED}
+ * 1. Open your X profile (x.com/yourusername), its Replies tab or its Likes tab
+ * 2. Open DevTools Console (F12 or Cmd+Option+J)
+ * 3. Adjust CONFIG below, then paste this whole file and press Enter
+ *
+ * The profile tab deletes posts and quote tweets, then undoes reposts.
+ * The Replies tab deletes replies; the Likes tab unlikes.
+ */
+`
+  },
+  {
+    entry: 'console-followers',
+    output: path.join(CONSOLE_DIR, 'remove-inactive-followers.js'),
+    header: `/**
+ * Remove Inactive Followers - Browser Console Script
+ *${GENERATED}
+ * 1. Open your followers list (x.com/yourusername/followers)
+ * 2. Open DevTools Console (F12 or Cmd+Option+J)
+ * 3. Adjust CONFIG below, then paste this whole file and press Enter
+ *
+ * Removes followers who haven't tweeted in CONFIG.inactiveDays using X's
+ * "Remove this follower" feature, checking each profile in a popup
+ * (allow popups for x.com). With CONFIG.spam.enabled, followers whose
+ * profile scores as spam or a bot go too, active or not. Followers on
+ * the protection list (CONFIG.protect) are never removed.
+ */
+`
+  }
+];
+
+/**
+ * Find the local modules a source file requires
+ * @param {string} source - Module source
+ * @returns {array} Specifiers such as './core' or '../core'
+ */
+function findRequires(source) {
+  return [...source.matchAll(/require\('(\.{1,2}\/[^']+)'\)/g)].map(match => match[1]);
+}
+
+/**
+ * Collect a module and its local dependencies
+ * @param {string} id - Module path relative to src/, without .js (e.g. 'drivers/dom')
+ * @param {Map} modules - id -> { source, requires }, filled in dependency order
+ * @returns {Map}
+ */
+function collectModules(id, modules = new Map()) {
+  if (modules.has(id)) return modules;
+
+  const source = fs.readFileSync(path.join(SRC_DIR, `${id}.js`), 'utf8');
+  const requires = {};
+  modules.set(id, { source, requires });
+
+  for (const specifier of findRequires(source)) {
+    const resolved = path.posix.join(path.posix.dirname(id), specifier);
+    if (resolved.startsWith('..')) {
+      throw new Error(`${id}.js requires ${specifier}, outside src/`);
+    }
+    requires[specifier] = resolved;
+    collectModules(resolved, modules);
+  }
+
+  return modules;
+}
+
+/**
+ * Read the user-editable CONFIG block from an entry module
+ * @param {string} source - Entry module source
+ * @param {string} entry - Entry id, for the error message
+ * @returns {string}
+ */
+function extractConfig(source, entry = 'console') {
+  const match = source.match(/\/\/ CONFIG START\n([\s\S]*?)\/\/ CONFIG END/);
+  if (!match) {
+    throw new Error(`src/${entry}.js has no // CONFIG START ... // CONFIG END block`);
+  }
+  return match[1].trim();
+}
+
+/**
+ * Indent every non-empty line
+ * @param {string} text
+ * @param {string} prefix
+ * @returns {string}
+ */
+function indent(text, prefix) {
+  return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+/**
+ * Build a console script
+ * @param {object} bundle - One of BUNDLES, default the content deleter
+ * @returns {string} Script source
+ */
+function buildConsole(bundle = BUNDLES[0]) {
+  const { entry, header } = bundle;
+  const modules = collectModules(entry);
+  const config = extractConfig(modules.get(entry).source, entry);
+
+  // Node-only modules (fs, path) would fail in the page, so catch them here
+  for (const [id, { source }] of modules) {
+    const builtin = source.match(/require\('([^.'][^']*)'\)/);
+    if (builtin) {
+      throw new Error(`${id}.js requires '${builtin[1]}', which the console script can't load`);
+    }
+  }
+
+  const definitions = [...modules].map(([id, { source, requires }]) => [
+    `  // src/${id}.js`,
+    `  ${JSON.stringify(id)}: [${JSON.stringify(requires)}, function (module, exports, require) {`,
+    indent(source.trim(), '    '),
+    '  }]'
+  ].join('\n'));
+
+  return `${header}
+(async () => {
+${indent(config, '  ')}
+
+  const modules = {
+${indent(definitions.join(',\n\n'), '  ')}
+  };
+
+  const cache = {};
+  const load = id => {
+    if (!cache[id]) {
+      const [requires, factory] = modules[id];
+      cache[id] = { exports: {} };
+      factory(cache[id], cache[id].exports, specifier => load(requires[specifier]));
+    }
+    return cache[id].exports;
+  };
+
+  await load(${JSON.stringify(entry)}).main(CONFIG);
+})();
+`;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  BUNDLES,
+  buildConsole,
+  collectModules,
+  extractConfig
+};
+
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+  let stale = false;
+
+  for (const bundle of BUNDLES) {
+    const script = buildConsole(bundle);
+    const output = path.relative(process.cwd(), bundle.output);
+
+    if (check) {
+      const current = fs.existsSync(bundle.output) ? fs.readFileSync(bundle.output, 'utf8') : '';
+      if (current !== script) {
+        console.error(`${output} is out of date; run node scripts/build-console.js`);
+        stale = true;
+      } else {
+        console.log(`${output} is up to date`);
+      }
+    } else {
+      fs.mkdirSync(path.dirname(bundle.output), { recursive: true });
+      fs.writeFileSync(bundle.output, script);
+      console.log(`Wrote ${output} (${(script.length / 1024).toFixed(1)} KB)`);
+    }
+  }
+
+  if (stale) process.exit(1);
+}
@@ -0,0 +1,82 @@
+/**
+ * Backup HTML View
+ *
+ * Renders captured tweets (see backup.js) as a self-contained offline
+ * page. Kept apart from backup.js, which writes files, so the console
+ * script can bundle the same renderer.
+ *
+ * Usage:
+ *
+ *   const html = renderBackupHtml(records, { title: 'Deleted in 2024' });
+ */
+
+/**
+ * Escape text for HTML output
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render captured tweets as a self-contained offline HTML page
+ * Media is linked, not embedded, so the page works without network access
+ * @param {array} records - Captured tweets
+ * @param {object} options - { title }
+ * @returns {string} HTML document
+ */
+function renderBackupHtml(records, options = {}) {
+  const title = options.title || `Deleted tweets (${records.length})`;
+
+  const cards = records.map(record => {
+    const engagement = record.engagement || {};
+    const meta = [
+      record.type,
+      record.date ? new Date(record.date).toLocaleString() : 'unknown date',
+      record.replyTo ? `reply to ${record.replyTo}` : null
+    ].filter(Boolean).join(' · ');
+    const links = [
+      record.permalink ? `<a href="${escapeHtml(record.permalink)}">permalink</a>` : null,
+      record.quoted ? `<a href="${escapeHtml(record.quoted)}">quoted tweet</a>` : null,
+      ...(record.media || []).map((url, i) => `<a href="${escapeHtml(url)}">media ${i + 1}</a>`)
+    ].filter(Boolean).join(' · ');
+
+    return `  <article>
+    <div class="meta">${escapeHtml(meta)}</div>
+    <p>${escapeHtml(record.text).replace(/\n/g, '<br>')}</p>
+    <div class="meta">💬 ${engagement.replies || 0} · 🔁 ${engagement.reposts || 0} · ❤️ ${engagement.likes || 0} · 👁 ${engagement.views || 0}</div>
+    <div class="links">${links}</div>
+  </article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; max-width: 640px; margin: 2em auto; color: #0f1419; }
+  article { border: 1px solid #cfd9de; border-radius: 12px; padding: 12px 16px; margin: 12px 0; }
+  p { white-space: normal; margin: 8px 0; }
+  .meta, .links { color: #536471; font-size: 14px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${cards.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  renderBackupHtml
+};
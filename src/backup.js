@@ -0,0 +1,104 @@
+/**
+ * Pre-Deletion Backup
+ *
+ * Your X archive can be days old by the time you run the deleter. The
+ * backup captures each tweet right before it is deleted: ID, permalink,
+ * timestamp, full text, media URLs, quoted/reply-to target and engagement
+ * counts. Records are appended to an NDJSON file as they are captured,
+ * and can be rendered as a self-contained HTML page to show what a run
+ * removed.
+ *
+ * The console script keeps the same records in memory and downloads
+ * them (plus the HTML view, rendered by backup-html.js for both) when
+ * the run finishes.
+ *
+ * Usage:
+ *
+ *   const backup = openBackup('deleted.ndjson');
+ *   await deleteAllContent(mcpTools, 'yourusername', { backup });
+ *   writeBackupHtml('deleted.ndjson', 'deleted.html');
+ */
+
+const fs = require('fs');
+const { renderBackupHtml } = require('./backup-html');
+
+/**
+ * Open a backup file for appending
+ * @param {string} file - NDJSON path (created if missing)
+ * @returns {object} { file, capture, count }
+ */
+function openBackup(file) {
+  let count = 0;
+  // An interrupted run can leave half a line; start after it rather than on it
+  let separator = '';
+  const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  if (size > 0) {
+    const last = Buffer.alloc(1);
+    const fd = fs.openSync(file, 'r');
+    fs.readSync(fd, last, 0, 1, size - 1);
+    fs.closeSync(fd);
+    if (last.toString() !== '\n') separator = '\n';
+  }
+
+  return {
+    file,
+
+    /**
+     * Append one captured tweet
+     * @param {object} record - From captureTweet
+     */
+    capture(record) {
+      fs.appendFileSync(file, separator + JSON.stringify(record) + '\n');
+      separator = '';
+      count++;
+    },
+
+    /**
+     * Records captured through this handle
+     * @returns {number}
+     */
+    count() {
+      return count;
+    }
+  };
+}
+
+/**
+ * Read captured tweets from an NDJSON backup
+ * @param {string} file - NDJSON path
+ * @returns {array} Records in capture order
+ */
+function readBackup(file) {
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // Partial line from an interrupted write
+    }
+  }
+  return records;
+}
+
+/**
+ * Render an NDJSON backup to an HTML file
+ * @param {string} backupFile - NDJSON path
+ * @param {string} htmlFile - Output path
+ * @returns {number} Number of tweets rendered
+ */
+function writeBackupHtml(backupFile, htmlFile) {
+  const records = readBackup(backupFile);
+  fs.writeFileSync(htmlFile, renderBackupHtml(records));
+  return records.length;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  openBackup,
+  readBackup,
+  renderBackupHtml,
+  writeBackupHtml
+};
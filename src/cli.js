@@ -0,0 +1,615 @@
+/**
+ * x-deleter Command Line
+ *
+ * Runs the deleters from a terminal with the Node `playwright` library,
+ * reusing a login saved by `x-deleter login` so no password is ever
+ * typed into the tool. bin/x-deleter.js is the executable; everything
+ * testable lives here.
+ *
+ * Every run appends to a journal (x-deleter-<user>.jsonl by default),
+ * including the command line it was started with, so `x-deleter resume`
+ * can pick up a crashed or interrupted run where it stopped.
+ *
+ * The summary (--summary FILE, or --json on stdout) is the object
+ * deleteAllContent returns, or pruneFollowers' for `followers prune`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { CONFIG, TWEET_TYPES, getPassTypes } = require('./core');
+const { runAllDeletion } = require('./engine');
+const { createPlaywrightDriver } = require('./drivers/playwright');
+const { createPlaywrightFollowerDriver } = require('./drivers/playwright-followers');
+const { FOLLOWER_CONFIG, resolveFollowerConfig, pruneFollowers } = require('./followers');
+const { compileFollowerRules } = require('./follower-rules');
+const { openJournal, readJournal } = require('./journal');
+const { openBackup, writeBackupHtml } = require('./backup');
+const { createPlan, savePlan, loadPlan } = require('./plan');
+const { verifyDeletion, journaledDeletions } = require('./verify');
+
+const EXIT_CODES = {
+  OK: 0,            // Finished, nothing failed
+  FAILURES: 1,      // Finished, but some items were moved past (see summary.failures) or --verify found leftovers
+  USAGE: 2,         // Bad command line
+  ERROR: 3,         // Crashed: browser, network or file trouble
+  LOGIN: 4          // No saved login, or X asked to log in again
+};
+
+const TARGETS = {
+  posts: 'POSTS',
+  replies: 'REPLIES',
+  reposts: 'REPOSTS',
+  likes: 'LIKES'
+};
+
+const METRICS = ['replies', 'reposts', 'likes', 'views'];
+
+const OPTIONS = {
+  user: { type: 'string', short: 'u' },
+  'storage-state': { type: 'string', default: 'x-session.json' },
+  headed: { type: 'boolean', default: false },
+  origin: { type: 'string', default: 'https://x.com' },
+  before: { type: 'string' },
+  after: { type: 'string' },
+  'older-than-days': { type: 'string' },
+  'keep-id': { type: 'string', multiple: true, default: [] },
+  include: { type: 'string', multiple: true, default: [] },
+  exclude: { type: 'string', multiple: true, default: [] },
+  'keep-if-at-least': { type: 'string', multiple: true, default: [] },
+  types: { type: 'string' },
+  'inactive-days': { type: 'string' },
+  'check-replies': { type: 'boolean', default: false },
+  'spam-threshold': { type: 'string' },
+  'spam-rules': { type: 'string' },
+  'keep-follower': { type: 'string', multiple: true, default: [] },
+  'keep-followers': { type: 'string' },
+  'no-protect-following': { type: 'boolean', default: false },
+  'protect-verified': { type: 'boolean', default: false },
+  'protect-min-followers': { type: 'string' },
+  delay: { type: 'string', multiple: true, default: [] },
+  wait: { type: 'string', multiple: true, default: [] },
+  'dry-run': { type: 'boolean', default: false },
+  plan: { type: 'string' },
+  out: { type: 'string' },
+  journal: { type: 'string' },
+  'no-journal': { type: 'boolean', default: false },
+  resume: { type: 'boolean', default: false },
+  backup: { type: 'string' },
+  verify: { type: 'boolean', default: false },
+  'verify-statuses': { type: 'boolean', default: false },
+  summary: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: x-deleter <command> [options]
+
+Commands:
+  login                              Log in by hand in a browser window and save the session
+  delete <posts|replies|reposts|likes|all>...
+                                     Delete content (likes are unliked)
+  plan [posts|replies|reposts|likes|all|followers]...
+                                     Dry run: decide everything, save a plan, delete nothing
+  followers prune                    Remove followers who stopped tweeting
+  resume                             Continue the last run recorded in the journal
+
+Account and browser:
+  -u, --user NAME                    Your X username, without @
+  --storage-state FILE               Saved login (default x-session.json)
+  --headed                           Show the browser window
+  --origin URL                       Site to drive (default https://x.com)
+
+What to delete:
+  --before DATE, --after DATE        Only tweets in this date range
+  --older-than-days N                Keep the last N days
+  --keep-id ID_OR_URL                Never delete this tweet (repeatable)
+  --include TEXT|/RE/FLAGS           Only delete tweets matching one of these (repeatable)
+  --exclude TEXT|/RE/FLAGS           Never delete tweets matching any of these (repeatable)
+  --keep-if-at-least METRIC=N        Keep tweets with N+ replies, reposts, likes or views (repeatable)
+  --types LIST                       Comma-separated: ${TWEET_TYPES.join(',')} (default: what the targets name,
+                                     so replies alone leaves the posts the Replies tab lists)
+  --inactive-days N                  followers prune: days of silence that count as inactive (default ${FOLLOWER_CONFIG.inactiveDays})
+  --check-replies                    followers prune: also read the Replies tab of anyone who looks inactive
+  --spam-threshold N                 followers prune: also remove followers whose profile scores N+ as spam (default ${FOLLOWER_CONFIG.spam.threshold})
+  --spam-rules FILE                  followers prune: score with the rules in this JSON file (turns spam scoring on)
+  --keep-follower NAME               followers prune: never remove this follower (repeatable)
+  --keep-followers FILE              followers prune: never remove the followers listed in this file, one per line
+  --no-protect-following             followers prune: people you follow back can be removed too
+  --protect-verified                 followers prune: never remove verified accounts
+  --protect-min-followers N          followers prune: never remove accounts with N+ followers
+
+Pacing:
+  --delay NAME=MS                    Override a delay floor, e.g. --delay scrollLoad=1500 (repeatable)
+  --wait NAME=MS                     Override how long a step waits for the page, e.g. --wait timeout=10000 (repeatable)
+
+Runs and output:
+  --dry-run                          Same as the plan command
+  --plan FILE                        Carry out exactly the deletions or removals a saved plan lists
+  --out FILE                         Where plan and dry runs save the plan
+  --journal FILE                     Journal path (default x-deleter-<user>.jsonl)
+  --no-journal                       Don't keep a journal
+  --resume                           Skip items the journal already finished
+  --backup FILE.ndjson               Capture tweets before deleting them (and write FILE.html)
+  --verify                           Sweep the tabs afterwards, report leftovers and save a plan of them
+  --verify-statuses                  --verify, and check each journaled deletion's status page
+  --summary FILE                     Write the run summary as JSON
+  --json                             Print the summary as JSON on stdout (logs go to stderr)
+
+Exit codes: 0 done, 1 done with failures, 2 usage error, 3 crashed, 4 login needed`;
+
+/**
+ * Make an error that carries the exit code to end with
+ * @param {string} message
+ * @param {number} exitCode - One of EXIT_CODES
+ * @returns {Error}
+ */
+function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+/**
+ * Parse and validate the command line
+ * @param {array} argv - Arguments after the script name
+ * @returns {object} { command, targets, values } - targets are content types,
+ *                   or ['FOLLOWERS'] for follower runs
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (e) {
+    throw cliError(e.message, EXIT_CODES.USAGE);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  if (values.help || !command || command === 'help') {
+    return { command: 'help', targets: [], values };
+  }
+
+  const toTargets = (names, allowFollowers) => {
+    const targets = [];
+    for (const name of names) {
+      if (name === 'all') {
+        targets.push(...Object.values(TARGETS));
+      } else if (name === 'followers' && allowFollowers) {
+        targets.push('FOLLOWERS');
+      } else if (TARGETS[name]) {
+        targets.push(TARGETS[name]);
+      } else {
+        throw cliError(`Unknown target "${name}" (expected ${Object.keys(TARGETS).join(', ')} or all)`, EXIT_CODES.USAGE);
+      }
+    }
+    if (targets.includes('FOLLOWERS') && targets.length > 1) {
+      throw cliError('Plan followers on their own: x-deleter plan followers', EXIT_CODES.USAGE);
+    }
+    return [...new Set(targets)];
+  };
+
+  let targets = [];
+  if (command === 'delete') {
+    if (rest.length === 0) throw cliError('delete needs what to delete: posts, replies, reposts, likes or all', EXIT_CODES.USAGE);
+    targets = toTargets(rest, false);
+  } else if (command === 'plan') {
+    targets = toTargets(rest.length > 0 ? rest : ['all'], true);
+  } else if (command === 'followers') {
+    if (rest[0] !== 'prune' || rest.length > 1) throw cliError('Did you mean: x-deleter followers prune', EXIT_CODES.USAGE);
+    targets = ['FOLLOWERS'];
+  } else if (command === 'login' || command === 'resume') {
+    if (rest.length > 0) throw cliError(`${command} takes no arguments`, EXIT_CODES.USAGE);
+  } else {
+    throw cliError(`Unknown command "${command}"`, EXIT_CODES.USAGE);
+  }
+
+  if (['delete', 'plan', 'followers'].includes(command) && !values.user && !values.plan) {
+    throw cliError('--user is required', EXIT_CODES.USAGE);
+  }
+  if (command === 'resume' && !values.user && !values.journal) {
+    throw cliError('resume needs --user or --journal to find the journal', EXIT_CODES.USAGE);
+  }
+  if (values['no-journal'] && (command === 'resume' || values.resume)) {
+    throw cliError('Resuming needs the journal; drop --no-journal', EXIT_CODES.USAGE);
+  }
+  if ((values.verify || values['verify-statuses']) && command !== 'delete' && command !== 'resume') {
+    throw cliError('--verify checks a delete run; drop it', EXIT_CODES.USAGE);
+  }
+  if (values['verify-statuses'] && values['no-journal']) {
+    throw cliError('--verify-statuses reads deletions from the journal; drop --no-journal', EXIT_CODES.USAGE);
+  }
+
+  return { command, targets, values };
+}
+
+/**
+ * Parse a whole number flag
+ * @param {string} value - Flag value
+ * @param {string} flag - Flag name, for the error
+ * @returns {number|null}
+ */
+function toCount(value, flag) {
+  if (value === undefined) return null;
+  if (!/^\d+$/.test(value)) throw cliError(`--${flag} must be a whole number, got "${value}"`, EXIT_CODES.USAGE);
+  return parseInt(value, 10);
+}
+
+/**
+ * Read and check a --spam-rules file
+ * @param {string} file - JSON list of rules (see follower-rules.js)
+ * @returns {array} The rules as written
+ */
+function loadSpamRules(file) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    compileFollowerRules(rules);
+  } catch (e) {
+    throw cliError(`--spam-rules ${file}: ${e.message}`, EXIT_CODES.USAGE);
+  }
+  return rules;
+}
+
+/**
+ * Read a --keep-followers file
+ * @param {string} file - Handles, one per line (see toAllowlist in followers.js)
+ * @returns {string} Its text
+ */
+function loadAllowlist(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw cliError(`--keep-followers ${file}: ${e.message}`, EXIT_CODES.USAGE);
+  }
+}
+
+/**
+ * Parse an --include/--exclude value: /pattern/flags is a RegExp, anything else a substring
+ * @param {string} value
+ * @returns {string|RegExp}
+ */
+function toMatcher(value) {
+  const match = value.match(/^\/(.+)\/([a-z]*)$/);
+  if (!match) return value;
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (e) {
+    throw cliError(`Invalid pattern ${value}: ${e.message}`, EXIT_CODES.USAGE);
+  }
+}
+
+/**
+ * Parse repeated NAME=N flags
+ * @param {array} pairs - Flag values
+ * @param {array} names - Allowed names
+ * @param {string} flag - Flag name, for the error
+ * @returns {object} name -> number
+ */
+function toPairs(pairs, names, flag) {
+  const result = {};
+  for (const pair of pairs) {
+    const match = pair.match(/^(\w+)=(\d+)$/);
+    if (!match || !names.includes(match[1])) {
+      throw cliError(`--${flag} expects NAME=N with NAME one of ${names.join(', ')}, got "${pair}"`, EXIT_CODES.USAGE);
+    }
+    result[match[1]] = parseInt(match[2], 10);
+  }
+  return result;
+}
+
+/**
+ * Turn parsed flags into runAllDeletion and pruneFollowers options
+ * @param {object} values - From parseCommandLine
+ * @param {array} targets - From parseCommandLine; without --types, their own item types are removed
+ * @returns {object} { content, followers } option objects
+ */
+function buildRunOptions(values, targets = []) {
+  const delayNames = [...new Set([...Object.keys(CONFIG.delays), ...Object.keys(FOLLOWER_CONFIG.delays)])];
+  const delays = toPairs(values.delay, delayNames, 'delay');
+  const waits = toPairs(values.wait, Object.keys(CONFIG.waits), 'wait');
+  const pick = defaults => Object.fromEntries(
+    Object.entries(delays).filter(([name]) => name in defaults)
+  );
+
+  let types = getPassTypes(targets);
+  if (values.types) {
+    types = values.types.split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !TWEET_TYPES.includes(type));
+    if (unknown.length > 0 || types.length === 0) {
+      throw cliError(`--types expects a list of ${TWEET_TYPES.join(', ')}`, EXIT_CODES.USAGE);
+    }
+  }
+
+  for (const name of ['before', 'after']) {
+    if (values[name] !== undefined && isNaN(new Date(values[name]).getTime())) {
+      throw cliError(`--${name} must be a date like 2022-01-01, got "${values[name]}"`, EXIT_CODES.USAGE);
+    }
+  }
+
+  const content = {
+    before: values.before || null,
+    after: values.after || null,
+    olderThanDays: toCount(values['older-than-days'], 'older-than-days'),
+    keepIds: values['keep-id'],
+    include: values.include.map(toMatcher),
+    exclude: values.exclude.map(toMatcher),
+    keepIfAtLeast: toPairs(values['keep-if-at-least'], METRICS, 'keep-if-at-least'),
+    types,
+    origin: values.origin.replace(/\/+$/, ''),
+    config: { ...CONFIG, delays: { ...CONFIG.delays, ...pick(CONFIG.delays) }, waits: { ...CONFIG.waits, ...waits } }
+  };
+
+  const spamThreshold = toCount(values['spam-threshold'], 'spam-threshold');
+  const spam = {
+    enabled: spamThreshold !== null || values['spam-rules'] !== undefined,
+    threshold: spamThreshold ?? FOLLOWER_CONFIG.spam.threshold,
+    rules: values['spam-rules'] ? loadSpamRules(values['spam-rules']) : FOLLOWER_CONFIG.spam.rules
+  };
+
+  const protect = {
+    usernames: [...values['keep-follower'], ...(values['keep-followers'] ? loadAllowlist(values['keep-followers']).split('\n') : [])],
+    following: !values['no-protect-following'],
+    verified: values['protect-verified'],
+    minFollowers: toCount(values['protect-min-followers'], 'protect-min-followers')
+  };
+
+  const followers = {
+    inactiveDays: toCount(values['inactive-days'], 'inactive-days') || FOLLOWER_CONFIG.inactiveDays,
+    origin: content.origin,
+    config: { delays: pick(FOLLOWER_CONFIG.delays), waits, checkReplies: values['check-replies'], protect, spam }
+  };
+
+  return { content, followers };
+}
+
+/**
+ * Exit code for a finished run
+ * @param {object} summary - From runAllDeletion or pruneFollowers
+ * @returns {number}
+ */
+function exitCodeFor(summary) {
+  const leftovers = summary.verification ? summary.verification.retryIds.length : 0;
+  return summary.failed > 0 || leftovers > 0 ? EXIT_CODES.FAILURES : EXIT_CODES.OK;
+}
+
+/**
+ * Load Playwright, which the CLI needs but the rest of the project doesn't
+ * @returns {object} The playwright module
+ */
+function loadPlaywright() {
+  try {
+    return require('playwright');
+  } catch (e) {
+    throw cliError('The CLI needs Playwright: npm install playwright && npx playwright install chromium', EXIT_CODES.ERROR);
+  }
+}
+
+/**
+ * Open the browser with the saved login
+ * @param {object} values - Parsed flags
+ * @returns {object} { browser, page }
+ */
+async function openBrowser(values) {
+  const storageState = values['storage-state'];
+  if (!fs.existsSync(storageState)) {
+    throw cliError(`No saved login at ${storageState}; run x-deleter login first`, EXIT_CODES.LOGIN);
+  }
+
+  const { chromium } = loadPlaywright();
+  const browser = await chromium.launch({ headless: !values.headed });
+  const context = await browser.newContext({ storageState });
+  const page = await context.newPage();
+
+  // X sends logged-out visitors from /home to the login flow
+  const origin = values.origin.replace(/\/+$/, '');
+  await page.goto(`${origin}/home`, { waitUntil: 'domcontentloaded' });
+  if (/\/(login|i\/flow\/login)/.test(new URL(page.url()).pathname)) {
+    await browser.close();
+    throw cliError(`The session in ${storageState} has expired; run x-deleter login again`, EXIT_CODES.LOGIN);
+  }
+
+  return { browser, page };
+}
+
+/**
+ * Log in by hand in a visible browser and save the session
+ * @param {object} values - Parsed flags
+ * @returns {number} Exit code
+ */
+async function login(values) {
+  const { chromium } = loadPlaywright();
+  const origin = values.origin.replace(/\/+$/, '');
+  const browser = await chromium.launch({ headless: false });
+
+  try {
+    const context = await browser.newContext();
+    const page = await context.newPage();
+    await page.goto(`${origin}/login`);
+    console.log('🔑 Log in to X in the browser window (waiting up to 10 minutes)...');
+
+    await page.waitForURL(url => url.pathname === '/home', { timeout: 10 * 60 * 1000 });
+    await context.storageState({ path: values['storage-state'] });
+    console.log(`✅ Saved login to ${values['storage-state']} - keep this file private`);
+    return EXIT_CODES.OK;
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Journal path for a run
+ * @param {object} values - Parsed flags
+ * @param {string} username
+ * @returns {string|null}
+ */
+function journalPath(values, username) {
+  if (values['no-journal']) return null;
+  return values.journal || `x-deleter-${username}.jsonl`;
+}
+
+/**
+ * Find the command line of the last run in a journal
+ * @param {string} file - Journal path
+ * @returns {array} argv
+ */
+function findLastRun(file) {
+  const runs = readJournal(file).filter(entry => entry.action === 'run' && Array.isArray(entry.argv));
+  if (runs.length === 0) {
+    throw cliError(`No run recorded in ${file}`, EXIT_CODES.USAGE);
+  }
+  return runs[runs.length - 1].argv;
+}
+
+/**
+ * Carry out delete, plan or followers prune
+ * @param {object} cli - From parseCommandLine
+ * @param {array} argv - Command line to record for resume
+ * @returns {object} { summary, exitCode }
+ */
+async function runCommand(cli, argv) {
+  const { command, targets, values } = cli;
+  const options = buildRunOptions(values, targets);
+  const followers = targets[0] === 'FOLLOWERS';
+  const dryRun = command === 'plan' || values['dry-run'];
+
+  const plan = values.plan ? loadPlan(values.plan) : null;
+  if (plan && plan.kind !== (followers ? 'followers' : 'content')) {
+    throw cliError(`${values.plan} is a ${plan.kind} plan`, EXIT_CODES.USAGE);
+  }
+  if (plan && dryRun) {
+    throw cliError('A plan is carried out, not planned again; drop --plan or --dry-run', EXIT_CODES.USAGE);
+  }
+  const username = values.user || plan.username;
+  if (plan && plan.username !== username) {
+    throw cliError(`${values.plan} was made for @${plan.username}, not @${username}`, EXIT_CODES.USAGE);
+  }
+
+  const { browser, page } = await openBrowser(values);
+  const file = dryRun ? null : journalPath(values, username);
+  const journal = file ? openJournal(file) : null;
+  if (journal) journal.record({ action: 'run', argv });
+  const backup = values.backup && !dryRun ? openBackup(values.backup) : null;
+
+  let summary;
+  try {
+    if (followers) {
+      const config = resolveFollowerConfig(options.followers.config);
+      summary = await pruneFollowers(createPlaywrightFollowerDriver(page, config), username, {
+        ...options.followers,
+        config,
+        dryRun,
+        planUsernames: plan ? plan.items.filter(item => item.action === 'remove').map(item => item.username) : null,
+        journal,
+        resume: values.resume
+      });
+    } else {
+      const driver = createPlaywrightDriver(page, options.content.config);
+      const runOptions = {
+        ...options.content,
+        contentTypes: targets,
+        planIds: plan ? plan.items.filter(item => item.action === 'delete').map(item => item.id) : null,
+        dryRun,
+        journal,
+        resume: values.resume,
+        backup
+      };
+      summary = await runAllDeletion(driver, username, runOptions);
+      if ((values.verify || values['verify-statuses']) && !dryRun && !summary.stopped) {
+        summary.verification = await verifyDeletion(driver, username, summary, {
+          ...runOptions,
+          statusIds: values['verify-statuses'] && journal ? journaledDeletions(journal) : []
+        });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  if (dryRun) {
+    const kind = followers ? 'followers' : 'content';
+    const recorded = followers
+      ? { inactiveDays: options.followers.inactiveDays, spamThreshold: options.followers.config.spam.enabled ? options.followers.config.spam.threshold : null }
+      : { ...options.content, config: undefined, include: values.include, exclude: values.exclude };
+    const out = values.out || `x-deleter-${followers ? 'followers-' : ''}plan-${username}.json`;
+    savePlan(createPlan(kind, username, summary.planned, recorded), out);
+    console.log(`📝 Plan saved to ${out} - review it, then run with --plan ${out}`);
+  }
+
+  if (summary.verification && summary.verification.retryIds.length > 0) {
+    const retryIds = new Set(summary.verification.retryIds);
+    const items = summary.verification.leftovers
+      .filter(leftover => retryIds.has(leftover.id))
+      .map(leftover => ({ id: leftover.id, type: leftover.type, action: 'delete', rule: null, cause: leftover.cause }));
+    const out = `x-deleter-leftovers-${username}.json`;
+    savePlan(createPlan('content', username, items, { leftoversOf: argv }), out);
+    console.log(`📝 Leftovers saved to ${out} - run again on just these with: x-deleter delete ${targets.map(target => target.toLowerCase()).join(' ')} --plan ${out}`);
+  }
+
+  if (backup && backup.count() > 0) {
+    const html = values.backup.replace(/\.ndjson$/, '') + '.html';
+    writeBackupHtml(values.backup, html);
+    console.log(`💾 Backed up ${backup.count()} tweets to ${values.backup} and ${html}`);
+  }
+
+  return { summary, exitCode: exitCodeFor(summary) };
+}
+
+/**
+ * Run the CLI
+ * @param {array} argv - Arguments after the script name
+ * @returns {number} Exit code (see EXIT_CODES)
+ */
+async function run(argv) {
+  const log = console.log;
+  try {
+    let cli = parseCommandLine(argv);
+    let recorded = argv;
+
+    if (cli.command === 'help') {
+      console.log(USAGE);
+      return EXIT_CODES.OK;
+    }
+    if (cli.command === 'login') {
+      return await login(cli.values);
+    }
+    if (cli.command === 'resume') {
+      // Replay the recorded command line; flags given to resume (e.g. --headed) win
+      const file = cli.values.journal || `x-deleter-${cli.values.user}.jsonl`;
+      const last = findLastRun(file);
+      console.log(`🗒️  Resuming: x-deleter ${last.join(' ')}`);
+      cli = parseCommandLine([...last, ...argv.filter(arg => arg !== 'resume'), '--journal', file, '--resume']);
+      recorded = last;
+    }
+
+    // Keep stdout for the summary alone
+    if (cli.values.json) console.log = console.error;
+
+    const { summary, exitCode } = await runCommand(cli, recorded);
+    if (cli.values.summary) {
+      fs.mkdirSync(path.dirname(path.resolve(cli.values.summary)), { recursive: true });
+      fs.writeFileSync(cli.values.summary, JSON.stringify(summary, null, 2) + '\n');
+    }
+    if (cli.values.json) process.stdout.write(JSON.stringify(summary) + '\n');
+    return exitCode;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error.exitCode === EXIT_CODES.USAGE) console.error('   See x-deleter --help');
+    return error.exitCode === undefined ? EXIT_CODES.ERROR : error.exitCode;
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  parseCommandLine,
+  buildRunOptions,
+  exitCodeFor,
+  findLastRun,
+  run
+};
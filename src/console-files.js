@@ -0,0 +1,118 @@
+/**
+ * Console Script Files
+ *
+ * What the console scripts keep instead of files on disk: the journal
+ * lives in localStorage (one key per entry, so every write is an append
+ * and a reload loses nothing), and plans and backups are offered as
+ * downloads.
+ *
+ * Usage (in the page):
+ *
+ *   const journal = openLocalJournal('yourusername');
+ *   journal.record({ id: '1234', contentType: 'POSTS', action: 'delete', outcome: 'success' });
+ *   downloadJson('plan.json', plan);
+ */
+
+/**
+ * Get the key an entry is tracked by (tweet ID or follower username)
+ * @param {object} entry - Journal entry
+ * @returns {string|null}
+ */
+function entryKey(entry) {
+  return entry.id || entry.username || null;
+}
+
+/**
+ * Open the crash-safe localStorage journal for a user
+ * Same interface as journal.js's openJournal
+ * @param {string} username - X username (without @)
+ * @param {string} name - Journal name, so each script keeps its own
+ * @returns {object} { record, isCompleted, latest, totals, entries, clear, count }
+ */
+function openLocalJournal(username, name = 'x-deleter-journal') {
+  const journalKey = `${name}:${username}`;
+  const latestByKey = new Map();
+  let count = parseInt(localStorage.getItem(`${journalKey}:count`) || '0', 10);
+
+  for (let i = 0; i < count; i++) {
+    const entry = JSON.parse(localStorage.getItem(`${journalKey}:${i}`) || 'null');
+    if (entry && entryKey(entry)) latestByKey.set(entryKey(entry), entry);
+  }
+
+  return {
+    record(entry) {
+      const stamped = { ts: new Date().toISOString(), ...entry };
+      localStorage.setItem(`${journalKey}:${count}`, JSON.stringify(stamped));
+      localStorage.setItem(`${journalKey}:count`, String(++count));
+      if (entryKey(stamped)) latestByKey.set(entryKey(stamped), stamped);
+    },
+
+    isCompleted(key) {
+      const entry = latestByKey.get(key);
+      return Boolean(entry && entry.outcome === 'success');
+    },
+
+    latest(key) {
+      return latestByKey.get(key);
+    },
+
+    totals(contentType) {
+      const totals = { failed: 0 };
+      for (const entry of latestByKey.values()) {
+        if (contentType && entry.contentType !== contentType) continue;
+        if (entry.outcome === 'success') {
+          totals[entry.action] = (totals[entry.action] || 0) + 1;
+        } else {
+          totals.failed++;
+        }
+      }
+      return totals;
+    },
+
+    entries() {
+      return [...latestByKey.values()];
+    },
+
+    clear() {
+      for (let i = 0; i < count; i++) localStorage.removeItem(`${journalKey}:${i}`);
+      localStorage.removeItem(`${journalKey}:count`);
+      latestByKey.clear();
+      count = 0;
+    },
+
+    count() {
+      return count;
+    }
+  };
+}
+
+/**
+ * Offer a file download from the page
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+function download(filename, content, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = filename;
+  link.click();
+}
+
+/**
+ * Offer data as a pretty-printed JSON download
+ * @param {string} filename
+ * @param {*} data
+ */
+function downloadJson(filename, data) {
+  download(filename, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  openLocalJournal,
+  download,
+  downloadJson
+};
@@ -0,0 +1,179 @@
+/**
+ * Follower Console Script Entry
+ *
+ * Runs the follower flow (followers.js) with the in-page follower driver
+ * on the followers list it is pasted into. Not pasted from here:
+ * scripts/build-console.js bundles this file with the modules it
+ * requires into console/remove-inactive-followers.js, with the CONFIG
+ * block below copied to the top for editing.
+ *
+ * The journal lives in localStorage and a dry run's plan downloads as a
+ * file (console-files.js); the control panel (panel.js) starts, pauses
+ * and stops the run between followers.
+ */
+
+const { createThrottle } = require('./core');
+const { FOLLOWER_CONFIG, resolveFollowerConfig, pruneFollowers } = require('./followers');
+const { createDomFollowerDriver } = require('./drivers/dom-followers');
+const { createControlPanel } = require('./panel');
+const { createPlan } = require('./plan-format');
+const { openLocalJournal, downloadJson } = require('./console-files');
+
+// CONFIG START
+const CONFIG = {
+  inactiveDays: 180,           // 6 months
+  language: null,              // X's display language (null = read <html lang>)
+  activityArticles: 5,         // Tweets read from the top of a profile; the newest date counts
+  checkReplies: false,         // Also open the Replies tab before calling someone inactive (one more popup each)
+  protect: {                   // Never removed, however quiet or spammy they look
+    // Allowlist: paste handles between the backticks, one per line (or separated by
+    // commas); @, profile URLs and # comments are fine
+    usernames: `
+    `,
+    following: true,           // Accounts you follow back (their card's button says Following)
+    verified: false,           // Verified accounts
+    minFollowers: null         // Accounts with at least this many followers (read from their profile)
+  },
+  spam: {
+    enabled: false,            // Also remove followers whose profile scores as spam, active or not
+    threshold: 5,              // Score at which a follower counts as spam
+    // null = the default rules. Each matching rule adds its weight; conditions are equals,
+    // matches (pattern), includes (any word), empty, below or above on one field, combined
+    // with all, any or not, e.g.
+    // [{ name: 'empty-bio', weight: 1, field: 'bio', empty: true }]
+    rules: null
+  },
+  delays: {                    // Floors: each step also waits for what it did to show (see waits)
+    profileLoad: 500,          // At least this long on each profile
+    betweenClicks: 300,        // At least this long between menu clicks
+    afterAction: 500,          // At least this long after the removal
+    scrollLoad: 500,           // At least this long after a scroll
+    betweenFollowers: 6000     // Rate limiting between followers (avoid 429)
+  },
+  waits: {
+    timeout: 8000,             // Longest wait for a menu, confirmation sheet or removal to show (ms)
+    loadTimeout: 10000,        // Longest wait for a profile or more followers to render
+    interval: 250              // How often a condition is checked while waiting
+  },
+  maxEmptyAttempts: 3,
+  scrollAmount: 300,
+  dryRun: false,               // true = check everyone and download a plan, remove nobody
+  plan: null,                  // Paste a saved plan's JSON here to remove exactly its users
+  journal: true,               // Record each follower in localStorage so a reload can resume
+  resume: false,               // true = skip followers finished before the reload, retry failures
+  panel: true,                 // Show the on-page panel (Start/Pause/Stop, counters); false = start at once
+  backoff: {
+    baseDelay: 30000,          // First cooldown when throttled (ms)
+    maxDelay: 900000,          // Longest single cooldown (15 min)
+    factor: 2,                 // Cooldown and pacing multiplier per throttle level
+    jitter: 0.3,               // ±30% randomness
+    failureThreshold: 3,       // Consecutive failures that count as throttling
+    recoverAfter: 10           // Successes needed to speed back up one level
+  }
+};
+// CONFIG END
+
+/**
+ * Run the follower console script
+ * @param {object} config - The CONFIG block from the top of the built script
+ * @returns {object|null} Summary from pruneFollowers, or null when not on a followers list
+ */
+async function main(config = CONFIG) {
+  console.log('🚀 Remove Inactive Followers - Starting...');
+  console.log(`⚠️  This will remove followers who haven't tweeted in ${config.inactiveDays}+ days.`);
+  console.log('⚠️  They can re-follow you later if they want.');
+  console.log('⚠️  Allow popups if prompted!\n');
+
+  if (!/^\/[^/]+\/followers\/?$/.test(location.pathname)) {
+    console.error('❌ Please run this script on your followers page!');
+    console.log('   Go to: https://x.com/yourusername/followers');
+    return null;
+  }
+  const username = location.pathname.split('/')[1];
+
+  // One settings object for the panel, driver and pacing, so delay edits apply at once
+  const settings = resolveFollowerConfig({
+    ...config,
+    spam: { ...config.spam, rules: config.spam.rules || FOLLOWER_CONFIG.spam.rules }
+  });
+
+  if (config.plan && config.plan.kind !== 'followers') {
+    console.error(`❌ CONFIG.plan is a ${config.plan.kind} plan; paste a followers plan`);
+    return null;
+  }
+  // A saved plan replaces the activity check: remove exactly who it lists
+  const planUsernames = config.plan
+    ? config.plan.items.filter(item => item.action === 'remove').map(item => item.username)
+    : null;
+  if (planUsernames) console.log(`📋 Executing plan from ${config.plan.createdAt}: ${planUsernames.length} followers to remove\n`);
+
+  let journal = null;
+  if (config.journal && !config.dryRun) {
+    journal = openLocalJournal(username, 'x-deleter-followers-journal');
+    if (config.resume) {
+      console.log(`🗒️  Resuming from ${journal.count()} journal entries`);
+    } else if (journal.count() > 0) {
+      console.log('🗒️  Starting a new journal (set CONFIG.resume = true to continue the previous run instead)');
+      journal.clear();
+    }
+  }
+
+  const panel = config.panel
+    ? createControlPanel({
+      title: config.dryRun ? 'Remove Inactive Followers (dry run)' : 'Remove Inactive Followers',
+      config: settings,
+      dryRun: config.dryRun,
+      total: planUsernames ? planUsernames.length : null,
+      labels: { item: 'follower', deleted: 'Removed', planned: 'Would remove' }
+    })
+    : null;
+  if (panel) {
+    console.log('👉 Press Start on the panel at the top right of the page');
+    await panel.started;
+  }
+
+  const startTime = Date.now();
+  const summary = await pruneFollowers(createDomFollowerDriver(settings), username, {
+    origin: location.origin,
+    dryRun: config.dryRun,
+    planUsernames,
+    journal,
+    resume: config.resume,
+    throttle: createThrottle(settings.backoff, () => settings.delays.betweenFollowers),
+    control: panel ? panel.control : null,
+    hooks: panel ? panel.hooks : {},
+    config: settings
+  });
+  if (panel) panel.finish(summary.stopped ? 'Stopped' : 'Done');
+
+  if (config.dryRun) {
+    const plan = createPlan('followers', username, summary.planned, {
+      inactiveDays: settings.inactiveDays,
+      spamThreshold: settings.spam.enabled ? settings.spam.threshold : null
+    });
+    console.log('\n📝 Dry run complete - nobody was removed');
+    console.table(plan.counts);
+    downloadJson(`x-deleter-followers-plan-${username}.json`, plan);
+    return summary;
+  }
+
+  console.log(`\n${summary.stopped ? '⏹️  Stopped' : '🎉 Done'}! Time: ${((Date.now() - startTime) / 60000).toFixed(1)} min`);
+  if (summary.removedUsers.length > 0) {
+    console.log('\n👋 Removed users:');
+    summary.removedUsers.forEach(user => console.log(`   @${user}`));
+  }
+  if (summary.notFound.length > 0) {
+    console.log(`\n⚠️  ${summary.notFound.length} planned followers were not found in the list:`);
+    summary.notFound.forEach(user => console.log(`   @${user}`));
+  }
+  if (summary.failures.length > 0) console.table(summary.failures);
+  return summary;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  CONFIG,
+  main
+};
@@ -0,0 +1,267 @@
+/**
+ * Console Script Entry
+ *
+ * Runs the deletion engine with the DOM driver on the X tab it is pasted
+ * into. Not pasted from here: scripts/build-console.js bundles this file
+ * with the modules it requires into console/delete-x-content.js, with the
+ * CONFIG block below copied to the top for editing.
+ *
+ * The journal lives in localStorage and the backup and dry-run plan
+ * download as files when the run finishes (console-files.js). The
+ * control panel (panel.js) starts, pauses and stops the run, and
+ * afterwards the tab is walked again to list what is left (verify.js).
+ * CONFIG.direct swaps the clicks for X's own API calls (direct.js),
+ * falling back to clicking, and CONFIG.enumerate reads the whole tab
+ * from X's own timeline responses before anything is deleted
+ * (intercept.js).
+ */
+
+const { getPassTypes } = require('./core');
+const { runAllDeletion } = require('./engine');
+const { createDomDriver } = require('./drivers/dom');
+const { createControlPanel, readProfileCount } = require('./panel');
+const { verifyDeletion } = require('./verify');
+const { renderBackupHtml } = require('./backup-html');
+const { createPlan } = require('./plan-format');
+const { readCookie, createDirectRemover } = require('./direct');
+const { createInventory, installInterceptor, enumerateTimeline } = require('./intercept');
+const { createInventoryDriver } = require('./drivers/inventory');
+const { openLocalJournal, download, downloadJson } = require('./console-files');
+
+// CONFIG START
+const CONFIG = {
+  delays: {                // Floors: each step also waits for what it did to show (see waits)
+    betweenClicks: 50,     // ms at least between menu clicks
+    afterDeletion: 100,    // ms at least after confirming deletion
+    scrollLoad: 200,       // ms at least after opening a tab or scrolling
+    rateLimitSafe: 200     // ms between each tweet deletion (the rate-limit floor)
+  },
+  waits: {
+    timeout: 5000,         // Longest wait for a menu, confirmation sheet or removal to show (ms)
+    loadTimeout: 3000,     // Longest wait for tweets to render after opening a tab or scrolling
+    interval: 100          // How often a condition is checked while waiting
+  },
+  language: null,          // X's display language, e.g. 'de'; null = detect from the page
+  maxEmptyAttempts: 5,
+  scrollAmount: 500,       // Scroll more to load more tweets
+  logInterval: 50,         // Log progress every N deletions
+  unlikeAttempts: 2,       // Unlike clicks per tweet before giving up (X sometimes reverts one)
+  maxAttemptsPerTweet: 3,  // Tries per tweet before moving past it
+  types: null,             // null = what the tab holds (Replies tab: replies only, its posts stay);
+                           // or a list of post, reply, repost, quote, like, e.g. ['repost'] to keep quote tweets
+  retention: {
+    before: null,          // e.g. '2022-01-01' - only delete tweets before this date
+    after: null,           // e.g. '2019-01-01' - only delete tweets after this date
+    olderThanDays: null    // e.g. 30 - keep the last 30 days
+  },
+  filters: {
+    keepIds: [],           // Tweet IDs or status URLs to never delete
+    include: [],           // Only delete tweets matching one of these, e.g. ['acme', /launch/i]
+    exclude: [],           // Never delete tweets matching one of these
+    keepIfAtLeast: {       // Keep tweets reaching ANY of these counts, e.g. { likes: 50, reposts: 10 }
+      replies: null,
+      reposts: null,
+      likes: null,
+      views: null
+    }
+  },
+  dryRun: false,           // true = decide and download a plan, delete nothing
+  plan: null,              // Paste a saved plan's JSON here to delete exactly its items
+  journal: true,           // Record each item in localStorage so a reload can resume
+  resume: false,           // true = skip items finished before the reload, retry failures
+  backup: true,            // Capture each tweet before deleting; download JSON + HTML at the end
+  panel: true,             // Show the on-page panel (Start/Pause/Stop, counters); false = start at once
+  verify: true,            // Walk the tab again afterwards; list leftovers and download a plan of them
+  enumerate: false,        // true = load the whole tab from X's responses first and download the inventory;
+                           // dry runs and direct mode then work from it without scrolling again
+  direct: {
+    enabled: false,        // true = remove through X's API with this tab's login instead of clicking
+    concurrency: 3,        // API calls in flight at once
+    queryIds: {}           // Newer GraphQL query IDs if X changed them, e.g. { DeleteTweet: '...' }
+  },
+  backoff: {
+    baseDelay: 5000,       // First cooldown when throttled (ms)
+    maxDelay: 300000,      // Longest single cooldown (5 min)
+    factor: 2,             // Cooldown and pacing multiplier per throttle level
+    jitter: 0.3,           // ±30% randomness
+    failureThreshold: 3,   // Consecutive failures that count as throttling
+    recoverAfter: 10       // Successes needed to speed back up one level
+  }
+};
+// CONFIG END
+
+/**
+ * Passes that run on the current tab, since a navigation ends the script
+ * @param {string} pathname - location.pathname
+ * @returns {array} Content types
+ */
+function getPagePasses(pathname) {
+  if (pathname.endsWith('/likes')) return ['LIKES'];
+  if (pathname.endsWith('/with_replies')) return ['REPLIES'];
+  return ['POSTS', 'REPOSTS'];
+}
+
+/**
+ * Run the console script
+ * @param {object} config - The CONFIG block from the top of the built script
+ * @returns {object} Summary from runAllDeletion
+ */
+async function main(config = CONFIG) {
+  console.log('🚀 X Content Deleter - OPTIMIZED');
+  console.log('⚠️  Stop anytime with the panel\'s Stop button (or reload the page).\n');
+
+  const username = location.pathname.split('/')[1];
+  const contentTypes = getPagePasses(location.pathname);
+  if (contentTypes[0] === 'LIKES') console.log('❤️  Likes tab: unliking every liked tweet\n');
+
+  let journal = null;
+  if (config.journal && !config.dryRun) {
+    journal = openLocalJournal(username);
+    if (config.resume) {
+      console.log(`🗒️  Resuming from ${journal.count()} journal entries`);
+    } else if (journal.count() > 0) {
+      console.log('🗒️  Starting a new journal (set CONFIG.resume = true to continue the previous run instead)');
+      journal.clear();
+    }
+  }
+
+  // Pre-deletion captures, downloaded when the run finishes
+  const captured = [];
+  const backup = config.backup ? { capture: record => captured.push(record) } : null;
+
+  // A saved plan replaces all other rules: delete exactly what it lists
+  const planIds = config.plan
+    ? config.plan.items.filter(item => item.action === 'delete').map(item => item.id)
+    : null;
+
+  const panel = config.panel
+    ? createControlPanel({
+      title: config.dryRun ? 'X Content Deleter (dry run)' : 'X Content Deleter',
+      config,
+      dryRun: config.dryRun,
+      total: planIds ? planIds.length : readProfileCount()
+    })
+    : null;
+  if (panel) {
+    console.log('👉 Press Start on the panel at the top right of the page');
+    await panel.started;
+  }
+
+  // Direct mode: X's own API calls with this tab's session, clicks as the fallback
+  let remover = null;
+  if (config.direct && config.direct.enabled && !config.dryRun) {
+    remover = createDirectRemover({
+      origin: location.origin,
+      csrfToken: readCookie(document.cookie, 'ct0'),
+      queryIds: config.direct.queryIds
+    });
+    console.log(remover.enabled()
+      ? `⚡ Direct mode: ${config.direct.concurrency} at a time through X's API`
+      : '⚠️  Direct mode needs the ct0 cookie (log in to X in this tab); clicking instead');
+  }
+
+  const startTime = Date.now();
+  const pageDriver = createDomDriver(config);
+
+  // Enumeration: scroll the tab to the end once, keeping what X's own timeline responses hold
+  let inventory = null;
+  if (config.enumerate) {
+    inventory = createInventory(username);
+    const uninstall = installInterceptor(window, inventory.add);
+    console.log('📚 Loading the whole tab before deleting anything...');
+    try {
+      for (const tab of new Set(contentTypes.map(type => (type === 'REPOSTS' ? 'POSTS' : type)))) {
+        await enumerateTimeline(pageDriver, inventory, tab, config);
+      }
+    } finally {
+      uninstall();
+    }
+    console.table(inventory.counts());
+    downloadJson(`x-deleter-inventory-${username}.json`, inventory.toJSON());
+    if (panel && !planIds) panel.setTotal(inventory.size());
+  }
+
+  // The inventory can't click, so without direct mode deletions go through the page
+  const driver = inventory && (config.dryRun || (remover && remover.enabled()))
+    ? createInventoryDriver(inventory)
+    : pageDriver;
+  const runOptions = {
+    ...config.retention,
+    ...config.filters,
+    types: config.types || getPassTypes(contentTypes),
+    planIds,
+    dryRun: config.dryRun,
+    journal,
+    resume: config.resume,
+    backup,
+    config,
+    contentTypes,
+    control: panel ? panel.control : null,
+    hooks: panel ? panel.hooks : {},
+    remover,
+    concurrency: config.direct ? config.direct.concurrency : 1
+  };
+  const summary = await runAllDeletion(driver, username, runOptions);
+  if (panel) panel.finish(summary.stopped ? 'Stopped' : 'Done');
+
+  if (config.dryRun) {
+    const plan = createPlan('content', username, summary.planned, { retention: config.retention, filters: config.filters });
+    console.log('\n📝 Dry run complete - nothing was deleted');
+    console.table(plan.counts);
+    downloadJson(`x-deleter-plan-${username}.json`, plan);
+    return summary;
+  }
+
+  const { byType } = summary;
+  const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
+  console.log(`\n${summary.stopped ? '⏹️  Stopped' : '🎉 Done'}! ${contentTypes[0] === 'LIKES' ? 'Unliked' : 'Deleted'}: ${summary.total} | Kept: ${summary.skipped} | Failed: ${summary.failed} | Time: ${totalTime} min`);
+  console.log(`   Posts: ${byType.post} | Replies: ${byType.reply} | Reposts undone: ${byType.repost} | Quotes: ${byType.quote} | Likes: ${byType.like}`);
+  if (summary.skips.length > 0) console.table(summary.skips);
+  if (summary.failures.length > 0) {
+    const reasons = Object.fromEntries(Object.entries(summary.failureReasons).filter(([, count]) => count > 0));
+    console.log('⚠️  Moved past:', reasons);
+    console.table(summary.failures);
+  }
+  if (summary.throttle.events.length > 0) {
+    console.log(`🐢 Throttled ${summary.throttle.events.length} times, ${(summary.throttle.backedOffMs / 60000).toFixed(1)} min backing off`);
+    console.table(summary.throttle.events);
+  }
+
+  // Walk the tab again from the top: what is still there, and why.
+  // Tweets removed through the API stay on the page until it is reloaded.
+  if (config.verify && !summary.stopped && remover) {
+    console.log('🔎 To verify, reload the tab and run again with CONFIG.dryRun = true');
+  } else if (config.verify && !summary.stopped) {
+    const verification = await verifyDeletion(pageDriver, username, summary, runOptions);
+    summary.verification = verification;
+    if (verification.leftovers.length > 0) console.table(verification.leftovers);
+    if (panel) panel.log(`🔎 Leftovers: ${verification.leftovers.length} (${verification.retryIds.length} to retry)`);
+    if (verification.retryIds.length > 0) {
+      const retryIds = new Set(verification.retryIds);
+      const items = verification.leftovers
+        .filter(leftover => retryIds.has(leftover.id))
+        .map(leftover => ({ id: leftover.id, type: leftover.type, action: 'delete', rule: null, cause: leftover.cause }));
+      downloadJson(`x-deleter-leftovers-${username}.json`, createPlan('content', username, items, { leftovers: true }));
+      console.log('🔁 Downloaded a plan of the leftovers: paste it as CONFIG.plan and run again to retry just those');
+    }
+  }
+
+  // Offer the pre-deletion captures of everything this run removed
+  if (captured.length > 0) {
+    download(`x-deleter-backup-${username}.ndjson`, captured.map(record => JSON.stringify(record)).join('\n') + '\n', 'application/x-ndjson');
+    download(`x-deleter-backup-${username}.html`, renderBackupHtml(captured), 'text/html');
+    console.log(`💾 Downloaded backup of ${captured.length} captured tweets (NDJSON + HTML)`);
+  }
+
+  // Throttling is handled automatically; raise CONFIG.backoff.baseDelay if X still blocks you
+  return summary;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  CONFIG,
+  main,
+  getPagePasses
+};
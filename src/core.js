@@ -0,0 +1,736 @@
+/**
+ * Shared Deletion Core
+ *
+ * Settings, decision rules and the adaptive throttle used by every way of
+ * running the deleter. Nothing here touches a page, so the same code runs
+ * under Node (Playwright MCP, the Node `playwright` library) and inside
+ * the generated browser console script.
+ */
+
+const { getAllUiTexts } = require('./locale');
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+  delays: {                  // Floors: each step also waits for what it did to show (see waits)
+    betweenClicks: 50,       // ms at least between menu clicks
+    afterDeletion: 100,      // ms at least after confirming deletion
+    scrollLoad: 200,         // ms at least after opening a tab or scrolling
+    rateLimitSafe: 200       // ms between each tweet deletion (the rate-limit floor)
+  },
+  waits: {
+    timeout: 5000,           // Longest wait for a menu, confirmation sheet or removal to show (ms)
+    loadTimeout: 3000,       // Longest wait for tweets to render after opening a tab or scrolling
+    interval: 100            // How often a condition is checked while waiting
+  },
+  selectors: {
+    tweet: 'article[data-testid="tweet"]',
+    moreButton: '[data-testid="caret"]',
+    deleteButton: '[role="menuitem"]',  // Contains "Delete" text
+    confirmButton: '[data-testid="confirmationSheetConfirm"]',
+    unretweetButton: '[data-testid="unretweet"]',
+    unretweetConfirm: '[data-testid="unretweetConfirm"]',
+    unlikeButton: '[data-testid="unlike"]',
+    likeButton: '[data-testid="like"]',
+    retweetButton: '[data-testid="retweet"]',
+    replyButton: '[data-testid="reply"]',
+    tweetText: '[data-testid="tweetText"]',
+    userName: '[data-testid="User-Name"]',
+    socialContext: '[data-testid="socialContext"]',
+    toast: '[data-testid="toast"]',
+    emptyState: '[data-testid="emptyState"]'
+  },
+  language: null,            // X's display language ('de', 'ja', ...; see locale.js), null = read <html lang>
+  scrollAmount: 500,         // Scroll more to load more tweets at once
+  maxEmptyAttempts: 3,       // Scrolls without new tweets before a pass ends
+  logInterval: 50,           // Log progress every N deletions (less spam for large accounts)
+  unlikeAttempts: 2,         // Unlike clicks per tweet before giving up (X sometimes reverts one)
+  maxAttemptsPerTweet: 3,    // Tries per tweet before moving past it for the rest of the run
+  retention: {
+    before: null,            // Only delete tweets posted before this date (e.g. '2022-01-01')
+    after: null,             // Only delete tweets posted after this date (e.g. '2019-01-01')
+    olderThanDays: null      // Keep the last N days (e.g. 30 = keep the last month)
+  },
+  filters: {
+    keepIds: [],             // Tweet IDs or status URLs to never delete
+    include: [],             // Only delete tweets matching one of these (strings or RegExps)
+    exclude: [],             // Never delete tweets matching one of these (strings or RegExps)
+    keepIfAtLeast: {         // Keep tweets reaching ANY of these counts (null = ignore)
+      replies: null,
+      reposts: null,
+      likes: null,           // e.g. 50 = keep tweets with 50+ likes
+      views: null
+    }
+  },
+  backoff: {
+    baseDelay: 5000,         // First cooldown when throttled (ms)
+    maxDelay: 300000,        // Longest single cooldown (5 min)
+    factor: 2,               // Cooldown and pacing multiplier per throttle level
+    jitter: 0.3,             // ±30% randomness so retries don't line up
+    failureThreshold: 3,     // Consecutive failed deletions that count as throttling
+    recoverAfter: 10         // Successes needed to speed back up one level
+  }
+};
+
+/**
+ * Content types and their URLs
+ */
+const CONTENT_TYPES = {
+  POSTS: '',                    // /username
+  REPLIES: '/with_replies',     // /username/with_replies
+  REPOSTS: '',                  // Same page as posts; only reposts are undone
+  LIKES: '/likes'               // /username/likes
+};
+
+/**
+ * Month abbreviations used in X timestamp labels ("Jan 5", "Mar 3, 2021")
+ */
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Why an item could not be removed
+ * not-owned: the menu has no Delete item (someone else's tweet)
+ * menu-missing: the More/undo button or its menu never showed up
+ * confirm-missing: the confirmation sheet or undo item never showed up
+ * vanished: the tweet left the page mid-flow
+ * throttled: X showed a rate-limit error, or a click or unlike didn't take
+ */
+const FAILURE_REASONS = ['not-owned', 'menu-missing', 'confirm-missing', 'vanished', 'throttled'];
+
+/**
+ * Item types a run can remove (quote tweets are deleted like posts)
+ */
+const TWEET_TYPES = ['post', 'reply', 'repost', 'quote', 'like'];
+
+/**
+ * Item types each content type stands for when no types are given
+ * The Replies tab lists standalone posts too, so asking for replies
+ * alone must not take them with it
+ */
+const PASS_TYPES = {
+  POSTS: ['post', 'quote'],
+  REPLIES: ['reply'],
+  REPOSTS: ['repost'],
+  LIKES: ['like']
+};
+
+/**
+ * Words that follow the count in engagement labels ("12 Likes. Like",
+ * "12 „Gefällt mir“-Angaben"), per metric and in every language
+ */
+const ENGAGEMENT_WORDS = {
+  replies: getAllUiTexts('replyCount'),
+  reposts: getAllUiTexts('repostCount'),
+  likes: getAllUiTexts('likeCount'),
+  views: getAllUiTexts('viewCount')
+};
+
+/**
+ * Count abbreviations X uses, in every language it is shown in
+ */
+const COUNT_MULTIPLIERS = {
+  k: 1e3, tsd: 1e3, mil: 1e3, 'k.': 1e3, 'tsd.': 1e3, '千': 1e3, '万': 1e4,
+  m: 1e6, mio: 1e6, 'mio.': 1e6, mi: 1e6, mn: 1e6, 'm.': 1e6, '億': 1e8,
+  b: 1e9, md: 1e9, 'mrd.': 1e9
+};
+
+/**
+ * Page texts X shows when it is throttling the session, in every language
+ */
+const RATE_LIMIT_TEXTS = getAllUiTexts('rateLimit');
+
+/**
+ * Start of X's ID clock (tweet IDs carry their creation time)
+ */
+const TWITTER_EPOCH = 1288834974657;
+
+/**
+ * Delay helper
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition holds, checking every interval
+ *
+ * Steps wait for what they did to show (a menu, a confirmation sheet, a
+ * tweet leaving the page) instead of sleeping a fixed time, so they move
+ * on as soon as X renders and give slow pages as long as the timeout.
+ *
+ * @param {function} check - Returns (or resolves to) something truthy once the condition holds
+ * @param {object} options - { timeout (ms, default CONFIG.waits.timeout), interval (ms, default
+ *                           CONFIG.waits.interval), floor (ms to wait at least, even when the
+ *                           condition holds at once) }
+ * @returns {*} What check returned, or null when the timeout passed first
+ */
+async function waitFor(check, options = {}) {
+  const timeout = options.timeout ?? CONFIG.waits.timeout;
+  const interval = Math.max(1, options.interval ?? CONFIG.waits.interval);
+  const floor = delay(options.floor || 0);
+  const deadline = Date.now() + timeout;
+
+  let value = await check();
+  while (!value && Date.now() < deadline) {
+    await delay(Math.min(interval, deadline - Date.now()));
+    value = await check();
+  }
+  await floor;
+  return value || null;
+}
+
+/**
+ * Create the adaptive rate limiter shared by a run's deletion loops
+ *
+ * Each throttle signal (error toast, 429 response, a streak of failed
+ * deletions) raises the level by one and pauses for an exponentially
+ * growing, jittered cooldown. While the level is raised every item is
+ * paced slower, and each run of `recoverAfter` successes drops a level.
+ *
+ * @param {object} settings - Overrides for CONFIG.backoff
+ * @param {number|function} baseDelay - Delay between items at level 0 (ms), or a
+ *                                      function returning it (read on every pace)
+ * @returns {object} { check, success, failure, backoff, ready, pace, listen, stats }
+ */
+function createThrottle(settings = {}, baseDelay = CONFIG.delays.rateLimitSafe) {
+  const backoff = { ...CONFIG.backoff, ...settings };
+  const stats = { events: [], backedOffMs: 0 };
+  const listeners = new Set();
+  let level = 0;
+  let failures = 0;
+  let successes = 0;
+  let cooldown = null;
+
+  return {
+    stats,
+
+    /**
+     * Back off if the driver sees throttling on the page or network
+     * @param {object} driver - Driver from src/drivers (uses checkThrottle)
+     * @returns {boolean} Whether it backed off
+     */
+    async check(driver) {
+      const reason = await driver.checkThrottle();
+      if (!reason) return false;
+      await this.backoff(reason);
+      return true;
+    },
+
+    success() {
+      failures = 0;
+      if (level > 0 && ++successes >= backoff.recoverAfter) {
+        level--;
+        successes = 0;
+        console.log(`⏩ Speeding back up (throttle level ${level})`);
+      }
+    },
+
+    /**
+     * Count a failed deletion, backing off after a streak
+     * @param {string} reason - Why it failed
+     */
+    async failure(reason) {
+      successes = 0;
+      if (++failures >= backoff.failureThreshold) {
+        await this.backoff(`${failures} failures in a row (${reason})`);
+      }
+    },
+
+    /**
+     * Raise the throttle level and wait out a jittered cooldown
+     * @param {string} reason - What triggered it
+     */
+    async backoff(reason) {
+      // Removals in flight together (direct mode) share one cooldown
+      if (cooldown) return cooldown;
+
+      level++;
+      failures = 0;
+      successes = 0;
+      const base = Math.min(backoff.maxDelay, backoff.baseDelay * Math.pow(backoff.factor, level - 1));
+      const wait = Math.round(base * (1 + (Math.random() * 2 - 1) * backoff.jitter));
+
+      const event = { at: new Date().toISOString(), reason, level, waitMs: wait };
+      stats.events.push(event);
+      stats.backedOffMs += wait;
+      for (const listener of listeners) listener(event);
+      console.log(`🐢 Throttled (${reason}), cooling down ${(wait / 1000).toFixed(0)}s at level ${level}`);
+      cooldown = delay(wait);
+      await cooldown;
+      cooldown = null;
+    },
+
+    /**
+     * Wait out a cooldown another removal started
+     */
+    async ready() {
+      if (cooldown) await cooldown;
+    },
+
+    /**
+     * Delay between items for the current level
+     * @returns {number} ms
+     */
+    pace() {
+      const base = typeof baseDelay === 'function' ? baseDelay() : baseDelay;
+      return base * Math.pow(backoff.factor, level);
+    },
+
+    /**
+     * Hear about each backoff as it starts
+     * @param {function} listener - Called with { at, reason, level, waitMs }
+     * @returns {function} Stops listening
+     */
+    listen(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+/**
+ * Create the pause/stop switch for a run
+ *
+ * The engine calls checkpoint() between tweets: it waits while the run
+ * is paused and returns false once it is stopped, so a run always stops
+ * between tweets, never halfway through deleting one.
+ *
+ * @returns {object} { state, pause, resume, stop, checkpoint }
+ */
+function createRunControl() {
+  let state = 'running';
+  let wake = null;
+
+  const setState = next => {
+    state = next;
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  return {
+    /**
+     * @returns {string} 'running', 'paused' or 'stopped'
+     */
+    state() {
+      return state;
+    },
+
+    pause() {
+      if (state === 'running') setState('paused');
+    },
+
+    resume() {
+      if (state === 'paused') setState('running');
+    },
+
+    stop() {
+      setState('stopped');
+    },
+
+    /**
+     * Wait out a pause
+     * @returns {boolean} Whether the run should go on
+     */
+    async checkpoint() {
+      while (state === 'paused') {
+        await new Promise(resolve => { wake = resolve; });
+      }
+      return state !== 'stopped';
+    }
+  };
+}
+
+/**
+ * Call hooks without letting them break the run
+ * @param {object} hooks - { onStart, onItem, ... } (see engine.js)
+ * @returns {function} emit(name, payload)
+ */
+function createEmitter(hooks) {
+  const handlers = hooks || {};
+  const warn = (name, error) => console.warn(`⚠️  ${name} hook failed: ${error.message}`);
+  return (name, payload) => {
+    if (typeof handlers[name] !== 'function') return;
+    try {
+      const result = handlers[name](payload);
+      if (result && typeof result.catch === 'function') result.catch(error => warn(name, error));
+    } catch (error) {
+      warn(name, error);
+    }
+  };
+}
+
+/**
+ * Navigate to a specific content type tab
+ * @param {string} username - X username (without @)
+ * @param {string} contentType - One of: 'POSTS', 'REPLIES', 'REPOSTS', 'LIKES'
+ * @param {string} origin - Site to visit, default https://x.com (a local fixture server in tests)
+ */
+function getProfileUrl(username, contentType, origin = 'https://x.com') {
+  const baseUrl = `${origin}/${username}`;
+  const suffix = CONTENT_TYPES[contentType] || '';
+  return baseUrl + suffix;
+}
+
+/**
+ * Classify a tweet on a profile tab
+ * Quote tweets are our own posts; reposts are someone else's tweet. The
+ * Replies tab lists standalone posts too, so only the tweet itself (its
+ * "Replying to" line, or in_reply_to_status_id in intercepted data) says
+ * it is a reply.
+ * @param {object} info - Item metadata from a driver's readItem ({ repost, quote, reply })
+ * @param {string} contentType - Profile tab being processed
+ * @returns {string} 'post', 'reply', 'repost', 'quote' or 'like'
+ */
+function getItemType(info, contentType) {
+  if (contentType === 'LIKES') return 'like';
+  if (info.repost) return 'repost';
+  if (info.quote) return 'quote';
+  return info.reply ? 'reply' : 'post';
+}
+
+/**
+ * Check if a tweet type is handled by a content type's pass
+ * Reposts appear on the Posts and Replies tabs too, but only the
+ * REPOSTS pass undoes them
+ * @param {string} type - From getItemType
+ * @param {string} contentType - Pass being run
+ * @returns {boolean}
+ */
+function isInPass(type, contentType) {
+  return contentType === 'REPOSTS' ? type === 'repost' : type !== 'repost';
+}
+
+/**
+ * Item types to remove when running some content types' passes
+ * @param {array} contentTypes - Passes being run, e.g. ['REPLIES']
+ * @returns {array} Their types from PASS_TYPES, in TWEET_TYPES order
+ */
+function getPassTypes(contentTypes) {
+  const wanted = contentTypes.flatMap(contentType => PASS_TYPES[contentType] || []);
+  return TWEET_TYPES.filter(type => wanted.includes(type));
+}
+
+/**
+ * Resolve retention options into the date range of tweets to delete
+ * @param {object} options - { before, after, olderThanDays } (falls back to CONFIG.retention)
+ * @param {Date} now - Reference time for olderThanDays
+ * @returns {{from: Date|null, to: Date|null}} Delete tweets with from <= date <= to
+ */
+function resolveDateRange(options = {}, now = new Date()) {
+  const retention = { ...CONFIG.retention, ...options };
+  const toDate = (value, name) => {
+    if (value === null || value === undefined) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid "${name}" date: ${value}`);
+    }
+    return date;
+  };
+
+  let to = toDate(retention.before, 'before');
+  const from = toDate(retention.after, 'after');
+
+  if (retention.olderThanDays !== null && retention.olderThanDays !== undefined) {
+    const cutoff = new Date(now.getTime() - retention.olderThanDays * DAY_MS);
+    if (!to || cutoff < to) {
+      to = cutoff;
+    }
+  }
+
+  return { from, to };
+}
+
+/**
+ * Check where a tweet date falls relative to the retention range
+ * @param {Date|null} date - Tweet timestamp
+ * @param {object} range - Range from resolveDateRange
+ * @returns {string} 'in-range', 'too-recent', 'too-old' or 'unknown'
+ */
+function classifyDate(date, range) {
+  if (!range.from && !range.to) return 'in-range';
+  if (!date) return 'unknown';
+  if (range.to && date > range.to) return 'too-recent';
+  if (range.from && date < range.from) return 'too-old';
+  return 'in-range';
+}
+
+/**
+ * Extract a tweet ID from an ID or status URL
+ * @param {string|number} value - e.g. '1234' or 'https://x.com/user/status/1234'
+ * @returns {string|null}
+ */
+function parseTweetId(value) {
+  const text = String(value).trim();
+  const status = text.match(/\/status(?:es)?\/(\d+)/);
+  if (status) return status[1];
+  return /^\d+$/.test(text) ? text : null;
+}
+
+/**
+ * Read the creation time out of a tweet ID
+ * IDs since late 2010 are snowflakes holding milliseconds since
+ * TWITTER_EPOCH above bit 22; older, smaller IDs carry no time
+ * @param {string} id - Tweet ID
+ * @returns {Date|null}
+ */
+function getTweetIdDate(id) {
+  if (!/^\d{15,}$/.test(String(id || ''))) return null;
+  return new Date(Number(BigInt(id) >> 22n) + TWITTER_EPOCH);
+}
+
+/**
+ * Compile keep/delete filter options into matchers
+ * Strings match case-insensitively as substrings, RegExps are used as-is
+ * @param {object} options - { keepIds, include, exclude } (falls back to CONFIG.filters)
+ * @returns {object} Compiled filters for evaluateTweet
+ */
+function compileFilters(options = {}) {
+  const filters = { ...CONFIG.filters, ...options };
+  const toMatcher = rule => {
+    if (rule instanceof RegExp) {
+      // A g or y flag would make test() resume from the last match, and answer differently
+      // for the same text from one tweet to the next
+      const pattern = new RegExp(rule.source, rule.flags.replace(/[gy]/g, ''));
+      return { label: String(rule), test: text => pattern.test(text) };
+    }
+    const needle = String(rule).toLowerCase();
+    return { label: JSON.stringify(String(rule)), test: text => text.toLowerCase().includes(needle) };
+  };
+
+  const keepIds = new Set();
+  for (const value of filters.keepIds || []) {
+    const id = parseTweetId(value);
+    if (!id) {
+      throw new Error(`Invalid tweet ID or URL in keepIds: ${value}`);
+    }
+    keepIds.add(id);
+  }
+
+  const keepIfAtLeast = {};
+  for (const [metric, threshold] of Object.entries(filters.keepIfAtLeast || {})) {
+    if (threshold !== null && threshold !== undefined) {
+      keepIfAtLeast[metric] = threshold;
+    }
+  }
+
+  return {
+    keepIds,
+    keepIfAtLeast,
+    include: (filters.include || []).map(toMatcher),
+    exclude: (filters.exclude || []).map(toMatcher)
+  };
+}
+
+/**
+ * Parse an abbreviated count as X displays it ("987", "3,456", "1.2K", "2M"),
+ * in the page's language too ("1.234", "1 234", "1,2 Mio.", "1.2万")
+ * A separator before exactly three digits groups thousands; any other is the
+ * decimal point
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseCount(text) {
+  const match = String(text).replace(/[\s\u00a0\u202f]+/g, ' ').trim()
+    .match(/^(\d{1,3}(?:[., ]\d{3})+|\d+)(?:[.,](\d+))?\s*(\S*)$/);
+  if (!match) return null;
+  const suffix = match[3].toLowerCase();
+  const multiplier = suffix ? COUNT_MULTIPLIERS[suffix] : 1;
+  if (!multiplier) return null;
+  const value = parseFloat(`${match[1].replace(/[., ]/g, '')}.${match[2] || 0}`);
+  return Math.round(value * multiplier);
+}
+
+/**
+ * Read the count an engagement label starts with ("52 Likes. Like")
+ * X leaves the count out at zero, so a label without digits is 0
+ * @param {string} label - e.g. a button's aria-label
+ * @returns {number|null} null when there is a count but it doesn't parse
+ */
+function parseLeadingCount(label) {
+  const text = String(label || '').replace(/[\s\u00a0\u202f]+/g, ' ').trim();
+  if (!/\d/.test(text)) return 0;
+  const number = text.match(/^\d[\d., ]*/);
+  if (!number) return null;
+  const digits = number[0].replace(/[., ]+$/, '');
+  // The word after the number is only its suffix if it is one ("1,2 Mio." but "52 Likes")
+  const word = text.slice(digits.length).trim().split(/[ ,。、]|\.(?=\s|$)/)[0];
+  return parseCount(`${digits} ${word}`) ?? parseCount(digits);
+}
+
+/**
+ * Parse an engagement label into a metric and count
+ * The metric is told by its word in any language (see locale.js)
+ * @param {string} label - e.g. '12 Likes. Like' or '1.234 Aufrufe. Post-Statistiken ansehen'
+ * @returns {object|null} { metric, count } where metric is replies/reposts/likes/views,
+ *                        and count is null when it can't be read
+ */
+function parseEngagementLabel(label) {
+  const text = String(label || '');
+  if (!/^\s*\d/.test(text)) return null;
+
+  // The first metric word after the count names it
+  const lower = text.toLowerCase();
+  let found = null;
+  for (const [metric, words] of Object.entries(ENGAGEMENT_WORDS)) {
+    for (const word of words) {
+      const at = lower.indexOf(word.toLowerCase());
+      if (at > 0 && (!found || at < found.at)) found = { metric, at };
+    }
+  }
+  return found ? { metric: found.metric, count: parseLeadingCount(text) } : null;
+}
+
+/**
+ * Decide what to do with a tweet
+ * @param {object} info - Item metadata from a driver's readItem: { id, date, text, pinned, engagement }
+ * @param {object} range - Range from resolveDateRange
+ * @param {object} filters - Filters from compileFilters
+ * @returns {object} { action: 'delete' | 'keep' | 'stop', rule }
+ */
+function evaluateTweet(info, range, filters) {
+  const placement = classifyDate(info.date, range);
+  if (placement === 'too-old' && !info.pinned) {
+    // Timeline is newest-first, so everything below is older too
+    return { action: 'stop', rule: 'date:too-old' };
+  }
+  if (placement !== 'in-range') {
+    return { action: 'keep', rule: `date:${placement}` };
+  }
+
+  if (info.id && filters.keepIds.has(info.id)) {
+    return { action: 'keep', rule: `keepId:${info.id}` };
+  }
+
+  const engagement = info.engagement || {};
+  for (const [metric, threshold] of Object.entries(filters.keepIfAtLeast)) {
+    // A count the driver saw but couldn't read may be over the threshold
+    if (engagement[metric] === null) {
+      return { action: 'keep', rule: `engagement:${metric}-unknown` };
+    }
+    if ((engagement[metric] || 0) >= threshold) {
+      return { action: 'keep', rule: `engagement:${metric}>=${threshold}` };
+    }
+  }
+
+  const text = info.text || '';
+  const excluded = filters.exclude.find(matcher => matcher.test(text));
+  if (excluded) {
+    return { action: 'keep', rule: `exclude:${excluded.label}` };
+  }
+
+  if (filters.include.length > 0 && !filters.include.some(matcher => matcher.test(text))) {
+    return { action: 'keep', rule: 'include:no-match' };
+  }
+
+  return { action: 'delete', rule: null };
+}
+
+/**
+ * Parse a tweet timestamp as X renders it
+ * Handles ISO datetimes, relative labels ("45s", "3h") and
+ * short dates ("Jan 5" for this year, "Jan 5, 2021" for older ones)
+ * @param {string} label - datetime attribute or visible timestamp text
+ * @param {Date} now - Reference time for relative labels
+ * @returns {Date|null}
+ */
+function parseTweetTimestamp(label, now = new Date()) {
+  if (!label) return null;
+  const text = label.trim();
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const relative = text.match(/^(\d+)\s*([smhd])$/);
+  if (relative) {
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+    return new Date(now.getTime() - parseInt(relative[1], 10) * units[relative[2]]);
+  }
+
+  const short = text.match(/^([A-Z][a-z]{2}) (\d{1,2})(?:, (\d{4}))?$/);
+  if (short && MONTHS.includes(short[1])) {
+    const year = short[3] ? parseInt(short[3], 10) : now.getFullYear();
+    return new Date(year, MONTHS.indexOf(short[1]), parseInt(short[2], 10));
+  }
+
+  return null;
+}
+
+/**
+ * Categorize an exception thrown mid-flow
+ * Playwright MCP reports clicks on refs that left the page as "not found",
+ * the Playwright library as "not attached to the DOM"
+ * @param {Error} error
+ * @returns {string} 'vanished' or 'throttled'
+ */
+function categorizeError(error) {
+  return /not found|detached|not attached|no longer/i.test(error.message) ? 'vanished' : 'throttled';
+}
+
+/**
+ * Count failures per reason
+ * @param {array} failures - Items with a reason
+ * @returns {object} Count for each of FAILURE_REASONS
+ */
+function countFailureReasons(failures) {
+  const counts = {};
+  for (const reason of FAILURE_REASONS) {
+    counts[reason] = 0;
+  }
+  for (const failure of failures) {
+    counts[failure.reason] = (counts[failure.reason] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Print the non-zero failure counts, one reason per line
+ * @param {object} failureReasons - From countFailureReasons
+ */
+function logFailureReasons(failureReasons) {
+  for (const [reason, count] of Object.entries(failureReasons)) {
+    if (count > 0) console.log(`  ${reason}: ${count}`);
+  }
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  CONFIG,
+  CONTENT_TYPES,
+  TWEET_TYPES,
+  PASS_TYPES,
+  FAILURE_REASONS,
+  RATE_LIMIT_TEXTS,
+  DAY_MS,
+  delay,
+  waitFor,
+  createThrottle,
+  createRunControl,
+  createEmitter,
+  getProfileUrl,
+  getItemType,
+  isInPass,
+  getPassTypes,
+  resolveDateRange,
+  classifyDate,
+  parseTweetId,
+  getTweetIdDate,
+  compileFilters,
+  parseCount,
+  parseLeadingCount,
+  parseEngagementLabel,
+  evaluateTweet,
+  parseTweetTimestamp,
+  categorizeError,
+  countFailureReasons,
+  logFailureReasons
+};
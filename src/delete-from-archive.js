@@ -0,0 +1,394 @@
+/**
+ * Archive-Driven Deletion
+ *
+ * Deletes the content listed in your X data export instead of scrolling
+ * the profile. The profile timeline stops loading older items after
+ * ~3,200 tweets, but the archive lists everything, so this reaches tweets
+ * the timeline never shows and makes "delete exactly these items" possible.
+ *
+ * Each item is deleted by navigating to https://x.com/<user>/status/<id>
+ * (or the same path on options.origin) and running the same menu flow as
+ * deleteContent.
+ *
+ * Usage: Unzip the archive from x.com/settings/download_your_data, then:
+ *
+ *   const { deleteFromArchive } = require('./delete-from-archive');
+ *   await deleteFromArchive(mcpTools, 'yourusername', '/path/to/archive', {
+ *     before: '2022-01-01'
+ *   });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  CONFIG,
+  delay,
+  findTweetElements,
+  findUnretweetButton,
+  findUnlikeButton,
+  getTweetKey,
+  getTweetInfo,
+  getProfileUrl,
+  captureTweet,
+  createThrottle,
+  categorizeError,
+  countFailureReasons,
+  logFailureReasons,
+  resolveDateRange,
+  compileFilters,
+  evaluateTweet
+} = require('./delete-x-content');
+const { removeItem } = require('./engine');
+const { createMcpDriver } = require('./drivers/mcp');
+const { getSnapshotText } = require('./snapshot');
+const { getAllUiTexts } = require('./locale');
+
+/**
+ * Archive files, including the -partN splits X uses for large accounts
+ * (older exports name the tweets file tweet.js)
+ */
+const ARCHIVE_FILES = {
+  tweets: /^tweets?(-part\d+)?\.js$/,
+  likes: /^like(-part\d+)?\.js$/
+};
+
+/**
+ * Page texts shown when a status no longer exists, in every language
+ * (lowercase, as pages are compared lowercased)
+ */
+const MISSING_TWEET_TEXTS = [...new Set(getAllUiTexts('missingPage').map(text => text.toLowerCase()))];
+
+/**
+ * Read one archive data file
+ * Files look like `window.YTD.tweets.part0 = [ ... ]`
+ * @param {string} file - Path to the .js file
+ * @returns {array} Parsed entries
+ */
+function readArchiveFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const start = content.indexOf('=');
+  if (start === -1) {
+    throw new Error(`Unrecognized archive file: ${file}`);
+  }
+  return JSON.parse(content.slice(start + 1));
+}
+
+/**
+ * Read every part of one archive dataset
+ * @param {string} dataDir - The archive's data directory
+ * @param {RegExp} pattern - File name pattern from ARCHIVE_FILES
+ * @returns {array} Entries from all parts, in part order
+ */
+function readArchiveParts(dataDir, pattern) {
+  // tweets.js is part 0; a plain sort would put tweets-part1.js before it
+  const part = name => Number((name.match(/-part(\d+)\.js$/) || [null, 0])[1]);
+  return fs.readdirSync(dataDir)
+    .filter(name => pattern.test(name))
+    .sort((a, b) => part(a) - part(b) || a.localeCompare(b))
+    .flatMap(name => readArchiveFile(path.join(dataDir, name)));
+}
+
+/**
+ * Turn a tweets.js entry into an archive item
+ * The archive has no quote flag; a post linking to a status is a quote tweet
+ * @param {object} entry - { tweet: { id_str, created_at, full_text, ... } }
+ * @returns {object} { id, type, date, text, replyTo, engagement }
+ */
+function toTweetItem(entry) {
+  const tweet = entry.tweet || entry;
+  const text = tweet.full_text || tweet.text || '';
+  const links = ((tweet.entities && tweet.entities.urls) || []).map(url => url.expanded_url || '');
+  let type = 'post';
+  if (text.startsWith('RT @')) {
+    type = 'repost';
+  } else if (tweet.in_reply_to_status_id_str) {
+    type = 'reply';
+  } else if (links.some(url => /^https?:\/\/(?:www\.)?(?:twitter|x)\.com\/\w+\/status\/\d+/.test(url))) {
+    type = 'quote';
+  }
+
+  return {
+    id: tweet.id_str || String(tweet.id),
+    type,
+    date: tweet.created_at ? new Date(tweet.created_at) : null,
+    text,
+    replyTo: tweet.in_reply_to_status_id_str || null,
+    engagement: {
+      replies: 0,
+      reposts: parseInt(tweet.retweet_count, 10) || 0,
+      likes: parseInt(tweet.favorite_count, 10) || 0,
+      views: 0
+    }
+  };
+}
+
+/**
+ * Turn a like.js entry into an archive item
+ * like.js has no dates, so date-range options always keep likes
+ * @param {object} entry - { like: { tweetId, fullText, expandedUrl } }
+ * @returns {object} { id, type, date, text, replyTo, engagement }
+ */
+function toLikeItem(entry) {
+  const like = entry.like || entry;
+  return {
+    id: String(like.tweetId),
+    type: 'like',
+    date: null,
+    text: like.fullText || '',
+    replyTo: null,
+    engagement: null
+  };
+}
+
+/**
+ * Load posts, replies, reposts and likes from an unzipped X archive
+ * @param {string} archiveDir - Archive root (or its data/ directory)
+ * @returns {object} { tweets, likes } - arrays of archive items
+ */
+function loadArchive(archiveDir) {
+  const nested = path.join(archiveDir, 'data');
+  const dataDir = fs.existsSync(nested) ? nested : archiveDir;
+
+  const tweets = readArchiveParts(dataDir, ARCHIVE_FILES.tweets).map(toTweetItem);
+  const likes = readArchiveParts(dataDir, ARCHIVE_FILES.likes).map(toLikeItem);
+
+  if (tweets.length === 0 && likes.length === 0) {
+    throw new Error(`No tweets.js or like.js found in ${dataDir}`);
+  }
+
+  return { tweets, likes };
+}
+
+/**
+ * Apply type selection, date range and filters to archive items
+ * @param {object} archive - Result of loadArchive
+ * @param {object} options - { types } plus deleteContent's retention and filter options
+ * @returns {object} { items, skips } - items to delete, and kept items with their rule
+ */
+function planArchiveDeletion(archive, options = {}) {
+  const types = options.types || ['post', 'reply', 'repost', 'quote'];
+  const range = resolveDateRange(options);
+  const filters = compileFilters(options);
+  const items = [];
+  const skips = [];
+
+  for (const item of [...archive.tweets, ...archive.likes]) {
+    if (!types.includes(item.type)) continue;
+
+    const decision = evaluateTweet({ ...item, pinned: false }, range, filters);
+    if (decision.action === 'delete') {
+      items.push(item);
+    } else {
+      // Archive items aren't in timeline order, so 'stop' just means too old
+      skips.push({ id: item.id, rule: decision.rule });
+    }
+  }
+
+  return { items, skips };
+}
+
+/**
+ * Pick the archive item's article on its status page
+ * Posts must match by ID, since ancestors of a reply render above it.
+ * A repost's status URL redirects to the original tweet, so reposts
+ * and likes fall back to the article carrying the undo button.
+ * @param {object} snapshot - Snapshot of the status page
+ * @param {object} item - Archive item
+ * @param {object} ui - Strings from getUiStrings, default English
+ * @returns {object|null} Tweet object with ref
+ */
+function findArchiveItemTweet(snapshot, item, ui) {
+  const tweets = findTweetElements(snapshot);
+  const exact = tweets.find(tweet => getTweetKey(snapshot, tweet) === item.id);
+  if (exact) return exact;
+
+  if (item.type === 'repost') {
+    return tweets.find(tweet => findUnretweetButton(snapshot, tweet, ui)) || null;
+  }
+  if (item.type === 'like') {
+    return tweets.find(tweet => findUnlikeButton(snapshot, tweet, ui)) || null;
+  }
+  return null;
+}
+
+/**
+ * Check if a status page says the archive item is gone
+ * A live reply whose parent was deleted, or a post quoting an unavailable
+ * one, shows the same text, so the page only counts while the item's own
+ * article is missing from it.
+ * @param {object} snapshot - Snapshot of the status page
+ * @param {object} item - Archive item
+ * @param {object} ui - Strings from getUiStrings, default English
+ * @returns {boolean}
+ */
+function isMissingTweetPage(snapshot, item, ui) {
+  if (findArchiveItemTweet(snapshot, item, ui)) return false;
+  const content = getSnapshotText(snapshot).toLowerCase();
+  return MISSING_TWEET_TEXTS.some(text => content.includes(text));
+}
+
+/**
+ * Delete items by visiting each one's status page
+ * Shared by archive mode and saved plans, which both know exact IDs
+ * @param {object} mcpTools - Playwright MCP tool functions
+ * @param {string} username - X username (without @)
+ * @param {array} items - Items with { id, type } (type: post, reply, repost, quote or like)
+ * @param {object} options - { journal, resume } (see journal.js), { backup } (see backup.js),
+ *                           { throttle } (from createThrottle) and { origin } (site, default
+ *                           https://x.com)
+ * @returns {object} { posts, replies, reposts, likes, total, failed, alreadyGone, failures,
+ *                   failureReasons, throttle } - failures lists { id, reason, error }
+ */
+async function deleteStatusItems(mcpTools, username, items, options = {}) {
+  const driver = createMcpDriver(mcpTools);
+  const journal = options.journal || null;
+  const throttle = options.throttle || createThrottle();
+
+  const results = {
+    posts: 0,
+    replies: 0,
+    reposts: 0,
+    likes: 0,
+    total: 0,
+    failed: 0,
+    alreadyGone: 0,
+    failures: [],
+    failureReasons: null,
+    throttle: throttle.stats
+  };
+  const counters = { post: 'posts', reply: 'replies', repost: 'reposts', quote: 'posts', like: 'likes' };
+  const record = (item, action, outcome, reason, error) => {
+    if (journal) {
+      journal.record({ id: item.id, contentType: 'STATUS', type: item.type, action, outcome, reason, error });
+    }
+  };
+  const fail = (item, reason, error) => {
+    results.failed++;
+    results.failures.push({ id: item.id, reason, error });
+    record(item, 'delete', 'failed', reason, error);
+  };
+
+  // Carry totals forward from the interrupted run and skip what it finished
+  let remaining = items;
+  if (journal && options.resume) {
+    remaining = [];
+    for (const item of items) {
+      if (!journal.isCompleted(item.id)) {
+        remaining.push(item);
+        continue;
+      }
+      if (journal.latest(item.id).action === 'gone') {
+        results.alreadyGone++;
+      } else {
+        results[counters[item.type]]++;
+        results.total++;
+      }
+    }
+    console.log(`Resuming: ${results.total} already deleted, ${remaining.length} to go`);
+  }
+
+  for (const item of remaining) {
+    try {
+      const url = `${getProfileUrl(username, 'POSTS', options.origin)}/status/${item.id}`;
+      await driver.open(url);
+      let snapshot = await driver.refresh();
+
+      // Cool down and reload if X is throttling us
+      if (await throttle.check(driver)) {
+        await driver.open(url);
+        snapshot = await driver.refresh();
+      }
+      if (isMissingTweetPage(snapshot, item, driver.strings())) {
+        results.alreadyGone++;
+        record(item, 'gone', 'success');
+        continue;
+      }
+
+      const tweet = findArchiveItemTweet(snapshot, item, driver.strings());
+      if (!tweet) {
+        fail(item, 'vanished', 'Not found on status page');
+        continue;
+      }
+
+      if (options.backup) {
+        const info = getTweetInfo(snapshot, tweet, driver.strings());
+        options.backup.capture({ ...captureTweet(snapshot, tweet, { ...info, id: item.id }, username, driver.strings()), type: item.type });
+      }
+
+      const kind = item.type === 'repost' || item.type === 'like' ? item.type : 'post';
+      const result = await removeItem(driver, tweet, kind);
+
+      if (result.success) {
+        record(item, 'delete', 'success');
+        throttle.success();
+        results[counters[item.type]]++;
+        results.total++;
+        if (results.total % CONFIG.logInterval === 0) {
+          console.log(`✓ Deleted ${results.total}/${items.length}...`);
+        }
+      } else {
+        fail(item, result.reason, result.error);
+        await throttle.failure(result.error);
+      }
+    } catch (error) {
+      fail(item, categorizeError(error), error.message);
+      console.error(`Error deleting ${item.id}: ${error.message}`);
+      await driver.dismiss();
+      await throttle.failure(error.message);
+    }
+
+    // Rate limiting protection (slower while throttled)
+    await delay(throttle.pace());
+  }
+
+  results.failureReasons = countFailureReasons(results.failures);
+  return results;
+}
+
+/**
+ * Delete archive-listed content by visiting each status page
+ * @param {object} mcpTools - Playwright MCP tool functions
+ * @param {string} username - X username (without @)
+ * @param {string} archiveDir - Unzipped archive root
+ * @param {object} options - { types, journal, resume, origin } plus deleteContent's retention and
+ *                           filter options
+ * @returns {object} Summary like deleteAllContent's, plus likes and alreadyGone
+ */
+async function deleteFromArchive(mcpTools, username, archiveDir, options = {}) {
+  const archive = loadArchive(archiveDir);
+  const { items, skips } = planArchiveDeletion(archive, options);
+
+  console.log(`Loaded archive: ${archive.tweets.length} tweets, ${archive.likes.length} likes`);
+  console.log(`Deleting ${items.length} items, keeping ${skips.length}\n`);
+
+  const results = await deleteStatusItems(mcpTools, username, items, options);
+  const summary = { ...results, skipped: skips.length, skips };
+
+  console.log('\n=== Archive Deletion Complete ===');
+  console.log(`Posts deleted: ${summary.posts}`);
+  console.log(`Replies deleted: ${summary.replies}`);
+  console.log(`Reposts undone: ${summary.reposts}`);
+  console.log(`Likes removed: ${summary.likes}`);
+  console.log(`Already gone: ${summary.alreadyGone}`);
+  console.log(`Kept by rules: ${summary.skipped}`);
+  console.log(`Failed: ${summary.failed}`);
+  logFailureReasons(summary.failureReasons);
+  console.log(`Throttled: ${summary.throttle.events.length} times, ${(summary.throttle.backedOffMs / 60000).toFixed(1)} min backing off`);
+
+  return summary;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  deleteFromArchive,
+  deleteStatusItems,
+  loadArchive,
+  planArchiveDeletion,
+  readArchiveFile,
+  toTweetItem,
+  toLikeItem,
+  isMissingTweetPage,
+  findArchiveItemTweet
+};
@@ -0,0 +1,200 @@
+/**
+ * Direct Mode: Removal Through X's Web API
+ *
+ * Clicking ⋯ → Delete → confirm for every tweet is what makes a big
+ * account take an hour. From a logged-in x.com page, the same
+ * DeleteTweet, DeleteRetweet and UnfavoriteTweet GraphQL calls the web
+ * client makes can be sent directly, with the page's own session: the
+ * ct0 cookie as the CSRF token and the web client's bearer token.
+ *
+ * The engine still walks the timeline and decides every tweet; a
+ * remover only replaces the clicks, several at a time (options.remover
+ * and options.concurrency in engine.js). Anything the API can't explain
+ * falls back to clicking, and a rejected session turns direct mode off
+ * for the rest of the run.
+ *
+ * Query IDs change when X ships a new web client. When calls start
+ * failing with 404s, copy the current ones from the DevTools Network tab
+ * (the path is /i/api/graphql/<queryId>/DeleteTweet) into queryIds.
+ *
+ * Usage (in the page):
+ *
+ *   const remover = createDirectRemover({ csrfToken: readCookie(document.cookie, 'ct0') });
+ *   await runAllDeletion(driver, 'yourusername', { remover, concurrency: 3 });
+ */
+
+/**
+ * The bearer token x.com's web client sends with every API call
+ */
+const WEB_BEARER_TOKEN = 'AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs%3D1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA';
+
+/**
+ * GraphQL query IDs of the web client's mutations
+ */
+const DEFAULT_QUERY_IDS = {
+  DeleteTweet: 'VaenaVgh5q5ih7kvyVjgtg',
+  DeleteRetweet: 'iQtK4dl5hBmXewYZuEOKVw',
+  UnfavoriteTweet: 'ZYKSe-w7KEslx3JhSIk5LA'
+};
+
+/**
+ * The mutation for each kind of removal (see engine.js removeItem), and its variables
+ */
+const OPERATIONS = {
+  post: { name: 'DeleteTweet', variables: id => ({ tweet_id: id, dark_request: false }) },
+  repost: { name: 'DeleteRetweet', variables: id => ({ source_tweet_id: id, dark_request: false }) },
+  like: { name: 'UnfavoriteTweet', variables: id => ({ tweet_id: id }) }
+};
+
+// GraphQL error codes: 88 rate limit, 144 no such tweet, 32 and 353 bad session or CSRF token
+const RATE_LIMIT_CODES = [88];
+const MISSING_CODES = [144];
+const SESSION_CODES = [32, 353];
+
+/**
+ * Read a cookie's value
+ * @param {string} cookies - A Cookie header or document.cookie
+ * @param {string} name - e.g. 'ct0'
+ * @returns {string|null}
+ */
+function readCookie(cookies, name) {
+  for (const part of (cookies || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Build the request the web client would send
+ * @param {string} kind - 'post' (posts, replies and quotes), 'repost' or 'like'
+ * @param {string} id - Tweet ID (the original tweet's, for reposts and likes)
+ * @param {object} session - { origin, csrfToken, bearerToken, queryIds }
+ * @returns {object} { url, init } for fetch
+ */
+function buildRequest(kind, id, session) {
+  const operation = OPERATIONS[kind];
+  const queryId = { ...DEFAULT_QUERY_IDS, ...session.queryIds }[operation.name];
+  return {
+    url: `${session.origin || 'https://x.com'}/i/api/graphql/${queryId}/${operation.name}`,
+    init: {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        authorization: `Bearer ${session.bearerToken || WEB_BEARER_TOKEN}`,
+        'content-type': 'application/json',
+        'x-csrf-token': session.csrfToken,
+        'x-twitter-auth-type': 'OAuth2Session',
+        'x-twitter-active-user': 'yes'
+      },
+      body: JSON.stringify({ variables: operation.variables(id), queryId })
+    }
+  };
+}
+
+/**
+ * Make sense of a mutation's response
+ * @param {number} status - HTTP status
+ * @param {object|null} body - Parsed JSON, or null if it wasn't JSON
+ * @returns {object} { ok: true }, or { ok: false, error } plus one of: reason (from
+ *                   FAILURE_REASONS), rateLimited (back off now), fallback (click instead)
+ *                   and session (the session was refused: stop using the API)
+ */
+function interpretResponse(status, body) {
+  const errors = (body && Array.isArray(body.errors)) ? body.errors : [];
+  const codes = errors.map(entry => entry.code);
+  const error = `HTTP ${status}${errors.length > 0 ? `: ${errors.map(entry => entry.message).join('; ')}` : ''}`;
+
+  if (status === 429 || codes.some(code => RATE_LIMIT_CODES.includes(code))) {
+    return { ok: false, reason: 'throttled', rateLimited: true, error };
+  }
+  if (status === 401 || codes.some(code => SESSION_CODES.includes(code))) {
+    return { ok: false, fallback: true, session: true, error };
+  }
+  if (status >= 500) {
+    return { ok: false, reason: 'throttled', error };
+  }
+  if (codes.some(code => MISSING_CODES.includes(code))) {
+    return { ok: false, reason: 'vanished', error };
+  }
+  if (status !== 200 || errors.length > 0 || !body || !body.data) {
+    return { ok: false, fallback: true, error };
+  }
+  return { ok: true };
+}
+
+/**
+ * Create a remover that sends removals straight to X's API
+ * @param {object} options - { csrfToken (the ct0 cookie), origin (default https://x.com),
+ *                           bearerToken (default the web client's), queryIds (overrides
+ *                           DEFAULT_QUERY_IDS), fetch (default the global fetch) }
+ * @returns {object} { name, stats, enabled, remove } - remove(info, kind) returns
+ *                   { success, type }, { success: false, reason, error, rateLimited }, or
+ *                   { success: false, fallback: true, error } when the tweet should be clicked
+ *                   through instead
+ */
+function createDirectRemover(options = {}) {
+  const send = options.fetch || ((url, init) => fetch(url, init));
+  const stats = { calls: 0, fallbacks: 0, rateLimited: 0 };
+  let disabled = options.csrfToken ? null : 'No ct0 cookie: log in to X in this tab';
+
+  return {
+    name: 'direct',
+    stats,
+
+    /**
+     * @returns {boolean} Whether calls still go to the API
+     */
+    enabled() {
+      return !disabled;
+    },
+
+    /**
+     * Remove a tweet with one API call
+     * @param {object} info - From the driver's readItem (uses id)
+     * @param {string} kind - 'post', 'repost' or 'like'
+     * @returns {object} See createDirectRemover
+     */
+    async remove(info, kind) {
+      if (disabled || !info.id) {
+        stats.fallbacks++;
+        return { success: false, fallback: true, error: disabled || 'No tweet ID to send' };
+      }
+
+      const { url, init } = buildRequest(kind, info.id, options);
+      stats.calls++;
+      let result;
+      try {
+        const response = await send(url, init);
+        const body = await response.json().catch(() => null);
+        result = interpretResponse(response.status, body);
+      } catch (error) {
+        return { success: false, reason: 'throttled', error: error.message };
+      }
+
+      if (result.ok) return { success: true, type: kind };
+      if (result.rateLimited) stats.rateLimited++;
+      if (result.session && !disabled) {
+        disabled = `X refused the session (${result.error})`;
+        console.log(`⚠️  ${disabled}; clicking through the rest`);
+      }
+      if (result.fallback) {
+        stats.fallbacks++;
+        return { success: false, fallback: true, error: result.error };
+      }
+      return { success: false, reason: result.reason, error: result.error, rateLimited: Boolean(result.rateLimited) };
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  WEB_BEARER_TOKEN,
+  DEFAULT_QUERY_IDS,
+  readCookie,
+  buildRequest,
+  interpretResponse,
+  createDirectRemover
+};
@@ -0,0 +1,159 @@
+/**
+ * In-Page Follower Driver
+ *
+ * Drives the follower flow (see followers.js) from inside the X tab, on
+ * your followers list. This is the driver built into the follower
+ * console script. Profiles are read in a popup window, so the script
+ * keeps running on the list; the popup navigates on its own, so it is
+ * polled (waitFor in core.js) rather than observed, and closed after
+ * each read so a stale profile is never read twice.
+ *
+ * Usage (in the page, with popups allowed for x.com):
+ *
+ *   const driver = createDomFollowerDriver(config);
+ *   await pruneFollowers(driver, 'yourusername', { config });
+ */
+
+const { waitFor } = require('../core');
+const { getUiStrings } = require('../locale');
+const { waitForDom, findRateLimitText } = require('./dom');
+const {
+  FOLLOWER_CONFIG,
+  RESERVED_PATHS,
+  readFollowerCells,
+  readProfileActivity,
+  readProfileFields,
+  isProfileRendered
+} = require('../followers');
+
+const CELL = '[data-testid="cellInnerDiv"]';
+
+/**
+ * Create a follower driver for the page the script runs in
+ * @param {object} config - Follower settings (delays, waits, language), default FOLLOWER_CONFIG
+ * @returns {object} Follower driver (see followers.js)
+ */
+function createDomFollowerDriver(config = FOLLOWER_CONFIG) {
+  const waits = { ...FOLLOWER_CONFIG.waits, ...config.waits };
+  const ui = getUiStrings(config.language || document.documentElement.lang);
+  let seen429 = 0;
+
+  const lastCell = () => [...document.querySelectorAll(CELL)].pop() || null;
+  // The list is rendered once it shows a follower (or says there are none), and
+  // more have loaded after a scroll once its last cell changes
+  const listLoaded = previous => waitForDom(() => {
+    const last = lastCell();
+    return (last && last !== previous) || document.querySelector('[data-testid="emptyState"]');
+  }, { timeout: waits.loadTimeout, interval: waits.interval, floor: config.delays.scrollLoad });
+
+  return {
+    name: 'dom',
+
+    // The script can't survive a navigation, so it must be pasted on the list
+    async open(url) {
+      const target = new URL(url).pathname.toLowerCase();
+      if (location.pathname.replace(/\/$/, '').toLowerCase() !== target) {
+        throw new Error(`Open ${url} and run the script there`);
+      }
+      await listLoaded(null);
+    },
+
+    async findFollowers() {
+      return readFollowerCells(RESERVED_PATHS);
+    },
+
+    async scroll(pixels) {
+      const previous = lastCell();
+      window.scrollBy(0, pixels);
+      await listLoaded(previous);
+    },
+
+    async readProfile(url, lookup) {
+      const popup = window.open(url, 'followerCheck', 'width=800,height=600');
+      if (!popup) throw new Error('Popup blocked - allow popups for x.com');
+
+      try {
+        // Cross-origin or still blank while it loads
+        const loadedDocument = () => {
+          try {
+            const doc = popup.document;
+            return doc && doc.location.href !== 'about:blank' && doc.readyState !== 'loading' ? doc : null;
+          } catch (e) {
+            return null;
+          }
+        };
+        const rendered = await waitFor(() => {
+          const doc = loadedDocument();
+          return Boolean(doc) && isProfileRendered(lookup, doc);
+        }, { timeout: waits.loadTimeout, interval: waits.interval, floor: config.delays.profileLoad });
+
+        // Loaded but showing nothing to go on: readProfileActivity says why
+        const doc = loadedDocument();
+        if (!rendered && (!doc || doc.readyState !== 'complete')) throw new Error('Profile failed to load');
+
+        const activity = readProfileActivity(lookup, doc);
+        const header = lookup.header && !activity.rateLimited ? readProfileFields(lookup.username, doc) : null;
+        return { activity, header };
+      } finally {
+        popup.close();
+      }
+    },
+
+    // Through the card's menu on the followers list
+    async removeFollower(username) {
+      try {
+        const card = [...document.querySelectorAll(CELL)].find(cell => cell.querySelector(`a[href="/${username}"]`));
+        const moreButton = card && card.querySelector('[data-testid="userActions"], [role="button"][aria-haspopup="menu"]');
+        if (!moreButton) {
+          return { success: false, error: 'No more button on card' };
+        }
+
+        const step = { timeout: waits.timeout, interval: waits.interval, floor: config.delays.betweenClicks };
+        moreButton.click();
+        await waitForDom(() => document.querySelector('[role="menuitem"]'), step);
+
+        const removeButton = [...document.querySelectorAll('[role="menuitem"]')]
+          .find(item => ui.removeFollower.some(text => item.textContent.includes(text)));
+        if (!removeButton) {
+          document.body.click(); // Close the menu
+          return { success: false, error: 'No remove button found' };
+        }
+
+        removeButton.click();
+        const confirmButton = await waitForDom(() => document.querySelector('[data-testid="confirmationSheetConfirm"]'), step);
+        if (!confirmButton) {
+          return { success: false, error: 'No confirm button' };
+        }
+
+        // Confirm, then wait for the card to leave the list
+        confirmButton.click();
+        const removed = await waitForDom(() => !card.isConnected, { ...step, floor: config.delays.afterAction });
+        // X sometimes takes the click and keeps the follower
+        return removed ? { success: true } : { success: false, error: 'Still listed after removing' };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    },
+
+    async checkThrottle() {
+      const toast = document.querySelector('[data-testid="toast"]');
+      const message = findRateLimitText(toast ? toast.textContent : '', '');
+      if (message) return message;
+
+      const hits = window.performance.getEntriesByType('resource').filter(entry => entry.responseStatus === 429).length;
+      const fresh = hits > seen429;
+      seen429 = hits;
+      return fresh ? 'http: 429 Too Many Requests' : null;
+    },
+
+    // Popups close after each profile, so there is nothing left open
+    async close() {}
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createDomFollowerDriver
+};
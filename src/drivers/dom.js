@@ -0,0 +1,369 @@
+/**
+ * In-Page DOM Driver
+ *
+ * Drives the deletion engine from inside the X tab, querying and clicking
+ * elements by their data-testid (CONFIG.selectors) and, where X has no
+ * test id, by text in the page's language (see locale.js). This is the
+ * driver built into the console script. Items are the tweet <article>
+ * elements.
+ *
+ * Each step waits for what it should bring about (the menu opening, the
+ * confirmation sheet, the tweet leaving the page, new tweets after a
+ * scroll) with waitForDom, up to CONFIG.waits; CONFIG.delays only sets
+ * the least time a step takes.
+ *
+ * readTweetElement and captureTweetElement only use their arguments, so
+ * the Playwright driver runs the same code in the page through
+ * elementHandle.evaluate.
+ *
+ * Usage (in the page):
+ *
+ *   const driver = createDomDriver();
+ *   await runDeletion(driver, 'yourusername', 'POSTS');
+ */
+
+const { CONFIG, RATE_LIMIT_TEXTS, delay, parseLeadingCount } = require('../core');
+const { getUiStrings, equalsUiText } = require('../locale');
+
+/**
+ * Read what the engine needs to know about a tweet article
+ * Must stay self-contained (see top of file)
+ * @param {Element} article - Tweet article element
+ * @param {object} lookup - { selectors (CONFIG.selectors), ui (from getUiStrings) }
+ * @returns {object} { key, id, date, text, pinned, engagementLabels, repost, quote, liked } with date as an ISO string
+ */
+function readTweetElement(article, { selectors, ui }) {
+  const timeLink = article.querySelector('a[href*="/status/"] time');
+  const href = timeLink ? timeLink.closest('a').getAttribute('href') : '';
+  const status = href.match(/\/status\/(\d+)/);
+  const id = status ? status[1] : null;
+
+  // Tweets without a status link (ads, tombstones) still need a stable key
+  if (!id && !article.dataset.xDeleterKey) {
+    article.dataset.xDeleterKey = `el-${Math.random().toString(36).slice(2)}`;
+  }
+
+  const time = article.querySelector('time');
+  const context = article.querySelector(selectors.socialContext);
+  const contextText = context ? context.textContent : '';
+  const pinned = ui.pinned.some(label => contextText.includes(label));
+  const text = article.querySelector(selectors.tweetText);
+
+  // Engagement labels ("12 Likes. Like") by test id, so the metric is known in any
+  // language; toItemInfo reads the counts
+  const engagementLabels = {};
+  const metricSelectors = {
+    replies: selectors.replyButton,
+    reposts: `${selectors.retweetButton}, ${selectors.unretweetButton}`,
+    likes: `${selectors.likeButton}, ${selectors.unlikeButton}`,
+    views: 'a[href$="/analytics"]'
+  };
+  for (const [metric, selector] of Object.entries(metricSelectors)) {
+    const button = article.querySelector(selector);
+    engagementLabels[metric] = button ? button.getAttribute('aria-label') || '' : '';
+  }
+
+  return {
+    key: id || article.dataset.xDeleterKey,
+    id,
+    date: time ? time.getAttribute('datetime') : null,
+    text: text ? text.textContent : '',
+    pinned,
+    engagementLabels,
+    // Reposts carry a "You reposted" header and the unretweet button (told
+    // apart from the "Pinned" header by test id, whatever the language);
+    // quote tweets are our own posts with a second tweet (the quoted one) inside
+    repost: Boolean(contextText) && !pinned && Boolean(article.querySelector(selectors.unretweetButton)),
+    quote: article.querySelectorAll(selectors.userName).length > 1,
+    // Replies carry "Replying to @bob"; the Replies tab lists standalone posts too
+    reply: ui.replyingTo.some(label => article.textContent.includes(label)),
+    liked: Boolean(article.querySelector(selectors.unlikeButton))
+  };
+}
+
+/**
+ * Capture a tweet article for the backup, right before deleting it
+ * Must stay self-contained (see top of file)
+ * @param {Element} article - Tweet article element
+ * @param {object} lookup - { selectors (CONFIG.selectors), ui (from getUiStrings) }
+ * @returns {object} { id, permalink, date, text, media, quoted, replyTo }
+ */
+function captureTweetElement(article, { selectors, ui }) {
+  const timeLink = article.querySelector('a[href*="/status/"] time');
+  const href = timeLink ? timeLink.closest('a').getAttribute('href') : '';
+  const status = href.match(/\/status\/(\d+)/);
+  const id = status ? status[1] : null;
+
+  const time = article.querySelector('time');
+  const text = article.querySelector(selectors.tweetText);
+  const statuses = [...article.querySelectorAll('a[href*="/status/"]')]
+    .map(a => a.getAttribute('href').match(/^\/[^/]+\/status\/(\d+)/))
+    .filter(Boolean);
+  const own = statuses.find(match => match[1] === id);
+  const quoted = statuses.find(match => match[1] !== id);
+  // "Replying to @bob", in the page's language
+  let replyTo = null;
+  for (const label of ui.replyingTo) {
+    const at = article.textContent.indexOf(label);
+    replyTo = at >= 0 ? article.textContent.slice(at + label.length).match(/^[\s:：]*@(\w+)/) : null;
+    if (replyTo) break;
+  }
+  const media = [
+    ...[...article.querySelectorAll('img[src*="pbs.twimg.com/media"]')].map(img => img.src),
+    ...[...article.querySelectorAll('video')].map(video => video.src || video.poster)
+  ].filter(Boolean);
+
+  return {
+    id,
+    permalink: own ? `https://x.com${own[0]}` : null,
+    date: time ? time.getAttribute('datetime') : null,
+    text: text ? text.textContent : '',
+    media: [...new Set(media)],
+    quoted: quoted ? `https://x.com${quoted[0]}` : null,
+    replyTo: replyTo ? `@${replyTo[1]}` : null
+  };
+}
+
+/**
+ * Turn readTweetElement's result into engine item metadata
+ * @param {object} info - From readTweetElement
+ * @returns {object} Same, with date as a Date (or null) and engagement counts in place of
+ *                   their labels (null for a count that doesn't parse)
+ */
+function toItemInfo(info) {
+  const { engagementLabels, ...rest } = info;
+  const date = info.date ? new Date(info.date) : null;
+  const engagement = {};
+  for (const [metric, label] of Object.entries(engagementLabels || {})) {
+    engagement[metric] = parseLeadingCount(label);
+  }
+  return { ...rest, date: date && !isNaN(date.getTime()) ? date : null, engagement };
+}
+
+/**
+ * Complete a captureTweetElement result into a backup record
+ * @param {object} capture - From captureTweetElement
+ * @param {object} info - Item metadata from readItem
+ * @param {string} username - X username (without @), for the permalink fallback
+ * @returns {object} { id, permalink, date, text, media, quoted, replyTo, engagement, capturedAt }
+ */
+function toBackupRecord(capture, info, username) {
+  return {
+    ...capture,
+    permalink: capture.permalink || (capture.id ? `https://x.com/${username}/status/${capture.id}` : null),
+    engagement: info.engagement,
+    capturedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Find X's throttling message in a toast or on the page
+ * @param {string} toastText - Text of the toast, if one is showing
+ * @param {string} pageText - Visible text of the page
+ * @returns {string|null} Reason, or null if the page looks normal
+ */
+function findRateLimitText(toastText, pageText) {
+  if (toastText && (/something went wrong|rate limit/i.test(toastText) || RATE_LIMIT_TEXTS.some(t => toastText.includes(t)))) {
+    return `toast: ${toastText.trim()}`;
+  }
+  const text = RATE_LIMIT_TEXTS.find(t => pageText.includes(t));
+  return text ? `toast: ${text}` : null;
+}
+
+/**
+ * Wait until the page reaches a condition
+ * Checks again on every DOM change, and every interval for changes that
+ * don't touch the DOM, so a step moves on as soon as X renders
+ * @param {function} check - Returns something truthy once the condition holds
+ * @param {object} options - { timeout, interval, floor } as for waitFor in core.js
+ * @returns {Promise<*>} What check returned, or null when the timeout passed first
+ */
+async function waitForDom(check, options = {}) {
+  const timeout = options.timeout ?? CONFIG.waits.timeout;
+  const interval = Math.max(1, options.interval ?? CONFIG.waits.interval);
+
+  const settled = new Promise(resolve => {
+    const first = check();
+    if (first || timeout <= 0) {
+      resolve(first || null);
+      return;
+    }
+
+    let done = false;
+    const finish = value => {
+      if (done) return;
+      done = true;
+      observer.disconnect();
+      clearInterval(poll);
+      clearTimeout(timer);
+      resolve(value);
+    };
+    const test = () => {
+      const value = check();
+      if (value) finish(value);
+    };
+    const observer = new MutationObserver(test);
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true });
+    const poll = setInterval(test, interval);
+    const timer = setTimeout(() => finish(null), timeout);
+  });
+
+  const [value] = await Promise.all([settled, delay(options.floor || 0)]);
+  return value;
+}
+
+/**
+ * Create a driver for the page the script runs in
+ * @param {object} config - Settings (delays, waits, selectors), default CONFIG
+ * @returns {object} Driver (see engine.js)
+ */
+function createDomDriver(config = CONFIG) {
+  const selectors = { ...CONFIG.selectors, ...config.selectors };
+  const waits = { ...CONFIG.waits, ...config.waits };
+  const ui = getUiStrings(config.language || document.documentElement.lang);
+  let seen429 = 0;
+
+  const throttled = () => {
+    const toast = document.querySelector(selectors.toast);
+    return Boolean(findRateLimitText(toast ? toast.textContent : '', ''));
+  };
+  // Click, then wait for the click's effect to show (or the timeout to pass)
+  const click = async (element, floor, until) => {
+    element.click();
+    await waitForDom(until, { timeout: waits.timeout, interval: waits.interval, floor });
+  };
+  const missing = (reason, error) => ({ ok: false, reason, error });
+
+  return {
+    name: 'dom',
+
+    // The script can't survive a navigation, so each pass must run on its own tab
+    async open(url) {
+      const target = new URL(url).pathname.toLowerCase();
+      if (location.pathname.replace(/\/$/, '').toLowerCase() !== target) {
+        throw new Error(`Open ${url} and run the script there`);
+      }
+      window.scrollTo(0, 0);
+      // The profile timeline is rendered once it shows tweets or says it has none
+      await waitForDom(() => document.querySelector(`${selectors.tweet}, ${selectors.emptyState}`), {
+        timeout: waits.loadTimeout,
+        interval: waits.interval,
+        floor: config.delays.scrollLoad
+      });
+    },
+
+    async findItems() {
+      return [...document.querySelectorAll(selectors.tweet)];
+    },
+
+    async readItem(article) {
+      return toItemInfo(readTweetElement(article, { selectors, ui }));
+    },
+
+    async captureItem(article, info, username) {
+      return toBackupRecord(captureTweetElement(article, { selectors, ui }), info, username);
+    },
+
+    async openMenu(article, menu) {
+      if (menu === 'repost') {
+        const unretweetBtn = article.querySelector(selectors.unretweetButton);
+        if (!unretweetBtn) return missing('menu-missing', 'No unretweet button');
+        await click(unretweetBtn, config.delays.betweenClicks, () => document.querySelector(selectors.unretweetConfirm));
+        return { ok: true };
+      }
+
+      const moreBtn = article.querySelector(selectors.moreButton);
+      if (!moreBtn) return missing('menu-missing', 'No More button');
+      await click(moreBtn, config.delays.betweenClicks, () => document.querySelector(selectors.deleteButton));
+      return { ok: true };
+    },
+
+    async chooseAction(article, action) {
+      if (action === 'delete') {
+        const menuItems = [...document.querySelectorAll(selectors.deleteButton)];
+        const deleteBtn = menuItems.find(item => equalsUiText(item.textContent, ui.delete));
+        if (!deleteBtn) {
+          // A menu without Delete means the tweet isn't ours
+          return menuItems.length > 0
+            ? missing('not-owned', 'No Delete button in menu')
+            : missing('menu-missing', 'Menu did not open');
+        }
+        await click(deleteBtn, config.delays.betweenClicks, () => document.querySelector(selectors.confirmButton));
+        return { ok: true };
+      }
+
+      if (action === 'undo-repost') {
+        const confirmBtn = document.querySelector(selectors.unretweetConfirm);
+        if (!confirmBtn) return missing('confirm-missing', 'No unretweet confirm');
+        await click(confirmBtn, config.delays.afterDeletion,
+          () => !article.isConnected || !article.querySelector(selectors.unretweetButton) || throttled());
+        return { ok: true };
+      }
+
+      const liking = action === 'like';
+      const button = article.querySelector(liking ? selectors.likeButton : selectors.unlikeButton);
+      if (!button) return missing('menu-missing', 'No unlike button');
+      await click(button, config.delays.afterDeletion,
+        () => !article.isConnected || Boolean(article.querySelector(selectors.unlikeButton)) === liking || throttled());
+      return { ok: true };
+    },
+
+    async confirm(article) {
+      const confirmBtn = document.querySelector(selectors.confirmButton);
+      if (!confirmBtn) return missing('confirm-missing', 'No confirm button');
+      await click(confirmBtn, config.delays.afterDeletion, () => !article.isConnected || throttled());
+      return { ok: true };
+    },
+
+    async scroll(pixels) {
+      const before = new Set(document.querySelectorAll(selectors.tweet));
+      window.scrollBy(0, pixels);
+      await waitForDom(() => [...document.querySelectorAll(selectors.tweet)].some(article => !before.has(article)), {
+        timeout: waits.loadTimeout,
+        interval: waits.interval,
+        floor: config.delays.scrollLoad
+      });
+    },
+
+    async dismiss() {
+      document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+      await waitForDom(() => !document.querySelector(`${selectors.deleteButton}, ${selectors.confirmButton}, ${selectors.unretweetConfirm}`), {
+        timeout: waits.timeout,
+        interval: waits.interval,
+        floor: config.delays.betweenClicks
+      });
+    },
+
+    async hasItem(article) {
+      return document.contains(article);
+    },
+
+    async rateLimitMessage() {
+      const toast = document.querySelector(selectors.toast);
+      return findRateLimitText(toast ? toast.textContent : '', document.body.innerText);
+    },
+
+    async checkThrottle() {
+      const message = await this.rateLimitMessage();
+      if (message) return message;
+
+      const hits = window.performance.getEntriesByType('resource').filter(entry => entry.responseStatus === 429).length;
+      const fresh = hits > seen429;
+      seen429 = hits;
+      return fresh ? 'http: 429 Too Many Requests' : null;
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createDomDriver,
+  waitForDom,
+  readTweetElement,
+  captureTweetElement,
+  toItemInfo,
+  toBackupRecord,
+  findRateLimitText
+};
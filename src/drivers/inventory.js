@@ -0,0 +1,112 @@
+/**
+ * Inventory Driver
+ *
+ * Runs the engine over an inventory of intercepted timeline responses
+ * (see intercept.js) instead of the page: every tweet of a tab is there
+ * at once, so nothing is scrolled or missed. Items are inventory entries.
+ *
+ * Nothing here can click, so removals need a remover (direct mode, see
+ * direct.js); a tweet the remover hands back to be clicked is reported
+ * as menu-missing. Dry runs need nothing else.
+ *
+ * Usage:
+ *
+ *   const driver = createInventoryDriver(inventory);
+ *   await runAllDeletion(driver, 'yourusername', { remover, concurrency: 3 });
+ */
+
+/**
+ * Find the tab a profile URL shows
+ * @param {string} url - From getProfileUrl
+ * @returns {string} 'POSTS', 'REPLIES' or 'LIKES'
+ */
+function getUrlTab(url) {
+  const path = new URL(url).pathname.replace(/\/+$/, '');
+  if (path.endsWith('/with_replies')) return 'REPLIES';
+  if (path.endsWith('/likes')) return 'LIKES';
+  return 'POSTS';
+}
+
+/**
+ * Create a driver over an inventory
+ * @param {object} inventory - From createInventory
+ * @returns {object} Driver (see engine.js)
+ */
+function createInventoryDriver(inventory) {
+  let items = [];
+  const walked = new Set();
+  const notOnPage = () => ({ ok: false, reason: 'menu-missing', error: 'Not on the page (inventory runs remove through the API)' });
+
+  return {
+    name: 'inventory',
+
+    async open(url) {
+      const tab = getUrlTab(url);
+      // The Replies tab lists your posts too. Removed ones would be gone from
+      // a reloaded page, so leave the ones the Posts pass already decided.
+      items = inventory.items(tab).filter(item => tab !== 'REPLIES' || !walked.has(item.key));
+      if (tab === 'POSTS') {
+        for (const item of items) walked.add(item.key);
+      }
+    },
+
+    async findItems() {
+      return items;
+    },
+
+    async readItem(item) {
+      return item;
+    },
+
+    async captureItem(item, info, username) {
+      return {
+        id: item.id,
+        permalink: item.id ? `https://x.com/${item.author || username}/status/${item.id}` : null,
+        date: item.date ? item.date.toISOString() : null,
+        text: item.text,
+        media: item.media || [],
+        quoted: item.quoted || null,
+        replyTo: item.replyTo || null,
+        engagement: item.engagement,
+        capturedAt: new Date().toISOString()
+      };
+    },
+
+    async openMenu() {
+      return notOnPage();
+    },
+
+    async chooseAction() {
+      return notOnPage();
+    },
+
+    async confirm() {
+      return notOnPage();
+    },
+
+    async scroll() {},
+
+    async dismiss() {},
+
+    // Still listed, so a tweet handed back by the remover is menu-missing, not vanished
+    async hasItem(item) {
+      return items.includes(item);
+    },
+
+    async rateLimitMessage() {
+      return null;
+    },
+
+    async checkThrottle() {
+      return null;
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createInventoryDriver,
+  getUrlTab
+};
@@ -0,0 +1,657 @@
+/**
+ * Playwright MCP Driver
+ *
+ * Drives the deletion engine through Playwright MCP tools. Each step
+ * reads the latest browser_snapshot's accessibility tree (see
+ * snapshot.js), clicks by ref and snapshots again until the click's
+ * effect shows (the menu, the confirmation sheet, the tweet gone), up to
+ * CONFIG.waits, so lookups always match what the page shows now.
+ * browser_wait_for only matches page text, which a tweet can contain
+ * too, so conditions are checked on the snapshots instead. Items are
+ * { ref, text, node } from findTweetElements; refs stay stable across
+ * snapshots.
+ *
+ * Snapshots carry no test ids, so buttons and menu items are found by
+ * their names in the page's language (read from <html lang> after each
+ * navigation; see locale.js). The lookups below take those strings as
+ * `ui` and default to English.
+ *
+ * Usage:
+ *
+ *   const driver = createMcpDriver(mcpTools);
+ *   await runDeletion(driver, 'yourusername', 'POSTS');
+ */
+
+const {
+  getSnapshotText,
+  parseSnapshot,
+  getNodeText,
+  findAll,
+  findFirst,
+  findByRef
+} = require('../snapshot');
+const {
+  CONFIG,
+  RATE_LIMIT_TEXTS,
+  waitFor,
+  getItemType,
+  parseTweetTimestamp,
+  getTweetIdDate,
+  parseEngagementLabel
+} = require('../core');
+const {
+  detectLanguage,
+  getUiStrings,
+  getAllUiTexts,
+  equalsUiText,
+  findUiText,
+  endsWithUiText
+} = require('../locale');
+
+const ENGLISH = getUiStrings('en');
+
+// Compared lowercased, in every language, since X's wording varies in case
+const MISSING_PAGE_TEXTS = getAllUiTexts('missingPage').map(text => text.toLowerCase());
+
+/**
+ * Query for a node with one of these roles whose name passes a test
+ * @param {string|array} role
+ * @param {function} test - (name) => boolean
+ * @returns {function} Query for findFirst and findAll
+ */
+function named(role, test) {
+  const roles = Array.isArray(role) ? role : [role];
+  return node => roles.includes(node.role) && test(node.name || getNodeText(node));
+}
+
+/**
+ * Look for X's throttling messages in a snapshot
+ * @param {object} snapshot - Current page snapshot
+ * @returns {string|null} Reason, or null if the page looks normal
+ */
+function detectRateLimit(snapshot) {
+  const content = getSnapshotText(snapshot);
+  const text = RATE_LIMIT_TEXTS.find(t => content.includes(t));
+  return text ? `toast: ${text}` : null;
+}
+
+/**
+ * Find the tweets in a snapshot
+ * Each top-level article is one tweet; quoted tweets render inside
+ * their quoting article and are not returned separately
+ * @param {object} snapshot - Snapshot from mcp__playwright__browser_snapshot
+ * @returns {array} Tweets as { ref, text, node }, in timeline order
+ */
+function findTweetElements(snapshot) {
+  return findAll(parseSnapshot(snapshot), { role: 'article' }, { nested: false })
+    .filter(node => node.ref)
+    .map(node => ({
+      ref: node.ref,
+      text: [node.name, getNodeText(node)].filter(Boolean).join('\n'),
+      node
+    }));
+}
+
+/**
+ * Get a tweet's subtree in a snapshot
+ * Refs stay stable across snapshots, so a tweet found in one snapshot
+ * can be looked up again in a later one
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref
+ * @returns {object|null} Article node
+ */
+function getTweetNode(snapshot, tweet) {
+  return findByRef(parseSnapshot(snapshot), tweet.ref);
+}
+
+/**
+ * Find the "More" button ref within a tweet element
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {string|null} ref of more button, or null if not found
+ */
+function findMoreButtonInTweet(snapshot, tweet, ui = ENGLISH) {
+  const node = getTweetNode(snapshot, tweet);
+  const button = node && findFirst(node, named('button', name => equalsUiText(name, ui.more)));
+  return button ? button.ref : null;
+}
+
+/**
+ * Find a menu item in the open dropdown menu
+ * @param {object} snapshot - Snapshot after opening a menu
+ * @param {string|RegExp|array} name - Menu item name, or a list of names (from getUiStrings)
+ * @returns {string|null} ref of the menu item
+ */
+function findMenuItem(snapshot, name) {
+  const query = Array.isArray(name)
+    ? named('menuitem', itemName => equalsUiText(itemName, name))
+    : { role: 'menuitem', name };
+  for (const menu of findAll(parseSnapshot(snapshot), { role: 'menu' })) {
+    const item = findFirst(menu, query);
+    if (item) return item.ref;
+  }
+  return null;
+}
+
+/**
+ * Find delete button in menu
+ * @param {object} snapshot - Snapshot after opening menu
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {string|null} ref of delete button
+ */
+function findDeleteButton(snapshot, ui = ENGLISH) {
+  return findMenuItem(snapshot, ui.delete);
+}
+
+/**
+ * Check if a tweet is a repost
+ * Needs both the "You reposted" social-context header and the undo-repost
+ * button (named like "5 reposts. Reposted"), so tweet text that mentions
+ * reposting doesn't count
+ * @param {object} tweet - Tweet from findTweetElements
+ * @param {object} ui - Strings from getUiStrings (English when left out,
+ *                      including when called as an array callback)
+ * @returns {boolean}
+ */
+function isRepost(tweet, ui) {
+  if (!tweet.node) return false;
+
+  const strings = ui && ui.youReposted ? ui : ENGLISH;
+  const header = findFirst(tweet.node, child =>
+    child.role !== 'button' && Boolean(findUiText(child.name || child.text, strings.youReposted)));
+  return Boolean(header && findFirst(tweet.node, named('button', name => endsWithUiText(name, strings.reposted))));
+}
+
+/**
+ * Check if a tweet quotes another tweet
+ * The quoted tweet renders as a link card with its own timestamp, next
+ * to the link around the quoting tweet's timestamp
+ * @param {object} tweet - Tweet from findTweetElements
+ * @returns {boolean}
+ */
+function isQuoteTweet(tweet) {
+  if (!tweet.node) return false;
+
+  const timestampLinks = findAll(tweet.node, child =>
+    child.role === 'link' && Boolean(findFirst(child, { role: 'time' })), { nested: false });
+  return timestampLinks.length > 1;
+}
+
+/**
+ * Check if a tweet is a reply
+ * Replies carry a "Replying to @bob" line; the Replies tab lists
+ * standalone posts too, so the tab alone doesn't tell
+ * @param {object} tweet - Tweet from findTweetElements
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {boolean}
+ */
+function isReplyTweet(tweet, ui = ENGLISH) {
+  return Boolean(tweet.node && findUiText(getNodeText(tweet.node), ui.replyingTo));
+}
+
+/**
+ * Classify a tweet on a profile tab
+ * @param {object} tweet - Tweet from findTweetElements
+ * @param {string} contentType - Profile tab being processed
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {string} 'post', 'reply', 'repost', 'quote' or 'like'
+ */
+function getTweetType(tweet, contentType, ui = ENGLISH) {
+  return getItemType({ repost: isRepost(tweet, ui), quote: isQuoteTweet(tweet), reply: isReplyTweet(tweet, ui) }, contentType);
+}
+
+/**
+ * Find a tweet's timestamp in the snapshot
+ * Reads the time element's visible label ("3h", "Jan 5", "Jan 5, 2021"),
+ * or the time in the tweet's ID when the label is in another language
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref
+ * @returns {Date|null}
+ */
+function findTweetDate(snapshot, tweet) {
+  const node = getTweetNode(snapshot, tweet);
+  if (!node) return null;
+
+  for (const time of findAll(node, { role: 'time' })) {
+    const date = parseTweetTimestamp(getNodeText(time));
+    if (date) return date;
+  }
+
+  return getTweetIdDate(getTweetKey(snapshot, tweet));
+}
+
+/**
+ * Get a tweet's own status URL
+ * The timestamp links to the tweet itself; other status links in the
+ * article (quoted tweets, reply context) come from other tweets
+ * @param {object} node - Article node
+ * @returns {string|null} e.g. "/jane/status/1234"
+ */
+function findStatusUrl(node) {
+  const isStatus = child => /\/status\/\d+/.test(child.props.url || '');
+  const timestamp = findFirst(node, child => isStatus(child) && findFirst(child, { role: 'time' }));
+  const link = timestamp || findFirst(node, isStatus);
+  return link ? link.props.url : null;
+}
+
+/**
+ * Get a stable key for a tweet (status ID when visible, ref otherwise)
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref
+ * @returns {string}
+ */
+function getTweetKey(snapshot, tweet) {
+  const node = getTweetNode(snapshot, tweet);
+  const url = node && findStatusUrl(node);
+  return url ? url.match(/\/status\/(\d+)/)[1] : tweet.ref;
+}
+
+/**
+ * Get the text a tweet's filters match against
+ * The article's accessible name plus all text in its subtree
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref and text
+ * @returns {string}
+ */
+function getTweetText(snapshot, tweet) {
+  const node = getTweetNode(snapshot, tweet);
+  return node ? [node.name, getNodeText(node)].filter(Boolean).join('\n') : (tweet.text || '');
+}
+
+/**
+ * Read a tweet's reply/repost/like/view counts from its button names
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref
+ * @returns {object} { replies, reposts, likes, views } (0 when not shown, null when
+ *                   shown but unreadable)
+ */
+function findEngagementCounts(snapshot, tweet) {
+  const counts = { replies: 0, reposts: 0, likes: 0, views: 0 };
+  const node = getTweetNode(snapshot, tweet);
+  if (!node) return counts;
+
+  for (const control of findAll(node, { role: ['button', 'link'] })) {
+    const parsed = parseEngagementLabel(control.name);
+    // Links in the text can look like counts; the button's number wins
+    if (parsed && (parsed.count !== null || counts[parsed.metric] === 0)) {
+      counts[parsed.metric] = parsed.count;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Collect what evaluateTweet needs to know about a tweet
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref and text
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {object} { key, id, date, text, pinned, engagement }
+ */
+function getTweetInfo(snapshot, tweet, ui = ENGLISH) {
+  const key = getTweetKey(snapshot, tweet);
+  return {
+    key,
+    id: key === tweet.ref ? null : key,
+    date: findTweetDate(snapshot, tweet),
+    text: getTweetText(snapshot, tweet),
+    pinned: isPinnedTweet(snapshot, tweet, ui),
+    engagement: findEngagementCounts(snapshot, tweet)
+  };
+}
+
+/**
+ * Capture everything needed to remember a tweet before deleting it
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref and text
+ * @param {object} info - Tweet info from getTweetInfo
+ * @param {string} username - X username (without @), for the permalink fallback
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {object} { id, permalink, date, text, media, quoted, replyTo, engagement, capturedAt }
+ */
+function captureTweet(snapshot, tweet, info, username, ui = ENGLISH) {
+  const node = getTweetNode(snapshot, tweet);
+  const urls = node ? findAll(node, child => Boolean(child.props.url)).map(child => child.props.url) : [];
+
+  const statuses = urls
+    .map(url => url.match(/^(?:https:\/\/x\.com)?(\/[^/]+\/status\/(\d+))/))
+    .filter(Boolean);
+  const own = statuses.find(status => status[2] === info.id);
+  const quoted = statuses.find(status => status[2] !== info.id);
+  const nodeText = node ? getNodeText(node) : '';
+  const replyLabel = findUiText(nodeText, ui.replyingTo);
+  const replyTo = replyLabel && nodeText.slice(nodeText.indexOf(replyLabel) + replyLabel.length).match(/^[\s:：]*@?(\w+)/);
+
+  return {
+    id: info.id,
+    permalink: own ? `https://x.com${own[1]}` : (info.id ? `https://x.com/${username}/status/${info.id}` : null),
+    date: info.date ? info.date.toISOString() : null,
+    text: info.text,
+    media: [...new Set(urls
+      .filter(url => /pbs\.twimg\.com|video\.twimg\.com|\/(photo|video)\/\d/.test(url))
+      .map(url => (url.startsWith('/') ? `https://x.com${url}` : url)))],
+    quoted: quoted ? `https://x.com${quoted[1]}` : null,
+    replyTo: replyTo ? `@${replyTo[1]}` : null,
+    engagement: info.engagement,
+    capturedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check if a tweet is the profile's pinned tweet
+ * Pinned tweets sit above the chronological timeline, so they never
+ * mean the timeline has scrolled past the date range
+ * @param {object} snapshot - Current page snapshot
+ * @param {object} tweet - Tweet object with ref
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {boolean}
+ */
+function isPinnedTweet(snapshot, tweet, ui = ENGLISH) {
+  const node = getTweetNode(snapshot, tweet);
+  return Boolean(node && findFirst(node, child => equalsUiText(child.text, ui.pinned) || equalsUiText(child.name, ui.pinned)));
+}
+
+/**
+ * Check if a snapshot shows X's missing-page message
+ * A reply whose parent was deleted, or a post quoting an unavailable one,
+ * shows the same message, so a page still showing the tweet isn't missing.
+ * @param {object} snapshot - Current page snapshot
+ * @param {string} id - The tweet the page is for (optional)
+ * @returns {boolean}
+ */
+function isMissingText(snapshot, id = null) {
+  if (id && findTweetElements(snapshot).some(tweet => getTweetKey(snapshot, tweet) === id)) return false;
+  const content = getSnapshotText(snapshot).toLowerCase();
+  return MISSING_PAGE_TEXTS.some(text => content.includes(text));
+}
+
+/**
+ * Check if a dropdown menu is open
+ * @param {object} snapshot - Current page snapshot
+ * @returns {boolean}
+ */
+function hasOpenMenu(snapshot) {
+  return findAll(parseSnapshot(snapshot), { role: 'menu' }).length > 0;
+}
+
+/**
+ * Find confirmation button for deletion
+ * @param {object} snapshot - Snapshot after clicking delete
+ * @param {object} ui - Strings from getUiStrings
+ * @returns {string|null} ref of confirm button
+ */
+function findConfirmButton(snapshot, ui = ENGLISH) {
+  for (const dialog of findAll(parseSnapshot(snapshot), { role: ['alertdialog', 'dialog'] })) {
+    const button = findFirst(dialog, named('button', name => equalsUiText(name, ui.delete)));
+    if (button) return button.ref;
+  }
+  return null;
+}
+
+/**
+ * Utility: Find unretweet button for reposts
+ * X names it like "12 reposts. Reposted" once you have reposted
+ */
+function findUnretweetButton(snapshot, tweet, ui = ENGLISH) {
+  const node = getTweetNode(snapshot, tweet);
+  const button = node && findFirst(node, named('button', name => endsWithUiText(name, ui.reposted)));
+  return button ? button.ref : null;
+}
+
+/**
+ * Utility: Find unlike button for liked tweets
+ * X names it like "40 Likes. Liked" once you have liked
+ */
+function findUnlikeButton(snapshot, tweet, ui = ENGLISH) {
+  const node = getTweetNode(snapshot, tweet);
+  const button = node && findFirst(node, named('button', name => endsWithUiText(name, ui.liked)));
+  return button ? button.ref : null;
+}
+
+/**
+ * Utility: Find like button (for likes the Likes tab shows as not liked)
+ */
+function findLikeButton(snapshot, tweet, ui = ENGLISH) {
+  const node = getTweetNode(snapshot, tweet);
+  const button = node && findFirst(node, named('button', name => endsWithUiText(name, ui.like)));
+  return button ? button.ref : null;
+}
+
+/**
+ * Utility: Find unretweet confirmation button
+ */
+function findUnretweetConfirmButton(snapshot, ui = ENGLISH) {
+  return findMenuItem(snapshot, ui.undoRepost);
+}
+
+/**
+ * Read the page language out of a browser_evaluate result
+ * @param {*} result - What `() => document.documentElement.lang` returned
+ *                     (the value, or MCP's text result with it quoted)
+ * @returns {string|null} e.g. 'de'
+ */
+function parseLanguageResult(result) {
+  const text = getSnapshotText(result).trim();
+  const match = text.match(/^([a-z]{2,3}(?:-[a-z0-9]+)*)$/i) || text.match(/"([a-z]{2,3}(?:-[a-z0-9]+)*)"/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a driver for Playwright MCP tools
+ * @param {object} mcpTools - Playwright MCP tool functions (browser_navigate, browser_snapshot,
+ *                            browser_click, browser_evaluate; browser_press_key and
+ *                            browser_network_requests are used when present)
+ * @param {object} config - Settings (delays, waits, language), default CONFIG
+ * @param {object} snapshot - Snapshot to start from, when the page is already loaded
+ * @returns {object} Driver (see engine.js)
+ */
+function createMcpDriver(mcpTools, config = CONFIG, snapshot = null) {
+  const { browser_navigate, browser_snapshot, browser_click, browser_evaluate } = mcpTools;
+  let latest = snapshot;
+  let seen429 = 0;
+  let ui = getUiStrings(config.language || 'en');
+  const waits = { ...CONFIG.waits, ...config.waits };
+
+  // Snapshot until one shows the condition (or the timeout passes); latest keeps the last one
+  const settle = (until, floor, timeout = waits.timeout) => waitFor(async () => {
+    latest = await browser_snapshot();
+    return until(latest);
+  }, { timeout, interval: waits.interval, floor });
+
+  // Click a ref and snapshot until the click's effect shows
+  const click = async (element, ref, floor, until) => {
+    await browser_click({ element, ref });
+    await settle(until, floor);
+  };
+  const missing = (reason, error) => ({ ok: false, reason, error });
+
+  return {
+    name: 'mcp',
+
+    /**
+     * Latest snapshot the driver has seen
+     * @returns {object}
+     */
+    snapshot() {
+      return latest;
+    },
+
+    /**
+     * Snapshot the page again
+     * @returns {object} The new snapshot
+     */
+    async refresh() {
+      latest = await browser_snapshot();
+      return latest;
+    },
+
+    /**
+     * Interface strings for the page's language
+     * @returns {object} From getUiStrings
+     */
+    strings() {
+      return ui;
+    },
+
+    async open(url) {
+      await browser_navigate({ url });
+      // Rendered once it shows tweets, a missing page or a rate-limit error
+      await settle(current => findTweetElements(current).length > 0 || isMissingText(current) || detectRateLimit(current),
+        config.delays.scrollLoad, waits.loadTimeout);
+      if (!config.language) {
+        const lang = parseLanguageResult(await browser_evaluate({ function: '() => document.documentElement.lang' }));
+        ui = getUiStrings(detectLanguage(lang));
+      }
+    },
+
+    async findItems() {
+      latest = await browser_snapshot();
+      return findTweetElements(latest);
+    },
+
+    async readItem(tweet) {
+      return {
+        ...getTweetInfo(latest, tweet, ui),
+        repost: isRepost(tweet, ui),
+        quote: isQuoteTweet(tweet),
+        reply: isReplyTweet(tweet, ui),
+        liked: Boolean(findUnlikeButton(latest, tweet, ui))
+      };
+    },
+
+    async captureItem(tweet, info, username) {
+      return captureTweet(latest, tweet, info, username, ui);
+    },
+
+    async openMenu(tweet, menu) {
+      if (menu === 'repost') {
+        const unretweetRef = findUnretweetButton(latest, tweet, ui);
+        if (!unretweetRef) return missing('menu-missing', 'No unretweet button');
+        await click('Unretweet button', unretweetRef, config.delays.betweenClicks, current => findUnretweetConfirmButton(current, ui));
+        return { ok: true };
+      }
+
+      const moreButtonRef = findMoreButtonInTweet(latest, tweet, ui);
+      if (!moreButtonRef) return missing('menu-missing', 'No More button');
+      await click('More options', moreButtonRef, config.delays.betweenClicks, hasOpenMenu);
+      return { ok: true };
+    },
+
+    async chooseAction(tweet, action) {
+      if (action === 'delete') {
+        const deleteButtonRef = findDeleteButton(latest, ui);
+        if (!deleteButtonRef) {
+          // A menu without Delete means the tweet isn't ours
+          return hasOpenMenu(latest)
+            ? missing('not-owned', 'No Delete button in menu')
+            : missing('menu-missing', 'Menu did not open');
+        }
+        await click('Delete', deleteButtonRef, config.delays.betweenClicks, current => findConfirmButton(current, ui));
+        return { ok: true };
+      }
+
+      if (action === 'undo-repost') {
+        const confirmRef = findUnretweetConfirmButton(latest, ui);
+        if (!confirmRef) return missing('confirm-missing', 'No unretweet confirm');
+        await click('Confirm unretweet', confirmRef, config.delays.afterDeletion,
+          current => !findUnretweetButton(current, tweet, ui) || detectRateLimit(current));
+        return { ok: true };
+      }
+
+      if (action === 'like') {
+        const likeRef = findLikeButton(latest, tweet, ui);
+        if (!likeRef) return missing('menu-missing', 'No unlike button');
+        await click('Like button', likeRef, config.delays.afterDeletion,
+          current => !getTweetNode(current, tweet) || findUnlikeButton(current, tweet, ui) || detectRateLimit(current));
+        return { ok: true };
+      }
+
+      const unlikeRef = findUnlikeButton(latest, tweet, ui);
+      if (!unlikeRef) return missing('menu-missing', 'No unlike button');
+      await click('Unlike button', unlikeRef, config.delays.afterDeletion,
+        current => !findUnlikeButton(current, tweet, ui) || detectRateLimit(current));
+      return { ok: true };
+    },
+
+    async confirm(tweet) {
+      const confirmButtonRef = findConfirmButton(latest, ui);
+      if (!confirmButtonRef) return missing('confirm-missing', 'No confirm button');
+      await click('Confirm deletion', confirmButtonRef, config.delays.afterDeletion,
+        current => !getTweetNode(current, tweet) || detectRateLimit(current));
+      return { ok: true };
+    },
+
+    async scroll(pixels) {
+      const before = new Set(latest ? findTweetElements(latest).map(tweet => tweet.ref) : []);
+      await browser_evaluate({
+        function: `() => { window.scrollBy(0, ${pixels}); }`
+      });
+      await settle(current => findTweetElements(current).some(tweet => !before.has(tweet.ref)),
+        config.delays.scrollLoad, waits.loadTimeout);
+    },
+
+    async dismiss() {
+      if (mcpTools.browser_press_key) {
+        await mcpTools.browser_press_key({ key: 'Escape' });
+        await settle(current => !hasOpenMenu(current) && !findConfirmButton(current, ui), config.delays.betweenClicks);
+      }
+    },
+
+    async hasItem(tweet) {
+      return Boolean(getTweetNode(latest, tweet));
+    },
+
+    async rateLimitMessage() {
+      return detectRateLimit(latest);
+    },
+
+    async isMissingPage(id) {
+      latest = await browser_snapshot();
+      return isMissingText(latest, id);
+    },
+
+    async checkThrottle() {
+      const message = detectRateLimit(latest);
+      if (message || !mcpTools.browser_network_requests) return message;
+
+      const result = await mcpTools.browser_network_requests({});
+      const text = typeof result === 'string' ? result : JSON.stringify(result);
+      const count = (text.match(/\[429\]|\b429 Too Many Requests/g) || []).length;
+      // The request log resets on navigation, so only growth means new 429s
+      const fresh = count > seen429;
+      seen429 = count;
+      return fresh ? 'http: 429 Too Many Requests' : null;
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createMcpDriver,
+  detectRateLimit,
+  findTweetElements,
+  getTweetNode,
+  findMoreButtonInTweet,
+  findMenuItem,
+  findDeleteButton,
+  findConfirmButton,
+  findUnretweetButton,
+  findUnretweetConfirmButton,
+  findUnlikeButton,
+  findLikeButton,
+  isRepost,
+  isQuoteTweet,
+  isReplyTweet,
+  getTweetType,
+  findTweetDate,
+  getTweetKey,
+  getTweetInfo,
+  captureTweet,
+  isPinnedTweet,
+  hasOpenMenu,
+  findEngagementCounts,
+  parseLanguageResult
+};
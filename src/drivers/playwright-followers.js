@@ -0,0 +1,169 @@
+/**
+ * Node Playwright Follower Driver
+ *
+ * Drives the follower flow (see followers.js) with the Node `playwright`
+ * library, for the CLI. The followers list stays open in the page it is
+ * given, and profiles are read in a second tab of the same context, so
+ * the list keeps its place. The readers in followers.js run in the page
+ * through page.evaluate.
+ *
+ * 429 responses on either tab count as throttling; close() stops
+ * listening and closes the profile tab.
+ *
+ * Usage:
+ *
+ *   const config = resolveFollowerConfig();
+ *   const driver = createPlaywrightFollowerDriver(await context.newPage(), config);
+ *   await pruneFollowers(driver, 'yourusername', { config });
+ */
+
+const { delay } = require('../core');
+const { getUiStrings } = require('../locale');
+const { findRateLimitText } = require('./dom');
+const {
+  FOLLOWER_CONFIG,
+  RESERVED_PATHS,
+  readFollowerCells,
+  readProfileActivity,
+  readProfileFields,
+  isProfileRendered
+} = require('../followers');
+
+const CELL = '[data-testid="cellInnerDiv"]';
+
+/**
+ * Create a follower driver for a Playwright page
+ * @param {object} page - Playwright Page (its context opens a second tab for profiles)
+ * @param {object} config - Follower settings (delays, waits, language), default FOLLOWER_CONFIG
+ * @returns {object} Follower driver (see followers.js)
+ */
+function createPlaywrightFollowerDriver(page, config = FOLLOWER_CONFIG) {
+  const waits = { ...FOLLOWER_CONFIG.waits, ...config.waits };
+  let profilePage = null;
+  let pending429 = 0;
+
+  // Throttling shows up as a toast or 429s on either tab
+  const count429 = response => {
+    if (response.status() === 429) pending429++;
+  };
+  page.on('response', count429);
+
+  // Wait for a condition in the page (a timeout just moves on), and at least the floor
+  const settle = (waiting, floor) => Promise.all([waiting.catch(() => null), delay(floor)]);
+
+  // The list is rendered once it shows a follower (or says there are none), and
+  // more have loaded after a scroll once its last cell changes
+  const listLoaded = previous => page.waitForFunction(([selector, last]) => {
+    const found = document.querySelectorAll(selector);
+    return (found.length > 0 && found[found.length - 1] !== last) || Boolean(document.querySelector('[data-testid="emptyState"]'));
+  }, [CELL, previous], { timeout: waits.loadTimeout, polling: waits.interval });
+
+  return {
+    name: 'playwright',
+    page,
+
+    async open(url) {
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+      await settle(listLoaded(null), config.delays.scrollLoad);
+    },
+
+    async findFollowers() {
+      return page.evaluate(readFollowerCells, RESERVED_PATHS);
+    },
+
+    async scroll(pixels) {
+      const last = (await page.$$(CELL)).pop() || null;
+      await page.mouse.wheel(0, pixels);
+      await settle(listLoaded(last), config.delays.scrollLoad);
+    },
+
+    async readProfile(url, lookup) {
+      if (!profilePage) {
+        profilePage = await page.context().newPage();
+        profilePage.on('response', count429);
+      }
+      await profilePage.goto(url, { waitUntil: 'domcontentloaded' });
+      await settle(profilePage.waitForFunction(isProfileRendered, lookup, { timeout: waits.loadTimeout, polling: waits.interval }),
+        config.delays.profileLoad);
+
+      const activity = await profilePage.evaluate(readProfileActivity, lookup);
+      const header = lookup.header && !activity.rateLimited
+        ? await profilePage.evaluate(readProfileFields, lookup.username)
+        : null;
+      return { activity, header };
+    },
+
+    // Through the card's menu on the followers list
+    async removeFollower(username) {
+      try {
+        const card = page.locator(CELL, { has: page.locator(`a[href="/${username}"]`) }).first();
+        const moreButton = card.locator('[data-testid="userActions"], [role="button"][aria-haspopup="menu"]').first();
+        if (await moreButton.count() === 0) {
+          return { success: false, error: 'No more button on card' };
+        }
+
+        await moreButton.click();
+        await settle(page.locator('[role="menuitem"]').first().waitFor({ timeout: waits.timeout }), config.delays.betweenClicks);
+
+        const ui = getUiStrings(config.language || await page.evaluate(() => document.documentElement.lang));
+        let removeButton = null;
+        for (const text of ui.removeFollower) {
+          const item = page.locator('[role="menuitem"]', { hasText: text }).first();
+          if (await item.count() > 0) {
+            removeButton = item;
+            break;
+          }
+        }
+        if (!removeButton) {
+          await page.keyboard.press('Escape');
+          return { success: false, error: 'No remove button found' };
+        }
+
+        const confirmButton = page.locator('[data-testid="confirmationSheetConfirm"]').first();
+        await removeButton.click();
+        await settle(confirmButton.waitFor({ timeout: waits.timeout }), config.delays.betweenClicks);
+
+        if (await confirmButton.count() === 0) {
+          await page.keyboard.press('Escape');
+          return { success: false, error: 'No confirm button' };
+        }
+
+        await confirmButton.click();
+        await settle(card.waitFor({ state: 'detached', timeout: waits.timeout }), config.delays.afterAction);
+
+        // X sometimes takes the click and keeps the follower
+        if (await card.count() > 0) {
+          return { success: false, error: 'Still listed after removing' };
+        }
+        return { success: true };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    },
+
+    async checkThrottle() {
+      const toast = await page.$('[data-testid="toast"]');
+      const message = findRateLimitText(toast ? await toast.textContent() : '', '');
+      if (message) return message;
+      const fresh = pending429 > 0;
+      pending429 = 0;
+      return fresh ? 'http: 429 Too Many Requests' : null;
+    },
+
+    async close() {
+      page.off('response', count429);
+      if (profilePage) {
+        profilePage.off('response', count429);
+        await profilePage.close();
+        profilePage = null;
+      }
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createPlaywrightFollowerDriver
+};
@@ -0,0 +1,203 @@
+/**
+ * Node Playwright Driver
+ *
+ * Drives the deletion engine with the Node `playwright` library, for runs
+ * outside Claude Code and the browser console. Elements are found by the
+ * same data-testid selectors as the DOM driver, and tweet metadata is read
+ * in the page by the DOM driver's own readTweetElement. Items are the
+ * tweet articles' ElementHandles. Like the DOM driver, each step waits
+ * for its effect in the page (waitForSelector, waitForFunction) up to
+ * CONFIG.waits.
+ *
+ * The caller owns the browser; this module doesn't load `playwright`
+ * itself, it only drives the page it is given.
+ *
+ * Usage:
+ *
+ *   const { chromium } = require('playwright');
+ *   const browser = await chromium.launch();
+ *   const context = await browser.newContext({ storageState: 'x-session.json' });
+ *   const driver = createPlaywrightDriver(await context.newPage());
+ *   await runDeletion(driver, 'yourusername', 'POSTS');
+ */
+
+const { CONFIG, delay } = require('../core');
+const { getUiStrings, getAllUiTexts, equalsUiText } = require('../locale');
+const {
+  readTweetElement,
+  captureTweetElement,
+  toItemInfo,
+  toBackupRecord,
+  findRateLimitText
+} = require('./dom');
+
+/**
+ * Create a driver for a Playwright page
+ * @param {object} page - Playwright Page
+ * @param {object} config - Settings (delays, waits, selectors), default CONFIG
+ * @returns {object} Driver (see engine.js)
+ */
+function createPlaywrightDriver(page, config = CONFIG) {
+  const selectors = { ...CONFIG.selectors, ...config.selectors };
+  const waits = { ...CONFIG.waits, ...config.waits };
+  let ui = getUiStrings(config.language || 'en');
+  let pending429 = 0;
+  let lastStatus = null;
+
+  page.on('response', response => {
+    if (response.status() === 429) pending429++;
+  });
+
+  // Wait for a condition in the page (a timeout just moves on), and at least the floor
+  const settle = (waiting, floor) => Promise.all([waiting.catch(() => null), delay(floor)]);
+  const shown = selector => page.waitForSelector(selector, { timeout: waits.timeout });
+  const until = (condition, arg, timeout = waits.timeout) =>
+    page.waitForFunction(condition, arg, { timeout, polling: waits.interval });
+  // The tweet left the page (or X answered with a toast)
+  const gone = handle => until(([article, toast]) => !article.isConnected || Boolean(document.querySelector(toast)),
+    [handle, selectors.toast]);
+
+  // Click, then wait for the click's effect to show
+  const click = async (handle, floor, effect) => {
+    await handle.click();
+    await settle(effect(), floor);
+  };
+  const missing = (reason, error) => ({ ok: false, reason, error });
+
+  return {
+    name: 'playwright',
+    page,
+
+    async open(url) {
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+      lastStatus = response ? response.status() : null;
+      // The profile timeline is rendered once it shows tweets or says it has none
+      await settle(page.waitForSelector(`${selectors.tweet}, ${selectors.emptyState}`, { timeout: waits.loadTimeout }),
+        config.delays.scrollLoad);
+      ui = getUiStrings(config.language || await page.evaluate(() => document.documentElement.lang));
+    },
+
+    async findItems() {
+      return page.$$(selectors.tweet);
+    },
+
+    async readItem(handle) {
+      return toItemInfo(await handle.evaluate(readTweetElement, { selectors, ui }));
+    },
+
+    async captureItem(handle, info, username) {
+      return toBackupRecord(await handle.evaluate(captureTweetElement, { selectors, ui }), info, username);
+    },
+
+    async openMenu(handle, menu) {
+      if (menu === 'repost') {
+        const unretweetBtn = await handle.$(selectors.unretweetButton);
+        if (!unretweetBtn) return missing('menu-missing', 'No unretweet button');
+        await click(unretweetBtn, config.delays.betweenClicks, () => shown(selectors.unretweetConfirm));
+        return { ok: true };
+      }
+
+      const moreBtn = await handle.$(selectors.moreButton);
+      if (!moreBtn) return missing('menu-missing', 'No More button');
+      await click(moreBtn, config.delays.betweenClicks, () => shown(selectors.deleteButton));
+      return { ok: true };
+    },
+
+    async chooseAction(handle, action) {
+      if (action === 'delete') {
+        const menuItems = await page.$$(selectors.deleteButton);
+        let deleteBtn = null;
+        for (const item of menuItems) {
+          if (equalsUiText(await item.textContent(), ui.delete)) {
+            deleteBtn = item;
+            break;
+          }
+        }
+        if (!deleteBtn) {
+          // A menu without Delete means the tweet isn't ours
+          return menuItems.length > 0
+            ? missing('not-owned', 'No Delete button in menu')
+            : missing('menu-missing', 'Menu did not open');
+        }
+        await click(deleteBtn, config.delays.betweenClicks, () => shown(selectors.confirmButton));
+        return { ok: true };
+      }
+
+      if (action === 'undo-repost') {
+        const confirmBtn = await page.$(selectors.unretweetConfirm);
+        if (!confirmBtn) return missing('confirm-missing', 'No unretweet confirm');
+        await click(confirmBtn, config.delays.afterDeletion, () => until(([article, unretweet, toast]) =>
+          !article.isConnected || !article.querySelector(unretweet) || Boolean(document.querySelector(toast)),
+        [handle, selectors.unretweetButton, selectors.toast]));
+        return { ok: true };
+      }
+
+      const liking = action === 'like';
+      const button = await handle.$(liking ? selectors.likeButton : selectors.unlikeButton);
+      if (!button) return missing('menu-missing', 'No unlike button');
+      await click(button, config.delays.afterDeletion, () => until(([article, unlike, toast, wanted]) =>
+        !article.isConnected || Boolean(article.querySelector(unlike)) === wanted || Boolean(document.querySelector(toast)),
+      [handle, selectors.unlikeButton, selectors.toast, liking]));
+      return { ok: true };
+    },
+
+    async confirm(handle) {
+      const confirmBtn = await page.$(selectors.confirmButton);
+      if (!confirmBtn) return missing('confirm-missing', 'No confirm button');
+      await click(confirmBtn, config.delays.afterDeletion, () => gone(handle));
+      return { ok: true };
+    },
+
+    async scroll(pixels) {
+      // New tweets load below, so the last article changes once they render
+      const last = (await page.$$(selectors.tweet)).pop() || null;
+      await page.mouse.wheel(0, pixels);
+      await settle(until(([tweet, previous]) => {
+        const articles = document.querySelectorAll(tweet);
+        return articles.length > 0 && articles[articles.length - 1] !== previous;
+      }, [selectors.tweet, last], waits.loadTimeout), config.delays.scrollLoad);
+    },
+
+    async dismiss() {
+      await page.keyboard.press('Escape');
+      await settle(until(overlays => !document.querySelector(overlays),
+        `${selectors.deleteButton}, ${selectors.confirmButton}, ${selectors.unretweetConfirm}`), config.delays.betweenClicks);
+    },
+
+    async hasItem(handle) {
+      return handle.evaluate(element => element.isConnected).catch(() => false);
+    },
+
+    async rateLimitMessage() {
+      const toast = await page.$(selectors.toast);
+      const toastText = toast ? await toast.textContent() : '';
+      return findRateLimitText(toastText, await page.evaluate(() => document.body.innerText));
+    },
+
+    async isMissingPage(id) {
+      if (lastStatus === 404) return true;
+      // A reply to a deleted post shows the same text above the reply
+      for (const handle of id ? await this.findItems() : []) {
+        if ((await this.readItem(handle)).id === id) return false;
+      }
+      const text = (await page.evaluate(() => document.body.innerText)).toLowerCase();
+      return getAllUiTexts('missingPage').some(missingText => text.includes(missingText.toLowerCase()));
+    },
+
+    async checkThrottle() {
+      const message = await this.rateLimitMessage();
+      if (message) return message;
+
+      const fresh = pending429 > 0;
+      pending429 = 0;
+      return fresh ? 'http: 429 Too Many Requests' : null;
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createPlaywrightDriver
+};
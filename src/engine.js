@@ -0,0 +1,662 @@
+/**
+ * Deletion Engine
+ *
+ * The timeline walk every deleter shares: decide what to do with each
+ * tweet, remove it through a driver, retry within a per-tweet budget,
+ * journal, back up and pace against throttling. Drivers do the page
+ * work, so a fix here reaches Playwright MCP, the Node `playwright`
+ * library and the console script alike.
+ *
+ * A driver is an object with these async methods:
+ *
+ *   open(url)                   Show a profile tab, scrolled to the top
+ *   findItems()                 Tweets currently on the page, in timeline order
+ *   readItem(item)              { key, id, date, text, pinned, engagement, repost, quote, liked }
+ *   captureItem(item, info, username)
+ *                               Backup record (see backup.js) for a tweet about to go
+ *   openMenu(item, menu)        'more' (the ⋯ menu) or 'repost' (the undo-repost menu)
+ *   chooseAction(item, action)  'delete', 'undo-repost', 'like' or 'unlike'
+ *   confirm(item)               Accept the confirmation sheet
+ *   scroll(pixels)              Scroll and wait for more tweets to load
+ *   dismiss()                   Close any open menu or sheet
+ *   hasItem(item)               Whether the tweet is still on the page
+ *   rateLimitMessage()          X's throttling message on the page, or null
+ *   checkThrottle()             rateLimitMessage() or new 429 responses, or null
+ *   isMissingPage(id)           Whether the page says the tweet or page doesn't exist;
+ *                               never while tweet id is still on it (optional; used
+ *                               by verify.js's status checks)
+ *
+ * openMenu, chooseAction and confirm return { ok: true } or
+ * { ok: false, reason, error } with reason from FAILURE_REASONS.
+ *
+ * Drivers: drivers/mcp.js (Playwright MCP), drivers/dom.js (in the page,
+ * built into the console script), drivers/playwright.js (Node library)
+ * and drivers/inventory.js (intercepted timelines, see intercept.js).
+ *
+ * Callers follow a run through options.hooks, an object with any of:
+ *
+ *   onStart({ username, contentTypes, dryRun, startedAt })
+ *   onItem(item)                Every tweet a decision was made on; item is
+ *                               { contentType, key, id, type, date, text, pinned,
+ *                               engagement, decision: { action, rule } }
+ *   onDeleted(item)             Removed, with durationMs and attempts
+ *   onSkipped(item)             Kept by a rule (item.decision.rule)
+ *   onError(item)               A failed attempt, with reason, error, attempts and
+ *                               final (true once the run moves past the tweet)
+ *   onThrottle(event)           A backoff: { contentType, at, reason, level, waitMs }
+ *   onProgress(progress)        After each tweet: { contentType, deleted, skipped,
+ *                               failed, elapsedMs, perMinute }
+ *   onComplete(result)          The run's result, as returned
+ *
+ * Hooks are called as things happen and not awaited; one that throws is
+ * logged and the run goes on.
+ *
+ * options.remover (see direct.js) replaces the clicks with API calls,
+ * options.concurrency of them at a time. Its remove(info, kind) returns
+ * removeItem's result, or { success: false, fallback: true, error } for
+ * tweets to click through instead, one at a time.
+ */
+
+const {
+  CONFIG,
+  TWEET_TYPES,
+  delay,
+  createThrottle,
+  createEmitter,
+  getProfileUrl,
+  getItemType,
+  isInPass,
+  resolveDateRange,
+  compileFilters,
+  evaluateTweet,
+  categorizeError,
+  countFailureReasons,
+  logFailureReasons
+} = require('./core');
+
+/**
+ * Give up on a tweet for this attempt: close menus and report why
+ * A rate-limit message or the tweet leaving the page overrides the
+ * step's own reason, since that is what actually went wrong
+ * @param {object} driver - Page driver
+ * @param {object} item - Item from findItems
+ * @param {string} reason - One of FAILURE_REASONS
+ * @param {string} error - What was missing
+ * @returns {object} { success: false, reason, error }
+ */
+async function abandonItem(driver, item, reason, error) {
+  const throttled = await driver.rateLimitMessage();
+  const present = await driver.hasItem(item);
+  await driver.dismiss();
+
+  if (throttled) {
+    return { success: false, reason: 'throttled', error };
+  }
+  if (!present) {
+    return { success: false, reason: 'vanished', error };
+  }
+  return { success: false, reason, error };
+}
+
+/**
+ * Undo a like and make sure it sticks
+ * X sometimes flips the button back to "Liked" after an unlike, so the
+ * click is retried until the button stays "Like". Tweets can also stay
+ * on the Likes tab showing "Like" while X still counts the like; those
+ * are liked again first so the unlike registers.
+ * @param {object} driver - Page driver
+ * @param {object} item - Item from findItems
+ * @param {object} config - Settings (unlikeAttempts)
+ * @returns {object} { success, type } or { success: false, reason, error }
+ */
+async function unlikeItem(driver, item, config = CONFIG) {
+  if (!(await driver.readItem(item)).liked) {
+    const step = await driver.chooseAction(item, 'like');
+    if (!step.ok) return abandonItem(driver, item, step.reason, step.error);
+
+    if (!(await driver.readItem(item)).liked) {
+      return abandonItem(driver, item, 'throttled', 'Like did not register');
+    }
+  }
+
+  for (let attempt = 1; attempt <= config.unlikeAttempts; attempt++) {
+    const step = await driver.chooseAction(item, 'unlike');
+    if (!step.ok) return abandonItem(driver, item, step.reason, step.error);
+
+    if (!(await driver.readItem(item)).liked) {
+      return { success: true, type: 'like' };
+    }
+  }
+
+  return abandonItem(driver, item, 'throttled', 'Unlike did not stick');
+}
+
+/**
+ * Delete (or undo the repost or like of) a single tweet
+ * @param {object} driver - Page driver
+ * @param {object} item - Item from findItems
+ * @param {string} kind - 'post' (posts, replies and quotes), 'repost' or 'like'
+ * @param {object} config - Settings (unlikeAttempts)
+ * @returns {object} { success, type } or { success: false, reason, error } (reason from FAILURE_REASONS)
+ */
+async function removeItem(driver, item, kind, config = CONFIG) {
+  // Likes are undone with a single click, no confirmation
+  if (kind === 'like') {
+    return unlikeItem(driver, item, config);
+  }
+
+  // Reposts are undone from the repost button's menu
+  const steps = kind === 'repost'
+    ? [() => driver.openMenu(item, 'repost'), () => driver.chooseAction(item, 'undo-repost')]
+    : [() => driver.openMenu(item, 'more'), () => driver.chooseAction(item, 'delete'), () => driver.confirm(item)];
+
+  for (const step of steps) {
+    const result = await step();
+    if (!result.ok) return abandonItem(driver, item, result.reason, result.error);
+  }
+
+  // X sometimes takes the click and keeps the tweet; only count it once it's gone
+  if (await driver.hasItem(item)) {
+    return abandonItem(driver, item, 'throttled', 'Tweet still there after deleting');
+  }
+  return { success: true, type: kind };
+}
+
+/**
+ * Walk one profile tab and delete what the rules allow
+ * @param {object} driver - Page driver (see top of file)
+ * @param {string} username - X username (without @)
+ * @param {string} contentType - 'POSTS', 'REPLIES', 'REPOSTS' or 'LIKES'
+ * @param {object} options - Retention options ({ before, after, olderThanDays }),
+ *                           filters ({ keepIds, include, exclude, keepIfAtLeast }),
+ *                           types (item types to remove, default TWEET_TYPES; e.g. leave out
+ *                           'quote' to undo reposts but keep quote tweets),
+ *                           planIds (delete exactly these IDs and keep the rest),
+ *                           dryRun (walk and decide, but delete nothing),
+ *                           journal (from openJournal), resume (skip journaled items)
+ *                           backup (from openBackup, captures each tweet before deletion),
+ *                           throttle (from createThrottle, shared across passes),
+ *                           control (from createRunControl: pause and stop between tweets),
+ *                           hooks (see top of file),
+ *                           remover and concurrency (direct mode, see top of file),
+ *                           origin (site to open, default https://x.com)
+ *                           and config (settings, default CONFIG)
+ * @returns {object} { deleted, skipped, failed, failures, failureReasons, skips, planned, byType, throttle,
+ *                   stopped, records, timings } - failures lists each tweet moved past with its
+ *                   reason, failureReasons counts them per FAILURE_REASONS entry, skips lists each
+ *                   kept tweet with its rule, planned lists every decision in a dry run, byType
+ *                   counts removals per TWEET_TYPES entry, throttle holds backoff events and time
+ *                   spent backing off, stopped is true when the control stopped the run early,
+ *                   records has one entry per tweet decided on ({ contentType, key, id, type, date,
+ *                   action, rule, outcome ('deleted', 'kept', 'planned' or 'failed'), reason, error,
+ *                   attempts, durationMs }) and timings is { startedAt, finishedAt, durationMs }
+ */
+async function runDeletion(driver, username, contentType, options = {}) {
+  const config = options.config || CONFIG;
+  const range = resolveDateRange(options);
+  const filters = compileFilters(options);
+  const types = options.types || TWEET_TYPES;
+  const planIds = options.planIds ? new Set(options.planIds) : null;
+  const journal = options.dryRun ? null : (options.journal || null);
+  const prior = journal && options.resume ? journal.totals(contentType) : null;
+  const throttle = options.throttle || createThrottle(config.backoff, () => config.delays.rateLimitSafe);
+  const control = options.control || null;
+  const emit = createEmitter(options.hooks);
+  const remover = options.remover || null;
+  const concurrency = remover ? Math.max(1, options.concurrency || 1) : 1;
+  const startTime = Date.now();
+
+  let deletedCount = 0;
+  let failedCount = 0;
+  let emptyAttempts = 0;
+  let reachedEnd = false;
+  let stopped = false;
+  const skips = [];
+  const planned = [];
+  const failures = [];
+  const byType = {};
+  const attempts = new Map();
+  const handled = new Set();
+  const captured = new Set();
+  const records = new Map();
+  const inFlight = new Set();
+  let clicks = Promise.resolve();
+  for (const type of TWEET_TYPES) {
+    byType[type] = 0;
+  }
+
+  // What hooks hear about a tweet
+  const describe = (info, type, decision) => ({
+    contentType,
+    key: info.key,
+    id: info.id,
+    type,
+    date: info.date ? info.date.toISOString() : null,
+    text: info.text.slice(0, 280),
+    pinned: info.pinned,
+    engagement: info.engagement,
+    decision
+  });
+
+  // One record per tweet, updated as its attempts play out
+  const recordOutcome = (item, outcome, details = {}) => {
+    const record = records.get(item.key) || {
+      contentType,
+      key: item.key,
+      id: item.id,
+      type: item.type,
+      date: item.date,
+      action: item.decision.action,
+      rule: item.decision.rule,
+      outcome: null,
+      reason: null,
+      error: null,
+      attempts: 0,
+      durationMs: 0
+    };
+    records.set(item.key, Object.assign(record, { outcome, ...details }));
+  };
+
+  const progress = () => {
+    const elapsedMs = Date.now() - startTime;
+    emit('onProgress', {
+      contentType,
+      deleted: deletedCount,
+      skipped: skips.length,
+      failed: failedCount,
+      elapsedMs,
+      perMinute: elapsedMs > 0 ? deletedCount / (elapsedMs / 60000) : 0
+    });
+  };
+
+  // Keep going unless the control paused (wait) or stopped (false) the run
+  const proceed = async () => {
+    if (!control || await control.checkpoint()) return true;
+    stopped = true;
+    return false;
+  };
+
+  // Retry a failed tweet until its budget runs out, then move past it.
+  // Retrying can't make someone else's tweet ours or bring back a gone one.
+  const noteFailure = (info, item, reason, error) => {
+    const tries = (attempts.get(info.key) || 0) + 1;
+    attempts.set(info.key, tries);
+    const final = reason === 'not-owned' || reason === 'vanished' || tries >= config.maxAttemptsPerTweet;
+    recordOutcome(item, 'failed', { reason, error, attempts: tries });
+    // Retries and give-ups are reported through onError (the panel shows them) and the
+    // summary's failures, not logged one by one
+    emit('onError', { ...item, reason, error, attempts: tries, final });
+    if (!final) return;
+
+    failedCount++;
+    handled.add(info.key);
+    failures.push({ id: info.id, reason, error, attempts: tries });
+  };
+
+  // Remove one tweet, then journal, count and report the outcome
+  const attemptRemoval = async (item, info, type, kind, described) => {
+    const itemStart = Date.now();
+    try {
+      if (options.backup && !captured.has(info.key)) {
+        captured.add(info.key);
+        options.backup.capture({ ...(await driver.captureItem(item, info, username)), type });
+      }
+
+      let result = remover ? await remover.remove(info, kind) : null;
+      if (!result || result.fallback) {
+        if (result) console.log(`↩️  ${result.error}; clicking through tweet ${info.id || info.key}`);
+        const clicked = clicks.then(() => removeItem(driver, item, kind, config));
+        clicks = clicked.catch(() => {});
+        result = await clicked;
+      }
+      const durationMs = Date.now() - itemStart;
+      if (journal) {
+        journal.record({
+          id: info.id,
+          contentType,
+          action: 'delete',
+          outcome: result.success ? 'success' : 'failed',
+          reason: result.reason,
+          error: result.error
+        });
+      }
+
+      if (result.success) {
+        deletedCount++;
+        byType[type]++;
+        throttle.success();
+        // Removed through the API, the tweet stays on the page
+        if (remover) handled.add(info.key);
+        const tries = (attempts.get(info.key) || 0) + 1;
+        recordOutcome(described, 'deleted', { reason: null, error: null, attempts: tries, durationMs });
+        emit('onDeleted', { ...described, durationMs, attempts: tries });
+
+        // Log progress
+        if (deletedCount % config.logInterval === 0) {
+          const rate = (deletedCount / ((Date.now() - startTime) / 60000)).toFixed(1);
+          console.log(`✓ Deleted ${deletedCount} ${contentType}... (${rate}/min)`);
+        }
+      } else {
+        noteFailure(info, described, result.reason, result.error);
+        if (result.rateLimited) await throttle.backoff(result.error);
+        else await throttle.failure(result.error);
+      }
+    } catch (error) {
+      const reason = categorizeError(error);
+      if (journal) {
+        journal.record({ id: info.id, contentType, action: 'delete', outcome: 'failed', reason, error: error.message });
+      }
+      console.error(`Error deleting tweet: ${error.message}`);
+      await driver.dismiss();
+      noteFailure(info, described, reason, error.message);
+      await throttle.failure(error.message);
+    }
+
+    progress();
+  };
+
+  // A saved plan replaces all other rules; otherwise the date range,
+  // filters and type list decide
+  const decide = (info, type) => {
+    if (planIds) {
+      return info.id && planIds.has(info.id)
+        ? { action: 'delete', rule: null }
+        : { action: 'keep', rule: 'plan:not-listed' };
+    }
+
+    const decision = evaluateTweet(info, range, filters);
+    // Reposts and likes show the original tweet's date, and the Likes tab is
+    // ordered by when you liked, so neither can end the pass
+    if (decision.action === 'stop' && (type === 'repost' || type === 'like')) {
+      return { action: 'keep', rule: decision.rule };
+    }
+    if (decision.action === 'delete' && !types.includes(type)) {
+      return { action: 'keep', rule: `type:${type}` };
+    }
+    return decision;
+  };
+
+  // Carry totals forward from the interrupted run
+  if (prior) {
+    deletedCount = prior.delete || 0;
+    console.log(`Resuming ${contentType}: ${deletedCount} already deleted, ${prior.failed} to retry`);
+  }
+
+  const url = getProfileUrl(username, contentType, options.origin);
+  emit('onStart', { username, contentTypes: [contentType], dryRun: Boolean(options.dryRun), startedAt: new Date(startTime).toISOString() });
+  const unlisten = throttle.listen(event => emit('onThrottle', { contentType, ...event }));
+  await driver.open(url);
+
+  console.log(`Starting deletion of ${contentType} for @${username}`);
+  console.log(`URL: ${url}`);
+  if (range.from || range.to) {
+    console.log(`Date range: ${range.from ? range.from.toISOString() : 'beginning'} → ${range.to ? range.to.toISOString() : 'now'}`);
+  }
+
+  while (!reachedEnd && await proceed()) {
+    const items = await driver.findItems();
+
+    // Cool down and look again if X is throttling us
+    if (!options.dryRun && await throttle.check(driver)) {
+      continue;
+    }
+
+    // Pass over tweets already handled and ones another pass handles
+    // (reposts on the Posts tab and vice versa)
+    let unseen = 0;
+    const batch = [];
+    for (const item of items) {
+      const info = await driver.readItem(item);
+      if (handled.has(info.key)) continue;
+
+      unseen++;
+      const type = getItemType(info, contentType);
+      if (isInPass(type, contentType)) {
+        batch.push({ item, info, type });
+      } else {
+        handled.add(info.key);
+      }
+    }
+
+    if (batch.length === 0) {
+      // Only an empty attempt if nothing new loaded at all
+      emptyAttempts = unseen > 0 ? 0 : emptyAttempts + 1;
+      if (emptyAttempts >= config.maxEmptyAttempts) {
+        console.log(`No more ${contentType} found after ${config.maxEmptyAttempts} attempts`);
+        break;
+      }
+      await driver.scroll(config.scrollAmount);
+      continue;
+    }
+    emptyAttempts = 0;
+
+    // Work through everything loaded before scrolling for more
+    for (const { item, info, type } of batch) {
+      if (!(await proceed())) break;
+
+      const decision = decide(info, type);
+      if (decision.action === 'stop') {
+        console.log('Reached tweets older than the date range, stopping');
+        reachedEnd = true;
+        break;
+      }
+
+      // Already handled before the interruption
+      if (prior && info.id && journal.isCompleted(info.id)) {
+        handled.add(info.key);
+        continue;
+      }
+
+      const described = describe(info, type, decision);
+      emit('onItem', described);
+
+      if (decision.action === 'keep') {
+        handled.add(info.key);
+        skips.push({ id: info.id, rule: decision.rule });
+        recordOutcome(described, 'kept');
+        emit('onSkipped', described);
+        if (journal) {
+          journal.record({ id: info.id, contentType, action: 'keep', outcome: 'success', rule: decision.rule });
+        }
+      }
+
+      // Dry run: record the decision and move on without touching the tweet
+      if (options.dryRun) {
+        handled.add(info.key);
+        planned.push({
+          id: info.id,
+          type,
+          action: decision.action,
+          rule: decision.rule,
+          date: info.date ? info.date.toISOString() : null,
+          text: info.text.slice(0, 280)
+        });
+        if (decision.action === 'delete') recordOutcome(described, 'planned');
+        progress();
+        continue;
+      }
+      if (decision.action === 'keep') {
+        progress();
+        continue;
+      }
+
+      // Unliked tweets stay on the Likes tab until reload, so try each once
+      const kind = type === 'repost' || type === 'like' ? type : 'post';
+      if (kind === 'like') {
+        handled.add(info.key);
+      }
+
+      // Direct mode keeps several removals in flight; clicks go one at a time
+      await throttle.ready();
+      const task = attemptRemoval(item, info, type, kind, described);
+      if (concurrency > 1) {
+        inFlight.add(task);
+        task.finally(() => inFlight.delete(task));
+        if (inFlight.size >= concurrency) await Promise.race(inFlight);
+      } else {
+        await task;
+      }
+
+      // Rate limiting protection (slower while throttled)
+      await delay(throttle.pace());
+    }
+    await Promise.all(inFlight);
+
+    if (!reachedEnd && !stopped) {
+      await driver.scroll(config.scrollAmount);
+    }
+  }
+
+  unlisten();
+
+  if (stopped) {
+    console.log(`⏹️  Stopped ${contentType} early`);
+  }
+  if (options.dryRun) {
+    const toDelete = planned.filter(entry => entry.action === 'delete').length;
+    console.log(`✓ Dry run of ${contentType}: ${toDelete} would be deleted, ${skips.length} kept`);
+  } else {
+    console.log(`✓ Completed ${contentType}: ${deletedCount} items deleted, ${skips.length} kept, ${failedCount} failed`);
+  }
+  const skipped = skips.length + (prior ? prior.keep || 0 : 0);
+  const finishedAt = Date.now();
+  const result = {
+    deleted: deletedCount,
+    skipped,
+    failed: failedCount,
+    failures,
+    failureReasons: countFailureReasons(failures),
+    skips,
+    planned,
+    byType,
+    throttle: throttle.stats,
+    stopped,
+    records: [...records.values()],
+    timings: {
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - startTime
+    }
+  };
+  emit('onComplete', result);
+  return result;
+}
+
+/**
+ * Run several profile tabs as passes sharing one throttle
+ * @param {object} driver - Page driver (see top of file)
+ * @param {string} username - X username (without @)
+ * @param {object} options - runDeletion options, plus contentTypes
+ *                           (default ['POSTS', 'REPOSTS', 'REPLIES', 'LIKES'])
+ * @returns {object} Summary of deletions: counts per pass and in total, plus the passes'
+ *                   failures, skips, planned, records and byType combined, and timings
+ *                   { startedAt, finishedAt, durationMs, passes: { POSTS: ms, ... } }
+ */
+async function runAllDeletion(driver, username, options = {}) {
+  const config = options.config || CONFIG;
+  const hooks = options.hooks || {};
+  const emit = createEmitter(hooks);
+  const startTime = Date.now();
+
+  console.log(`Starting deletion process for @${username}`);
+  console.log('This may take 20-60 minutes for 1,000 items\n');
+
+  const summary = {
+    posts: 0,
+    replies: 0,
+    reposts: 0,
+    likes: 0,
+    total: 0,
+    skipped: 0,
+    failed: 0,
+    failures: [],
+    failureReasons: null,
+    skips: [],
+    planned: [],
+    byType: {},
+    throttle: null,
+    stopped: false,
+    records: [],
+    timings: null
+  };
+  const passTimes = {};
+  for (const type of TWEET_TYPES) {
+    summary.byType[type] = 0;
+  }
+  const contentTypes = options.contentTypes || ['POSTS', 'REPOSTS', 'REPLIES', 'LIKES'];
+  const passes = [
+    { contentType: 'POSTS', title: 'Posts', field: 'posts' },     // includes quote tweets
+    { contentType: 'REPOSTS', title: 'Reposts', field: 'reposts' },
+    { contentType: 'REPLIES', title: 'Replies', field: 'replies' },
+    { contentType: 'LIKES', title: 'Likes', field: 'likes' }
+  ];
+  const runOptions = {
+    ...options,
+    throttle: options.throttle || createThrottle(config.backoff, () => config.delays.rateLimitSafe),
+    // Passes report everything but their own start and end
+    hooks: { ...hooks, onStart: null, onComplete: null }
+  };
+  emit('onStart', {
+    username,
+    contentTypes: passes.map(pass => pass.contentType).filter(type => contentTypes.includes(type)),
+    dryRun: Boolean(options.dryRun),
+    startedAt: new Date(startTime).toISOString()
+  });
+
+  for (const pass of passes) {
+    if (!contentTypes.includes(pass.contentType)) continue;
+
+    console.log(`\n=== Processing ${pass.title} ===`);
+    const result = await runDeletion(driver, username, pass.contentType, runOptions);
+    summary[pass.field] = result.deleted;
+    summary.total += result.deleted;
+    summary.skips.push(...result.skips);
+    summary.skipped += result.skipped;
+    summary.failed += result.failed;
+    summary.failures.push(...result.failures);
+    summary.planned.push(...result.planned);
+    summary.records.push(...result.records);
+    passTimes[pass.contentType] = result.timings.durationMs;
+    for (const type of TWEET_TYPES) {
+      summary.byType[type] += result.byType[type];
+    }
+    if (result.stopped) {
+      summary.stopped = true;
+      break;
+    }
+  }
+  summary.failureReasons = countFailureReasons(summary.failures);
+  summary.throttle = runOptions.throttle.stats;
+  const finishedAt = Date.now();
+  summary.timings = {
+    startedAt: new Date(startTime).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: finishedAt - startTime,
+    passes: passTimes
+  };
+
+  console.log('\n=== Deletion Complete ===');
+  console.log(`Posts deleted: ${summary.posts}`);
+  console.log(`Reposts undone: ${summary.reposts}`);
+  console.log(`Replies deleted: ${summary.replies}`);
+  console.log(`Likes removed: ${summary.likes}`);
+  console.log(`Total deleted: ${summary.total}`);
+  console.log(`Kept by rules: ${summary.skipped}`);
+  console.log(`Failed: ${summary.failed}`);
+  logFailureReasons(summary.failureReasons);
+  console.log(`Throttled: ${summary.throttle.events.length} times, ${(summary.throttle.backedOffMs / 60000).toFixed(1)} min backing off`);
+
+  emit('onComplete', summary);
+  return summary;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  runDeletion,
+  runAllDeletion,
+  removeItem,
+  unlikeItem,
+  abandonItem
+};
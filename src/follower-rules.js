@@ -0,0 +1,187 @@
+/**
+ * Follower Spam and Bot Rules
+ *
+ * Scores a follower's profile against weighted rules, so spam and bot
+ * followers can be removed whether or not they still tweet. Each rule
+ * that matches adds its weight (negative weights vouch for someone); a
+ * follower whose score reaches the threshold counts as spam.
+ *
+ * Rules are plain data, so they can be kept in a JSON file:
+ *
+ *   { "name": "empty-bio", "weight": 1, "field": "bio", "empty": true }
+ *   { "name": "promo-bot", "weight": 4, "all": [
+ *       { "field": "bio", "includes": ["dm for promo", "crypto"] },
+ *       { "field": "followRatio", "below": 0.1 }
+ *   ] }
+ *
+ * A condition tests one field with one of: equals, matches (a RegExp or
+ * a pattern string, case-insensitive), includes (any of these words,
+ * case-insensitive), empty, below or above. all, any and not combine
+ * conditions. A field the profile doesn't show never matches.
+ *
+ * Fields are those of a profile (see readUserResult in intercept.js, or
+ * readProfileFields in followers.js): username, name, bio, followers,
+ * following, tweets, verified, followsYou, followedByYou, defaultAvatar,
+ * createdAt; plus followRatio (followers / following) and
+ * accountAgeDays.
+ *
+ * Usage:
+ *
+ *   const rules = compileFollowerRules(DEFAULT_FOLLOWER_RULES);
+ *   const result = scoreFollower(profile, rules, 5);
+ *   if (result.spam) console.log(describeScore(result));
+ */
+
+const { DAY_MS } = require('./core');
+
+/**
+ * Rules that catch the usual spam and bot followers
+ */
+const DEFAULT_FOLLOWER_RULES = [
+  { name: 'default-avatar', weight: 2, field: 'defaultAvatar', equals: true },
+  { name: 'generated-handle', weight: 2, field: 'username', matches: '^[a-z]+_?[a-z]*\\d{5,}$' },
+  { name: 'empty-bio', weight: 1, field: 'bio', empty: true },
+  { name: 'follows-far-more-than-followed', weight: 2, all: [
+    { field: 'following', above: 200 },
+    { field: 'followRatio', below: 0.05 }
+  ] },
+  { name: 'new-account', weight: 1, field: 'accountAgeDays', below: 90 },
+  { name: 'few-tweets', weight: 1, field: 'tweets', below: 5 },
+  { name: 'spam-bio', weight: 3, field: 'bio', includes: ['dm for promo', 'promotion', 'crypto', 'forex', 'onlyfans', 'giveaway', 'nft drop'] },
+  { name: 'mutual', weight: -5, field: 'followedByYou', equals: true }
+];
+
+const OPERATORS = ['equals', 'matches', 'includes', 'empty', 'below', 'above'];
+
+/**
+ * Check and prepare a condition (patterns become RegExps)
+ * @param {object} condition
+ * @param {string} path - Where it is, for error messages
+ * @returns {object}
+ */
+function compileCondition(condition, path) {
+  if (!condition || typeof condition !== 'object') throw new Error(`${path}: expected a condition object`);
+  for (const key of ['all', 'any']) {
+    if (condition[key] !== undefined) {
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        throw new Error(`${path}: ${key} needs a list of conditions`);
+      }
+      return { [key]: condition[key].map((inner, i) => compileCondition(inner, `${path}.${key}[${i}]`)) };
+    }
+  }
+  if (condition.not !== undefined) return { not: compileCondition(condition.not, `${path}.not`) };
+
+  const operators = OPERATORS.filter(operator => condition[operator] !== undefined);
+  if (typeof condition.field !== 'string' || operators.length !== 1) {
+    throw new Error(`${path}: needs a field and one of ${OPERATORS.join(', ')} (or all, any, not)`);
+  }
+  const [operator] = operators;
+  let value = condition[operator];
+  if (operator === 'matches') {
+    try {
+      value = value instanceof RegExp ? value : new RegExp(value, 'i');
+    } catch (e) {
+      throw new Error(`${path}: ${e.message}`);
+    }
+  } else if (operator === 'includes') {
+    value = [].concat(value).map(word => String(word).toLowerCase());
+  } else if ((operator === 'below' || operator === 'above') && typeof value !== 'number') {
+    throw new Error(`${path}: ${operator} needs a number`);
+  }
+  return { field: condition.field, operator, value };
+}
+
+/**
+ * Check rules and prepare them for scoreFollower
+ * @param {array} rules - Rules like DEFAULT_FOLLOWER_RULES
+ * @returns {array} Compiled rules
+ */
+function compileFollowerRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Follower rules must be a list');
+  return rules.map((rule, i) => {
+    const path = `rule ${rule && rule.name ? `"${rule.name}"` : i + 1}`;
+    if (!rule || typeof rule.name !== 'string' || typeof rule.weight !== 'number') {
+      throw new Error(`${path}: needs a name and a numeric weight`);
+    }
+    const { name, weight, ...condition } = rule;
+    return { name, weight, condition: compileCondition(condition, path) };
+  });
+}
+
+/**
+ * Add the derived fields rules can test
+ * @param {object} profile - Profile fields
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {object} The profile plus followRatio and accountAgeDays (null when unknown)
+ */
+function toProfileFacts(profile, now = Date.now()) {
+  const hasCounts = typeof profile.followers === 'number' && typeof profile.following === 'number';
+  let followRatio = null;
+  if (hasCounts) followRatio = profile.following > 0 ? profile.followers / profile.following : Infinity;
+  const created = profile.createdAt ? new Date(profile.createdAt) : null;
+  const accountAgeDays = created && !isNaN(created) ? Math.floor((now - created.getTime()) / DAY_MS) : null;
+  return { ...profile, followRatio, accountAgeDays };
+}
+
+/**
+ * Test a compiled condition against a profile
+ * @param {object} facts - From toProfileFacts
+ * @param {object} condition - From compileFollowerRules
+ * @returns {boolean}
+ */
+function matchesCondition(facts, condition) {
+  if (condition.all) return condition.all.every(inner => matchesCondition(facts, inner));
+  if (condition.any) return condition.any.some(inner => matchesCondition(facts, inner));
+  if (condition.not) return !matchesCondition(facts, condition.not);
+
+  const value = facts[condition.field];
+  if (value === null || value === undefined) return false;
+  switch (condition.operator) {
+    case 'equals': return value === condition.value;
+    case 'matches': return condition.value.test(String(value));
+    case 'includes': return condition.value.some(word => String(value).toLowerCase().includes(word));
+    case 'empty': return (String(value).trim() === '') === Boolean(condition.value);
+    case 'below': return typeof value === 'number' && value < condition.value;
+    case 'above': return typeof value === 'number' && value > condition.value;
+    default: return false;
+  }
+}
+
+/**
+ * Score a follower's profile
+ * @param {object} profile - Profile fields (see top of file)
+ * @param {array} rules - From compileFollowerRules
+ * @param {number} threshold - Score at which a follower counts as spam
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {object} { score, threshold, spam, matched } - matched lists { name, weight } per rule that matched
+ */
+function scoreFollower(profile, rules, threshold, now = Date.now()) {
+  const facts = toProfileFacts(profile || {}, now);
+  const matched = rules
+    .filter(rule => matchesCondition(facts, rule.condition))
+    .map(rule => ({ name: rule.name, weight: rule.weight }));
+  const score = matched.reduce((sum, rule) => sum + rule.weight, 0);
+  return { score, threshold, spam: score >= threshold, matched };
+}
+
+/**
+ * One line for the log
+ * @param {object} result - From scoreFollower
+ * @returns {string} e.g. 'score 5/5: default-avatar +2, generated-handle +2, empty-bio +1'
+ */
+function describeScore(result) {
+  const rules = result.matched.map(rule => `${rule.name} ${rule.weight >= 0 ? '+' : ''}${rule.weight}`);
+  return `score ${result.score}/${result.threshold}: ${rules.join(', ') || 'no rules matched'}`;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  DEFAULT_FOLLOWER_RULES,
+  compileFollowerRules,
+  toProfileFacts,
+  matchesCondition,
+  scoreFollower,
+  describeScore
+};
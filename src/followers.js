@@ -0,0 +1,716 @@
+/**
+ * Follower Pruning
+ *
+ * Walk your followers list, open each follower's profile to read their
+ * latest tweet, and remove anyone quiet for longer than inactiveDays
+ * through the card's "Remove this follower" menu. With spam scoring on,
+ * the profile header is scored too (see follower-rules.js) and followers
+ * who look like spam or bots go whether or not they tweet. Followers on
+ * the protection list (config.protect: an allowlist, people you follow
+ * back, optionally verified or well-followed accounts) are never
+ * removed, not even by a plan.
+ *
+ * Drivers do the page work, as for the deletion engine, so the CLI and
+ * the console script run this same flow. A follower driver is an object
+ * with these async methods:
+ *
+ *   open(url)                   Show the followers list and wait for it to render
+ *   findFollowers()             Followers on the list, in page order (see readFollowerCells)
+ *   scroll(pixels)              Scroll and wait for more followers to load
+ *   readProfile(url, lookup)    Open a profile once it has rendered (see isProfileRendered):
+ *                               { activity (from readProfileActivity), header (from
+ *                               readProfileFields when lookup.header is set, else null) }
+ *   removeFollower(username)    { success, error }
+ *   checkThrottle()             X's throttling message or new 429 responses, or null
+ *   close()                     Let go of what the driver opened (tabs, listeners)
+ *
+ * Drivers: drivers/playwright-followers.js (Node library, used by the
+ * CLI) and drivers/dom-followers.js (in the page, built into the console
+ * script).
+ *
+ * Callers follow a run through options.hooks, as for the engine (see
+ * engine.js): onItem, onDeleted, onSkipped, onError and onThrottle, with
+ * each follower as { type: 'follower', id: username, text: '',
+ * decision: { action: 'remove' or 'keep', rule: its category } }.
+ *
+ * Usage:
+ *
+ *   const config = resolveFollowerConfig({ inactiveDays: 365 });
+ *   const driver = createPlaywrightFollowerDriver(await context.newPage(), config);
+ *   const summary = await pruneFollowers(driver, 'yourusername', {
+ *     config,
+ *     journal: openJournal('followers.jsonl')
+ *   });
+ */
+
+const { DAY_MS, delay, createThrottle, createEmitter, parseCount } = require('./core');
+const { DEFAULT_FOLLOWER_RULES, compileFollowerRules, scoreFollower, describeScore } = require('./follower-rules');
+const { getAllUiTexts } = require('./locale');
+
+const FOLLOWER_CONFIG = {
+  inactiveDays: 180,           // 6 months
+  language: null,              // X's display language (null = read <html lang>), see locale.js
+  activityArticles: 5,         // Tweets read from the top of a profile; the newest date counts
+  checkReplies: false,         // Also read the Replies tab before calling someone inactive (one more page each)
+  protect: {                   // Never removed, however quiet or spammy they look
+    usernames: [],             // Allowlist: handles, or pasted text with one per line (see toAllowlist)
+    following: true,           // Accounts you follow back (their card's button says Following)
+    verified: false,           // Verified accounts
+    minFollowers: null         // Accounts with at least this many followers (read from their profile)
+  },
+  spam: {
+    enabled: false,            // Also remove followers whose profile scores as spam, active or not
+    threshold: 5,              // Score at which a follower counts as spam
+    rules: DEFAULT_FOLLOWER_RULES // See follower-rules.js
+  },
+  delays: {                    // Floors: each step also waits for what it did to show (see waits)
+    profileLoad: 500,          // At least this long on each profile
+    betweenClicks: 300,        // At least this long between menu clicks
+    afterAction: 500,          // At least this long after the removal
+    scrollLoad: 500,           // At least this long after opening the list or scrolling
+    betweenFollowers: 6000     // Rate limiting between followers (avoid 429)
+  },
+  waits: {
+    timeout: 8000,             // Longest wait for a menu, confirmation sheet or removal to show (ms)
+    loadTimeout: 10000,        // Longest wait for a profile or the list to render
+    interval: 250              // How often a condition is checked while waiting
+  },
+  maxEmptyAttempts: 3,
+  scrollAmount: 300,
+  backoff: {
+    baseDelay: 30000,          // First cooldown when throttled (ms)
+    maxDelay: 900000,          // Longest single cooldown (15 min)
+    factor: 2,
+    jitter: 0.3,
+    failureThreshold: 3,
+    recoverAfter: 10
+  }
+};
+
+/**
+ * What an activity verdict rests on
+ * tweet: the newest of the first activityArticles tweets, pinned ones and reposts left out
+ * repost: they reposted something, and their own tweets alone would call them inactive; a
+ *         repost shows the original tweet's date, not when they reposted it, so they are kept
+ * pinned: only a pinned tweet had a date
+ * reply: their Replies tab showed something newer (checkReplies)
+ * protected: their tweets are protected, so they are left alone
+ * none: nothing dated showed up
+ */
+const ACTIVITY_SIGNALS = ['tweet', 'repost', 'pinned', 'reply', 'protected', 'none'];
+
+/**
+ * Why a follower is on the protection list, for the log
+ */
+const PROTECTION_REASONS = {
+  allowlist: 'on your allowlist',
+  following: 'you follow them',
+  verified: 'verified',
+  followers: 'well followed'
+};
+
+/**
+ * Paths on x.com that look like profile links but aren't people
+ */
+const RESERVED_PATHS = ['home', 'explore', 'notifications', 'messages', 'settings', 'i'];
+
+/**
+ * Fill in FOLLOWER_CONFIG's defaults around some overrides
+ * @param {object} overrides - Any FOLLOWER_CONFIG settings; delays, waits, protect, spam and
+ *                             backoff are merged key by key
+ * @returns {object} Complete settings
+ */
+function resolveFollowerConfig(overrides = {}) {
+  return {
+    ...FOLLOWER_CONFIG,
+    ...overrides,
+    delays: { ...FOLLOWER_CONFIG.delays, ...overrides.delays },
+    waits: { ...FOLLOWER_CONFIG.waits, ...overrides.waits },
+    protect: { ...FOLLOWER_CONFIG.protect, ...overrides.protect },
+    spam: { ...FOLLOWER_CONFIG.spam, ...overrides.spam },
+    backoff: { ...FOLLOWER_CONFIG.backoff, ...overrides.backoff }
+  };
+}
+
+/**
+ * Check if a last tweet is older than the inactivity window
+ * @param {Date|null} lastTweetDate - Latest tweet's date
+ * @param {number} inactiveDays - Days of silence that count as inactive
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {boolean} False when the date is unknown
+ */
+function isInactive(lastTweetDate, inactiveDays, now = Date.now()) {
+  if (!lastTweetDate) return false;
+  return (now - lastTweetDate.getTime()) / DAY_MS > inactiveDays;
+}
+
+/**
+ * Turn what a profile showed into an activity verdict
+ * @param {object} seen - From readProfileActivity (or combineActivity)
+ * @param {number} inactiveDays - Days of silence that count as inactive
+ * @returns {object} { hasActivity, lastTweetDate, inactive, signal, reason, skip, rateLimited } -
+ *                   signal (from ACTIVITY_SIGNALS) says what decided it
+ */
+function toActivity(seen, inactiveDays) {
+  if (seen.rateLimited) return { hasActivity: true, reason: 'rate_limited', rateLimited: true, message: seen.message };
+  if (seen.protected) return { hasActivity: true, reason: 'protected_account', skip: true, signal: 'protected' };
+  const lastTweetDate = seen.datetime ? new Date(seen.datetime) : null;
+  if (lastTweetDate && isNaN(lastTweetDate)) return { hasActivity: false, reason: 'parse_error', signal: 'none' };
+
+  const inactive = !lastTweetDate || isInactive(lastTweetDate, inactiveDays);
+  // A repost may be from yesterday whatever its date says, so it can't prove them quiet
+  if (inactive && seen.reposted) return { hasActivity: true, reason: 'repost_undated', signal: 'repost' };
+  if (!lastTweetDate) return { hasActivity: false, reason: seen.reason || 'parse_error', signal: 'none' };
+  return { hasActivity: !inactive, lastTweetDate, inactive, signal: seen.signal || 'tweet' };
+}
+
+/**
+ * Combine what a profile's Posts and Replies tabs showed
+ * @param {object} posts - readProfileActivity on the profile
+ * @param {object} replies - readProfileActivity on its Replies tab
+ * @returns {object} Whichever has the newer date (a newer tweet from the Replies tab
+ *                   becomes signal 'reply'); posts when the Replies tab had none. A repost
+ *                   on either tab carries over
+ */
+function combineActivity(posts, replies) {
+  if (replies.rateLimited) return replies;
+  const reposted = Boolean(posts.reposted || replies.reposted);
+  let newer = posts;
+  if (replies.datetime && !(posts.datetime && new Date(posts.datetime) >= new Date(replies.datetime))) {
+    newer = { ...replies, signal: replies.signal === 'tweet' ? 'reply' : replies.signal };
+  }
+  return reposted && !newer.reposted ? { ...newer, reposted } : newer;
+}
+
+/**
+ * Plan category for an activity verdict
+ * @param {object} activity - From toActivity, with score from scoreFollower when spam scoring is on
+ * @returns {string} 'spam', 'protected', 'inactive', 'active' or 'unknown'
+ */
+function categorize(activity) {
+  if (activity.score && activity.score.spam) return 'spam';
+  if (activity.skip) return 'protected';
+  if (activity.inactive) return 'inactive';
+  if (activity.lastTweetDate) return 'active';
+  return 'unknown';
+}
+
+/**
+ * Turn an allowlist into usernames
+ * @param {array|string} list - Handles, or pasted text with one per line (or separated by
+ *                              commas or spaces); @, profile URLs and # comments are fine
+ * @returns {Set} Lowercase usernames
+ */
+function toAllowlist(list) {
+  const lines = Array.isArray(list) ? list : String(list || '').split('\n');
+  return new Set(lines
+    .flatMap(line => String(line).replace(/#.*$/, '').split(/[\s,]+/))
+    .map(handle => handle.replace(/^(https?:\/\/)?(www\.)?(x|twitter)\.com\//i, '').replace(/^@/, '').split('/')[0].toLowerCase())
+    .filter(Boolean));
+}
+
+/**
+ * Why a follower is on the protection list, if they are
+ * @param {object} follower - What is known so far: { username, followedByYou, verified, followers }
+ * @param {object} protect - FOLLOWER_CONFIG.protect
+ * @param {Set} allowlist - From toAllowlist(protect.usernames)
+ * @returns {string|null} A key of PROTECTION_REASONS, or null
+ */
+function protectionReason(follower, protect, allowlist) {
+  if (allowlist.has(follower.username.toLowerCase())) return 'allowlist';
+  if (protect.following && follower.followedByYou) return 'following';
+  if (protect.verified && follower.verified) return 'verified';
+  if (protect.minFollowers && typeof follower.followers === 'number' && follower.followers >= protect.minFollowers) {
+    return 'followers';
+  }
+  return null;
+}
+
+/**
+ * Followers in the list, in page order, with what their cards show
+ * Runs in the page, so it only uses its arguments
+ * @param {array} reserved - Paths that aren't usernames (RESERVED_PATHS)
+ * @param {Document} root - Document to read
+ * @returns {array} { username, followedByYou, verified } - followedByYou when the card's
+ *                  button says Following
+ */
+function readFollowerCells(reserved, root = document) {
+  const followers = [];
+  for (const cell of root.querySelectorAll('[data-testid="cellInnerDiv"]')) {
+    const userLink = cell.querySelector('a[href^="/"][role="link"]');
+    const href = userLink && userLink.getAttribute('href');
+    if (!href || !/^\/[^/]+$/.test(href)) continue;
+
+    const username = href.substring(1);
+    if (!reserved.includes(username) && !followers.some(follower => follower.username === username)) {
+      followers.push({
+        username,
+        followedByYou: Boolean(cell.querySelector('[data-testid$="-unfollow"]')),
+        verified: Boolean(cell.querySelector('[data-testid="icon-verified"]'))
+      });
+    }
+  }
+  return followers;
+}
+
+/**
+ * What a profile page shows about its owner's activity
+ * The first tweet is often an old pinned one, so this reads the first
+ * few and keeps the newest date, falling back to pinned tweets only
+ * when nothing else has one
+ * Runs in the page, so it only uses its arguments
+ * @param {object} lookup - { rateLimit, protectedPosts, pinned }: texts to look for, in every
+ *                          language, and articles: how many tweets to read
+ * @param {Document} root - Document to read
+ * @returns {object} { rateLimited, message } | { protected } | { reason } |
+ *                   { datetime, signal, read, reposted } - message is the throttling text X
+ *                   showed; reposted says a repost was among the tweets read (its date is the
+ *                   original's, so it never becomes datetime)
+ */
+function readProfileActivity(lookup, root = document) {
+  const pageText = root.body ? root.body.innerText : '';
+  const throttled = lookup.rateLimit.find(text => pageText.includes(text));
+  if (throttled) return { rateLimited: true, message: throttled };
+  if (lookup.protectedPosts.some(text => pageText.includes(text))) return { protected: true };
+
+  const articles = [...root.querySelectorAll('article[data-testid="tweet"]')].slice(0, lookup.articles);
+  if (articles.length === 0) return { reason: 'no_tweets_visible' };
+
+  const newer = (found, datetime) => !found || new Date(datetime) > new Date(found.datetime);
+  let newest = null;
+  let pinned = null;
+  let reposted = false;
+  for (const article of articles) {
+    const context = article.querySelector('[data-testid="socialContext"]');
+    const contextText = context ? context.textContent : '';
+    const isPinned = lookup.pinned.some(label => contextText.includes(label));
+    // Any other header on someone's profile is "<name> reposted"
+    if (contextText && !isPinned) {
+      reposted = true;
+      continue;
+    }
+
+    // The tweet's own time comes first; a quoted tweet's follows it
+    const timeElement = article.querySelector('time');
+    const datetime = timeElement && timeElement.getAttribute('datetime');
+    if (!datetime || isNaN(new Date(datetime))) continue;
+
+    if (isPinned) {
+      if (newer(pinned, datetime)) pinned = { datetime, signal: 'pinned' };
+    } else if (newer(newest, datetime)) {
+      newest = { datetime, signal: 'tweet' };
+    }
+  }
+
+  const found = newest || pinned;
+  return found ? { ...found, read: articles.length, reposted } : { reason: 'no_timestamp', reposted };
+}
+
+/**
+ * What a profile's header shows, as the page's text
+ * Runs in the page, so it only uses its arguments
+ * @param {string} username - Whose profile it is
+ * @param {Document} root - Document to read
+ * @returns {object|null} { bio, avatar, followers, following, tweets, joined, verified, followsYou,
+ *                        followedByYou }, or null when no profile header rendered
+ */
+function readProfileFields(username, root = document) {
+  const header = root.querySelector('[data-testid="UserName"]');
+  if (!header) return null;
+  const textOf = selector => {
+    const element = root.querySelector(selector);
+    return element ? element.textContent.trim() : null;
+  };
+  const column = root.querySelector('[data-testid="primaryColumn"]') || root.body;
+  const postsLine = [...column.querySelectorAll('h2 ~ div, h2 + div')]
+    .map(element => element.textContent.trim())
+    .find(text => /^[\d.,]+\s*[KkMm]?\s+\S+$/.test(text));
+  const avatar = root.querySelector(`[data-testid="UserAvatar-Container-${username}"] img`);
+
+  return {
+    // X leaves the description out when there is none
+    bio: textOf('[data-testid="UserDescription"]') || '',
+    avatar: avatar ? avatar.getAttribute('src') : null,
+    followers: textOf(`a[href$="/${username}/verified_followers"], a[href$="/${username}/followers"]`),
+    following: textOf(`a[href$="/${username}/following"]`),
+    tweets: postsLine || null,
+    joined: textOf('[data-testid="UserJoinDate"]'),
+    verified: Boolean(header.querySelector('[data-testid="icon-verified"]')),
+    followsYou: Boolean(root.querySelector('[data-testid="userFollowIndicator"]')),
+    followedByYou: Boolean(root.querySelector('[data-testid$="-unfollow"]'))
+  };
+}
+
+/**
+ * Turn readProfileFields' text into the profile follower-rules.js scores
+ * Counts and join dates in other languages than English may not parse; rules on them
+ * then don't match
+ * @param {object} raw - From readProfileFields
+ * @param {string} username - Whose profile it is
+ * @returns {object} { username, bio, followers, following, tweets, createdAt, defaultAvatar,
+ *                   verified, followsYou, followedByYou }
+ */
+function toProfileFields(raw, username) {
+  const leadingCount = text => (text ? parseCount(text.split(/\s+/)[0]) : null);
+  const joined = raw.joined && raw.joined.match(/([A-Za-z]+)\s+(\d{4})/);
+  const createdAt = joined ? new Date(`${joined[1]} 1, ${joined[2]} UTC`) : null;
+  return {
+    username,
+    bio: raw.bio,
+    followers: leadingCount(raw.followers),
+    following: leadingCount(raw.following),
+    tweets: leadingCount(raw.tweets),
+    createdAt: createdAt && !isNaN(createdAt) ? createdAt.toISOString() : null,
+    defaultAvatar: raw.avatar ? raw.avatar.includes('default_profile_images') : null,
+    verified: raw.verified,
+    followsYou: raw.followsYou,
+    followedByYou: raw.followedByYou
+  };
+}
+
+/**
+ * Whether a profile page has rendered enough to judge: a dated tweet, X
+ * saying there are none, or a message explaining why not
+ * Runs in the page, so it only uses its arguments
+ * @param {object} lookup - { rateLimit, protectedPosts, missingPage }: messages to look for, in every language
+ * @param {Document} root - Document to read
+ * @returns {boolean}
+ */
+function isProfileRendered(lookup, root = document) {
+  if (root.querySelector('article[data-testid="tweet"] time, [data-testid="emptyState"]')) return true;
+  const pageText = root.body ? root.body.innerText : '';
+  return [...lookup.rateLimit, ...lookup.protectedPosts, ...lookup.missingPage].some(text => pageText.includes(text));
+}
+
+/**
+ * Open a follower's profile and judge their activity
+ * With checkReplies, someone who looks quiet on their profile also gets
+ * their Replies tab read, since people who only reply look inactive
+ * @param {object} driver - Follower driver (see top of file)
+ * @param {string} username - Follower's username
+ * @param {object} settings - { origin, inactiveDays, config, spamRules (compiled, when spam scoring is
+ *                            on), readHeader (read the profile header even without spam scoring) }
+ * @returns {object} Activity verdict from toActivity, plus profile (from toProfileFields) when the
+ *                   header was read and score (from scoreFollower) when scored
+ */
+async function checkFollower(driver, username, settings) {
+  const { activityArticles, checkReplies } = settings.config;
+  const lookup = {
+    rateLimit: getAllUiTexts('rateLimit'),
+    protectedPosts: getAllUiTexts('protectedPosts'),
+    missingPage: getAllUiTexts('missingPage'),
+    pinned: getAllUiTexts('pinned'),
+    articles: activityArticles,
+    username,
+    header: Boolean(settings.spamRules || settings.readHeader)
+  };
+
+  const shown = await driver.readProfile(`${settings.origin}/${username}`, lookup);
+  let seen = shown.activity;
+  const header = {};
+  if (shown.header && !seen.rateLimited) {
+    header.profile = toProfileFields(shown.header, username);
+    if (settings.spamRules) header.score = scoreFollower(header.profile, settings.spamRules, settings.config.spam.threshold);
+  }
+  if (checkReplies && !seen.rateLimited && !seen.protected && !toActivity(seen, settings.inactiveDays).hasActivity) {
+    const replies = await driver.readProfile(`${settings.origin}/${username}/with_replies`, { ...lookup, header: false });
+    seen = combineActivity(seen, replies.activity);
+  }
+  const activity = toActivity(seen, settings.inactiveDays);
+  return activity.rateLimited ? activity : { ...activity, ...header };
+}
+
+/**
+ * Walk the followers list and remove inactive (and, with spam scoring, spam) followers
+ * @param {object} driver - Follower driver (see top of file)
+ * @param {string} username - Your X username (without @)
+ * @param {object} options - inactiveDays, dryRun (check everyone, remove nobody),
+ *                           planUsernames (remove exactly these, without re-checking),
+ *                           journal (from openJournal), resume (skip journaled followers),
+ *                           throttle (from createThrottle), control (from createRunControl: pause
+ *                           and stop between followers), hooks (see top of file),
+ *                           origin (default https://x.com) and config (overrides for FOLLOWER_CONFIG)
+ * @returns {object} { checked, removed, spam, skipped, safe, failed, removedUsers, safeUsers, failures, planned,
+ *                   notFound, throttle, stopped } - spam counts the removed followers that scored as spam,
+ *                   safe the ones the protection list kept (safeUsers: { username, reason }), failures
+ *                   lists { username, error },
+ *                   planned lists every verdict in a dry run,
+ *                   notFound lists planned usernames the list never showed,
+ *                   stopped is true when the control stopped the run early
+ */
+async function pruneFollowers(driver, username, options = {}) {
+  const config = resolveFollowerConfig(options.config);
+  const settings = {
+    origin: options.origin || 'https://x.com',
+    inactiveDays: options.inactiveDays || config.inactiveDays,
+    spamRules: config.spam.enabled ? compileFollowerRules(config.spam.rules) : null,
+    readHeader: Boolean(config.protect.verified || config.protect.minFollowers),
+    config
+  };
+  const allowlist = toAllowlist(config.protect.usernames);
+  const journal = options.dryRun ? null : (options.journal || null);
+  const throttle = options.throttle || createThrottle(config.backoff, config.delays.betweenFollowers);
+  const control = options.control || null;
+  const emit = createEmitter(options.hooks);
+  const planRemovals = options.planUsernames ? new Set(options.planUsernames) : null;
+
+  const summary = {
+    checked: 0,
+    removed: 0,
+    spam: 0,
+    skipped: 0,
+    safe: 0,
+    failed: 0,
+    removedUsers: [],
+    safeUsers: [],
+    failures: [],
+    planned: [],
+    notFound: [],
+    throttle: throttle.stats,
+    stopped: false
+  };
+  const processed = new Set();
+  const record = entry => journal && journal.record(entry);
+  // What hooks hear about a follower
+  const describe = (follower, action, rule) => ({ type: 'follower', id: follower, text: '', decision: { action, rule } });
+  const fail = (follower, error, reason = 'remove-failed') => {
+    summary.failed++;
+    summary.failures.push({ username: follower, error });
+    emit('onError', { ...describe(follower, 'remove', null), reason, error, final: true });
+  };
+  const keepSafe = (follower, reason) => {
+    summary.safe++;
+    summary.safeUsers.push({ username: follower, reason });
+  };
+
+  // Skip finished followers and carry totals forward; failed ones are retried
+  if (journal && options.resume) {
+    for (const entry of journal.entries()) {
+      if (!entry.username || entry.outcome !== 'success') continue;
+      processed.add(entry.username);
+      summary.checked++;
+      if (entry.action === 'remove') {
+        summary.removed++;
+        if (entry.category === 'spam') summary.spam++;
+        summary.removedUsers.push(entry.username);
+      } else if (entry.category === 'safe') {
+        keepSafe(entry.username, entry.safeBy);
+      } else {
+        summary.skipped++;
+      }
+      if (planRemovals) planRemovals.delete(entry.username);
+    }
+    console.log(`🗒️  Resuming: ${summary.checked} already checked, ${summary.removed} removed`);
+  }
+
+  // Keep going unless the control paused (wait) or stopped (false) the run
+  const proceed = async () => {
+    if (!control || await control.checkpoint()) return true;
+    summary.stopped = true;
+    return false;
+  };
+
+  console.log(`🚀 Checking followers of @${username} (inactive after ${settings.inactiveDays} days)`);
+  if (settings.spamRules) console.log(`🤖 Scoring profiles: ${settings.spamRules.length} rules, spam at ${config.spam.threshold}`);
+  if (allowlist.size > 0) console.log(`🛡️  Allowlist: ${allowlist.size} followers are never removed`);
+  if (options.dryRun) console.log('📝 Dry run - nobody will be removed');
+  if (planRemovals) console.log(`📋 Executing plan: ${planRemovals.size} followers to remove`);
+
+  const unlisten = throttle.listen(event => emit('onThrottle', event));
+  let emptyAttempts = 0;
+  try {
+    await driver.open(`${settings.origin}/${username}/followers`);
+
+    while ((!planRemovals || planRemovals.size > 0) && await proceed()) {
+      const fresh = (await driver.findFollowers()).filter(cell => !processed.has(cell.username));
+
+      if (fresh.length === 0) {
+        emptyAttempts++;
+        console.log(`⏳ No new followers found (attempt ${emptyAttempts}/${config.maxEmptyAttempts})`);
+        if (emptyAttempts >= config.maxEmptyAttempts) break;
+        await driver.scroll(config.scrollAmount);
+        continue;
+      }
+      emptyAttempts = 0;
+
+      // Cool down and look again if X is throttling us
+      if (await throttle.check(driver)) continue;
+
+      const cell = fresh[0];
+      const follower = cell.username;
+      processed.add(follower);
+      const markSafe = (reason, details = {}) => {
+        record({ username: follower, action: 'keep', outcome: 'success', category: 'safe', safeBy: reason, ...details });
+        keepSafe(follower, reason);
+        emit('onSkipped', describe(follower, 'keep', 'safe'));
+        console.log(`   🛡️  Protected (${PROTECTION_REASONS[reason]})`);
+      };
+
+      // Plan mode: remove listed followers without re-checking, pass over the rest
+      if (planRemovals) {
+        if (!planRemovals.has(follower)) continue;
+        planRemovals.delete(follower);
+        summary.checked++;
+
+        // The protection list still holds: the plan may be older than it
+        const reason = protectionReason(cell, config.protect, allowlist);
+        if (reason) {
+          console.log(`📋 Planned @${follower} is on the protection list`);
+          markSafe(reason);
+          continue;
+        }
+
+        emit('onItem', describe(follower, 'remove', 'plan'));
+        const result = await driver.removeFollower(follower);
+        record({ username: follower, action: 'remove', outcome: result.success ? 'success' : 'failed', error: result.error });
+        if (result.success) {
+          summary.removed++;
+          summary.removedUsers.push(follower);
+          emit('onDeleted', describe(follower, 'remove', 'plan'));
+          console.log(`   ✅ Removed @${follower} (planned)`);
+          throttle.success();
+        } else {
+          fail(follower, result.error);
+          console.log(`   ❌ Failed to remove @${follower}: ${result.error}`);
+          await throttle.failure(result.error);
+        }
+        await delay(throttle.pace());
+        continue;
+      }
+
+      summary.checked++;
+      console.log(`📋 Checking @${follower}...`);
+
+      // Whatever the card shows is enough to protect someone without visiting them
+      const listedReason = protectionReason(cell, config.protect, allowlist);
+      if (listedReason) {
+        if (options.dryRun) {
+          summary.planned.push({ username: follower, category: 'safe', action: 'keep', safeBy: listedReason });
+        }
+        markSafe(listedReason);
+        continue;
+      }
+
+      let activity;
+      try {
+        activity = await checkFollower(driver, follower, settings);
+      } catch (error) {
+        record({ username: follower, action: 'check', outcome: 'failed', error: error.message });
+        fail(follower, error.message, 'check-failed');
+        console.log(`   ❌ Error checking @${follower}: ${error.message}`);
+        await throttle.failure(error.message);
+        await delay(throttle.pace());
+        continue;
+      }
+
+      // Throttled: cool down and check this follower again
+      if (activity.rateLimited) {
+        processed.delete(follower);
+        summary.checked--;
+        await throttle.backoff(`toast: ${activity.message}`);
+        continue;
+      }
+      throttle.success();
+
+      // Verified and follower counts only show on the profile
+      const safeBy = activity.profile ? protectionReason({ ...cell, ...activity.profile }, config.protect, allowlist) : null;
+      const category = safeBy ? 'safe' : categorize(activity);
+      const remove = category === 'inactive' || category === 'spam';
+      const lastSeen = activity.lastTweetDate ? activity.lastTweetDate.toISOString().slice(0, 10) : 'unknown';
+      // Scores go along with every verdict, so a plan shows how close the kept ones came
+      const scored = activity.score
+        ? { score: activity.score.score, rules: activity.score.matched.map(rule => rule.name) }
+        : {};
+
+      if (options.dryRun) {
+        summary.planned.push({
+          username: follower,
+          category,
+          action: remove ? 'remove' : 'keep',
+          lastTweetDate: activity.lastTweetDate ? activity.lastTweetDate.toISOString() : null,
+          signal: activity.signal,
+          reason: activity.reason || null,
+          ...(safeBy ? { safeBy } : {}),
+          ...scored
+        });
+      }
+
+      const verdict = category === 'spam'
+        ? `🤖 Spam (${describeScore(activity.score)})`
+        : `⏰ Inactive since ${lastSeen} (from a ${activity.signal})`;
+      if (safeBy) {
+        markSafe(safeBy, { signal: activity.signal, ...scored });
+      } else if (!remove) {
+        record({ username: follower, action: 'keep', outcome: 'success', category, signal: activity.signal, ...scored });
+        summary.skipped++;
+        emit('onSkipped', describe(follower, 'keep', category));
+        console.log(category === 'active'
+          ? `   ✓ Active (last tweet: ${lastSeen}, from a ${activity.signal})`
+          : `   ✓ Skipped (${activity.reason || 'could not determine activity'})`);
+      } else if (options.dryRun) {
+        emit('onItem', describe(follower, 'remove', category));
+        console.log(`   ${verdict} - would remove`);
+      } else {
+        emit('onItem', describe(follower, 'remove', category));
+        console.log(`   ${verdict}`);
+        const result = await driver.removeFollower(follower);
+        record({ username: follower, action: 'remove', outcome: result.success ? 'success' : 'failed', category, signal: activity.signal, ...scored, error: result.error });
+        if (result.success) {
+          if (category === 'spam') summary.spam++;
+          summary.removed++;
+          summary.removedUsers.push(follower);
+          emit('onDeleted', describe(follower, 'remove', category));
+          console.log(`   ✅ Removed @${follower}`);
+        } else {
+          fail(follower, result.error);
+          console.log(`   ❌ Failed to remove @${follower}: ${result.error}`);
+          await throttle.failure(result.error);
+        }
+      }
+
+      // Rate limiting (slower while throttled)
+      await delay(throttle.pace());
+    }
+  } finally {
+    unlisten();
+    await driver.close();
+  }
+
+  if (planRemovals && planRemovals.size > 0 && !summary.stopped) {
+    summary.notFound = [...planRemovals];
+    console.log(`⚠️  ${planRemovals.size} planned followers were not found in the list`);
+  }
+
+  console.log(`\n=== Follower Check ${summary.stopped ? 'Stopped' : 'Complete'} ===`);
+  console.log(`Checked: ${summary.checked}`);
+  console.log(`Removed: ${summary.removed}${summary.spam > 0 ? ` (${summary.spam} as spam)` : ''}`);
+  console.log(`Kept: ${summary.skipped}`);
+  console.log(`Protection list kept: ${summary.safe}`);
+  console.log(`Failed: ${summary.failed}`);
+  console.log(`Throttled: ${summary.throttle.events.length} times, ${(summary.throttle.backedOffMs / 60000).toFixed(1)} min backing off`);
+  return summary;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  FOLLOWER_CONFIG,
+  ACTIVITY_SIGNALS,
+  PROTECTION_REASONS,
+  RESERVED_PATHS,
+  resolveFollowerConfig,
+  isInactive,
+  toActivity,
+  combineActivity,
+  categorize,
+  toAllowlist,
+  protectionReason,
+  readFollowerCells,
+  readProfileActivity,
+  readProfileFields,
+  toProfileFields,
+  isProfileRendered,
+  checkFollower,
+  pruneFollowers
+};
@@ -0,0 +1,410 @@
+/**
+ * Timeline Interception
+ *
+ * X's web client loads every timeline as GraphQL JSON: UserTweets (the
+ * Posts tab), UserTweetsAndReplies, Likes and Followers. Reading those
+ * responses instead of the rendered articles is faster and misses
+ * nothing, where the page drops articles as it virtualizes the list.
+ *
+ * installInterceptor hooks the page's fetch and XMLHttpRequest, and
+ * hands each timeline response to an inventory, which keeps one entry
+ * per tweet (or follower) with the fields the engine's rules need. The
+ * inventory can then drive a run (drivers/inventory.js) or be saved.
+ *
+ * Usage (in the page):
+ *
+ *   const inventory = createInventory('yourusername');
+ *   const uninstall = installInterceptor(window, inventory.add);
+ *   await enumerateTimeline(createDomDriver(config), inventory, 'POSTS', config);
+ *   uninstall();
+ */
+
+const { getItemType } = require('./core');
+
+/**
+ * Intercepted GraphQL operations and the profile tab each one feeds
+ */
+const TIMELINE_OPERATIONS = {
+  UserTweets: 'POSTS',
+  UserTweetsAndReplies: 'REPLIES',
+  Likes: 'LIKES',
+  Followers: 'FOLLOWERS'
+};
+
+const OPERATION_PATTERN = /\/i\/api\/graphql\/[^/]+\/(UserTweets|UserTweetsAndReplies|Likes|Followers)(?:[?#]|$)/;
+
+/**
+ * Name the timeline operation a request URL calls
+ * @param {string} url
+ * @returns {string|null} A TIMELINE_OPERATIONS key
+ */
+function matchOperation(url) {
+  const match = String(url || '').match(OPERATION_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find a timeline's instructions, wherever this response version keeps them
+ * (data.user.result.timeline_v2.timeline, .timeline.timeline, ...)
+ * @param {*} node - Parsed response, or a part of it
+ * @returns {array} Instructions, or [] if there are none
+ */
+function findInstructions(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node.instructions)) return node.instructions;
+  for (const value of Object.values(node)) {
+    const found = findInstructions(value);
+    if (found.length > 0) return found;
+  }
+  return [];
+}
+
+/**
+ * List a response's timeline items in order
+ * @param {object} json - Parsed GraphQL response
+ * @returns {object} { items: [{ content, pinned }], cursor } - content is an itemContent
+ *                   (TimelineTweet or TimelineUser), cursor the Bottom cursor if any
+ */
+function readTimelineEntries(json) {
+  const items = [];
+  let cursor = null;
+
+  const addEntry = (entry, pinned) => {
+    const content = entry && entry.content;
+    if (!content) return;
+    if (content.cursorType === 'Bottom') cursor = content.value;
+    if (content.itemContent) items.push({ content: content.itemContent, pinned });
+    // Conversation modules (replies with the tweets above them)
+    for (const moduleItem of content.items || []) {
+      if (moduleItem.item && moduleItem.item.itemContent) items.push({ content: moduleItem.item.itemContent, pinned });
+    }
+  };
+
+  for (const instruction of findInstructions(json)) {
+    if (instruction.type === 'TimelinePinEntry') addEntry(instruction.entry, true);
+    if (instruction.type === 'TimelineReplaceEntry') addEntry(instruction.entry, false);
+    for (const entry of instruction.entries || []) addEntry(entry, false);
+  }
+  return { items, cursor };
+}
+
+/**
+ * Get the tweet out of a tweet_results.result
+ * @param {object} result
+ * @returns {object|null} The Tweet, or null for tombstones and withheld tweets
+ */
+function unwrapTweet(result) {
+  if (!result) return null;
+  if (result.__typename === 'TweetWithVisibilityResults') return unwrapTweet(result.tweet);
+  return result.legacy ? result : null;
+}
+
+/**
+ * Read a tweet author's username
+ * @param {object} tweet - Unwrapped tweet
+ * @returns {string|null}
+ */
+function readAuthor(tweet) {
+  const user = tweet.core && tweet.core.user_results && tweet.core.user_results.result;
+  if (!user) return null;
+  return (user.core && user.core.screen_name) || (user.legacy && user.legacy.screen_name) || null;
+}
+
+/**
+ * Turn a tweet from a timeline response into what a driver's readItem returns
+ * Reposts read as the original tweet, as they show on the page
+ * @param {object} result - tweet_results.result
+ * @param {boolean} pinned - From a pin entry
+ * @returns {object|null} { key, id, date, text, pinned, engagement, repost, quote, liked,
+ *                        reply, author, replyTo, repostedBy, media, quoted }
+ */
+function readTweetResult(result, pinned = false) {
+  const tweet = unwrapTweet(result);
+  if (!tweet) return null;
+
+  const retweet = tweet.legacy.retweeted_status_result;
+  const original = retweet ? unwrapTweet(retweet.result) : null;
+  const shown = original || tweet;
+  const legacy = shown.legacy;
+  const note = shown.note_tweet && shown.note_tweet.note_tweet_results && shown.note_tweet.note_tweet_results.result;
+  const quoted = unwrapTweet(shown.quoted_status_result && shown.quoted_status_result.result);
+  const id = shown.rest_id || legacy.id_str;
+  const date = new Date(legacy.created_at);
+  const media = ((legacy.extended_entities || legacy.entities || {}).media || []).map(entry => entry.media_url_https);
+
+  return {
+    key: id,
+    id,
+    date: isNaN(date.getTime()) ? null : date,
+    text: (note && note.text) || legacy.full_text || '',
+    pinned,
+    engagement: {
+      replies: legacy.reply_count || 0,
+      reposts: legacy.retweet_count || 0,
+      likes: legacy.favorite_count || 0,
+      views: Number(shown.views && shown.views.count) || 0
+    },
+    repost: Boolean(original),
+    quote: !original && Boolean(legacy.is_quote_status),
+    liked: Boolean(legacy.favorited),
+    reply: !original && Boolean(legacy.in_reply_to_status_id_str),
+    author: readAuthor(shown),
+    replyTo: legacy.in_reply_to_screen_name || null,
+    repostedBy: original ? readAuthor(tweet) : null,
+    media,
+    quoted: quoted ? `https://x.com/${readAuthor(quoted)}/status/${quoted.rest_id}` : null
+  };
+}
+
+/**
+ * Turn a user from a Followers response into an inventory entry
+ * @param {object} result - user_results.result
+ * @returns {object|null} { id, username, name, bio, followers, following, tweets, protected,
+ *                        verified, followedByYou, defaultAvatar, createdAt }
+ */
+function readUserResult(result) {
+  if (!result || !result.legacy) return null;
+  const legacy = result.legacy;
+  const core = result.core || {};
+  return {
+    id: result.rest_id,
+    username: core.screen_name || legacy.screen_name,
+    name: core.name || legacy.name || '',
+    bio: legacy.description || '',
+    followers: legacy.followers_count || 0,
+    following: legacy.friends_count || 0,
+    tweets: legacy.statuses_count || 0,
+    protected: Boolean(legacy.protected || (result.privacy && result.privacy.protected)),
+    verified: Boolean(legacy.verified || result.is_blue_verified),
+    followedByYou: Boolean(legacy.following || (result.relationship_perspectives && result.relationship_perspectives.following)),
+    defaultAvatar: Boolean(legacy.default_profile_image),
+    createdAt: legacy.created_at || (core.created_at || null)
+  };
+}
+
+/**
+ * Read one intercepted timeline response
+ * @param {string} operation - A TIMELINE_OPERATIONS key
+ * @param {object} json - Parsed response
+ * @returns {object} { tweets, users, cursor }
+ */
+function parseTimelineResponse(operation, json) {
+  const { items, cursor } = readTimelineEntries(json);
+  const tweets = [];
+  const users = [];
+  for (const { content, pinned } of items) {
+    if (content.tweet_results) {
+      const tweet = readTweetResult(content.tweet_results.result, pinned);
+      if (tweet) tweets.push(tweet);
+    } else if (content.user_results && operation === 'Followers') {
+      const user = readUserResult(content.user_results.result);
+      if (user) users.push(user);
+    }
+  }
+  return { tweets, users, cursor };
+}
+
+/**
+ * Create an inventory of what the timelines loaded
+ * @param {string} username - Your username (without @); conversation tweets by others on
+ *                            your Posts and Replies tabs are left out
+ * @returns {object} { add, addItem, items, followers, size, counts, toJSON } - add(operation,
+ *                   json) takes intercepted responses, addItem(contentType, info) tweets read
+ *                   off the page
+ */
+function createInventory(username) {
+  const tabs = { POSTS: new Map(), REPLIES: new Map(), LIKES: new Map() };
+  const followers = new Map();
+  const own = author => !username || !author || author.toLowerCase() === username.toLowerCase();
+
+  const inventory = {
+    /**
+     * Take an intercepted response
+     * @param {string} operation - A TIMELINE_OPERATIONS key
+     * @param {object} json - Parsed response
+     * @returns {number} New entries
+     */
+    add(operation, json) {
+      const contentType = TIMELINE_OPERATIONS[operation];
+      if (!contentType) return 0;
+      const before = inventory.size();
+      const { tweets, users } = parseTimelineResponse(operation, json);
+      for (const user of users) {
+        if (!followers.has(user.username)) followers.set(user.username, user);
+      }
+      for (const tweet of tweets) {
+        inventory.addItem(contentType, tweet);
+      }
+      return inventory.size() - before;
+    },
+
+    /**
+     * Add one tweet, e.g. one the page showed before the interceptor was installed
+     * @param {string} contentType - 'POSTS', 'REPLIES' or 'LIKES'
+     * @param {object} info - readItem-style tweet
+     */
+    addItem(contentType, info) {
+      const tab = tabs[contentType];
+      if (!tab || !info.key || tab.has(info.key)) return;
+      if (contentType !== 'LIKES' && !(info.repost ? own(info.repostedBy) : own(info.author))) return;
+      const type = contentType === 'LIKES'
+        ? 'like'
+        : (info.reply && !info.repost ? 'reply' : getItemType(info, 'POSTS'));
+      tab.set(info.key, { ...info, type });
+    },
+
+    /**
+     * Tweets captured for a tab, in the order they loaded
+     * @param {string} contentType - 'POSTS', 'REPLIES' or 'LIKES'
+     * @returns {array}
+     */
+    items(contentType) {
+      return [...(tabs[contentType] || new Map()).values()];
+    },
+
+    /**
+     * @returns {array} Followers captured, in list order
+     */
+    followers() {
+      return [...followers.values()];
+    },
+
+    /**
+     * @returns {number} Entries across all tabs and followers
+     */
+    size() {
+      return Object.values(tabs).reduce((total, tab) => total + tab.size, followers.size);
+    },
+
+    /**
+     * @returns {object} Entries per tab, e.g. { POSTS: 120, REPLIES: 40, LIKES: 300, FOLLOWERS: 0 }
+     */
+    counts() {
+      return {
+        POSTS: tabs.POSTS.size,
+        REPLIES: tabs.REPLIES.size,
+        LIKES: tabs.LIKES.size,
+        FOLLOWERS: followers.size
+      };
+    },
+
+    /**
+     * The inventory as saved to a file
+     * @returns {object} { version, username, createdAt, counts, tweets: { POSTS, REPLIES, LIKES }, followers }
+     */
+    toJSON() {
+      const list = contentType => inventory.items(contentType).map(item => ({
+        ...item,
+        date: item.date ? item.date.toISOString() : null
+      }));
+      return {
+        version: 1,
+        username,
+        createdAt: new Date().toISOString(),
+        counts: inventory.counts(),
+        tweets: { POSTS: list('POSTS'), REPLIES: list('REPLIES'), LIKES: list('LIKES') },
+        followers: inventory.followers()
+      };
+    }
+  };
+
+  return inventory;
+}
+
+/**
+ * Hook a page's fetch and XMLHttpRequest to pass on timeline responses
+ * The page gets its responses untouched; a response that won't parse is skipped
+ * @param {object} win - The window (or anything with fetch and XMLHttpRequest)
+ * @param {function} onResponse - Called with (operation, json)
+ * @returns {function} Uninstall, restoring the originals
+ */
+function installInterceptor(win, onResponse) {
+  const deliver = (operation, read) => {
+    try {
+      const json = read();
+      if (json) onResponse(operation, json);
+    } catch (e) {
+      console.warn(`⚠️  Could not read a ${operation} response: ${e.message}`);
+    }
+  };
+
+  const originalFetch = win.fetch;
+  if (originalFetch) {
+    win.fetch = async function (...args) {
+      const response = await originalFetch.apply(this, args);
+      const request = args[0];
+      const operation = matchOperation(typeof request === 'string' ? request : request && request.url);
+      if (operation && response.ok) {
+        response.clone().text().then(text => deliver(operation, () => JSON.parse(text)), () => {});
+      }
+      return response;
+    };
+  }
+
+  const XHR = win.XMLHttpRequest && win.XMLHttpRequest.prototype;
+  const originalOpen = XHR && XHR.open;
+  const originalSend = XHR && XHR.send;
+  if (XHR) {
+    XHR.open = function (method, url, ...rest) {
+      this.xDeleterOperation = matchOperation(url);
+      return originalOpen.call(this, method, url, ...rest);
+    };
+    XHR.send = function (...args) {
+      const operation = this.xDeleterOperation;
+      if (operation) {
+        this.addEventListener('load', () => {
+          if (this.status !== 200) return;
+          deliver(operation, () => (this.responseType === 'json' ? this.response : JSON.parse(this.responseText)));
+        });
+      }
+      return originalSend.apply(this, args);
+    };
+  }
+
+  return () => {
+    if (originalFetch) win.fetch = originalFetch;
+    if (XHR) {
+      XHR.open = originalOpen;
+      XHR.send = originalSend;
+    }
+  };
+}
+
+/**
+ * Scroll a tab to the end so the web client loads (and the interceptor
+ * captures) all of it
+ * Tweets already on the page loaded before the hook, so they are read off
+ * the page first
+ * @param {object} driver - Page driver (see engine.js), on the tab
+ * @param {object} inventory - From createInventory, fed by installInterceptor
+ * @param {string} contentType - The tab: 'POSTS', 'REPLIES' or 'LIKES'
+ * @param {object} config - Settings (scrollAmount, maxEmptyAttempts)
+ * @returns {number} Tweets captured for the tab
+ */
+async function enumerateTimeline(driver, inventory, contentType, config) {
+  for (const item of await driver.findItems()) {
+    inventory.addItem(contentType, await driver.readItem(item));
+  }
+
+  let idle = 0;
+  while (idle < config.maxEmptyAttempts) {
+    const before = inventory.size();
+    await driver.scroll(config.scrollAmount * 4);
+    idle = inventory.size() > before ? 0 : idle + 1;
+  }
+  return inventory.items(contentType).length;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  TIMELINE_OPERATIONS,
+  matchOperation,
+  parseTimelineResponse,
+  readTweetResult,
+  readUserResult,
+  createInventory,
+  installInterceptor,
+  enumerateTimeline
+};
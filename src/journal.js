@@ -0,0 +1,134 @@
+/**
+ * Crash-Safe Journal
+ *
+ * Append-only JSONL record of every item a run touches, so a closed tab
+ * or crashed MCP session doesn't mean starting over. Each line is:
+ *
+ *   {"ts":"2025-01-01T00:00:00.000Z","id":"1234","contentType":"POSTS","action":"delete","outcome":"success"}
+ *
+ * Lines are written synchronously as each item finishes. On resume, an
+ * item whose latest entry succeeded is skipped, failed items are retried,
+ * and totals carry forward from the journal.
+ *
+ * The console scripts keep the same entries in localStorage.
+ *
+ * Usage:
+ *
+ *   const journal = openJournal('run.jsonl');
+ *   await deleteAllContent(mcpTools, 'yourusername', { journal });
+ *   // ...crash...
+ *   await deleteAllContent(mcpTools, 'yourusername', { journal: openJournal('run.jsonl'), resume: true });
+ */
+
+const fs = require('fs');
+
+/**
+ * Read journal entries from a JSONL file
+ * A torn last line (crash mid-write) is ignored
+ * @param {string} file - Journal path
+ * @returns {array} Entries in write order
+ */
+function readJournal(file) {
+  if (!fs.existsSync(file)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Partial line from an interrupted write
+    }
+  }
+  return entries;
+}
+
+/**
+ * Get the key an entry is tracked by (tweet ID or follower username)
+ * @param {object} entry - Journal entry
+ * @returns {string|null}
+ */
+function entryKey(entry) {
+  return entry.id || entry.username || null;
+}
+
+/**
+ * Open a journal for appending, loading what earlier runs recorded
+ * @param {string} file - Journal path (created if missing)
+ * @returns {object} { file, record, isCompleted, latest, totals, entries }
+ */
+function openJournal(file) {
+  const latestByKey = new Map();
+  for (const entry of readJournal(file)) {
+    const key = entryKey(entry);
+    if (key) latestByKey.set(key, entry);
+  }
+
+  return {
+    file,
+
+    /**
+     * Append an entry, stamped with the current time
+     * @param {object} entry - { id | username, contentType, action, outcome, error, rule }
+     */
+    record(entry) {
+      const stamped = { ts: new Date().toISOString(), ...entry };
+      fs.appendFileSync(file, JSON.stringify(stamped) + '\n');
+      const key = entryKey(stamped);
+      if (key) latestByKey.set(key, stamped);
+    },
+
+    /**
+     * Check if an item's latest entry succeeded
+     * @param {string} key - Tweet ID or username
+     * @returns {boolean}
+     */
+    isCompleted(key) {
+      const entry = latestByKey.get(key);
+      return Boolean(entry && entry.outcome === 'success');
+    },
+
+    /**
+     * Get an item's latest entry
+     * @param {string} key - Tweet ID or username
+     * @returns {object|undefined}
+     */
+    latest(key) {
+      return latestByKey.get(key);
+    },
+
+    /**
+     * Count latest outcomes per action
+     * @param {string} contentType - Only count entries for this content type (optional)
+     * @returns {object} e.g. { delete: 12, keep: 3, failed: 1 }
+     */
+    totals(contentType) {
+      const totals = { failed: 0 };
+      for (const entry of latestByKey.values()) {
+        if (contentType && entry.contentType !== contentType) continue;
+        if (entry.outcome === 'success') {
+          totals[entry.action] = (totals[entry.action] || 0) + 1;
+        } else {
+          totals.failed++;
+        }
+      }
+      return totals;
+    },
+
+    /**
+     * Latest entry per item
+     * @returns {array}
+     */
+    entries() {
+      return [...latestByKey.values()];
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  openJournal,
+  readJournal
+};
@@ -0,0 +1,234 @@
+/**
+ * X Interface Strings
+ *
+ * The words the deleters look for where X gives an element no test id:
+ * menu items ("Delete", "Remove this follower"), timeline headers
+ * ("Pinned", "You reposted"), the button names Playwright MCP snapshots
+ * show, the words after engagement counts, and the messages X puts on
+ * the page. The language comes from <html lang>, which X sets to the
+ * account's display language; CONFIG.language overrides it.
+ *
+ * Lookups try the page's language first and English second, since X
+ * leaves some strings untranslated. Throttling and missing-page messages
+ * are matched in every language, so they are caught before the language
+ * is known.
+ *
+ * To support another language, add an entry keyed by its <html lang>
+ * primary tag. Keys left out fall back to English.
+ *
+ * Usage:
+ *
+ *   const ui = getUiStrings(detectLanguage(document.documentElement.lang));
+ *   const deleteItem = [...menuItems].find(item => equalsUiText(item.textContent, ui.delete));
+ */
+
+/**
+ * Strings per language
+ * Each value lists what X shows; more than one where X has used several
+ * (labels that changed with the Twitter to X rename). Exact-match keys:
+ * delete, undoRepost, more, pinned. Suffix keys (end of a button name
+ * such as "12 Likes. Liked"): like, liked, reposted. Count keys (the
+ * word after the number in "12 Likes. Like", any case): replyCount,
+ * repostCount, likeCount, viewCount. Everything else matches anywhere in
+ * the text.
+ */
+const UI_STRINGS = {
+  en: {
+    delete: ['Delete'],
+    undoRepost: ['Undo repost', 'Undo Retweet'],
+    removeFollower: ['Remove this follower'],
+    more: ['More'],
+    pinned: ['Pinned'],
+    youReposted: ['You reposted', 'You Retweeted'],
+    reposted: ['Reposted', 'Retweeted'],
+    like: ['Like'],
+    liked: ['Liked'],
+    replyCount: ['Replies', 'Reply'],
+    repostCount: ['reposts', 'repost', 'Retweets', 'Retweet'],
+    likeCount: ['Likes', 'Like'],
+    viewCount: ['views', 'view'],
+    replyingTo: ['Replying to'],
+    protectedPosts: ['posts are protected', 'Tweets are protected'],
+    rateLimit: ['Something went wrong. Try reloading.', 'Rate limit exceeded', 'You are over the daily limit'],
+    missingPage: ['this page doesn’t exist', "this page doesn't exist", 'This post was deleted', 'This Tweet was deleted', 'This post is unavailable']
+  },
+  de: {
+    delete: ['Löschen'],
+    undoRepost: ['Repost rückgängig machen'],
+    removeFollower: ['Diesen Follower entfernen'],
+    more: ['Mehr'],
+    pinned: ['Angeheftet'],
+    youReposted: ['Du hast repostet'],
+    reposted: ['Repostet'],
+    like: ['Gefällt mir'],
+    liked: ['Gefällt mir nicht mehr'],
+    replyCount: ['Antworten', 'Antwort'],
+    repostCount: ['Reposts', 'Repost'],
+    likeCount: ['„Gefällt mir“-Angaben', '„Gefällt mir“-Angabe', 'Gefällt mir'],
+    viewCount: ['Aufrufe', 'Aufruf'],
+    replyingTo: ['Antwort an'],
+    protectedPosts: ['Posts sind geschützt'],
+    rateLimit: ['Etwas ist schiefgelaufen'],
+    missingPage: ['diese Seite existiert nicht', 'Dieser Post wurde gelöscht']
+  },
+  es: {
+    delete: ['Eliminar'],
+    undoRepost: ['Deshacer repost'],
+    removeFollower: ['Eliminar este seguidor'],
+    more: ['Más opciones', 'Más'],
+    pinned: ['Fijado'],
+    youReposted: ['Reposteaste'],
+    reposted: ['Reposteado'],
+    like: ['Me gusta'],
+    liked: ['Ya no me gusta'],
+    replyCount: ['respuestas', 'respuesta'],
+    repostCount: ['reposts', 'repost'],
+    likeCount: ['Me gusta'],
+    viewCount: ['visualizaciones', 'visualización'],
+    replyingTo: ['En respuesta a'],
+    protectedPosts: ['posts están protegidos'],
+    rateLimit: ['Algo salió mal'],
+    missingPage: ['esta página no existe', 'Este post fue eliminado']
+  },
+  fr: {
+    delete: ['Supprimer'],
+    undoRepost: ['Annuler le repost'],
+    removeFollower: ['Retirer cet abonné'],
+    more: ['Plus'],
+    pinned: ['Épinglé'],
+    youReposted: ['Vous avez reposté'],
+    reposted: ['Reposté'],
+    like: ['J’aime', "J'aime"],
+    liked: ['Je n’aime plus', "Je n'aime plus"],
+    replyCount: ['réponses', 'réponse'],
+    repostCount: ['reposts', 'repost'],
+    likeCount: ['J’aime', "J'aime"],
+    viewCount: ['vues', 'vue'],
+    replyingTo: ['En réponse à'],
+    protectedPosts: ['posts sont protégés'],
+    rateLimit: ['Un problème est survenu'],
+    missingPage: ['cette page n’existe pas', "cette page n'existe pas", 'Ce post a été supprimé']
+  },
+  ja: {
+    delete: ['削除'],
+    undoRepost: ['リポストを取り消す'],
+    removeFollower: ['このフォロワーを削除'],
+    more: ['もっと見る'],
+    pinned: ['固定'],
+    youReposted: ['リポストしました'],
+    reposted: ['リポスト済み'],
+    like: ['いいねする'],
+    liked: ['いいねしました'],
+    replyCount: ['件の返信'],
+    repostCount: ['件のリポスト'],
+    likeCount: ['件のいいね'],
+    viewCount: ['件の表示'],
+    replyingTo: ['返信先'],
+    protectedPosts: ['ポストは非公開です'],
+    rateLimit: ['問題が発生しました'],
+    missingPage: ['このページは存在しません', 'このポストは削除されました']
+  },
+  pt: {
+    delete: ['Excluir'],
+    undoRepost: ['Desfazer repost'],
+    removeFollower: ['Remover este seguidor'],
+    more: ['Mais opções', 'Mais'],
+    pinned: ['Fixado'],
+    youReposted: ['Você repostou'],
+    reposted: ['Repostado'],
+    like: ['Curtir'],
+    liked: ['Descurtir'],
+    replyCount: ['respostas', 'resposta'],
+    repostCount: ['reposts', 'repost'],
+    likeCount: ['curtidas', 'curtida'],
+    viewCount: ['visualizações', 'visualização'],
+    replyingTo: ['Em resposta a'],
+    protectedPosts: ['posts estão protegidos'],
+    rateLimit: ['Algo deu errado'],
+    missingPage: ['essa página não existe', 'esta página não existe', 'Este post foi excluído']
+  }
+};
+
+/**
+ * Pick the supported language for an <html lang> value
+ * @param {string} lang - e.g. 'de', 'pt-BR', 'ja'
+ * @returns {string} A UI_STRINGS key ('en' when unsupported or unknown)
+ */
+function detectLanguage(lang) {
+  const primary = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(UI_STRINGS, primary) ? primary : 'en';
+}
+
+/**
+ * Strings to look for on a page in this language
+ * @param {string} language - A UI_STRINGS key (see detectLanguage)
+ * @returns {object} Each key's candidates: the language's own, then English
+ */
+function getUiStrings(language = 'en') {
+  const own = UI_STRINGS[detectLanguage(language)];
+  const strings = {};
+  for (const key of Object.keys(UI_STRINGS.en)) {
+    strings[key] = [...new Set([...(own[key] || []), ...UI_STRINGS.en[key]])];
+  }
+  return strings;
+}
+
+/**
+ * A key's strings in every language, for messages that must be caught
+ * whatever the page's language
+ * @param {string} key - e.g. 'rateLimit'
+ * @returns {array}
+ */
+function getAllUiTexts(key) {
+  return [...new Set(Object.values(UI_STRINGS).flatMap(strings => strings[key] || []))];
+}
+
+/**
+ * Whether text is exactly one of the candidates (ignoring surrounding space)
+ * @param {string} text
+ * @param {array} candidates - From getUiStrings
+ * @returns {boolean}
+ */
+function equalsUiText(text, candidates) {
+  const trimmed = String(text || '').trim();
+  return candidates.some(candidate => trimmed === candidate);
+}
+
+/**
+ * The candidate text contains, if any
+ * @param {string} text
+ * @param {array} candidates - From getUiStrings or getAllUiTexts
+ * @returns {string|null}
+ */
+function findUiText(text, candidates) {
+  const value = String(text || '');
+  return candidates.find(candidate => value.includes(candidate)) || null;
+}
+
+/**
+ * Whether text ends with one of the candidates, as button names like
+ * "12 Likes. Liked" end with the button's state
+ * @param {string} text
+ * @param {array} candidates - From getUiStrings
+ * @returns {boolean}
+ */
+function endsWithUiText(text, candidates) {
+  const trimmed = String(text || '').trim();
+  // A letter just before the match means it is the end of a longer word
+  // ("Unliked" is not "Liked"); scripts without spaces need no separator
+  return candidates.some(candidate =>
+    trimmed.endsWith(candidate) && !/[A-Za-z\u00C0-\u024F]$/.test(trimmed.slice(0, -candidate.length)));
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  UI_STRINGS,
+  detectLanguage,
+  getUiStrings,
+  getAllUiTexts,
+  equalsUiText,
+  findUiText,
+  endsWithUiText
+};
@@ -0,0 +1,280 @@
+/**
+ * Console Control Panel
+ *
+ * The floating panel the console script puts on the X tab, so a run can
+ * be started, paused, resumed and stopped without touching DevTools:
+ * live counters (deleted, kept, failed, rate, ETA), the tweet being
+ * worked on, the delays (edits apply from the next tweet) and a log of
+ * errors.
+ *
+ * The buttons drive a run control (see createRunControl in core.js),
+ * which the engine checks between tweets, and the engine's hooks (see
+ * engine.js) update the counters. The follower script uses it too, with
+ * options.labels naming followers and removals instead.
+ *
+ * Usage:
+ *
+ *   const panel = createControlPanel({ title: 'X Content Deleter', config });
+ *   await panel.started;
+ *   const summary = await runAllDeletion(driver, username, { control: panel.control, hooks: panel.hooks, config });
+ *   panel.finish('Done');
+ */
+
+const { createRunControl, parseCount } = require('./core');
+
+const PANEL_ID = 'x-deleter-panel';
+
+// Errors kept on screen; older ones are still in the console
+const MAX_LOG_LINES = 50;
+
+/**
+ * Format a duration for the panel
+ * @param {number} ms
+ * @returns {string} e.g. '45s', '12m 05s', '2h 10m'
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const pad = value => String(value).padStart(2, '0');
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds / 60) % 60)}m`;
+}
+
+/**
+ * Estimate the time left from the pace so far
+ * @param {number} done - Items finished (removed, kept or failed)
+ * @param {number|null} total - Items expected, when known
+ * @param {number} activeMs - Time spent running, pauses left out
+ * @returns {number|null} ms, or null when there is nothing to go on
+ */
+function estimateRemaining(done, total, activeMs) {
+  if (!total || done === 0 || activeMs <= 0) return null;
+  return Math.max(0, total - done) * (activeMs / done);
+}
+
+/**
+ * Read the item count X shows under the profile name ("1,234 posts")
+ * Only a guide for the ETA: it counts reposts and replies too
+ * @param {object} root - Document to read
+ * @returns {number|null}
+ */
+function readProfileCount(root = document) {
+  const column = root.querySelector('[data-testid="primaryColumn"]');
+  if (!column) return null;
+  for (const element of column.querySelectorAll('h2 ~ div, h2 + div')) {
+    const match = (element.textContent || '').trim().match(/^([\d.,]+\s*[KkMm]?)\s+\S+$/);
+    if (match) return parseCount(match[1]);
+  }
+  return null;
+}
+
+/**
+ * Add the control panel to the page
+ * @param {object} options - { title, config (its delays become editable), total (items expected,
+ *                           for the ETA), dryRun (count planned deletions instead),
+ *                           autoStart (skip waiting for Start), labels ({ item, deleted,
+ *                           planned }, default { item: 'tweet', deleted: 'Deleted',
+ *                           planned: 'Would delete' }) }
+ * @returns {object} { control, hooks, started, setTotal, log, finish, remove } - started
+ *                   resolves when Start is pressed
+ */
+function createControlPanel(options = {}) {
+  const config = options.config || {};
+  const labels = { item: 'tweet', deleted: 'Deleted', planned: 'Would delete', ...options.labels };
+  const counts = { deleted: 0, kept: 0, failed: 0 };
+  let total = options.total || null;
+  let startedAt = null;
+  let pausedAt = null;
+  let pausedMs = 0;
+  let timer = null;
+
+  const existing = document.getElementById(PANEL_ID);
+  if (existing) existing.remove();
+
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.style.cssText = 'position:fixed;top:12px;right:12px;z-index:2147483647;width:300px;padding:12px;' +
+    'background:#fff;color:#0f1419;border:1px solid #cfd9de;border-radius:12px;box-shadow:0 4px 16px rgba(0,0,0,.2);' +
+    'font:13px/1.4 system-ui,sans-serif';
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+      <strong data-panel="title"></strong>
+      <span data-panel="state" style="color:#536471">Ready</span>
+    </div>
+    <div style="display:flex;gap:6px;margin-bottom:8px">
+      <button data-panel="start">▶️ Start</button>
+      <button data-panel="pause" disabled>⏸️ Pause</button>
+      <button data-panel="stop" disabled>⏹️ Stop</button>
+    </div>
+    <div data-panel="counts" style="display:grid;grid-template-columns:1fr 1fr;gap:2px 12px"></div>
+    <div data-panel="current" style="margin-top:8px;color:#536471;white-space:nowrap;overflow:hidden;text-overflow:ellipsis"></div>
+    <details style="margin-top:8px">
+      <summary>Delays (ms)</summary>
+      <div data-panel="delays" style="display:grid;grid-template-columns:1fr 80px;gap:4px;margin-top:4px"></div>
+    </details>
+    <div data-panel="log" style="margin-top:8px;max-height:120px;overflow:auto;color:#b42318;font-size:12px"></div>
+  `;
+  const part = name => panel.querySelector(`[data-panel="${name}"]`);
+  part('title').textContent = options.title || 'X Deleter';
+
+  // Delays are read from config on every use, so edits apply from the next item
+  for (const [name, value] of Object.entries(config.delays || {})) {
+    const label = document.createElement('label');
+    label.textContent = name;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '50';
+    input.value = String(value);
+    input.addEventListener('change', () => {
+      const ms = Number(input.value);
+      if (Number.isFinite(ms) && ms >= 0) config.delays[name] = ms;
+      else input.value = String(config.delays[name]);
+    });
+    part('delays').append(label, input);
+  }
+
+  const activeMs = () => (startedAt ? (pausedAt || Date.now()) - startedAt - pausedMs : 0);
+
+  const render = () => {
+    const done = counts.deleted + counts.kept + counts.failed;
+    const minutes = activeMs() / 60000;
+    const remaining = estimateRemaining(done, total, activeMs());
+    const rows = [
+      [options.dryRun ? labels.planned : labels.deleted, counts.deleted],
+      ['Kept', counts.kept],
+      ['Failed', counts.failed],
+      ['Rate', minutes > 0 ? `${(counts.deleted / minutes).toFixed(1)}/min` : '—'],
+      ['Elapsed', formatDuration(activeMs())],
+      ['ETA', remaining === null ? '—' : formatDuration(remaining)]
+    ];
+    part('counts').innerHTML = '';
+    for (const [name, value] of rows) {
+      const cell = document.createElement('span');
+      cell.textContent = `${name}: ${value}`;
+      part('counts').append(cell);
+    }
+  };
+
+  const setState = (text, buttons) => {
+    part('state').textContent = text;
+    part('start').disabled = !buttons.start;
+    part('pause').disabled = !buttons.pause;
+    part('stop').disabled = !buttons.stop;
+  };
+
+  const log = message => {
+    const line = document.createElement('div');
+    line.textContent = `${new Date().toLocaleTimeString()} ${message}`;
+    part('log').prepend(line);
+    while (part('log').children.length > MAX_LOG_LINES) part('log').lastChild.remove();
+  };
+
+  const control = createRunControl();
+  const label = item => `${item.type} ${item.id || ''}`.trim();
+  const hooks = {
+    onItem(item) {
+      if (item.decision.action === 'keep') return;
+      part('current').textContent = `Working on ${label(item)}${item.text ? `: ${item.text.slice(0, 140)}` : ''}`;
+      // A dry run decides and moves on, so deciding is the whole job
+      if (options.dryRun) counts.deleted++;
+      render();
+    },
+    onDeleted() {
+      counts.deleted++;
+      render();
+    },
+    onSkipped() {
+      counts.kept++;
+      render();
+    },
+    onError(item) {
+      if (item.final) counts.failed++;
+      log(item.final ? `❌ ${label(item)}: ${item.reason} (${item.error})` : `↻ ${label(item)}: ${item.error}, retrying`);
+      render();
+    },
+    onThrottle(event) {
+      log(`🐢 ${event.reason}, cooling down ${formatDuration(event.waitMs)}`);
+    }
+  };
+
+  let markStarted;
+  const started = new Promise(resolve => { markStarted = resolve; });
+  const start = () => {
+    startedAt = Date.now();
+    setState('Running', { pause: true, stop: true });
+    timer = setInterval(render, 1000);
+    markStarted();
+  };
+
+  part('start').addEventListener('click', start);
+  part('pause').addEventListener('click', () => {
+    if (control.state() === 'running') {
+      control.pause();
+      pausedAt = Date.now();
+      part('pause').textContent = '▶️ Resume';
+      setState(`Paused (after this ${labels.item})`, { pause: true, stop: true });
+    } else if (control.state() === 'paused') {
+      control.resume();
+      pausedMs += Date.now() - pausedAt;
+      pausedAt = null;
+      part('pause').textContent = '⏸️ Pause';
+      setState('Running', { pause: true, stop: true });
+    }
+  });
+  part('stop').addEventListener('click', () => {
+    if (pausedAt) {
+      pausedMs += Date.now() - pausedAt;
+      pausedAt = null;
+    }
+    control.stop();
+    setState(`Stopping after this ${labels.item}…`, {});
+  });
+
+  document.body.append(panel);
+  render();
+  if (options.autoStart) start();
+
+  return {
+    control,
+    hooks,
+    started,
+
+    /**
+     * Set the number of items expected, for the ETA
+     * @param {number|null} count
+     */
+    setTotal(count) {
+      total = count;
+      render();
+    },
+
+    log,
+
+    /**
+     * Show the run as over and stop the clock
+     * @param {string} message - e.g. 'Done' or 'Stopped'
+     */
+    finish(message) {
+      clearInterval(timer);
+      render();
+      part('current').textContent = '';
+      setState(message, {});
+    },
+
+    remove() {
+      clearInterval(timer);
+      panel.remove();
+    }
+  };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createControlPanel,
+  formatDuration,
+  estimateRemaining,
+  readProfileCount
+};
@@ -0,0 +1,79 @@
+/**
+ * Plan Format
+ *
+ * Builds dry-run plans (see plan.js for the format). Kept apart from
+ * plan.js, which reads and writes files and drives runs, so the console
+ * scripts can bundle the same builder.
+ *
+ * Usage:
+ *
+ *   const plan = createPlan('content', 'yourusername', summary.planned, options);
+ */
+
+const PLAN_VERSION = 1;
+
+/**
+ * Build a plan from recorded decisions
+ * Items are deduplicated by ID (the replies tab repeats your posts),
+ * keeping the first decision seen
+ * @param {string} kind - 'content' or 'followers'
+ * @param {string} username - X username (without @)
+ * @param {array} entries - Decisions: { id, type, action, rule, ... }
+ * @param {object} options - Options the dry run used, stored for reference
+ * @returns {object} Plan
+ */
+function createPlan(kind, username, entries, options = {}) {
+  const seen = new Set();
+  const items = entries.filter(entry => {
+    if (!entry.id) return true;
+    if (seen.has(entry.id)) return false;
+    seen.add(entry.id);
+    return true;
+  });
+
+  return {
+    version: PLAN_VERSION,
+    kind,
+    username,
+    createdAt: new Date().toISOString(),
+    options,
+    counts: countPlanItems(kind, items),
+    items
+  };
+}
+
+/**
+ * Count plan items by category
+ * @param {string} kind - 'content' or 'followers'
+ * @param {array} items - Plan items
+ * @returns {object} Content: deletions per type plus kept.
+ *                   Followers: verdicts per category.
+ */
+function countPlanItems(kind, items) {
+  if (kind === 'followers') {
+    const counts = { inactive: 0, spam: 0, active: 0, protected: 0, safe: 0, unknown: 0 };
+    for (const item of items) {
+      counts[item.category] = (counts[item.category] || 0) + 1;
+    }
+    return counts;
+  }
+
+  const counts = { post: 0, reply: 0, repost: 0, quote: 0, like: 0, kept: 0 };
+  for (const item of items) {
+    if (item.action === 'delete') {
+      counts[item.type]++;
+    } else {
+      counts.kept++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  PLAN_VERSION,
+  createPlan,
+  countPlanItems
+};
@@ -0,0 +1,156 @@
+/**
+ * Dry-Run Plans
+ *
+ * A dry run walks the timeline (or reads the archive) exactly as a real
+ * run would and records every decision without deleting anything. The
+ * resulting plan is saved as JSON so it can be reviewed, and a later real
+ * run can carry out exactly the deletions it lists.
+ *
+ * Plans share one format (plan-format.js) with the console scripts,
+ * which download the same JSON at the end of a dry run:
+ *
+ *   {
+ *     "version": 1,
+ *     "kind": "content",            // or "followers"
+ *     "username": "yourusername",
+ *     "createdAt": "2025-01-01T00:00:00.000Z",
+ *     "counts": { "post": 12, "reply": 4, "repost": 3, "quote": 1, "like": 0, "kept": 7 },
+ *     "items": [{ "id": "1234", "type": "post", "action": "delete", "rule": null, ... }]
+ *   }
+ *
+ * Usage:
+ *
+ *   const plan = await planAllContent(mcpTools, 'yourusername', { before: '2022-01-01' });
+ *   savePlan(plan, 'plan.json');
+ *   // ...review plan.json...
+ *   await executePlan(mcpTools, loadPlan('plan.json'));
+ */
+
+const fs = require('fs');
+const { deleteAllContent } = require('./delete-x-content');
+const { loadArchive, planArchiveDeletion, deleteStatusItems } = require('./delete-from-archive');
+const { PLAN_VERSION, createPlan, countPlanItems } = require('./plan-format');
+
+/**
+ * Save a plan as pretty-printed JSON
+ * @param {object} plan - Plan from createPlan
+ * @param {string} file - Output path
+ */
+function savePlan(plan, file) {
+  fs.writeFileSync(file, JSON.stringify(plan, null, 2) + '\n');
+}
+
+/**
+ * Load and validate a saved plan
+ * @param {string} file - Path to a plan JSON file
+ * @returns {object} Plan
+ */
+function loadPlan(file) {
+  const plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (plan.version !== PLAN_VERSION || !Array.isArray(plan.items)) {
+    throw new Error(`Not a version ${PLAN_VERSION} plan: ${file}`);
+  }
+  return plan;
+}
+
+/**
+ * Print a plan's counts
+ * @param {object} plan - Plan from createPlan
+ */
+function logPlan(plan) {
+  console.log(`\n=== Plan for @${plan.username} (${plan.kind}) ===`);
+  for (const [category, count] of Object.entries(plan.counts)) {
+    console.log(`${category}: ${count}`);
+  }
+}
+
+/**
+ * Dry-run deleteAllContent and return its decisions as a plan
+ * @param {object} mcpTools - Playwright MCP tool functions
+ * @param {string} username - X username (without @)
+ * @param {object} options - deleteAllContent options, plus planFile to save to
+ * @returns {object} Plan
+ */
+async function planAllContent(mcpTools, username, options = {}) {
+  const { planFile, ...runOptions } = options;
+  const summary = await deleteAllContent(mcpTools, username, { ...runOptions, dryRun: true });
+  const plan = createPlan('content', username, summary.planned, runOptions);
+
+  logPlan(plan);
+  if (planFile) {
+    savePlan(plan, planFile);
+    console.log(`Plan saved to ${planFile}`);
+  }
+  return plan;
+}
+
+/**
+ * Plan an archive-driven deletion without visiting X
+ * @param {string} username - X username (without @)
+ * @param {string} archiveDir - Unzipped archive root
+ * @param {object} options - deleteFromArchive options, plus planFile to save to
+ * @returns {object} Plan
+ */
+function planArchive(username, archiveDir, options = {}) {
+  const { planFile, ...runOptions } = options;
+  const { items, skips } = planArchiveDeletion(loadArchive(archiveDir), runOptions);
+  const entries = [
+    ...items.map(item => ({
+      id: item.id,
+      type: item.type,
+      action: 'delete',
+      rule: null,
+      date: item.date ? item.date.toISOString() : null,
+      text: item.text.slice(0, 280)
+    })),
+    ...skips.map(skip => ({ id: skip.id, type: null, action: 'keep', rule: skip.rule }))
+  ];
+  const plan = createPlan('content', username, entries, runOptions);
+
+  logPlan(plan);
+  if (planFile) {
+    savePlan(plan, planFile);
+    console.log(`Plan saved to ${planFile}`);
+  }
+  return plan;
+}
+
+/**
+ * Carry out exactly the deletions a content plan lists
+ * Follower plans are carried out by `followers prune --plan` or by
+ * console/remove-inactive-followers.js (paste the plan into its CONFIG.plan)
+ * @param {object} mcpTools - Playwright MCP tool functions
+ * @param {object} plan - Plan from createPlan or loadPlan
+ * @param {object} options - { journal, resume } (see journal.js)
+ * @returns {object} Results from deleteStatusItems, plus unplannable
+ */
+async function executePlan(mcpTools, plan, options = {}) {
+  if (plan.kind !== 'content') {
+    throw new Error(`executePlan only runs content plans, got "${plan.kind}"`);
+  }
+
+  const toDelete = plan.items.filter(item => item.action === 'delete');
+  const items = toDelete.filter(item => item.id);
+  const unplannable = toDelete.length - items.length;
+
+  console.log(`Executing plan from ${plan.createdAt}: ${items.length} items`);
+  if (unplannable > 0) {
+    console.log(`⚠️  ${unplannable} planned items have no tweet ID and will be left alone`);
+  }
+
+  const results = await deleteStatusItems(mcpTools, plan.username, items, options);
+  return { ...results, unplannable };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createPlan,
+  countPlanItems,
+  savePlan,
+  loadPlan,
+  planAllContent,
+  planArchive,
+  executePlan
+};
@@ -0,0 +1,307 @@
+/**
+ * Accessibility Snapshot Parser
+ *
+ * Playwright MCP's browser_snapshot returns the page's accessibility tree
+ * as YAML-like text:
+ *
+ *   - article "Jane @jane · 3h Hello world" [ref=e120]:
+ *     - link "3h" [ref=e125] [cursor=pointer]:
+ *       - /url: /jane/status/1234
+ *       - time [ref=e126]: 3h
+ *     - button "More" [ref=e130]
+ *
+ * parseSnapshot builds that text into nodes of
+ * { role, name, ref, attributes, props, text, children }, so lookups can
+ * match exact roles and names inside one tweet's subtree instead of
+ * grepping lines. Properties such as `/url` are stored on their parent
+ * node's props.
+ *
+ * Usage:
+ *
+ *   const root = parseSnapshot(await browser_snapshot());
+ *   const tweet = findFirst(root, { role: 'article' });
+ *   const more = findFirst(tweet, { role: 'button', name: 'More' });
+ *   await browser_click({ element: 'More', ref: more.ref });
+ */
+
+/**
+ * Most recently parsed snapshot, since one snapshot is queried many times
+ */
+let lastParsed = { text: null, root: null };
+
+/**
+ * Get the raw text of a snapshot
+ * Accepts the snapshot string, { content: string } or an MCP tool result
+ * ({ content: [{ type: 'text', text }] })
+ * @param {*} snapshot - Snapshot from browser_snapshot
+ * @returns {string}
+ */
+function getSnapshotText(snapshot) {
+  if (!snapshot) return '';
+  if (typeof snapshot === 'string') return snapshot;
+
+  const content = snapshot.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Read a quoted string at the start of text
+ * Handles YAML single quotes ('' escapes a quote) and double quotes
+ * with backslash escapes
+ * @param {string} text - Text starting with ' or "
+ * @returns {object|null} { value, rest } or null if unterminated
+ */
+function readQuoted(text) {
+  const quote = text[0];
+  let value = '';
+
+  for (let i = 1; i < text.length; i++) {
+    const char = text[i];
+    if (quote === '\'' && char === '\'') {
+      if (text[i + 1] === '\'') {
+        value += '\'';
+        i++;
+        continue;
+      }
+      return { value, rest: text.slice(i + 1) };
+    }
+    if (quote === '"' && char === '\\' && i + 1 < text.length) {
+      const next = text[++i];
+      value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+      continue;
+    }
+    if (quote === '"' && char === '"') {
+      return { value, rest: text.slice(i + 1) };
+    }
+    value += char;
+  }
+
+  return null;
+}
+
+/**
+ * Unquote a YAML scalar value
+ * @param {string} value - Text after "key: "
+ * @returns {string}
+ */
+function readValue(value) {
+  const text = value.trim();
+  if (text[0] === '\'' || text[0] === '"') {
+    const quoted = readQuoted(text);
+    if (quoted && !quoted.rest.trim()) return quoted.value;
+  }
+  return text;
+}
+
+/**
+ * Parse one snapshot line (without its indent and "- " marker)
+ * @param {string} item - e.g. `button "More" [ref=e130] [cursor=pointer]: text`
+ * @returns {object} { role, name, attributes, text, hasChildren }
+ */
+function parseLine(item) {
+  let key = item;
+  let rest = '';
+
+  // Keys YAML had to quote, e.g. 'link "Time: 3h" [ref=e1]':
+  if (item[0] === '\'' || item[0] === '"') {
+    const quoted = readQuoted(item);
+    if (quoted) {
+      key = quoted.value;
+      rest = quoted.rest;
+    }
+  }
+
+  const role = key.match(/^[^\s:"[]+/);
+  const parsed = {
+    role: role ? role[0] : '',
+    name: '',
+    attributes: {},
+    text: '',
+    hasChildren: false
+  };
+  let remaining = key.slice(parsed.role.length);
+
+  const nameStart = remaining.match(/^\s*"/);
+  if (nameStart) {
+    const quoted = readQuoted(remaining.slice(nameStart[0].length - 1));
+    if (quoted) {
+      parsed.name = quoted.value;
+      remaining = quoted.rest;
+    }
+  }
+
+  let attribute;
+  while ((attribute = remaining.match(/^\s*\[([^\]=]+)(?:=([^\]]*))?\]/))) {
+    parsed.attributes[attribute[1]] = attribute[2] === undefined ? true : attribute[2];
+    remaining = remaining.slice(attribute[0].length);
+  }
+
+  // Whatever follows the key: "" (leaf), ":" (children follow) or ": text"
+  const tail = (rest || remaining).trim();
+  if (tail === ':') {
+    parsed.hasChildren = true;
+  } else if (tail.startsWith(':')) {
+    parsed.text = readValue(tail.slice(1));
+  }
+
+  return parsed;
+}
+
+/**
+ * Create an empty tree node
+ * @param {string} role - ARIA role ('root' for the tree root)
+ * @returns {object} Node
+ */
+function createNode(role) {
+  return { role, name: '', ref: null, attributes: {}, props: {}, text: '', children: [] };
+}
+
+/**
+ * Build a snapshot's accessibility tree
+ * Only the ```yaml block is parsed when the tool output wraps it with
+ * page URL and title lines
+ * @param {*} snapshot - Snapshot from browser_snapshot
+ * @returns {object} Root node whose children are the page's top-level nodes
+ */
+function parseSnapshot(snapshot) {
+  const text = getSnapshotText(snapshot);
+  if (lastParsed.text === text) return lastParsed.root;
+
+  const block = text.match(/```yaml\n([\s\S]*?)(?:\n```|$)/);
+  const lines = (block ? block[1] : text).split('\n');
+
+  const root = createNode('root');
+  const stack = [{ indent: -1, node: root }];
+
+  for (const line of lines) {
+    const item = line.match(/^(\s*)- (.*)$/);
+    if (!item) continue;
+
+    const indent = item[1].length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1].node;
+
+    // Properties such as "- /url: /jane/status/1" belong to the parent
+    const prop = item[2].match(/^\/([\w-]+):\s?(.*)$/);
+    if (prop) {
+      parent.props[prop[1]] = readValue(prop[2]);
+      continue;
+    }
+
+    const parsed = parseLine(item[2]);
+    const node = createNode(parsed.role);
+    node.name = parsed.name;
+    node.attributes = parsed.attributes;
+    node.ref = parsed.attributes.ref || null;
+    node.text = parsed.text;
+    parent.children.push(node);
+    stack.push({ indent, node });
+  }
+
+  lastParsed = { text, root };
+  return root;
+}
+
+/**
+ * Get the visible text of a node's subtree
+ * Nodes without text of their own fall back to their accessible name
+ * @param {object} node - Tree node
+ * @returns {string}
+ */
+function getNodeText(node) {
+  const text = [node.text, ...node.children.map(getNodeText)]
+    .filter(Boolean)
+    .join(' ');
+  return text || node.name;
+}
+
+/**
+ * Check a node against a query
+ * @param {object} node - Tree node
+ * @param {object|function} query - Predicate, or { role, name } where role is a
+ *                                  string or array, and name is an exact string or RegExp
+ *                                  matched against the accessible name (text when unnamed)
+ * @returns {boolean}
+ */
+function matchesQuery(node, query) {
+  if (typeof query === 'function') return query(node);
+
+  if (query.role) {
+    const roles = Array.isArray(query.role) ? query.role : [query.role];
+    if (!roles.includes(node.role)) return false;
+  }
+  if (query.name !== undefined) {
+    const name = node.name || getNodeText(node);
+    return query.name instanceof RegExp ? query.name.test(name) : name === query.name;
+  }
+  return true;
+}
+
+/**
+ * Find all descendants of a node matching a query, in document order
+ * @param {object} node - Tree node to search under (not included)
+ * @param {object|function} query - See matchesQuery
+ * @param {object} options - { nested: false } to skip matches inside other matches
+ * @returns {array} Matching nodes
+ */
+function findAll(node, query, options = {}) {
+  const matches = [];
+
+  const visit = parent => {
+    for (const child of parent.children) {
+      const matched = matchesQuery(child, query);
+      if (matched) matches.push(child);
+      if (!matched || options.nested !== false) visit(child);
+    }
+  };
+  visit(node);
+
+  return matches;
+}
+
+/**
+ * Find the first descendant of a node matching a query
+ * @param {object} node - Tree node to search under
+ * @param {object|function} query - See matchesQuery
+ * @returns {object|null}
+ */
+function findFirst(node, query) {
+  for (const child of node.children) {
+    if (matchesQuery(child, query)) return child;
+    const match = findFirst(child, query);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Find a node by its ref
+ * @param {object} node - Tree node to search under
+ * @param {string} ref - e.g. "e120"
+ * @returns {object|null}
+ */
+function findByRef(node, ref) {
+  return findFirst(node, child => child.ref === ref);
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  getSnapshotText,
+  parseSnapshot,
+  getNodeText,
+  matchesQuery,
+  findAll,
+  findFirst,
+  findByRef
+};
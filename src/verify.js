@@ -0,0 +1,199 @@
+/**
+ * Post-Run Verification
+ *
+ * After a run, walk the profile tabs again and list what is still there,
+ * with the likely reason each tweet survived:
+ *
+ *   failed        The run tried and moved past it (see the failure reason)
+ *   came-back     The run saw it go, but X has it again
+ *   not-loaded    The run never reached it (the timeline stopped loading,
+ *                 or the run was stopped)
+ *   kept-by-rule  A date range, filter or type list keeps it on purpose
+ *   still-up      Its status page still shows it (status checks only)
+ *
+ * The sweep is a dry run with the same rules, so it never deletes. It
+ * can also visit each deleted tweet's status page (from the journal or an
+ * archive) to confirm X shows "This post was deleted" or a missing page;
+ * that needs a driver that can navigate (MCP or Node Playwright).
+ *
+ * Usage:
+ *
+ *   const summary = await runAllDeletion(driver, 'yourusername', options);
+ *   const verification = await verifyDeletion(driver, 'yourusername', summary, options);
+ *   if (verification.retryIds.length > 0) {
+ *     await retryLeftovers(driver, 'yourusername', verification, options);
+ *   }
+ */
+
+const { getProfileUrl, getItemType } = require('./core');
+const { runAllDeletion } = require('./engine');
+
+/**
+ * Leftover causes the run could still fix with another pass
+ */
+const RETRYABLE_CAUSES = ['failed', 'came-back', 'not-loaded', 'still-up'];
+
+/**
+ * Explain each tweet the sweep found against what the run did
+ * @param {array} planned - Decisions from the sweep (a dry run's planned list)
+ * @param {object} result - The run's result (records, failures)
+ * @returns {array} Leftovers: { id, type, cause, rule, reason, error }
+ */
+function findLeftovers(planned, result = {}) {
+  const records = new Map((result.records || []).filter(record => record.id).map(record => [record.id, record]));
+  const failures = new Map((result.failures || []).filter(failure => failure.id).map(failure => [failure.id, failure]));
+  const leftovers = [];
+  const seen = new Set();
+
+  for (const entry of planned) {
+    if (entry.id && seen.has(entry.id)) continue;
+    seen.add(entry.id);
+
+    const record = records.get(entry.id);
+    const failure = failures.get(entry.id);
+    let cause = 'not-loaded';
+    if (entry.action === 'keep') {
+      cause = 'kept-by-rule';
+    } else if (failure || (record && record.outcome === 'failed')) {
+      cause = 'failed';
+    } else if (record && record.outcome === 'deleted') {
+      cause = 'came-back';
+    }
+
+    leftovers.push({
+      id: entry.id,
+      type: entry.type,
+      cause,
+      rule: entry.rule || null,
+      reason: cause === 'failed' ? (failure || record).reason : null,
+      error: cause === 'failed' ? (failure || record).error : null
+    });
+  }
+
+  return leftovers;
+}
+
+/**
+ * Count leftovers per cause
+ * @param {array} leftovers - From findLeftovers
+ * @returns {object} cause -> count
+ */
+function countLeftovers(leftovers) {
+  const counts = { failed: 0, 'came-back': 0, 'not-loaded': 0, 'kept-by-rule': 0, 'still-up': 0 };
+  for (const leftover of leftovers) {
+    counts[leftover.cause]++;
+  }
+  return counts;
+}
+
+/**
+ * List the tweets a journal records as deleted, for status checks
+ * @param {object} journal - From openJournal
+ * @returns {array} Tweet IDs
+ */
+function journaledDeletions(journal) {
+  return journal.entries()
+    .filter(entry => entry.id && entry.action === 'delete' && entry.outcome === 'success')
+    .map(entry => entry.id);
+}
+
+/**
+ * Check a deleted tweet's status page
+ * @param {object} driver - Page driver with isMissingPage
+ * @param {string} username - X username (without @)
+ * @param {string} id - Tweet ID
+ * @param {string} origin - Site, default https://x.com
+ * @returns {object} { status, type } - status is 'gone', 'still-up' or 'unknown' (the page
+ *                   showed neither); type is the tweet's type when it is still up
+ */
+async function checkStatus(driver, username, id, origin) {
+  await driver.open(`${getProfileUrl(username, 'POSTS', origin)}/status/${id}`);
+  // Only when the tweet itself is gone: its parent or a quoted post may be the one missing
+  if (await driver.isMissingPage(id)) return { status: 'gone', type: null };
+
+  const items = await driver.findItems();
+  for (const item of items) {
+    const info = await driver.readItem(item);
+    if (info.id === id) return { status: 'still-up', type: getItemType(info, 'POSTS') };
+  }
+  // A reply's status page shows the tweets above it, so other tweets can remain
+  return { status: items.length > 0 ? 'gone' : 'unknown', type: null };
+}
+
+/**
+ * Sweep the profile tabs (and optionally status pages) for leftovers
+ * @param {object} driver - Page driver (see engine.js)
+ * @param {string} username - X username (without @)
+ * @param {object} result - What the run returned (runAllDeletion or runDeletion)
+ * @param {object} options - The run's options (rules, contentTypes, origin, config), plus
+ *                           statusIds (deleted tweet IDs whose status pages to check)
+ * @returns {object} { leftovers, counts, retryIds, statuses } - retryIds lists the leftovers
+ *                   another pass could still remove, statuses maps each checked ID to
+ *                   'gone', 'still-up' or 'unknown'
+ */
+async function verifyDeletion(driver, username, result, options = {}) {
+  console.log('\n=== Verifying ===');
+  const sweep = await runAllDeletion(driver, username, {
+    ...options,
+    dryRun: true,
+    journal: null,
+    resume: false,
+    backup: null,
+    hooks: null,
+    control: null
+  });
+  const leftovers = findLeftovers(sweep.planned, result);
+
+  const statuses = {};
+  const statusIds = options.statusIds || [];
+  if (statusIds.length > 0 && typeof driver.isMissingPage !== 'function') {
+    console.log(`⚠️  The ${driver.name} driver can't open status pages; skipping ${statusIds.length} status checks`);
+  } else {
+    const listed = new Set(leftovers.map(leftover => leftover.id));
+    for (const id of statusIds) {
+      const { status, type } = await checkStatus(driver, username, id, options.origin);
+      statuses[id] = status;
+      if (status === 'still-up' && !listed.has(id)) {
+        leftovers.push({ id, type, cause: 'still-up', rule: null, reason: null, error: null });
+        listed.add(id);
+      }
+    }
+  }
+
+  const counts = countLeftovers(leftovers);
+  const retryIds = leftovers
+    .filter(leftover => leftover.id && RETRYABLE_CAUSES.includes(leftover.cause))
+    .map(leftover => leftover.id);
+
+  console.log(`Leftovers: ${leftovers.length} (${Object.entries(counts).filter(([, count]) => count > 0).map(([cause, count]) => `${cause}: ${count}`).join(', ') || 'none'})`);
+  if (retryIds.length > 0) {
+    console.log(`${retryIds.length} could go with another pass (retryLeftovers, or a plan of just these)`);
+  }
+
+  return { leftovers, counts, retryIds, statuses };
+}
+
+/**
+ * Run another pass on just the leftovers another pass could remove
+ * @param {object} driver - Page driver
+ * @param {string} username - X username (without @)
+ * @param {object} verification - From verifyDeletion
+ * @param {object} options - The run's options (planIds is replaced)
+ * @returns {object} Summary from runAllDeletion
+ */
+async function retryLeftovers(driver, username, verification, options = {}) {
+  return runAllDeletion(driver, username, { ...options, planIds: verification.retryIds, resume: false });
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  RETRYABLE_CAUSES,
+  findLeftovers,
+  countLeftovers,
+  journaledDeletions,
+  checkStatus,
+  verifyDeletion,
+  retryLeftovers
+};
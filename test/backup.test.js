@@ -0,0 +1,31 @@
+/**
+ * Pre-deletion backup tests: appending, reading back and rendering
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openBackup, readBackup, writeBackupHtml } = require('../src/backup');
+
+test('a backup cut off mid-write still loads, and a resumed run appends after it', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-deleter-backup-'));
+  const file = path.join(dir, 'deleted.ndjson');
+  try {
+    openBackup(file).capture({ id: '1', text: 'First' });
+    fs.appendFileSync(file, '{"id":"2","text":"Cut o');
+
+    assert.deepEqual(readBackup(file).map(record => record.id), ['1']);
+
+    const resumed = openBackup(file);
+    resumed.capture({ id: '3', text: 'After the resume' });
+    assert.equal(resumed.count(), 1);
+    assert.deepEqual(readBackup(file).map(record => record.id), ['1', '3']);
+    assert.equal(writeBackupHtml(file, path.join(dir, 'deleted.html')), 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,56 @@
+/**
+ * Console script build tests
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const vm = require('vm');
+const { BUNDLES, buildConsole, collectModules } = require('../scripts/build-console');
+const { CONFIG } = require('../src/core');
+const { FOLLOWER_CONFIG } = require('../src/followers');
+const consoleEntry = require('../src/console');
+const followersEntry = require('../src/console-followers');
+
+test('bundles the engine and DOM driver but nothing Node-only', () => {
+  const ids = [...collectModules('console').keys()];
+  assert.deepEqual(ids.sort(), ['backup-html', 'console', 'console-files', 'core', 'direct', 'drivers/dom', 'drivers/inventory', 'engine', 'intercept', 'locale', 'panel', 'plan-format', 'verify']);
+});
+
+test('bundles the follower flow and its in-page driver but nothing Node-only', () => {
+  const ids = [...collectModules('console-followers').keys()];
+  assert.deepEqual(ids.sort(), ['console-files', 'console-followers', 'core', 'drivers/dom', 'drivers/dom-followers', 'follower-rules', 'followers', 'locale', 'panel', 'plan-format']);
+});
+
+test('builds scripts the browser can parse, with CONFIG up top', () => {
+  for (const bundle of BUNDLES) {
+    const script = buildConsole(bundle);
+    assert.doesNotThrow(() => new vm.Script(script), bundle.entry);
+    assert.match(script.slice(0, 2000), /const CONFIG = \{/);
+  }
+});
+
+test('the committed console scripts are up to date', () => {
+  for (const bundle of BUNDLES) {
+    assert.equal(fs.readFileSync(bundle.output, 'utf8'), buildConsole(bundle),
+      'run node scripts/build-console.js');
+  }
+});
+
+test('the console CONFIG waits and paces like the engine defaults', () => {
+  assert.deepEqual(consoleEntry.CONFIG.delays, CONFIG.delays);
+  assert.deepEqual(consoleEntry.CONFIG.waits, CONFIG.waits);
+});
+
+test('the follower console CONFIG starts from the follower defaults', () => {
+  const { delays, waits, backoff, protect, spam, inactiveDays, activityArticles } = followersEntry.CONFIG;
+  assert.deepEqual(delays, FOLLOWER_CONFIG.delays);
+  assert.deepEqual(waits, FOLLOWER_CONFIG.waits);
+  assert.deepEqual(backoff, FOLLOWER_CONFIG.backoff);
+  assert.deepEqual({ ...protect, usernames: [] }, FOLLOWER_CONFIG.protect);
+  assert.deepEqual({ ...spam, rules: FOLLOWER_CONFIG.spam.rules }, FOLLOWER_CONFIG.spam);
+  assert.equal(inactiveDays, FOLLOWER_CONFIG.inactiveDays);
+  assert.equal(activityArticles, FOLLOWER_CONFIG.activityArticles);
+});
@@ -0,0 +1,171 @@
+/**
+ * Command line parsing and option tests (no browser needed)
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, parseCommandLine, buildRunOptions, exitCodeFor, findLastRun, run } = require('../src/cli');
+const { openJournal } = require('../src/journal');
+const { CONFIG } = require('../src/core');
+const { FOLLOWER_CONFIG, toAllowlist } = require('../src/followers');
+
+const usageError = argv => {
+  assert.throws(() => parseCommandLine(argv), error => error.exitCode === EXIT_CODES.USAGE);
+};
+
+test('maps delete targets to content types', () => {
+  assert.deepEqual(parseCommandLine(['delete', 'posts', 'likes', '-u', 'jane']).targets, ['POSTS', 'LIKES']);
+  assert.deepEqual(parseCommandLine(['delete', 'all', '--user', 'jane']).targets, ['POSTS', 'REPLIES', 'REPOSTS', 'LIKES']);
+  assert.deepEqual(parseCommandLine(['plan', '--user', 'jane']).targets, ['POSTS', 'REPLIES', 'REPOSTS', 'LIKES']);
+  assert.deepEqual(parseCommandLine(['plan', 'followers', '--user', 'jane']).targets, ['FOLLOWERS']);
+  assert.deepEqual(parseCommandLine(['followers', 'prune', '--user', 'jane']).targets, ['FOLLOWERS']);
+});
+
+test('rejects bad command lines with the usage exit code', () => {
+  usageError(['delete', '--user', 'jane']);
+  usageError(['delete', 'bookmarks', '--user', 'jane']);
+  usageError(['delete', 'posts']);
+  usageError(['delete', 'followers', '--user', 'jane']);
+  usageError(['followers', 'remove', '--user', 'jane']);
+  usageError(['resume']);
+  usageError(['resume', '--user', 'jane', '--no-journal']);
+  usageError(['delete', 'posts', '--user', 'jane', '--bogus']);
+  usageError(['wipe']);
+  usageError(['plan', 'posts', '--user', 'jane', '--verify']);
+  usageError(['delete', 'posts', '--user', 'jane', '--verify-statuses', '--no-journal']);
+});
+
+test('builds engine options from filter, delay and wait flags', () => {
+  const { values } = parseCommandLine([
+    'delete', 'posts', '--user', 'jane',
+    '--before', '2022-01-01', '--older-than-days', '30',
+    '--keep-id', 'https://x.com/jane/status/123',
+    '--include', 'launch', '--exclude', '/^RT @/i',
+    '--keep-if-at-least', 'likes=50', '--keep-if-at-least', 'reposts=10',
+    '--types', 'post,reply', '--delay', 'scrollLoad=1500', '--delay', 'profileLoad=2000',
+    '--wait', 'timeout=9000', '--check-replies', '--origin', 'http://127.0.0.1:8080/'
+  ]);
+  const { content, followers } = buildRunOptions(values);
+
+  assert.equal(content.before, '2022-01-01');
+  assert.equal(content.olderThanDays, 30);
+  assert.deepEqual(content.keepIds, ['https://x.com/jane/status/123']);
+  assert.equal(content.include[0], 'launch');
+  assert.ok(content.exclude[0] instanceof RegExp && content.exclude[0].flags === 'i');
+  assert.deepEqual(content.keepIfAtLeast, { likes: 50, reposts: 10 });
+  assert.deepEqual(content.types, ['post', 'reply']);
+  assert.equal(content.origin, 'http://127.0.0.1:8080');
+  assert.equal(content.config.delays.scrollLoad, 1500);
+  assert.equal(content.config.delays.profileLoad, undefined);
+  assert.deepEqual(followers.config.delays, { scrollLoad: 1500, profileLoad: 2000 });
+  assert.equal(content.config.waits.timeout, 9000);
+  assert.equal(content.config.waits.loadTimeout, CONFIG.waits.loadTimeout);
+  assert.deepEqual(followers.config.waits, { timeout: 9000 });
+  assert.equal(followers.config.checkReplies, true);
+  assert.equal(followers.config.spam.enabled, false);
+});
+
+test('without --types each target removes only its own kinds of item', () => {
+  const types = argv => {
+    const { values, targets } = parseCommandLine(['delete', ...argv, '--user', 'jane']);
+    return buildRunOptions(values, targets).content.types;
+  };
+
+  // The Replies tab lists standalone posts too; they are not replies
+  assert.deepEqual(types(['replies']), ['reply']);
+  assert.deepEqual(types(['likes']), ['like']);
+  assert.deepEqual(types(['reposts']), ['repost']);
+  assert.deepEqual(types(['posts']), ['post', 'quote']);
+  assert.deepEqual(types(['posts', 'replies']), ['post', 'reply', 'quote']);
+  assert.deepEqual(types(['all']), ['post', 'reply', 'repost', 'quote', 'like']);
+  assert.deepEqual(types(['replies', '--types', 'post,reply']), ['post', 'reply']);
+});
+
+test('protection flags build the allowlist and what else is never removed', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-deleter-cli-'));
+  const listFile = path.join(dir, 'keep.txt');
+  fs.writeFileSync(listFile, '@carol\n# customers\nhttps://x.com/dave\n');
+  const build = argv => buildRunOptions(parseCommandLine(['followers', 'prune', '--user', 'jane', ...argv]).values).followers.config.protect;
+
+  assert.deepEqual(build([]), { usernames: [], following: true, verified: false, minFollowers: null });
+  const protect = build(['--keep-follower', 'bob', '--keep-followers', listFile, '--no-protect-following',
+    '--protect-verified', '--protect-min-followers', '10000']);
+  assert.deepEqual([...toAllowlist(protect.usernames)], ['bob', 'carol', 'dave']);
+  assert.equal(protect.following, false);
+  assert.equal(protect.verified, true);
+  assert.equal(protect.minFollowers, 10000);
+
+  assert.throws(() => build(['--keep-followers', path.join(dir, 'none.txt')]), error => error.exitCode === EXIT_CODES.USAGE);
+});
+
+test('spam flags turn on profile scoring with the given threshold or rules', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-deleter-cli-'));
+  const rulesFile = path.join(dir, 'rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify([{ name: 'promo', weight: 5, field: 'bio', includes: ['promo'] }]));
+  const build = argv => buildRunOptions(parseCommandLine(['followers', 'prune', '--user', 'jane', ...argv]).values).followers.config.spam;
+
+  assert.deepEqual(build(['--spam-threshold', '7']), { enabled: true, threshold: 7, rules: FOLLOWER_CONFIG.spam.rules });
+  assert.equal(build(['--spam-threshold', '0']).threshold, 0);
+  const fromFile = build(['--spam-rules', rulesFile]);
+  assert.equal(fromFile.enabled, true);
+  assert.equal(fromFile.threshold, FOLLOWER_CONFIG.spam.threshold);
+  assert.equal(fromFile.rules[0].name, 'promo');
+
+  const badFile = path.join(dir, 'bad.json');
+  fs.writeFileSync(badFile, JSON.stringify([{ name: 'typo', weight: 1, field: 'bio', contains: 'x' }]));
+  for (const argv of [['--spam-rules', badFile], ['--spam-rules', path.join(dir, 'none.json')], ['--spam-threshold', 'high']]) {
+    assert.throws(() => build(argv), error => error.exitCode === EXIT_CODES.USAGE, argv.join(' '));
+  }
+});
+
+test('rejects malformed flag values', () => {
+  const build = argv => () => buildRunOptions(parseCommandLine(['delete', 'posts', '--user', 'jane', ...argv]).values);
+  for (const argv of [
+    ['--delay', 'nap=5'],
+    ['--wait', 'forever=5'],
+    ['--keep-if-at-least', 'likes'],
+    ['--types', 'post,story'],
+    ['--before', 'someday'],
+    ['--older-than-days', 'ten'],
+    ['--include', '/(/']
+  ]) {
+    assert.throws(build(argv), error => error.exitCode === EXIT_CODES.USAGE, argv.join(' '));
+  }
+});
+
+test('exit code reflects failures and leftovers in the summary', () => {
+  assert.equal(exitCodeFor({ total: 3, failed: 0 }), EXIT_CODES.OK);
+  assert.equal(exitCodeFor({ total: 3, failed: 1 }), EXIT_CODES.FAILURES);
+  assert.equal(exitCodeFor({ total: 3, failed: 0, verification: { retryIds: [] } }), EXIT_CODES.OK);
+  assert.equal(exitCodeFor({ total: 3, failed: 0, verification: { retryIds: ['1'] } }), EXIT_CODES.FAILURES);
+});
+
+test('resume finds the last recorded command line', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'x-deleter-cli-')), 'run.jsonl');
+  const journal = openJournal(file);
+  journal.record({ action: 'run', argv: ['delete', 'posts', '--user', 'jane'] });
+  journal.record({ id: '1', contentType: 'POSTS', action: 'delete', outcome: 'success' });
+  journal.record({ action: 'run', argv: ['delete', 'likes', '--user', 'jane'] });
+
+  assert.deepEqual(findLastRun(file), ['delete', 'likes', '--user', 'jane']);
+  assert.equal(openJournal(file).entries().length, 1, 'run entries are not items');
+});
+
+test('missing login ends with the login exit code before touching the journal', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-deleter-cli-'));
+  const journal = path.join(dir, 'run.jsonl');
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const code = await run(['delete', 'posts', '--user', 'jane', '--storage-state', path.join(dir, 'none.json'), '--journal', journal]);
+    assert.equal(code, EXIT_CODES.LOGIN);
+    assert.equal(fs.existsSync(journal), false);
+  } finally {
+    console.error = error;
+  }
+});
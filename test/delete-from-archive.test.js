@@ -0,0 +1,144 @@
+/**
+ * Archive mode tests: reading an X data export and planning from it
+ *
+ * Each test reads a cut-down export written by test/fixtures/archive.js:
+ * a post, a reply and a repost in data/tweets.js, a quote in
+ * data/tweets-part1.js and two likes in data/like.js.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadArchive,
+  readArchiveFile,
+  toTweetItem,
+  toLikeItem,
+  planArchiveDeletion,
+  deleteStatusItems
+} = require('../src/delete-from-archive');
+const { createThrottle } = require('../src/core');
+const { createFakeX } = require('./fixtures/fake-x/state');
+const { createMcpTools } = require('./fixtures/fake-x/mcp-tools');
+const { createArchive } = require('./fixtures/archive');
+
+const ids = items => items.map(item => item.id);
+
+/**
+ * Run a test with a freshly written archive
+ */
+function withArchive(runTest) {
+  const archive = createArchive();
+  try {
+    runTest(archive);
+  } finally {
+    archive.remove();
+  }
+}
+
+test('readArchiveFile strips the window.YTD prefix', () => withArchive(archive => {
+  const entries = readArchiveFile(path.join(archive.dataDir, 'tweets.js'));
+  assert.equal(entries.length, 3);
+  assert.equal(entries[0].tweet.id_str, '1001');
+}));
+
+test('readArchiveFile rejects a file that is not archive data', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-archive-'));
+  const file = path.join(dir, 'tweets.js');
+  fs.writeFileSync(file, '[]');
+  assert.throws(() => readArchiveFile(file), /Unrecognized archive file/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('loadArchive reads every part from the archive root or its data directory', () => withArchive(({ dir, dataDir }) => {
+  const archive = loadArchive(dir);
+  assert.deepEqual(archive.tweets.map(item => [item.id, item.type]), [
+    ['1001', 'post'],
+    ['1002', 'reply'],
+    ['1003', 'repost'],
+    ['1004', 'quote']
+  ]);
+  assert.deepEqual(ids(archive.likes), ['2001', '2002']);
+  assert.deepEqual(loadArchive(dataDir), archive);
+}));
+
+test('loadArchive throws when there is nothing to load', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-archive-'));
+  assert.throws(() => loadArchive(dir), /No tweets.js or like.js/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('toTweetItem reads dates, replies and engagement', () => {
+  const item = toTweetItem({
+    tweet: {
+      id_str: '5',
+      created_at: 'Tue Mar 01 10:00:00 +0000 2022',
+      full_text: '@bob Agreed',
+      in_reply_to_status_id_str: '4',
+      retweet_count: '2',
+      favorite_count: '7'
+    }
+  });
+
+  assert.equal(item.type, 'reply');
+  assert.equal(item.replyTo, '4');
+  assert.equal(item.date.toISOString(), '2022-03-01T10:00:00.000Z');
+  assert.deepEqual(item.engagement, { replies: 0, reposts: 2, likes: 7, views: 0 });
+});
+
+test('toTweetItem tells reposts and quotes from posts', () => {
+  assert.equal(toTweetItem({ tweet: { id_str: '1', full_text: 'RT @carol: Big news' } }).type, 'repost');
+  assert.equal(toTweetItem({
+    tweet: { id_str: '2', full_text: 'Look', entities: { urls: [{ expanded_url: 'https://x.com/dave/status/7' }] } }
+  }).type, 'quote');
+  assert.equal(toTweetItem({
+    tweet: { id_str: '3', full_text: 'Read', entities: { urls: [{ expanded_url: 'https://example.com/status/7' }] } }
+  }).type, 'post');
+});
+
+test('toLikeItem has no date', () => {
+  assert.deepEqual(toLikeItem({ like: { tweetId: '9', fullText: 'Nice' } }),
+    { id: '9', type: 'like', date: null, text: 'Nice', replyTo: null, engagement: null });
+});
+
+test('planArchiveDeletion leaves likes out unless asked', () => withArchive(({ dir }) => {
+  const archive = loadArchive(dir);
+  assert.deepEqual(ids(planArchiveDeletion(archive).items), ['1001', '1002', '1003', '1004']);
+  assert.deepEqual(ids(planArchiveDeletion(archive, { types: ['like'] }).items), ['2001', '2002']);
+}));
+
+test('planArchiveDeletion keeps items by date and filters, and likes under a date range', () => withArchive(({ dir }) => {
+  const archive = loadArchive(dir);
+  const { items, skips } = planArchiveDeletion(archive, {
+    types: ['post', 'reply', 'quote', 'like'],
+    before: '2022-06-01',
+    keepIds: ['1002']
+  });
+
+  assert.deepEqual(ids(items), ['1001']);
+  assert.deepEqual(skips.map(skip => skip.id), ['1002', '1004', '2001', '2002']);
+  assert.equal(skips.find(skip => skip.id === '2001').rule, 'date:unknown');
+}));
+
+test('deleteStatusItems opens status pages on the given origin', async () => {
+  const x = createFakeX({ tweets: [{ id: '1' }] });
+  const tools = createMcpTools(x);
+  const visited = [];
+  const navigate = tools.browser_navigate;
+  tools.browser_navigate = args => {
+    visited.push(args.url);
+    return navigate(args);
+  };
+
+  await deleteStatusItems(tools, 'jane', [{ id: '1', type: 'post' }], {
+    origin: 'http://localhost:8080',
+    throttle: createThrottle({ baseDelay: 0, maxDelay: 0 }, 0)
+  });
+
+  assert.deepEqual(visited, ['http://localhost:8080/jane/status/1']);
+  assert.deepEqual(x.removed().delete, ['1']);
+});
@@ -0,0 +1,118 @@
+/**
+ * Deletion flow failure tests against recorded snapshots
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  CONFIG,
+  createThrottle,
+  findTweetElements,
+  deleteTweet,
+  deleteContent
+} = require('../src/delete-x-content');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'snapshots', `${name}.txt`), 'utf8');
+
+const timeline = fixture('timeline');
+const menu = fixture('menu');
+const confirmation = fixture('confirmation');
+const foreignMenu = menu.replace('menuitem "Delete" [ref=e601]', 'menuitem "Not interested in this post" [ref=e601]');
+const withoutPost = foreignMenu.replace(/ {6}- article[\s\S]*?(?= {2}- generic \[ref=e590\])/, '');
+const timelineWithoutPost = timeline.replace(/ {6}- article "Jane Doe @jane 3h[\s\S]*?(?= {6}- article)/, '');
+const timelineWithForeignMenu = timeline.replace(/```\s*$/,
+  '  - generic [ref=e590]:\n    - menu [ref=e600]:\n      - menuitem "Not interested in this post" [ref=e601]\n```\n');
+const post = findTweetElements(timeline).find(tweet => tweet.ref === 'e240');
+
+for (const key of Object.keys(CONFIG.delays)) {
+  CONFIG.delays[key] = 0;
+}
+// Recorded snapshots never change on their own, so each step checks once
+CONFIG.waits.timeout = 0;
+CONFIG.waits.loadTimeout = 0;
+
+/**
+ * Fake MCP tools: snapshots are answered per last clicked element
+ */
+function fakeTools(afterClick) {
+  const calls = [];
+  let last = null;
+  return {
+    calls,
+    browser_navigate: async () => {},
+    browser_evaluate: async () => {},
+    browser_click: async ({ element }) => { calls.push(element); last = element; },
+    browser_press_key: async ({ key }) => { calls.push(key); last = null; },
+    browser_snapshot: async () => (last && afterClick[last]) || timeline
+  };
+}
+
+test('deletes a post through menu and confirmation sheet', async () => {
+  const tools = fakeTools({ 'More options': menu, Delete: confirmation, 'Confirm deletion': timelineWithoutPost });
+  assert.deepEqual(await deleteTweet(tools, timeline, post, 'post'), { success: true, type: 'post' });
+  assert.deepEqual(tools.calls, ['More options', 'Delete', 'Confirm deletion']);
+});
+
+test('reports a delete X took but did not carry out', async () => {
+  const tools = fakeTools({ 'More options': menu, Delete: confirmation });
+  const result = await deleteTweet(tools, timeline, post, 'post');
+  assert.equal(result.reason, 'throttled');
+  assert.equal(result.error, 'Tweet still there after deleting');
+});
+
+test('reports not-owned and closes the menu when it has no Delete', async () => {
+  const tools = fakeTools({ 'More options': foreignMenu });
+  const result = await deleteTweet(tools, timeline, post, 'post');
+  assert.equal(result.reason, 'not-owned');
+  assert.deepEqual(tools.calls, ['More options', 'Escape']);
+});
+
+test('reports menu-missing when the menu never opens', async () => {
+  const tools = fakeTools({});
+  assert.equal((await deleteTweet(tools, timeline, post, 'post')).reason, 'menu-missing');
+});
+
+test('reports confirm-missing when the sheet never opens', async () => {
+  const tools = fakeTools({ 'More options': menu, Delete: menu });
+  assert.equal((await deleteTweet(tools, timeline, post, 'post')).reason, 'confirm-missing');
+});
+
+test('reports vanished when the tweet leaves the page', async () => {
+  const tools = fakeTools({ 'More options': withoutPost });
+  assert.equal((await deleteTweet(tools, timeline, post, 'post')).reason, 'vanished');
+});
+
+test('reports throttled when X shows a rate-limit error', async () => {
+  const throttledMenu = menu.replace('- generic [ref=e590]:', '- alert [ref=e580]: Something went wrong. Try reloading.\n  - generic [ref=e590]:');
+  const tools = fakeTools({ 'More options': throttledMenu, Delete: throttledMenu });
+  assert.equal((await deleteTweet(tools, timeline, post, 'post')).reason, 'throttled');
+});
+
+test('moves past tweets it cannot delete instead of spinning', async () => {
+  const tools = fakeTools({ 'More options': timelineWithForeignMenu });
+  const throttle = createThrottle({ baseDelay: 0, maxDelay: 0 });
+  const result = await deleteContent(tools, 'jane', 'POSTS', { throttle });
+
+  assert.equal(result.deleted, 0);
+  assert.equal(result.failed, 3);
+  assert.equal(result.failureReasons['not-owned'], 3);
+  assert.deepEqual(result.failures.map(failure => failure.id), [
+    '1611000000000000001',
+    '1850000000000000002',
+    '1849000000000000004'
+  ]);
+});
+
+test('retries other failures up to the per-tweet budget', async () => {
+  const tools = fakeTools({});
+  const throttle = createThrottle({ baseDelay: 0, maxDelay: 0 });
+  const result = await deleteContent(tools, 'jane', 'POSTS', { throttle });
+
+  assert.equal(result.failureReasons['menu-missing'], 3);
+  assert.ok(result.failures.every(failure => failure.attempts === CONFIG.maxAttemptsPerTweet));
+  assert.equal(tools.calls.filter(call => call === 'More options').length, 3 * CONFIG.maxAttemptsPerTweet);
+});
@@ -0,0 +1,129 @@
+/**
+ * Direct mode tests: request building, response handling, and whole runs
+ * against the fake X site's GraphQL endpoints
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, createThrottle, deleteAllContent } = require('../src/delete-x-content');
+const { DEFAULT_QUERY_IDS, readCookie, buildRequest, interpretResponse, createDirectRemover } = require('../src/direct');
+const { createFakeX } = require('./fixtures/fake-x/state');
+const { createMcpTools } = require('./fixtures/fake-x/mcp-tools');
+const { startFakeXServer } = require('./fixtures/fake-x/server');
+
+for (const name of Object.keys(CONFIG.delays)) {
+  CONFIG.delays[name] = 0;
+}
+// The fake answers clicks at once, so each step checks the page once
+CONFIG.waits.timeout = 0;
+CONFIG.waits.loadTimeout = 0;
+const throttle = () => createThrottle({ baseDelay: 0, maxDelay: 0 }, 0);
+const sorted = ids => [...ids].sort();
+
+/**
+ * Run a test against a fresh site
+ */
+async function withSite(seed, run) {
+  const x = createFakeX(seed);
+  const site = await startFakeXServer(x);
+  try {
+    await run(x, site);
+  } finally {
+    await site.close();
+  }
+}
+
+/**
+ * fetch that counts how many calls are in flight at once
+ */
+function countingFetch() {
+  let current = 0;
+  const counted = async (url, init) => {
+    counted.peak = Math.max(counted.peak, ++current);
+    try {
+      return await fetch(url, init);
+    } finally {
+      current--;
+    }
+  };
+  counted.peak = 0;
+  return counted;
+}
+
+test('readCookie finds ct0 among the page cookies', () => {
+  assert.equal(readCookie('guest_id=v1%3A1; ct0=abc123; lang=en', 'ct0'), 'abc123');
+  assert.equal(readCookie('lang=en', 'ct0'), null);
+  assert.equal(readCookie(undefined, 'ct0'), null);
+});
+
+test('buildRequest sends the web client mutation with the session headers', () => {
+  const { url, init } = buildRequest('repost', '42', { csrfToken: 'abc', queryIds: { DeleteRetweet: 'newId' } });
+
+  assert.equal(url, 'https://x.com/i/api/graphql/newId/DeleteRetweet');
+  assert.equal(init.headers['x-csrf-token'], 'abc');
+  assert.match(init.headers.authorization, /^Bearer \S+/);
+  assert.deepEqual(JSON.parse(init.body), { variables: { source_tweet_id: '42', dark_request: false }, queryId: 'newId' });
+  assert.match(buildRequest('like', '7', { csrfToken: 'abc' }).url, new RegExp(`${DEFAULT_QUERY_IDS.UnfavoriteTweet}/UnfavoriteTweet$`));
+});
+
+test('interpretResponse sorts out rate limits, missing tweets, refusals and the rest', () => {
+  assert.deepEqual(interpretResponse(200, { data: { delete_tweet: { tweet_results: {} } } }), { ok: true });
+  assert.equal(interpretResponse(429, null).rateLimited, true);
+  assert.equal(interpretResponse(200, { errors: [{ code: 88, message: 'Rate limit exceeded.' }] }).rateLimited, true);
+  assert.equal(interpretResponse(200, { errors: [{ code: 144, message: 'No status found with that ID.' }] }).reason, 'vanished');
+  assert.equal(interpretResponse(403, { errors: [{ code: 353, message: 'csrf' }] }).session, true);
+  assert.equal(interpretResponse(503, null).reason, 'throttled');
+  assert.equal(interpretResponse(200, { errors: [{ message: 'Something new' }] }).fallback, true);
+  assert.equal(interpretResponse(404, null).fallback, true);
+});
+
+test('direct mode removes everything through the API, a few at a time', () => withSite({
+  tweets: [
+    { id: '1', text: 'Pinned intro', pinned: true, daysAgo: 900 },
+    { id: '3', type: 'repost', author: 'bob', daysAgo: 5 },
+    { id: '4', type: 'reply', replyTo: 'bob', daysAgo: 40 },
+    { id: '6', author: 'dave', text: 'Someone else', daysAgo: 60 },
+    ...Array.from({ length: 8 }, (_, i) => ({ id: String(100 + i), daysAgo: 100 + i }))
+  ],
+  likes: [{ id: '50' }, { id: '51' }]
+}, async (x, site) => {
+  x.rateLimitApi(1);
+  x.failNext('101', 1);
+  const send = countingFetch();
+  const remover = createDirectRemover({ origin: site.origin, csrfToken: site.csrfToken, fetch: send });
+  const tools = createMcpTools(x);
+  const summary = await deleteAllContent(tools, 'jane', { remover, concurrency: 3, throttle: throttle() });
+
+  assert.deepEqual(sorted(x.removed().delete), sorted(['1', '4', ...Array.from({ length: 8 }, (_, i) => String(100 + i))]));
+  assert.deepEqual(x.removed()['undo-repost'], ['3']);
+  assert.deepEqual(sorted(x.removed().unlike), ['50', '51']);
+  assert.equal(summary.total, 13);
+  assert.ok(send.peak > 1 && send.peak <= 3, `peak ${send.peak}`);
+  assert.equal(remover.stats.rateLimited, 1);
+  assert.ok(summary.throttle.events.some(event => /429/.test(event.reason)));
+
+  // Someone else's tweet falls back to the clicks, which find no Delete
+  assert.ok(x.tweet('6'));
+  assert.ok(summary.failures.length > 0);
+  assert.ok(summary.failures.every(failure => failure.id === '6' && failure.reason === 'not-owned'));
+  assert.ok(!tools.calls.some(call => call.tool === 'browser_click' && call.element === 'Delete'), 'the rest never touched a menu');
+}));
+
+test('a refused session turns direct mode off and the run clicks through', () => withSite({
+  tweets: [{ id: '1' }, { id: '2' }]
+}, async (x, site) => {
+  const remover = createDirectRemover({ origin: site.origin, csrfToken: 'stale' });
+  const summary = await deleteAllContent(createMcpTools(x), 'jane', {
+    contentTypes: ['POSTS'],
+    remover,
+    concurrency: 2,
+    throttle: throttle()
+  });
+
+  assert.equal(remover.enabled(), false);
+  assert.deepEqual(sorted(x.removed().delete), ['1', '2']);
+  assert.equal(summary.total, 2);
+  assert.equal(remover.stats.calls, 2, 'the calls in flight when it was refused');
+}));
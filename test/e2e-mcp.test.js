@@ -0,0 +1,250 @@
+/**
+ * End-to-end tests: the MCP deleters against a fake X account
+ *
+ * Every run goes through the real MCP driver and engine, clicking refs in
+ * Playwright-style snapshots rendered from test/fixtures/fake-x, and then
+ * checks exactly what the fake account lost.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, createThrottle, deleteContent, deleteAllContent } = require('../src/delete-x-content');
+const { deleteStatusItems } = require('../src/delete-from-archive');
+const { checkStatus } = require('../src/verify');
+const { createMcpDriver } = require('../src/drivers/mcp');
+const { createFakeX } = require('./fixtures/fake-x/state');
+const { createMcpTools } = require('./fixtures/fake-x/mcp-tools');
+
+for (const name of Object.keys(CONFIG.delays)) {
+  CONFIG.delays[name] = 0;
+}
+// The fake answers clicks at once, so each step checks the page once
+CONFIG.waits.timeout = 0;
+CONFIG.waits.loadTimeout = 0;
+const throttle = () => createThrottle({ baseDelay: 0, maxDelay: 0 }, 0);
+const sorted = ids => [...ids].sort();
+
+/**
+ * An account with a bit of everything
+ */
+function seedAccount() {
+  return createFakeX({
+    tweets: [
+      { id: '1', text: 'Pinned intro', pinned: true, daysAgo: 900 },
+      { id: '2', text: 'Fresh post', daysAgo: 2, engagement: { likes: 3 } },
+      { id: '3', type: 'repost', author: 'bob', text: 'Big news', daysAgo: 5 },
+      { id: '4', type: 'reply', replyTo: 'bob', text: 'Agreed', daysAgo: 40 },
+      { id: '5', type: 'quote', text: 'See this', quoted: { id: '77', author: 'carol' }, daysAgo: 50 },
+      { id: '6', author: 'dave', text: 'Someone else', daysAgo: 60 },
+      ...Array.from({ length: 8 }, (_, i) => ({ id: String(100 + i), text: `Old ${i}`, daysAgo: 100 + i }))
+    ],
+    likes: [{ id: '50' }, { id: '51', stuck: true }]
+  });
+}
+
+test('deleteAllContent removes everything it can and nothing else', async () => {
+  const x = seedAccount();
+  const summary = await deleteAllContent(createMcpTools(x), 'jane', { throttle: throttle() });
+
+  const removed = x.removed();
+  assert.deepEqual(sorted(removed.delete), sorted(['1', '2', '4', '5', '100', '101', '102', '103', '104', '105', '106', '107']));
+  assert.deepEqual(removed['undo-repost'], ['3']);
+  assert.deepEqual(sorted(removed.unlike), ['50', '51']);
+  assert.ok(x.tweet('6'), 'a tweet without Delete in its menu stays up');
+  assert.equal(summary.total, 15);
+  assert.ok(summary.failures.every(failure => failure.id === '6' && failure.reason === 'not-owned'));
+});
+
+test('deleteContent keeps posts newer than the date range, pinned or not', async () => {
+  const x = seedAccount();
+  const summary = await deleteContent(createMcpTools(x), 'jane', 'POSTS', { olderThanDays: 45, throttle: throttle() });
+
+  // The old pinned tweet sits above the recent ones and still goes
+  assert.deepEqual(sorted(x.removed().delete), sorted(['1', '5', '100', '101', '102', '103', '104', '105', '106', '107']));
+  assert.deepEqual(x.removed()['undo-repost'], []);
+  assert.ok(x.tweet('2'));
+  assert.ok(x.tweet('4'), 'replies are left to the Replies pass');
+  assert.ok(summary.skipped > 0);
+});
+
+test('dry runs plan without touching the account', async () => {
+  const x = seedAccount();
+  const summary = await deleteAllContent(createMcpTools(x), 'jane', { dryRun: true, throttle: throttle() });
+
+  assert.deepEqual(x.log, []);
+  assert.ok(summary.planned.some(entry => entry.id === '5'));
+});
+
+test('error toasts and 429s back off and the run still finishes', async () => {
+  const x = seedAccount();
+  x.toastAfter(2);
+  x.status429After(5);
+  // Keep the toast up until the engine next checks, at the end of the batch
+  const tools = createMcpTools(x, { toastSnapshots: 16 });
+  const summary = await deleteContent(tools, 'jane', 'POSTS', { throttle: throttle() });
+
+  const reasons = summary.throttle.events.map(event => event.reason).join('\n');
+  assert.match(reasons, /Something went wrong/);
+  assert.match(reasons, /429/);
+  assert.equal(x.removed().delete.length, 11);
+});
+
+test('deletes that silently fail are retried, then moved past', async () => {
+  const x = seedAccount();
+  x.failNext('2', 1);
+  x.failNext('100', 99);
+  const summary = await deleteContent(createMcpTools(x), 'jane', 'POSTS', { throttle: throttle() });
+
+  assert.ok(x.removed().delete.includes('2'), 'retried after one failure');
+  assert.ok(x.tweet('100'), 'still up after every attempt failed');
+  assert.ok(summary.failures.some(failure => failure.id === '100'));
+  assert.equal(summary.deleted, 10, 'only deletes that took are counted');
+});
+
+test('verify lists what is left and why, and a retry clears what it can', async () => {
+  const x = seedAccount();
+  x.failNext('100', CONFIG.maxAttemptsPerTweet);
+  const summary = await deleteAllContent(createMcpTools(x), 'jane', {
+    contentTypes: ['POSTS'],
+    olderThanDays: 45,
+    throttle: throttle(),
+    verify: { statusIds: ['101', '100', '2'], retry: true }
+  });
+  const { leftovers, counts, retryIds, statuses } = summary.verification;
+
+  assert.deepEqual(leftovers.find(leftover => leftover.id === '100').cause, 'failed');
+  assert.deepEqual(leftovers.find(leftover => leftover.id === '2').cause, 'kept-by-rule');
+  assert.ok(leftovers.some(leftover => leftover.id === '6' && leftover.reason === 'not-owned'));
+  assert.equal(counts['kept-by-rule'], 1);
+  assert.deepEqual(statuses, { 101: 'gone', 100: 'still-up', 2: 'still-up' });
+  assert.deepEqual(sorted(retryIds), ['100', '6']);
+
+  // The failures ran out, so another pass takes 100; 6 was never ours to delete
+  assert.ok(!x.tweet('100'));
+  assert.equal(summary.retry.total, 1);
+  assert.ok(x.tweet('6'));
+});
+
+test('deleting only replies leaves the posts the Replies tab also lists', async () => {
+  const x = seedAccount();
+  const summary = await deleteContent(createMcpTools(x), 'jane', 'REPLIES', { types: ['reply'], throttle: throttle() });
+
+  assert.deepEqual(x.removed().delete, ['4']);
+  assert.equal(summary.deleted, 1);
+});
+
+test('status checks find a reply still up below its deleted parent', async () => {
+  const x = createFakeX({ tweets: [{ id: '4', type: 'reply', replyTo: 'bob', parentDeleted: true }] });
+  const driver = createMcpDriver(createMcpTools(x));
+
+  assert.equal((await checkStatus(driver, 'jane', '4')).status, 'still-up');
+  x.deleteTweet('4');
+  assert.equal((await checkStatus(driver, 'jane', '4')).status, 'gone');
+});
+
+test('unlikes that flip back are clicked again', async () => {
+  const x = seedAccount();
+  x.revertUnlike('50', 1);
+  const summary = await deleteContent(createMcpTools(x), 'jane', 'LIKES', { throttle: throttle() });
+
+  assert.deepEqual(sorted(x.removed().unlike), ['50', '51']);
+  assert.ok(x.log.some(entry => entry.action === 'unlike-reverted'));
+  assert.equal(summary.deleted, 2);
+});
+
+test('deleteStatusItems works through status pages and notes what is already gone', async () => {
+  const x = seedAccount();
+  const summary = await deleteStatusItems(createMcpTools(x), 'jane', [
+    { id: '2', type: 'post' },
+    { id: '3', type: 'repost' },
+    { id: '4', type: 'reply' },
+    { id: '999', type: 'post' }
+  ], { throttle: throttle() });
+
+  assert.deepEqual(sorted(x.removed().delete), ['2', '4']);
+  assert.deepEqual(x.removed()['undo-repost'], ['3']);
+  assert.equal(summary.total, 3);
+  assert.equal(summary.alreadyGone, 1);
+});
+
+test('deleteStatusItems deletes a reply whose parent was deleted', async () => {
+  const x = createFakeX({ tweets: [{ id: '4', type: 'reply', replyTo: 'bob', parentDeleted: true }] });
+  const summary = await deleteStatusItems(createMcpTools(x), 'jane', [{ id: '4', type: 'reply' }], { throttle: throttle() });
+
+  assert.deepEqual(x.removed().delete, ['4']);
+  assert.equal(summary.alreadyGone, 0);
+});
+
+/**
+ * Tools for a slow page: after each click, the next two snapshots still
+ * show the page as it was before the click
+ */
+function slowPage(tools) {
+  let stale = 0;
+  let before = null;
+  return {
+    ...tools,
+    async browser_click(args) {
+      before = await tools.browser_snapshot();
+      await tools.browser_click(args);
+      stale = 2;
+    },
+    async browser_snapshot() {
+      if (stale > 0) {
+        stale--;
+        return before;
+      }
+      return tools.browser_snapshot();
+    }
+  };
+}
+
+test('each step waits for a slow page to show what the click did', async () => {
+  const expected = sorted(['1', '2', '5', '100', '101', '102', '103', '104', '105', '106', '107']);
+  const x = seedAccount();
+  const waits = { timeout: 1000, loadTimeout: 0, interval: 1 };
+  await deleteContent(slowPage(createMcpTools(x)), 'jane', 'POSTS', { throttle: throttle(), config: { ...CONFIG, waits } });
+  assert.deepEqual(sorted(x.removed().delete), expected);
+
+  // Without waiting, every menu looks like it never opened
+  const unwaited = seedAccount();
+  const summary = await deleteContent(slowPage(createMcpTools(unwaited)), 'jane', 'POSTS', {
+    throttle: throttle(),
+    config: { ...CONFIG, waits: { ...waits, timeout: 0 } }
+  });
+  assert.deepEqual(unwaited.removed().delete, []);
+  assert.ok(summary.failures.some(failure => failure.reason === 'menu-missing'));
+});
+
+test('a German interface is read from <html lang> and cleared the same way', async () => {
+  const x = seedAccount();
+  const tools = createMcpTools(x, { lang: 'de' });
+  const summary = await deleteAllContent(tools, 'jane', { throttle: throttle() });
+
+  assert.equal(x.removed().delete.length, 12);
+  assert.deepEqual(x.removed()['undo-repost'], ['3']);
+  assert.deepEqual(sorted(x.removed().unlike), ['50', '51']);
+  assert.ok(x.tweet('6'));
+  assert.equal(summary.total, 15);
+  assert.ok(tools.calls.some(call => call.element === 'Delete' && call.tool === 'browser_click'));
+});
+
+test('engagement counts in a German interface keep popular tweets', async () => {
+  const x = createFakeX({
+    tweets: [
+      { id: '1', text: 'Viral', daysAgo: 3, engagement: { views: 1234 } },
+      { id: '2', text: 'Liked', daysAgo: 4, engagement: { likes: 60 } },
+      { id: '3', text: 'Quiet', daysAgo: 5, engagement: { likes: 2, views: 40 } }
+    ]
+  });
+  const tools = createMcpTools(x, { lang: 'de' });
+  const summary = await deleteContent(tools, 'jane', 'POSTS', {
+    keepIfAtLeast: { likes: 50, views: 1000 },
+    throttle: throttle()
+  });
+
+  assert.deepEqual(x.removed().delete, ['3']);
+  assert.deepEqual(summary.skips.map(skip => skip.rule), ['engagement:views>=1000', 'engagement:likes>=50']);
+});
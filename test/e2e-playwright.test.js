@@ -0,0 +1,224 @@
+/**
+ * End-to-end tests: the Playwright driver, follower pruner and command
+ * line in a real browser against the fake X site
+ *
+ * Skipped unless the `playwright` package (and its Chromium) is installed:
+ *
+ *   npm install playwright && npx playwright install chromium
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG, createThrottle } = require('../src/core');
+const { runAllDeletion } = require('../src/engine');
+const { createPlaywrightDriver } = require('../src/drivers/playwright');
+const { checkStatus } = require('../src/verify');
+const { FOLLOWER_CONFIG, resolveFollowerConfig, pruneFollowers } = require('../src/followers');
+const { createPlaywrightFollowerDriver } = require('../src/drivers/playwright-followers');
+const { run } = require('../src/cli');
+const { createFakeX } = require('./fixtures/fake-x/state');
+const { startFakeXServer } = require('./fixtures/fake-x/server');
+
+let playwright = null;
+try {
+  playwright = require('playwright');
+} catch (error) {
+  // Left as null: the tests below skip
+}
+const skip = !playwright && 'playwright is not installed';
+
+// No waiting, except for the site to answer an action before it is checked
+const fastDelays = (delays, settle) => ({
+  ...Object.fromEntries(Object.keys(delays).map(name => [name, 0])),
+  [settle]: 300
+});
+const config = { ...CONFIG, delays: fastDelays(CONFIG.delays, 'afterDeletion') };
+const throttle = () => createThrottle({ baseDelay: 0, maxDelay: 0 }, 0);
+
+// Run the follower flow on the page with some settings changed
+const prune = (page, site, overrides, options = {}) => {
+  const followerConfig = resolveFollowerConfig({ delays: fastDelays(FOLLOWER_CONFIG.delays, 'afterAction'), ...overrides });
+  return pruneFollowers(createPlaywrightFollowerDriver(page, followerConfig), 'jane', {
+    origin: site.origin,
+    throttle: throttle(),
+    config: followerConfig,
+    ...options
+  });
+};
+const sorted = ids => [...ids].sort();
+
+/**
+ * Run a test with a fresh fake X site and a browser page
+ */
+async function withBrowser(seed, runTest) {
+  const x = createFakeX(seed);
+  const site = await startFakeXServer(x);
+  const browser = await playwright.chromium.launch();
+  try {
+    const page = await browser.newPage();
+    await runTest(x, site, page);
+  } finally {
+    await browser.close();
+    await site.close();
+  }
+}
+
+test('the Playwright driver clears posts, reposts, replies and likes', { skip }, () => withBrowser({
+  tweets: [
+    { id: '1', text: 'Pinned intro', pinned: true, daysAgo: 900 },
+    { id: '2', type: 'repost', author: 'bob' },
+    { id: '3', type: 'reply', replyTo: 'bob', daysAgo: 4 },
+    { id: '4', type: 'quote', quoted: { id: '77' }, daysAgo: 5 },
+    { id: '5', author: 'dave', daysAgo: 6 }
+  ],
+  likes: [{ id: '50' }, { id: '51', stuck: true }]
+}, async (x, site, page) => {
+  x.failNext('4', 1);
+  const summary = await runAllDeletion(createPlaywrightDriver(page, config), 'jane', {
+    origin: site.origin,
+    config,
+    throttle: throttle()
+  });
+
+  assert.deepEqual(sorted(x.removed().delete), ['1', '3', '4']);
+  assert.deepEqual(x.removed()['undo-repost'], ['2']);
+  assert.deepEqual(sorted(x.removed().unlike), ['50', '51']);
+  assert.ok(x.tweet('5'));
+  assert.equal(summary.total, 6);
+}));
+
+test('status checks find a reply still up below its deleted parent', { skip }, () => withBrowser({
+  tweets: [{ id: '4', type: 'reply', replyTo: 'bob', parentDeleted: true }]
+}, async (x, site, page) => {
+  const driver = createPlaywrightDriver(page, config);
+
+  assert.equal((await checkStatus(driver, 'jane', '4', site.origin)).status, 'still-up');
+  x.deleteTweet('4');
+  assert.equal((await checkStatus(driver, 'jane', '4', site.origin)).status, 'gone');
+}));
+
+test('pruneFollowers removes only followers who went quiet', { skip }, () => withBrowser({
+  followers: [
+    { username: 'active', lastTweetDaysAgo: 3 },
+    { username: 'quiet', lastTweetDaysAgo: 400 },
+    { username: 'private', protected: true },
+    { username: 'flaky', lastTweetDaysAgo: 500, errors: 1 },
+    { username: 'stubborn', lastTweetDaysAgo: 300 }
+  ]
+}, async (x, site, page) => {
+  x.failNext('@stubborn', 99);
+  const result = await prune(page, site, {});
+
+  assert.deepEqual(sorted(x.removed()['remove-follower']), ['flaky', 'quiet']);
+  assert.deepEqual(result.failures.map(failure => failure.username), ['stubborn']);
+  assert.equal(result.checked, 5);
+  // flaky's error page backed off with the text X showed, and nothing is left listening on the page
+  assert.ok(result.throttle.events.some(event => event.reason === 'toast: Something went wrong. Try reloading.'));
+  assert.equal(page.listenerCount('response'), 0);
+}));
+
+test('pruneFollowers looks past pinned tweets and, with checkReplies, at replies', { skip }, () => withBrowser({
+  followers: [
+    { username: 'pinner', pinnedDaysAgo: 900, lastTweetDaysAgo: 5 },
+    { username: 'replier', lastTweetDaysAgo: 400, lastReplyDaysAgo: 2 },
+    { username: 'gone', pinnedDaysAgo: 900, lastTweetDaysAgo: 400, lastReplyDaysAgo: 300 }
+  ]
+}, async (x, site, page) => {
+  const result = await prune(page, site, { checkReplies: true }, { dryRun: true });
+
+  const verdicts = Object.fromEntries(result.planned.map(entry => [entry.username, `${entry.category}/${entry.signal}`]));
+  assert.deepEqual(verdicts, { pinner: 'active/tweet', replier: 'active/reply', gone: 'inactive/reply' });
+}));
+
+test('pruneFollowers never dates a follower by a repost of an old tweet', { skip }, () => withBrowser({
+  followers: [
+    { username: 'reposter', lastTweetDaysAgo: 400, repostedDaysAgo: 900 },
+    { username: 'quiet', lastTweetDaysAgo: 400 }
+  ]
+}, async (x, site, page) => {
+  const result = await prune(page, site, {});
+
+  assert.deepEqual(x.removed()['remove-follower'], ['quiet']);
+  assert.equal(result.skipped, 1);
+}));
+
+test('pruneFollowers with spam scoring removes bot-like followers, active or not', { skip }, () => withBrowser({
+  followers: [
+    { username: 'bot48213377', lastTweetDaysAgo: 1, defaultAvatar: true, followersCount: 2, followingCount: 1800, tweetCount: 1, joinedDaysAgo: 20 },
+    { username: 'friend', lastTweetDaysAgo: 1, bio: 'Gardener', defaultAvatar: true, followedByYou: true },
+    { username: 'carol', lastTweetDaysAgo: 3, bio: 'Writes about soil' }
+  ]
+}, async (x, site, page) => {
+  const result = await prune(page, site, { spam: { enabled: true } });
+
+  assert.deepEqual(x.removed()['remove-follower'], ['bot48213377']);
+  assert.equal(result.spam, 1);
+}));
+
+test('pruneFollowers never removes followers on the protection list', { skip }, () => withBrowser({
+  followers: [
+    { username: 'colleague', lastTweetDaysAgo: 900 },
+    { username: 'mutual', lastTweetDaysAgo: 900, followedByYou: true },
+    { username: 'famous', lastTweetDaysAgo: 900, followersCount: 50000 },
+    { username: 'gone', lastTweetDaysAgo: 900 }
+  ]
+}, async (x, site, page) => {
+  const result = await prune(page, site, { protect: { usernames: '@colleague', minFollowers: 10000 } });
+
+  assert.deepEqual(x.removed()['remove-follower'], ['gone']);
+  assert.equal(result.safe, 3);
+  assert.deepEqual(result.safeUsers.map(entry => entry.reason), ['allowlist', 'following', 'followers']);
+}));
+
+test('the command line deletes only replies from the Replies tab when no types are given', { skip }, async () => {
+  const x = createFakeX({ tweets: [
+    { id: '1', type: 'reply', replyTo: 'bob', daysAgo: 3 },
+    { id: '2', daysAgo: 2 },
+    { id: '3', type: 'quote', daysAgo: 1, quoted: { id: '900', author: 'bob', text: 'Quoted' } }
+  ] });
+  const site = await startFakeXServer(x);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-deleter-e2e-'));
+  fs.writeFileSync(path.join(dir, 'session.json'), JSON.stringify({ cookies: [], origins: [] }));
+
+  const delays = Object.entries(config.delays).flatMap(([name, ms]) => ['--delay', `${name}=${ms}`]);
+  try {
+    const code = await run(['delete', 'replies', '-u', 'jane', '--origin', site.origin, '--no-journal',
+      '--storage-state', path.join(dir, 'session.json'), ...delays]);
+
+    assert.equal(code, 0);
+    assert.deepEqual(x.removed().delete, ['1']);
+    assert.deepEqual(sorted(x.timeline('replies').map(tweet => tweet.id)), ['2', '3'], 'posts on the Replies tab stay');
+  } finally {
+    await site.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the command line deletes with a saved login and resumes from its journal', { skip }, async () => {
+  const x = createFakeX({ tweets: [{ id: '1', daysAgo: 400 }, { id: '2', daysAgo: 2 }] });
+  const site = await startFakeXServer(x);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-deleter-e2e-'));
+  const file = name => path.join(dir, name);
+  fs.writeFileSync(file('session.json'), JSON.stringify({ cookies: [], origins: [] }));
+
+  const delays = Object.entries(config.delays).flatMap(([name, ms]) => ['--delay', `${name}=${ms}`]);
+  const common = ['-u', 'jane', '--origin', site.origin, '--storage-state', file('session.json'), '--journal', file('journal.jsonl'), ...delays];
+  try {
+    const code = await run(['delete', 'posts', '--older-than-days', '30', '--summary', file('summary.json'), ...common]);
+
+    assert.equal(code, 0);
+    assert.deepEqual(x.removed().delete, ['1']);
+    assert.equal(JSON.parse(fs.readFileSync(file('summary.json'), 'utf8')).total, 1);
+
+    assert.equal(await run(['resume', '--journal', file('journal.jsonl')]), 0);
+    assert.deepEqual(x.removed().delete, ['1'], 'resuming finds nothing left to do');
+  } finally {
+    await site.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,260 @@
+/**
+ * Deletion engine tests against an in-memory driver
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, createThrottle, createRunControl, waitFor } = require('../src/core');
+const { runDeletion, runAllDeletion } = require('../src/engine');
+
+const config = {
+  ...CONFIG,
+  delays: { betweenClicks: 0, afterDeletion: 0, scrollLoad: 0, rateLimitSafe: 0 }
+};
+const day = 24 * 60 * 60 * 1000;
+
+/**
+ * Fake driver over a list of tweets; deleted tweets leave the page
+ * Tweets: { id, daysAgo, pinned, repost, quote, reply, liked, foreign }
+ */
+function fakeDriver(tweets) {
+  const page = tweets.map(tweet => ({ ...tweet }));
+  const calls = [];
+  let menu = null;
+  let sheet = false;
+
+  const gone = tweet => !page.includes(tweet);
+  const remove = tweet => page.splice(page.indexOf(tweet), 1);
+
+  return {
+    calls,
+    page,
+    name: 'fake',
+    async open(url) { calls.push(`open ${url}`); },
+    async findItems() { return [...page]; },
+    async readItem(tweet) {
+      return {
+        key: tweet.id,
+        id: tweet.id,
+        date: new Date(Date.now() - (tweet.daysAgo || 0) * day),
+        text: tweet.text || '',
+        pinned: Boolean(tweet.pinned),
+        engagement: { replies: 0, reposts: 0, likes: 0, views: 0 },
+        repost: Boolean(tweet.repost),
+        quote: Boolean(tweet.quote),
+        reply: Boolean(tweet.reply),
+        liked: Boolean(tweet.liked)
+      };
+    },
+    async captureItem(tweet) { return { id: tweet.id }; },
+    async openMenu(tweet, kind) {
+      calls.push(`${kind} ${tweet.id}`);
+      menu = kind === 'more' && tweet.foreign ? 'foreign' : kind;
+      return { ok: true };
+    },
+    async chooseAction(tweet, action) {
+      calls.push(`${action} ${tweet.id}`);
+      if (action === 'delete') {
+        if (menu === 'foreign') return { ok: false, reason: 'not-owned', error: 'No Delete button in menu' };
+        sheet = true;
+      } else if (action === 'undo-repost') {
+        remove(tweet);
+      } else {
+        tweet.liked = action === 'like';
+      }
+      return { ok: true };
+    },
+    async confirm(tweet) {
+      if (!sheet) return { ok: false, reason: 'confirm-missing', error: 'No confirm button' };
+      sheet = false;
+      remove(tweet);
+      return { ok: true };
+    },
+    async scroll() {},
+    async dismiss() { menu = null; sheet = false; },
+    async hasItem(tweet) { return !gone(tweet); },
+    async rateLimitMessage() { return null; },
+    async checkThrottle() { return null; }
+  };
+}
+
+const run = (driver, contentType, options = {}) =>
+  runDeletion(driver, 'jane', contentType, { config, throttle: createThrottle({ baseDelay: 0 }, 0), ...options });
+
+test('deletes posts through menu, action and confirm, leaving reposts to their pass', async () => {
+  const driver = fakeDriver([{ id: '1' }, { id: '2', repost: true }, { id: '3', quote: true }]);
+  const result = await run(driver, 'POSTS');
+
+  assert.equal(result.deleted, 2);
+  assert.deepEqual(result.byType, { post: 1, reply: 0, repost: 0, quote: 1, like: 0 });
+  assert.deepEqual(driver.page.map(tweet => tweet.id), ['2']);
+  assert.deepEqual(driver.calls.slice(0, 3), ['open https://x.com/jane', 'more 1', 'delete 1']);
+
+  const reposts = await run(driver, 'REPOSTS');
+  assert.equal(reposts.byType.repost, 1);
+  assert.equal(driver.page.length, 0);
+});
+
+test('a plain post on the Replies tab is a post, not a reply', async () => {
+  const driver = fakeDriver([{ id: '1', reply: true }, { id: '2' }]);
+  const result = await run(driver, 'REPLIES', { types: ['reply'] });
+
+  assert.deepEqual(result.byType, { post: 0, reply: 1, repost: 0, quote: 0, like: 0 });
+  assert.deepEqual(driver.page.map(tweet => tweet.id), ['2']);
+  assert.deepEqual(result.skips, [{ id: '2', rule: 'type:post' }]);
+});
+
+test('a regex filter with the g or y flag decides the same way for every tweet', async () => {
+  const driver = fakeDriver([
+    { id: '1', text: 'launch day' },
+    { id: '2', text: 'launch day' },
+    { id: '3', text: 'launch day' },
+    { id: '4', text: 'lunch' }
+  ]);
+  const result = await run(driver, 'POSTS', { exclude: [/launch/g], include: [/^l/y] });
+
+  assert.deepEqual(driver.page.map(tweet => tweet.id), ['1', '2', '3']);
+  assert.deepEqual(result.skips.map(skip => skip.rule), ['exclude:/launch/g', 'exclude:/launch/g', 'exclude:/launch/g']);
+});
+
+test('stops at the first tweet older than the range, skipping the pinned one', async () => {
+  const driver = fakeDriver([
+    { id: '1', daysAgo: 900, pinned: true },
+    { id: '2', daysAgo: 400 },
+    { id: '3', daysAgo: 800 },
+    { id: '4', daysAgo: 1200 }
+  ]);
+  const result = await run(driver, 'POSTS', { after: new Date(Date.now() - 850 * day) });
+
+  assert.deepEqual(driver.page.map(tweet => tweet.id), ['1', '4']);
+  assert.equal(result.deleted, 2);
+  assert.deepEqual(result.skips, [{ id: '1', rule: 'date:too-old' }]);
+});
+
+test('a saved plan deletes exactly its IDs', async () => {
+  const driver = fakeDriver([{ id: '1' }, { id: '2' }, { id: '3' }]);
+  const result = await run(driver, 'POSTS', { planIds: ['2'] });
+
+  assert.deepEqual(driver.page.map(tweet => tweet.id), ['1', '3']);
+  assert.equal(result.skips.filter(skip => skip.rule === 'plan:not-listed').length, 2);
+});
+
+test('moves past tweets that are not ours and unlikes on the Likes tab', async () => {
+  const driver = fakeDriver([{ id: '1', foreign: true, liked: true }, { id: '2', liked: true }]);
+  const summary = await runAllDeletion(driver, 'jane', {
+    config,
+    throttle: createThrottle({ baseDelay: 0 }, 0),
+    contentTypes: ['POSTS', 'LIKES']
+  });
+
+  assert.equal(summary.posts, 1);
+  assert.equal(summary.failureReasons['not-owned'], 1);
+  assert.equal(summary.likes, 1);
+  assert.equal(driver.page[0].liked, false);
+});
+
+test('a run control pauses between tweets and stops early', async () => {
+  const driver = fakeDriver([{ id: '1' }, { id: '2' }, { id: '3' }, { id: '4', liked: true }]);
+  const control = createRunControl();
+
+  const running = runAllDeletion(driver, 'jane', {
+    config,
+    control,
+    hooks: { onDeleted: () => control.pause() },
+    throttle: createThrottle({ baseDelay: 0 }, 0),
+    contentTypes: ['POSTS', 'LIKES']
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(control.state(), 'paused');
+  assert.deepEqual(driver.page.map(tweet => tweet.id), ['2', '3', '4'], 'nothing happens while paused');
+
+  control.stop();
+  const summary = await running;
+  assert.equal(summary.stopped, true);
+  assert.equal(summary.total, 1);
+  assert.equal(summary.likes, 0, 'later passes never start');
+});
+
+test('a paused run picks up where it left off on resume', async () => {
+  const driver = fakeDriver([{ id: '1' }, { id: '2' }]);
+  const control = createRunControl();
+  control.pause();
+
+  const running = run(driver, 'POSTS', { control });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(driver.page.length, 2);
+
+  control.resume();
+  const result = await running;
+  assert.equal(result.deleted, 2);
+  assert.equal(result.stopped, false);
+});
+
+test('hooks follow the run and the result records every tweet', async () => {
+  const driver = fakeDriver([{ id: '1', text: 'keep me' }, { id: '2', foreign: true }, { id: '3' }]);
+  const events = [];
+  const hook = name => item => events.push(`${name} ${item.id || item.contentTypes || item.total}`);
+  const summary = await runAllDeletion(driver, 'jane', {
+    config,
+    throttle: createThrottle({ baseDelay: 0 }, 0),
+    contentTypes: ['POSTS'],
+    exclude: ['keep me'],
+    hooks: {
+      onStart: hook('start'),
+      onItem: hook('item'),
+      onDeleted: hook('deleted'),
+      onSkipped: hook('skipped'),
+      onError: hook('error'),
+      onComplete: hook('complete'),
+      onProgress: () => { throw new Error('dashboard down'); }
+    }
+  });
+
+  assert.deepEqual(events, [
+    'start POSTS',
+    'item 1', 'skipped 1',
+    'item 2', 'error 2',
+    'item 3', 'deleted 3',
+    'complete 1'
+  ]);
+  assert.deepEqual(summary.records.map(record => [record.id, record.outcome, record.reason]), [
+    ['1', 'kept', null],
+    ['2', 'failed', 'not-owned'],
+    ['3', 'deleted', null]
+  ]);
+  assert.equal(summary.records[2].attempts, 1);
+  assert.ok(summary.timings.durationMs >= 0);
+  assert.ok('POSTS' in summary.timings.passes);
+});
+
+test('onThrottle hears each backoff', async () => {
+  const driver = fakeDriver([{ id: '1' }]);
+  let throttled = 1;
+  driver.checkThrottle = async () => (throttled-- > 0 ? 'toast: Something went wrong' : null);
+  const events = [];
+  await run(driver, 'POSTS', {
+    throttle: createThrottle({ baseDelay: 0, jitter: 0 }, 0),
+    hooks: { onThrottle: event => events.push(event) }
+  });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].contentType, 'POSTS');
+  assert.match(events[0].reason, /Something went wrong/);
+});
+
+test('waitFor returns once the condition holds, or null at the timeout', async () => {
+  let checks = 0;
+  assert.equal(await waitFor(() => ++checks >= 3 && 'ready', { timeout: 1000, interval: 1 }), 'ready');
+  assert.equal(checks, 3);
+
+  const started = Date.now();
+  assert.equal(await waitFor(() => false, { timeout: 20, interval: 5 }), null);
+  assert.ok(Date.now() - started >= 20);
+
+  // The floor holds even when the condition is already true
+  const floored = Date.now();
+  assert.equal(await waitFor(async () => true, { timeout: 0, floor: 30 }), true);
+  assert.ok(Date.now() - floored >= 25);
+});
@@ -0,0 +1,94 @@
+/**
+ * Fake X fixture site tests: the markup the deleters rely on, and its API
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../src/core');
+const { createFakeX } = require('./fixtures/fake-x/state');
+const { startFakeXServer } = require('./fixtures/fake-x/server');
+
+/**
+ * Run a test against a fresh site
+ */
+async function withSite(seed, run, options) {
+  const x = createFakeX(seed);
+  const site = await startFakeXServer(x, options);
+  try {
+    await run(x, site);
+  } finally {
+    await site.close();
+  }
+}
+
+test('timelines use the data-testids the deleters select on', () => withSite({
+  tweets: [
+    { id: '1', text: 'Pinned', pinned: true, daysAgo: 300 },
+    { id: '2', type: 'repost', author: 'bob' },
+    { id: '3', type: 'reply', replyTo: 'bob' }
+  ],
+  likes: [{ id: '9' }]
+}, async (x, site) => {
+  const posts = await (await fetch(`${site.origin}/jane`)).text();
+  for (const selector of [CONFIG.selectors.tweet, CONFIG.selectors.moreButton, CONFIG.selectors.unretweetButton]) {
+    assert.ok(posts.includes(selector.match(/data-testid="([^"]+)"/)[0]), selector);
+  }
+  assert.match(posts, /data-testid="socialContext">Pinned</);
+  assert.match(posts, /data-testid="socialContext">You reposted</);
+  assert.doesNotMatch(posts, /data-id="3"/, 'replies stay on the Replies tab');
+
+  assert.match(await (await fetch(`${site.origin}/jane/with_replies`)).text(), /data-id="3"/);
+  assert.match(await (await fetch(`${site.origin}/jane/likes`)).text(), /data-testid="unlike"/);
+}));
+
+test('actions change the account and report toasts and 429s', () => withSite({
+  tweets: [{ id: '1' }, { id: '2', type: 'repost' }, { id: '3', author: 'dave' }],
+  followers: [{ username: 'quiet', lastTweetDaysAgo: 400 }]
+}, async (x, site) => {
+  const post = path => fetch(`${site.origin}${path}`, { method: 'POST' }).then(response => response.json());
+  x.toastAfter(1);
+  x.status429After(2);
+
+  assert.deepEqual(await post('/i/api/delete/1'), { ok: true, toast: 'Something went wrong. Try reloading.' });
+  assert.deepEqual(await post('/i/api/delete/3'), { ok: false, toast: null });
+  assert.equal((await post('/i/api/undo-repost/2')).ok, true);
+  assert.equal((await fetch(`${site.origin}/i/api/graphql/UserTweets`)).status, 429);
+  assert.equal((await fetch(`${site.origin}/i/api/graphql/UserTweets`)).status, 200);
+  assert.equal((await post('/i/api/remove-follower/quiet')).ok, true);
+
+  assert.deepEqual(x.removed(), { delete: ['1'], 'undo-repost': ['2'], unlike: [], 'remove-follower': ['quiet'] });
+}));
+
+test('follower profiles show their latest tweet, a protected notice or an error page', () => withSite({
+  followers: [
+    { username: 'active', lastTweetDaysAgo: 3 },
+    { username: 'private', protected: true },
+    { username: 'flaky', lastTweetDaysAgo: 3, errors: 1, followedByYou: true },
+    { username: 'bot48213377', defaultAvatar: true, followersCount: 2, followingCount: 1800, tweetCount: 0, joinedDaysAgo: 20 }
+  ]
+}, async (x, site) => {
+  const page = async path => (await fetch(`${site.origin}${path}`)).text();
+
+  const list = await page('/jane/followers');
+  assert.match(list, /data-testid="userActions"/);
+  assert.match(list, /data-testid="1flaky-unfollow">Following/);
+  assert.match(await page('/active'), /<time datetime="/);
+  assert.match(await page('/private'), /These posts are protected/);
+  assert.match(await page('/flaky'), /Something went wrong\. Try reloading\./);
+  assert.match(await page('/flaky'), /<time datetime="/);
+  assert.equal((await fetch(`${site.origin}/nobody`)).status, 404);
+
+  const bot = await page('/bot48213377');
+  assert.match(bot, /default_profile_images/);
+  assert.match(bot, /1800 Following<\/a> <a href="\/bot48213377\/verified_followers">2 Followers/);
+  assert.doesNotMatch(bot, /data-testid="UserDescription"/);
+  assert.match(bot, /data-testid="UserJoinDate">Joined \w+ \d{4}/);
+}));
+
+test('a logged-out site sends /home to the login flow', () => withSite({}, async (x, site) => {
+  const response = await fetch(`${site.origin}/home`, { redirect: 'manual' });
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/i/flow/login');
+}, { loggedOut: true }));
@@ -0,0 +1,100 @@
+/**
+ * Fake X Data Export
+ *
+ * Writes a cut-down unzipped archive to a temporary directory, in the
+ * format X uses: data/tweets.js, data/tweets-part1.js (large accounts get
+ * their tweets split into parts) and data/like.js, each a
+ * `window.YTD.<name>.partN = [ ... ]` assignment. The files are written
+ * per test run because test/ only holds files node --test can load.
+ *
+ * Tweets: 1001 post, 1002 reply, 1003 repost, 1004 quote (in part1).
+ * Likes: 2001, 2002 (like.js has no dates).
+ *
+ * Usage:
+ *
+ *   const archive = createArchive();
+ *   loadArchive(archive.dir);
+ *   archive.remove();
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TWEETS = [
+  {
+    tweet: {
+      id_str: '1001',
+      created_at: 'Mon Jan 03 10:00:00 +0000 2022',
+      full_text: 'Hello world',
+      retweet_count: '2',
+      favorite_count: '5',
+      entities: { urls: [] }
+    }
+  },
+  {
+    tweet: {
+      id_str: '1002',
+      created_at: 'Tue Mar 01 10:00:00 +0000 2022',
+      full_text: '@bob Agreed',
+      in_reply_to_status_id_str: '900',
+      in_reply_to_screen_name: 'bob',
+      retweet_count: '0',
+      favorite_count: '1',
+      entities: { urls: [] }
+    }
+  },
+  {
+    tweet: {
+      id_str: '1003',
+      created_at: 'Wed Jun 01 10:00:00 +0000 2022',
+      full_text: 'RT @carol: Big news',
+      retweet_count: '0',
+      favorite_count: '0',
+      entities: { urls: [] }
+    }
+  }
+];
+
+const TWEETS_PART1 = [
+  {
+    tweet: {
+      id_str: '1004',
+      created_at: 'Thu Sep 01 10:00:00 +0000 2022',
+      full_text: 'Look at this https://t.co/abc',
+      retweet_count: '0',
+      favorite_count: '0',
+      entities: { urls: [{ expanded_url: 'https://twitter.com/dave/status/777' }] }
+    }
+  }
+];
+
+const LIKES = [
+  { like: { tweetId: '2001', fullText: 'Liked one', expandedUrl: 'https://twitter.com/i/web/status/2001' } },
+  { like: { tweetId: '2002', fullText: 'Liked two', expandedUrl: 'https://twitter.com/i/web/status/2002' } }
+];
+
+/**
+ * Write the archive
+ * @returns {object} { dir, dataDir, remove } - dir is the archive root
+ */
+function createArchive() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x-archive-'));
+  const dataDir = path.join(dir, 'data');
+  fs.mkdirSync(dataDir);
+
+  const write = (file, name, part, entries) => fs.writeFileSync(path.join(dataDir, file),
+    `window.YTD.${name}.part${part} = ${JSON.stringify(entries, null, 2)}`);
+  write('tweets.js', 'tweets', 0, TWEETS);
+  write('tweets-part1.js', 'tweets', 1, TWEETS_PART1);
+  write('like.js', 'like', 0, LIKES);
+
+  return { dir, dataDir, remove: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Export for use in modules
+ */
+module.exports = {
+  createArchive
+};
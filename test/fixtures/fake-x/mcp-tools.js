@@ -0,0 +1,293 @@
+/**
+ * Mock Playwright MCP Tools over a Fake X
+ *
+ * browser_navigate, browser_snapshot, browser_click, browser_press_key,
+ * browser_evaluate and browser_network_requests, answering with
+ * Playwright-style accessibility snapshots of a fake X account (see
+ * state.js) in the same format as the recorded ones in ../snapshots.
+ * Clicking a ref does what X would: open the ⋯ or repost menu, show the
+ * confirmation sheet, delete, undo a repost or toggle a like.
+ *
+ * Refs stay stable across snapshots, as they do in Playwright MCP, and
+ * clicking a ref that is no longer on the page throws MCP's error.
+ * With a `lang` option the page's buttons, menus and headers use that
+ * language's strings from src/locale.js.
+ *
+ * Usage:
+ *
+ *   const x = createFakeX({ tweets: [...] });
+ *   const tools = createMcpTools(x);
+ *   await deleteAllContent(tools, 'jane');
+ *   x.removed().delete; // IDs deleted
+ */
+
+const { displayName, formatTimeLabel } = require('./state');
+const { getUiStrings } = require('../../../src/locale');
+
+const MISSING_PAGE = 'Hmm...this page doesn’t exist. Try searching for something else.';
+
+/**
+ * Create mock MCP tools
+ * @param {object} x - Fake X from createFakeX
+ * @param {object} options - { origin (default https://x.com), pageSize (tweets per scroll, default 5),
+ *                           toastSnapshots (snapshots a toast stays up for, default 3),
+ *                           lang (<html lang>, default 'en') }
+ * @returns {object} Tool functions, plus calls (every tool call made)
+ */
+function createMcpTools(x, options = {}) {
+  const origin = options.origin || 'https://x.com';
+  const pageSize = options.pageSize || 5;
+  const toastSnapshots = options.toastSnapshots || 3;
+  const lang = options.lang || 'en';
+  const ui = getUiStrings(lang);
+  // The page's own word for a string (the first listed)
+  const say = key => ui[key][0];
+  const calls = [];
+
+  let page = { kind: 'blank', path: '/' };
+  let shown = pageSize;
+  let menu = null;
+  let dialog = null;
+  let toast = null;
+  let requestsFrom = x.requests.length;
+
+  // Refs: tweets keep theirs for the whole session, overlays use fixed ones
+  const bases = new Map();
+  const refBase = id => {
+    if (!bases.has(id)) bases.set(id, 1000 + bases.size * 40);
+    return bases.get(id);
+  };
+  let targets = new Map();
+
+  /**
+   * Work out what a URL shows
+   * @param {string} url
+   * @returns {object} { kind, path, tab?, id?, username? }
+   */
+  const route = url => {
+    const path = new URL(url, origin).pathname.replace(/\/+$/, '') || '/';
+    const [user, section, id] = path.split('/').slice(1);
+    if (user !== x.username) return { kind: 'missing', path };
+    if (!section) return { kind: 'tab', path, tab: 'posts' };
+    if (section === 'with_replies') return { kind: 'tab', path, tab: 'replies' };
+    if (section === 'likes') return { kind: 'tab', path, tab: 'likes' };
+    if (section === 'status' && id) return { kind: 'status', path, id };
+    return { kind: 'missing', path };
+  };
+
+  const quote = text => JSON.stringify(text);
+  const nameOf = author => (author === x.username ? x.name : displayName(author));
+  // "1.234 Aufrufe. Repost": the count as the language writes it, then the metric's word
+  const countLabel = (count, key, action) =>
+    (count > 0 ? `${count.toLocaleString(lang)} ${say(key)}. ${action}` : action);
+
+  /**
+   * Render one tweet article
+   * @param {object} tweet - From the fake account
+   * @param {boolean} onProfile - Profile tab (shows pinned and repost headers) rather than a status page
+   * @param {function} line - (depth, text) appender
+   * @param {number} depth - Indent level of the article
+   */
+  const renderTweet = (tweet, onProfile, line, depth) => {
+    let next = refBase(tweet.id);
+    const ref = () => `e${next++}`;
+    const articleRef = ref();
+    const label = formatTimeLabel(tweet.date);
+    const pinned = onProfile && page.tab === 'posts' && tweet.pinned;
+    const reposted = tweet.type === 'repost';
+    const { replies, reposts, likes, views } = tweet.engagement;
+    const counts = [
+      replies && `${replies} ${replies === 1 ? 'reply' : 'replies'}`,
+      reposts && `${reposts} ${reposts === 1 ? 'repost' : 'reposts'}`,
+      likes && `${likes} ${likes === 1 ? 'like' : 'likes'}`,
+      views && `${views} views`
+    ].filter(Boolean).join(', ');
+    const header = [pinned && say('pinned'), reposted && onProfile && say('youReposted')].filter(Boolean).join(' ');
+    const name = [header, nameOf(tweet.author), `@${tweet.author}`, label, tweet.text, counts].filter(Boolean).join(' ');
+
+    line(depth, `- article ${quote(name)} [ref=${articleRef}]:`);
+    line(depth + 1, `- generic [ref=${ref()}]:`);
+    if (pinned) line(depth + 2, `- generic [ref=${ref()}]: ${say('pinned')}`);
+    if (reposted && onProfile) {
+      line(depth + 2, `- link ${quote(say('youReposted'))} [ref=${ref()}] [cursor=pointer]:`);
+      line(depth + 3, `- /url: /${x.username}`);
+    }
+    line(depth + 2, `- link ${quote(nameOf(tweet.author))} [ref=${ref()}] [cursor=pointer]:`);
+    line(depth + 3, `- /url: /${tweet.author}`);
+    line(depth + 2, `- link ${quote(`@${tweet.author}`)} [ref=${ref()}] [cursor=pointer]:`);
+    line(depth + 3, `- /url: /${tweet.author}`);
+    line(depth + 2, `- link ${quote(label)} [ref=${ref()}] [cursor=pointer]:`);
+    line(depth + 3, `- /url: /${tweet.author}/status/${tweet.id}`);
+    line(depth + 3, `- time [ref=${ref()}]: ${label}`);
+    const moreRef = ref();
+    line(depth + 2, `- button ${quote(say('more'))} [ref=${moreRef}] [cursor=pointer]`);
+    targets.set(moreRef, () => { menu = { kind: 'more', tweet }; dialog = null; });
+
+    if (tweet.replyTo) {
+      line(depth + 1, `- generic [ref=${ref()}]:`);
+      line(depth + 2, `- text: ${say('replyingTo')}`);
+      line(depth + 2, `- link ${quote(`@${tweet.replyTo}`)} [ref=${ref()}] [cursor=pointer]:`);
+      line(depth + 3, `- /url: /${tweet.replyTo}`);
+    }
+    line(depth + 1, `- generic [ref=${ref()}]: ${quote(tweet.text)}`);
+    if (tweet.quoted) {
+      const quoted = { author: 'carol', text: 'Original thought', ...tweet.quoted };
+      const quotedLabel = formatTimeLabel(quoted.date ? new Date(quoted.date) : tweet.date);
+      line(depth + 1, `- generic [ref=${ref()}]:`);
+      line(depth + 2, `- generic [ref=${ref()}]: Quote`);
+      line(depth + 2, `- link ${quote(`${nameOf(quoted.author)} @${quoted.author} ${quotedLabel} ${quoted.text}`)} [ref=${ref()}] [cursor=pointer]:`);
+      line(depth + 3, `- /url: /${quoted.author}/status/${quoted.id}`);
+      line(depth + 3, `- time [ref=${ref()}]: ${quotedLabel}`);
+      line(depth + 3, `- generic [ref=${ref()}]: ${quote(quoted.text)}`);
+    }
+
+    line(depth + 1, `- group ${quote(counts)} [ref=${ref()}]:`);
+    line(depth + 2, `- button ${quote(countLabel(replies, 'replyCount', 'Reply'))} [ref=${ref()}] [cursor=pointer]`);
+    const repostRef = ref();
+    line(depth + 2, `- button ${quote(countLabel(reposts, 'repostCount', reposted ? say('reposted') : 'Repost'))} [ref=${repostRef}] [cursor=pointer]`);
+    if (reposted) targets.set(repostRef, () => { menu = { kind: 'repost', tweet }; dialog = null; });
+    const likeRef = ref();
+    line(depth + 2, `- button ${quote(countLabel(likes, 'likeCount', tweet.liked ? say('liked') : say('like')))} [ref=${likeRef}] [cursor=pointer]`);
+    targets.set(likeRef, () => { x.setLiked(tweet.id, !tweet.liked); });
+    if (views) {
+      line(depth + 2, `- link ${quote(countLabel(views, 'viewCount', 'View post analytics'))} [ref=${ref()}] [cursor=pointer]:`);
+      line(depth + 3, `- /url: /${tweet.author}/status/${tweet.id}/analytics`);
+    }
+  };
+
+  /**
+   * Render the current page as a Playwright MCP snapshot
+   * @returns {string}
+   */
+  const render = () => {
+    targets = new Map();
+    const lines = [];
+    const line = (depth, text) => lines.push('  '.repeat(depth) + text);
+
+    // Overlays close once their tweet is gone
+    const live = tweet => Boolean(x.tweet(tweet.id) || x.statusPage(tweet.id));
+    if (menu && !live(menu.tweet)) menu = null;
+    if (dialog && !live(dialog.tweet)) dialog = null;
+
+    const fresh = x.takeToast();
+    if (fresh) toast = { text: fresh, left: toastSnapshots };
+
+    line(0, '- generic [ref=e2]:');
+    line(1, '- main [ref=e100]:');
+    if (page.kind === 'tab') {
+      line(2, `- heading ${quote(x.name)} [level=2] [ref=e101]`);
+      line(2, `- region ${quote(`${x.name}’s posts`)} [ref=e110]:`);
+      for (const tweet of x.timeline(page.tab).slice(0, shown)) {
+        renderTweet(tweet, true, line, 3);
+      }
+    } else if (page.kind === 'status' && x.statusPage(page.id)) {
+      line(2, '- region "Conversation" [ref=e110]:');
+      if (x.statusPage(page.id).parentDeleted) line(3, '- generic [ref=e111]: This post was deleted by the post author.');
+      renderTweet(x.statusPage(page.id), false, line, 3);
+    } else if (page.kind !== 'blank') {
+      line(2, `- generic [ref=e101]: ${MISSING_PAGE}`);
+    }
+
+    if (menu) {
+      line(1, '- generic [ref=e9000]:');
+      line(2, '- menu [ref=e9001]:');
+      const item = (ref, name, action) => {
+        line(3, `- menuitem ${quote(name)} [ref=${ref}] [cursor=pointer]`);
+        if (action) targets.set(ref, action);
+      };
+      const { tweet } = menu;
+      if (menu.kind === 'repost') {
+        item('e9002', say('undoRepost'), () => { x.undoRepost(tweet.id); menu = null; });
+        item('e9003', 'Quote');
+      } else if (x.isOwn(tweet)) {
+        item('e9002', say('delete'), () => { dialog = { tweet }; menu = null; });
+        item('e9003', 'Pin to your profile');
+        item('e9004', 'Embed post');
+      } else {
+        item('e9002', 'Not interested in this post');
+        item('e9003', `Follow @${tweet.author}`);
+      }
+    }
+
+    if (dialog) {
+      const { tweet } = dialog;
+      line(1, '- alertdialog [ref=e9100]:');
+      line(2, '- heading "Delete post?" [level=1] [ref=e9101]');
+      line(2, `- button ${quote(say('delete'))} [ref=e9102] [cursor=pointer]`);
+      line(2, '- button "Cancel" [ref=e9103] [cursor=pointer]');
+      targets.set('e9102', () => { x.deleteTweet(tweet.id); dialog = null; });
+      targets.set('e9103', () => { dialog = null; });
+    }
+
+    if (toast) {
+      line(1, '- alert [ref=e9200]:');
+      line(2, `- generic [ref=e9201]: ${toast.text}`);
+      if (--toast.left === 0) toast = null;
+    }
+
+    const title = page.kind === 'tab' ? `${x.name} (@${x.username}) / X` : 'X';
+    return [
+      '### Page state',
+      `- Page URL: ${origin}${page.path}`,
+      `- Page Title: ${title}`,
+      '- Page Snapshot:',
+      '```yaml',
+      ...lines,
+      '```'
+    ].join('\n') + '\n';
+  };
+
+  return {
+    calls,
+
+    async browser_navigate({ url }) {
+      calls.push({ tool: 'browser_navigate', url });
+      page = route(url);
+      if (page.kind === 'tab') x.reload(page.tab);
+      shown = pageSize;
+      menu = null;
+      dialog = null;
+      requestsFrom = x.requests.length;
+    },
+
+    async browser_snapshot() {
+      calls.push({ tool: 'browser_snapshot' });
+      return render();
+    },
+
+    async browser_click({ element, ref }) {
+      calls.push({ tool: 'browser_click', element, ref });
+      const action = targets.get(ref);
+      if (!action) {
+        throw new Error(`Ref ${ref} not found in the current page snapshot. Try capturing new snapshot.`);
+      }
+      action();
+    },
+
+    async browser_press_key({ key }) {
+      calls.push({ tool: 'browser_press_key', key });
+      if (key === 'Escape') {
+        menu = null;
+        dialog = null;
+      }
+    },
+
+    async browser_evaluate({ function: source }) {
+      calls.push({ tool: 'browser_evaluate', function: source });
+      if (/scrollBy|scrollTo/.test(source)) shown += pageSize;
+      if (/documentElement\.lang/.test(source)) return `### Result\n${quote(lang)}\n`;
+      return undefined;
+    },
+
+    async browser_network_requests() {
+      calls.push({ tool: 'browser_network_requests' });
+      return x.requests.slice(requestsFrom)
+        .map(request => `[${request.method}] ${origin}${request.url} => [${request.status}] ${request.status === 429 ? 'Too Many Requests' : 'OK'}`)
+        .join('\n');
+    }
+  };
+}
+
+module.exports = {
+  createMcpTools
+};
@@ -0,0 +1,475 @@
+/**
+ * Fake X Fixture Site
+ *
+ * A local HTTP stand-in for x.com over a fake account (see state.js),
+ * marked up with the same data-testids the deleters look for: profile
+ * timelines, the Replies and Likes tabs, status pages, the followers list
+ * and follower profiles, with working ⋯ menus, repost menus, like
+ * buttons, confirmation sheets and error toasts. Actions go through a
+ * small JSON API, so a real browser (Playwright, or the console script)
+ * can run a whole deletion against it.
+ *
+ * It also answers the DeleteTweet, DeleteRetweet and UnfavoriteTweet
+ * GraphQL mutations direct mode sends (see src/direct.js), checking the
+ * bearer and CSRF headers against the ct0 cookie its pages set, with X's
+ * error shapes for missing tweets, refused sessions and rate limits.
+ *
+ * Usage:
+ *
+ *   const x = createFakeX({ tweets: [...], followers: [...] });
+ *   const site = await startFakeXServer(x);
+ *   // drive site.origin + '/jane' with Playwright, or the CLI with --origin
+ *   await site.close();
+ */
+
+const http = require('http');
+const { displayName, formatTimeLabel } = require('./state');
+
+const TOAST_MS = 1000;
+const CSRF_TOKEN = 'fake-ct0-token';
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Button label with a count, as X writes it ("12 Likes. Liked")
+ * @returns {string}
+ */
+function countLabel(count, singular, plural, action) {
+  return count > 0 ? `${count} ${count === 1 ? singular : plural}. ${action}` : action;
+}
+
+/**
+ * Render a tweet article
+ * @param {object} x - Fake X
+ * @param {object} tweet - From the fake account
+ * @param {object} context - { pinned, reposted, repostedBy } headers to show (repostedBy: someone
+ *                          else's "<name> reposted")
+ * @returns {string} HTML
+ */
+function renderTweet(x, tweet, context = {}) {
+  const nameOf = author => (author === x.username ? x.name : displayName(author));
+  const { replies, reposts, likes, views } = tweet.engagement;
+  const reposter = context.repostedBy ? `${escapeHtml(displayName(context.repostedBy))} reposted` : '';
+  const social = context.pinned ? 'Pinned' : (context.reposted ? 'You reposted' : reposter);
+  const reposted = tweet.type === 'repost';
+  const quoted = tweet.quoted ? { author: 'carol', text: 'Original thought', ...tweet.quoted } : null;
+  const quotedDate = quoted && (quoted.date ? new Date(quoted.date) : tweet.date);
+
+  return `<article data-testid="tweet" role="article" data-id="${escapeHtml(tweet.id)}" data-own="${x.isOwn(tweet)}">
+  ${social ? `<div data-testid="socialContext">${social}</div>` : ''}
+  <div data-testid="User-Name">
+    <a href="/${escapeHtml(tweet.author)}" role="link">${escapeHtml(nameOf(tweet.author))}</a>
+    <a href="/${escapeHtml(tweet.author)}" role="link">@${escapeHtml(tweet.author)}</a>
+    <a href="/${escapeHtml(tweet.author)}/status/${escapeHtml(tweet.id)}" role="link"><time datetime="${tweet.date.toISOString()}">${formatTimeLabel(tweet.date)}</time></a>
+  </div>
+  <button data-testid="caret" aria-label="More" aria-haspopup="menu">⋯</button>
+  ${tweet.replyTo ? `<div>Replying to <a href="/${escapeHtml(tweet.replyTo)}" role="link">@${escapeHtml(tweet.replyTo)}</a></div>` : ''}
+  <div data-testid="tweetText" lang="en">${escapeHtml(tweet.text)}</div>
+  ${quoted ? `<div class="quote" role="link">
+    <div data-testid="User-Name">${escapeHtml(nameOf(quoted.author))} @${escapeHtml(quoted.author)}
+      <a href="/${escapeHtml(quoted.author)}/status/${escapeHtml(quoted.id)}"><time datetime="${quotedDate.toISOString()}">${formatTimeLabel(quotedDate)}</time></a>
+    </div>
+    <div>${escapeHtml(quoted.text)}</div>
+  </div>` : ''}
+  <div role="group">
+    <button data-testid="reply" aria-label="${countLabel(replies, 'Reply', 'Replies', 'Reply')}">💬 ${replies || ''}</button>
+    <button data-testid="${reposted ? 'unretweet' : 'retweet'}" aria-label="${countLabel(reposts, 'repost', 'reposts', reposted ? 'Reposted' : 'Repost')}">🔁 ${reposts || ''}</button>
+    <button data-testid="${tweet.liked ? 'unlike' : 'like'}" aria-label="${countLabel(likes, 'Like', 'Likes', tweet.liked ? 'Liked' : 'Like')}" data-count="${likes}">❤️ ${likes || ''}</button>
+    ${views ? `<a href="/${escapeHtml(tweet.author)}/status/${escapeHtml(tweet.id)}/analytics" aria-label="${views} views. View post analytics">📊 ${views}</a>` : ''}
+  </div>
+</article>`;
+}
+
+/**
+ * Render a follower cell in the followers list
+ * @param {object} follower
+ * @returns {string} HTML
+ */
+function renderFollower(follower) {
+  const username = escapeHtml(follower.username);
+  const verified = follower.verified ? '<svg data-testid="icon-verified"></svg>' : '';
+  const followButton = follower.followedByYou
+    ? `<button data-testid="1${username}-unfollow">Following</button>`
+    : `<button data-testid="1${username}-follow">Follow back</button>`;
+  return `<div data-testid="cellInnerDiv" data-username="${username}">
+  <div data-testid="UserCell">
+    <a href="/${username}" role="link">${escapeHtml(follower.name)}</a>${verified}
+    <span>@${username}</span>
+    ${followButton}
+    <button data-testid="userActions" aria-label="More" aria-haspopup="menu">⋯</button>
+  </div>
+</div>`;
+}
+
+/**
+ * Client-side behaviour: menus, confirmation sheets, API calls, toasts
+ * Serialized into every page
+ */
+function pageScript(toastMs) {
+  const layers = () => document.getElementById('layers');
+  const closeLayers = () => { layers().innerHTML = ''; };
+
+  const showToast = text => {
+    const toast = document.createElement('div');
+    toast.setAttribute('data-testid', 'toast');
+    toast.setAttribute('role', 'alert');
+    toast.textContent = text;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), toastMs);
+  };
+
+  const act = async (action, key) => {
+    const response = await fetch(`/i/api/${action}/${encodeURIComponent(key)}`, { method: 'POST' });
+    const result = await response.json();
+    if (result.toast) showToast(result.toast);
+    // X refreshes the timeline after an action; that request is where 429s show up
+    fetch('/i/api/graphql/UserTweets').catch(() => {});
+    return result;
+  };
+
+  const openMenu = items => {
+    closeLayers();
+    const menu = document.createElement('div');
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('data-testid', 'Dropdown');
+    for (const [label, run, testId] of items) {
+      const item = document.createElement('div');
+      item.setAttribute('role', 'menuitem');
+      if (testId) item.setAttribute('data-testid', testId);
+      item.innerHTML = `<span>${label}</span>`;
+      item.addEventListener('click', () => {
+        closeLayers();
+        if (run) run();
+      });
+      menu.appendChild(item);
+    }
+    layers().appendChild(menu);
+  };
+
+  const openSheet = (title, confirmLabel, run) => {
+    closeLayers();
+    const sheet = document.createElement('div');
+    sheet.setAttribute('role', 'alertdialog');
+    sheet.setAttribute('data-testid', 'confirmationSheetDialog');
+    sheet.innerHTML = `<h1>${title}</h1>` +
+      `<button data-testid="confirmationSheetConfirm">${confirmLabel}</button>` +
+      '<button data-testid="confirmationSheetCancel">Cancel</button>';
+    sheet.querySelector('[data-testid="confirmationSheetConfirm"]').addEventListener('click', () => {
+      closeLayers();
+      run();
+    });
+    sheet.querySelector('[data-testid="confirmationSheetCancel"]').addEventListener('click', closeLayers);
+    layers().appendChild(sheet);
+  };
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeLayers();
+  });
+
+  document.addEventListener('click', event => {
+    const button = event.target.closest('button[data-testid]');
+    if (!button) return;
+    const testId = button.getAttribute('data-testid');
+    const article = button.closest('article[data-testid="tweet"]');
+    const cell = button.closest('[data-testid="cellInnerDiv"]');
+
+    if (testId === 'caret' && article) {
+      const id = article.dataset.id;
+      const author = article.querySelector('[data-testid="User-Name"] a').getAttribute('href').slice(1);
+      openMenu(article.dataset.own === 'true'
+        ? [
+            ['Delete', () => openSheet('Delete post?', 'Delete', async () => {
+              if ((await act('delete', id)).ok) article.remove();
+            })],
+            ['Pin to your profile'],
+            ['Embed post']
+          ]
+        : [['Not interested in this post'], [`Follow @${author}`]]);
+    } else if (testId === 'unretweet' && article) {
+      openMenu([
+        ['Undo repost', async () => {
+          if ((await act('undo-repost', article.dataset.id)).ok) article.remove();
+        }, 'unretweetConfirm'],
+        ['Quote']
+      ]);
+    } else if ((testId === 'like' || testId === 'unlike') && article) {
+      act(testId, article.dataset.id).then(result => {
+        const count = parseInt(button.dataset.count, 10) || 0;
+        const action = result.liked ? 'Liked' : 'Like';
+        button.setAttribute('data-testid', result.liked ? 'unlike' : 'like');
+        button.setAttribute('aria-label', count > 0 ? `${count} ${count === 1 ? 'Like' : 'Likes'}. ${action}` : action);
+      });
+    } else if (testId === 'userActions' && cell) {
+      const username = cell.dataset.username;
+      openMenu([
+        ['Remove this follower', () => openSheet(`Remove @${username}?`, 'Remove', async () => {
+          if ((await act('remove-follower', username)).ok) cell.remove();
+        })],
+        [`Block @${username}`]
+      ]);
+    }
+  });
+
+  const initial = document.body.dataset.toast;
+  if (initial) showToast(initial);
+}
+
+/**
+ * Wrap page content in the shell every page shares
+ * @param {object} x - Fake X
+ * @param {string} title
+ * @param {string} main - Main column HTML
+ * @returns {string} HTML
+ */
+function renderPage(x, title, main) {
+  const toast = x.takeToast();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:600px;margin:0 auto}article,[data-testid="cellInnerDiv"]{border-bottom:1px solid #eff3f4;padding:12px;min-height:120px}[data-testid="toast"]{position:fixed;bottom:20px;background:#1d9bf0;color:#fff;padding:12px}#layers>*{position:fixed;top:30%;left:30%;background:#fff;border:1px solid #ccc;padding:8px}</style>
+</head>
+<body${toast ? ` data-toast="${escapeHtml(toast)}"` : ''}>
+<nav aria-label="Primary"><a href="/home">Home</a> <a href="/${escapeHtml(x.username)}">Profile</a></nav>
+<main role="main">${main}</main>
+<div id="layers"></div>
+<script>(${pageScript.toString()})(${TOAST_MS});</script>
+</body>
+</html>`;
+}
+
+/**
+ * Render the page for a GET request
+ * @param {object} x - Fake X
+ * @param {string} path - URL path
+ * @returns {object} { status, html } or { status, location }
+ */
+function route(x, path) {
+  const parts = path.replace(/\/+$/, '').split('/').slice(1);
+  const [user, section, id] = parts;
+  const tabs = { undefined: 'posts', with_replies: 'replies', likes: 'likes' };
+
+  if (path === '/' || user === 'home') {
+    return { status: 200, html: renderPage(x, 'Home / X', '<h1>Home</h1>') };
+  }
+  if (user === 'login' || (user === 'i' && section === 'flow')) {
+    return { status: 200, html: renderPage(x, 'Log in to X / X', '<h1>Sign in to X</h1>') };
+  }
+
+  if (user === x.username && section in tabs && !id) {
+    const tab = tabs[section];
+    x.reload(tab);
+    const articles = x.timeline(tab).map(tweet => renderTweet(x, tweet, {
+      pinned: tab === 'posts' && tweet.pinned,
+      reposted: tweet.type === 'repost'
+    }));
+    const main = `<h2>${escapeHtml(x.name)}</h2>
+<nav aria-label="Profile timelines"><a href="/${x.username}">Posts</a> <a href="/${x.username}/with_replies">Replies</a> <a href="/${x.username}/likes">Likes</a></nav>
+<section aria-label="Timeline">${articles.join('\n')}</section>`;
+    return { status: 200, html: renderPage(x, `${x.name} (@${x.username}) / X`, main) };
+  }
+
+  if (user === x.username && section === 'followers') {
+    const main = `<h2>People following ${escapeHtml(x.name)}</h2>
+<section aria-label="Timeline: Followers">${x.followers().map(renderFollower).join('\n')}</section>`;
+    return { status: 200, html: renderPage(x, `People following ${x.name} / X`, main) };
+  }
+
+  if (user === x.username && section === 'status' && id) {
+    const tweet = x.statusPage(id);
+    const main = tweet
+      ? `<section aria-label="Conversation">${tweet.parentDeleted ? '<div>This post was deleted by the post author.</div>' : ''}${renderTweet(x, tweet)}</section>`
+      : '<div>Hmm...this page doesn’t exist. Try searching for something else.</div>';
+    return { status: 200, html: renderPage(x, 'Post / X', main) };
+  }
+
+  const profile = !section || section === 'with_replies' ? x.profile(user, section ? 'replies' : 'posts') : null;
+  if (!profile) {
+    return { status: 404, html: renderPage(x, 'Page not found / X', '<div>Hmm...this page doesn’t exist. Try searching for something else.</div>') };
+  }
+
+  let main = `<h2>${escapeHtml(profile.name)}</h2><div>@${escapeHtml(profile.username)}</div>`;
+  if (profile.header) main += renderProfileHeader(profile);
+  if (profile.error) {
+    main = `<div>${escapeHtml(profile.error)}</div><button>Retry</button>`;
+  } else if (profile.protected) {
+    main += '<div><span>These posts are protected</span><div>Only approved followers can see their posts.</div></div>';
+  } else if (profile.tweets.length > 0) {
+    main += profile.tweets.map(tweet => renderTweet(x, {
+      ...tweet,
+      type: tweet.replyTo ? 'reply' : 'post',
+      author: tweet.author || profile.username,
+      engagement: { replies: 0, reposts: 0, likes: 0, views: 0 },
+      liked: false
+    }, { pinned: tweet.pinned, repostedBy: tweet.repostedBy })).join('\n');
+  } else {
+    main += `<div data-testid="emptyState">@${escapeHtml(profile.username)} hasn’t posted</div>`;
+  }
+  return { status: 200, html: renderPage(x, `${profile.name} (@${profile.username}) / X`, main) };
+}
+
+/**
+ * A follower's profile header: avatar, name, bio, join date and counts
+ * @param {object} profile - From x.profile
+ * @returns {string} HTML
+ */
+function renderProfileHeader(profile) {
+  const { header } = profile;
+  const name = escapeHtml(profile.username);
+  const avatar = header.defaultAvatar
+    ? 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png'
+    : `https://pbs.twimg.com/profile_images/1/${name}_normal.jpg`;
+  const joined = header.joined.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  return `<div>${header.tweets} posts</div>
+<div data-testid="UserAvatar-Container-${name}"><img src="${avatar}" alt=""></div>
+<div data-testid="UserName"><span>${escapeHtml(profile.name)}</span>${header.verified ? '<svg data-testid="icon-verified"></svg>' : ''} <span>@${name}</span></div>
+<div data-testid="userFollowIndicator">Follows you</div>
+<button data-testid="1${name}-${header.followedByYou ? 'unfollow' : 'follow'}">${header.followedByYou ? 'Following' : 'Follow'}</button>
+${header.bio ? `<div data-testid="UserDescription">${escapeHtml(header.bio)}</div>` : ''}
+<span data-testid="UserJoinDate">Joined ${joined}</span>
+<a href="/${name}/following">${header.following} Following</a> <a href="/${name}/verified_followers">${header.followers} Followers</a>`;
+}
+
+/**
+ * Read a request body as JSON
+ * @param {object} req - Incoming request
+ * @returns {Promise<object|null>}
+ */
+function readJson(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Answer a direct-mode GraphQL mutation the way X's API does
+ * @param {object} x - Fake X
+ * @param {string} operation - 'DeleteTweet', 'DeleteRetweet' or 'UnfavoriteTweet'
+ * @param {object} headers - Request headers
+ * @param {object|null} body - { variables, queryId }
+ * @param {string} csrfToken - The ct0 cookie the site hands out
+ * @returns {object} { status, data }
+ */
+function answerMutation(x, operation, headers, body, csrfToken) {
+  if (!/^Bearer \S+/.test(headers.authorization || '') || headers['x-csrf-token'] !== csrfToken) {
+    return { status: 403, data: { errors: [{ code: 353, message: 'This request requires a matching csrf cookie and header.' }] } };
+  }
+  if (x.takeApiRateLimit()) {
+    x.requests.push({ method: 'POST', url: `/i/api/graphql/${operation}`, status: 429 });
+    return { status: 429, data: { errors: [{ code: 88, message: 'Rate limit exceeded.' }] } };
+  }
+
+  const variables = (body && body.variables) || {};
+  const id = variables.tweet_id || variables.source_tweet_id;
+  const tweet = x.tweet(id);
+  if (!tweet) {
+    return { status: 200, data: { errors: [{ code: 144, message: 'No status found with that ID.' }] } };
+  }
+
+  if (operation === 'DeleteTweet') {
+    if (!x.isOwn(tweet)) return { status: 200, data: { errors: [{ message: 'You can only delete your own posts.' }] } };
+    if (!x.deleteTweet(id)) return { status: 500, data: { errors: [{ code: 131, message: 'Internal error.' }] } };
+    return { status: 200, data: { data: { delete_tweet: { tweet_results: {} } } } };
+  }
+  if (operation === 'DeleteRetweet') {
+    if (!x.undoRepost(id)) return { status: 500, data: { errors: [{ code: 131, message: 'Internal error.' }] } };
+    return { status: 200, data: { data: { unretweet: { source_tweet_results: { result: { rest_id: id } } } } } };
+  }
+  x.setLiked(id, false);
+  return { status: 200, data: { data: { unfavorite_tweet: 'Done' } } };
+}
+
+/**
+ * Start the fixture site
+ * @param {object} x - Fake X from createFakeX
+ * @param {object} options - { port (default: any free port), loggedOut (send /home to the login flow),
+ *                           csrfToken (the ct0 cookie, default fake-ct0-token) }
+ * @returns {Promise<object>} { origin, csrfToken, close }
+ */
+function startFakeXServer(x, options = {}) {
+  const csrfToken = options.csrfToken || CSRF_TOKEN;
+  let served429 = x.requests.length;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const send = (status, body, type = 'text/html; charset=utf-8') => {
+      res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', 'Set-Cookie': `ct0=${csrfToken}; Path=/; SameSite=Lax` });
+      res.end(body);
+    };
+    const json = (status, data) => send(status, JSON.stringify(data), 'application/json');
+
+    if (pathname === '/i/api/graphql/UserTweets') {
+      const pending = x.requests.slice(served429).some(request => request.status === 429);
+      served429 = x.requests.length;
+      return pending ? json(429, { errors: [{ message: 'Rate limit exceeded' }] }) : json(200, {});
+    }
+
+    const mutation = pathname.match(/^\/i\/api\/graphql\/[^/]+\/(DeleteTweet|DeleteRetweet|UnfavoriteTweet)$/);
+    if (mutation && req.method === 'POST') {
+      return readJson(req).then(body => {
+        const answer = answerMutation(x, mutation[1], req.headers, body, csrfToken);
+        json(answer.status, answer.data);
+      });
+    }
+
+    const api = pathname.match(/^\/i\/api\/(delete|undo-repost|like|unlike|remove-follower)\/([^/]+)$/);
+    if (api && req.method === 'POST') {
+      const key = decodeURIComponent(api[2]);
+      const actions = {
+        delete: () => ({ ok: x.deleteTweet(key) }),
+        'undo-repost': () => ({ ok: x.undoRepost(key) }),
+        like: () => ({ ok: true, liked: x.setLiked(key, true) }),
+        unlike: () => ({ ok: true, liked: x.setLiked(key, false) }),
+        'remove-follower': () => ({ ok: x.removeFollower(key) })
+      };
+      return json(200, { ...actions[api[1]](), toast: x.takeToast() });
+    }
+
+    if (pathname === '/__fake-x/log') {
+      return json(200, { log: x.log, removed: x.removed() });
+    }
+
+    if (req.method !== 'GET') return send(405, 'Method not allowed', 'text/plain');
+    if (options.loggedOut && pathname === '/home') {
+      res.writeHead(302, { Location: '/i/flow/login' });
+      return res.end();
+    }
+
+    const page = route(x, pathname);
+    return send(page.status, page.html);
+  });
+
+  return new Promise(resolve => {
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        csrfToken,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startFakeXServer,
+  renderTweet,
+  renderFollower
+};
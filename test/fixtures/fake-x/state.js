@@ -0,0 +1,384 @@
+/**
+ * Fake X Account State
+ *
+ * The in-memory account behind the fixture site (server.js) and the mock
+ * MCP tools (mcp-tools.js): your tweets, reposts, likes and followers,
+ * plus the follower profiles the pruner visits. Both front ends render
+ * from here and mutate it through the same actions, and every action
+ * lands in `log`, so tests can assert exactly what a run removed.
+ *
+ * Faults X throws at the deleters can be injected: error toasts and 429
+ * responses after a number of actions, deletes that silently don't happen,
+ * likes that flip back, protected accounts and profile error pages.
+ *
+ * Usage:
+ *
+ *   const x = createFakeX({
+ *     tweets: [{ id: '1', text: 'hello', daysAgo: 3 }, { id: '2', type: 'repost', author: 'bob' }],
+ *     likes: [{ id: '9', author: 'carol' }],
+ *     followers: [{ username: 'quiet', lastTweetDaysAgo: 400 }]
+ *   });
+ *   x.deleteTweet('1');
+ *   x.log; // [{ action: 'delete', id: '1' }]
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const RATE_LIMIT_TOAST = 'Something went wrong. Try reloading.';
+
+/**
+ * Label X shows next to a tweet's timestamp, e.g. "Jan 5, 2023"
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatTimeLabel(date) {
+  return `${MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+/**
+ * Title-case a username for a display name
+ * @param {string} username
+ * @returns {string}
+ */
+function displayName(username) {
+  return username.charAt(0).toUpperCase() + username.slice(1);
+}
+
+/**
+ * Create a fake account
+ * @param {object} seed - { username, name, tweets, likes, followers, now }
+ *   tweets:    { id, type ('post', 'reply', 'repost' or 'quote'), author, text, daysAgo | date,
+ *                pinned, replyTo, parentDeleted, quoted: { id, author, text }, engagement, liked }
+ *              Tweets by another author on your Posts tab can't be deleted (their menu has no Delete).
+ *              A reply with parentDeleted has "This post was deleted" above it on its status page.
+ *   likes:     { id, author, text, daysAgo | date, liked (default true), stuck }
+ *              A stuck like shows "Like" although X still counts it, as the Likes tab sometimes does.
+ *   followers: { username, name, lastTweetDaysAgo, pinnedDaysAgo, lastReplyDaysAgo, repostedDaysAgo, protected,
+ *                noTweets, errors, bio, followersCount, followingCount, tweetCount, joinedDaysAgo, defaultAvatar,
+ *                followedByYou, verified }
+ *              A pinned tweet shows above the rest; the latest reply only on their Replies tab.
+ *              repostedDaysAgo is the age of a tweet they just reposted: it tops their timeline,
+ *              under a "<name> reposted" header, with the original's date.
+ *              errors is how many visits to their profile show X's error page first.
+ *              The rest fill the profile header (counts default to 100 followers, 100 following, 50 tweets);
+ *              followedByYou and verified also show on their card in the list.
+ * @returns {object} Fake X (see the methods below)
+ */
+function createFakeX(seed = {}) {
+  const username = seed.username || 'jane';
+  const now = seed.now || Date.now();
+  const toDate = item => (item.date ? new Date(item.date) : new Date(now - (item.daysAgo || 0) * DAY_MS));
+  const engagement = item => ({ replies: 0, reposts: 0, likes: 0, views: 0, ...item.engagement });
+
+  const tweets = (seed.tweets || []).map((tweet, i) => ({
+    type: 'post',
+    text: `Tweet ${i + 1}`,
+    ...tweet,
+    id: tweet.id || String(1800000000000000000n + BigInt(i)),
+    author: tweet.author || (tweet.type === 'repost' ? 'bob' : username),
+    date: toDate(tweet),
+    engagement: engagement(tweet),
+    liked: Boolean(tweet.liked),
+    deleted: false
+  }));
+
+  const likes = (seed.likes || []).map((tweet, i) => ({
+    type: 'like',
+    author: 'carol',
+    text: `Liked tweet ${i + 1}`,
+    ...tweet,
+    id: tweet.id || String(1700000000000000000n + BigInt(i)),
+    date: toDate(tweet),
+    engagement: engagement(tweet),
+    liked: tweet.liked !== false && !tweet.stuck,
+    counted: tweet.liked !== false
+  }));
+
+  const followers = (seed.followers || []).map(follower => ({
+    name: displayName(follower.username),
+    ...follower,
+    errors: follower.errors || 0,
+    removed: false
+  }));
+
+  // Unliked tweets stay on the Likes tab until it is loaded again
+  let listedLikes = likes.filter(tweet => tweet.counted);
+  let actions = 0;
+  let pendingToast = null;
+  const toastAfter = new Map();
+  const status429After = new Set();
+  let apiRateLimits = 0;
+  const failures = new Map();
+  const reverts = new Map();
+  const log = [];
+  const requests = [];
+
+  const act = (entry, status = 200) => {
+    requests.push({ method: 'POST', url: `/i/api/${entry.action}`, status });
+    log.push(entry);
+    actions++;
+    if (toastAfter.has(actions)) {
+      pendingToast = toastAfter.get(actions);
+      toastAfter.delete(actions);
+    }
+    if (status429After.has(actions)) {
+      status429After.delete(actions);
+      requests.push({ method: 'GET', url: '/i/api/graphql/UserTweets', status: 429 });
+    }
+    return true;
+  };
+  const failing = key => {
+    const left = failures.get(key) || 0;
+    if (left === 0) return false;
+    failures.set(key, left - 1);
+    return true;
+  };
+  const findTweet = id => tweets.find(tweet => tweet.id === id && !tweet.deleted) ||
+    listedLikes.find(tweet => tweet.id === id);
+
+  return {
+    username,
+    name: seed.name || displayName(username),
+    log,
+    requests,
+    formatTimeLabel,
+
+    /**
+     * Tweets a profile tab shows, in timeline order
+     * Only the Posts tab puts the pinned tweet first (and labels it)
+     * @param {string} tab - 'posts', 'replies' or 'likes'
+     * @returns {array}
+     */
+    timeline(tab) {
+      if (tab === 'likes') return [...listedLikes];
+
+      const live = tweets.filter(tweet => !tweet.deleted);
+      const byDate = (a, b) => b.date - a.date;
+      if (tab === 'replies') return live.sort(byDate);
+
+      const pinned = live.filter(tweet => tweet.pinned && tweet.type !== 'reply');
+      const rest = live.filter(tweet => !tweet.pinned && tweet.type !== 'reply').sort(byDate);
+      return [...pinned, ...rest];
+    },
+
+    /**
+     * Look up a tweet that is still up (or still listed on the Likes tab)
+     * @param {string} id
+     * @returns {object|undefined}
+     */
+    tweet(id) {
+      return findTweet(id);
+    },
+
+    /**
+     * A tweet's status page content: the tweet, or null once it is gone
+     * Reposts and likes are shown as the original tweet
+     * @param {string} id
+     * @returns {object|null}
+     */
+    statusPage(id) {
+      return tweets.find(tweet => tweet.id === id && !tweet.deleted) ||
+        likes.find(tweet => tweet.id === id) || null;
+    },
+
+    /**
+     * Whether a tweet's ⋯ menu offers Delete
+     * @param {object} tweet
+     * @returns {boolean}
+     */
+    isOwn(tweet) {
+      return tweet.author === username && tweet.type !== 'repost' && tweet.type !== 'like';
+    },
+
+    /**
+     * Load a profile tab again, as navigating there does
+     * @param {string} tab - 'posts', 'replies' or 'likes'
+     */
+    reload(tab) {
+      if (tab === 'likes') listedLikes = likes.filter(tweet => tweet.counted);
+    },
+
+    deleteTweet(id) {
+      const tweet = tweets.find(t => t.id === id && !t.deleted);
+      if (!tweet || !this.isOwn(tweet) || failing(id)) return false;
+      tweet.deleted = true;
+      return act({ action: 'delete', id });
+    },
+
+    undoRepost(id) {
+      const tweet = tweets.find(t => t.id === id && !t.deleted && t.type === 'repost');
+      if (!tweet || failing(id)) return false;
+      tweet.deleted = true;
+      return act({ action: 'undo-repost', id });
+    },
+
+    /**
+     * Like or unlike a tweet; a queued revert flips an unlike straight back
+     * @param {string} id
+     * @param {boolean} liked
+     * @returns {boolean} The tweet's liked state afterwards
+     */
+    setLiked(id, liked) {
+      const tweet = findTweet(id);
+      if (!tweet) return false;
+      if (!liked && (reverts.get(id) || 0) > 0) {
+        reverts.set(id, reverts.get(id) - 1);
+        act({ action: 'unlike-reverted', id });
+        return tweet.liked;
+      }
+      tweet.liked = liked;
+      if ('counted' in tweet) tweet.counted = liked;
+      act({ action: liked ? 'like' : 'unlike', id });
+      return tweet.liked;
+    },
+
+    /**
+     * Followers still following, in list order
+     * @returns {array}
+     */
+    followers() {
+      return followers.filter(follower => !follower.removed);
+    },
+
+    /**
+     * What a profile page shows
+     * @param {string} name - Username
+     * @param {string} tab - 'posts' or 'replies'
+     * @returns {object|null} { username, name, error, protected, header, tweets: [{ id, date, text, pinned, replyTo,
+     *                        author, repostedBy }] },
+     *                        tweets pinned first, then newest first; header { bio, followers, following,
+     *                        tweets, joined, defaultAvatar, followedByYou, verified }
+     */
+    profile(name, tab = 'posts') {
+      const follower = followers.find(f => f.username === name);
+      if (!follower) return null;
+      if (follower.errors > 0) {
+        follower.errors--;
+        return { username: name, name: follower.name, error: RATE_LIMIT_TOAST };
+      }
+
+      const index = followers.indexOf(follower);
+      const dated = (prefix, days, text, extra) => ({ id: `${prefix}${index}`, date: new Date(now - days * DAY_MS), text, ...extra });
+      const tweets = [];
+      if (!follower.noTweets && !follower.protected) {
+        if (follower.lastTweetDaysAgo !== undefined) tweets.push(dated(99, follower.lastTweetDaysAgo, `Latest from ${name}`));
+        if (tab === 'replies' && follower.lastReplyDaysAgo !== undefined) {
+          tweets.push(dated(98, follower.lastReplyDaysAgo, `Reply from ${name}`, { replyTo: username }));
+        }
+        tweets.sort((a, b) => b.date - a.date);
+        if (follower.repostedDaysAgo !== undefined) {
+          tweets.unshift(dated(96, follower.repostedDaysAgo, 'Old news', { author: 'bob', repostedBy: name }));
+        }
+        if (follower.pinnedDaysAgo !== undefined) tweets.unshift(dated(97, follower.pinnedDaysAgo, `Pinned by ${name}`, { pinned: true }));
+      }
+      const header = {
+        bio: follower.bio || '',
+        followers: follower.followersCount === undefined ? 100 : follower.followersCount,
+        following: follower.followingCount === undefined ? 100 : follower.followingCount,
+        tweets: follower.tweetCount === undefined ? 50 : follower.tweetCount,
+        joined: new Date(now - (follower.joinedDaysAgo === undefined ? 2000 : follower.joinedDaysAgo) * DAY_MS),
+        defaultAvatar: Boolean(follower.defaultAvatar),
+        followedByYou: Boolean(follower.followedByYou),
+        verified: Boolean(follower.verified)
+      };
+      return { username: name, name: follower.name, protected: Boolean(follower.protected), header, tweets };
+    },
+
+    removeFollower(name) {
+      const follower = followers.find(f => f.username === name && !f.removed);
+      if (!follower || failing(`@${name}`)) return false;
+      follower.removed = true;
+      return act({ action: 'remove-follower', username: name });
+    },
+
+    /**
+     * Show X's error toast once the run has made this many changes
+     * @param {number} count - Successful actions so far
+     * @param {string} text - Toast text
+     */
+    toastAfter(count, text = RATE_LIMIT_TOAST) {
+      toastAfter.set(count, text);
+    },
+
+    /**
+     * Show an error toast on the next page render
+     * @param {string} text
+     */
+    queueToast(text = RATE_LIMIT_TOAST) {
+      pendingToast = text;
+    },
+
+    /**
+     * Take the pending toast, which shows once
+     * @returns {string|null}
+     */
+    takeToast() {
+      const text = pendingToast;
+      pendingToast = null;
+      return text;
+    },
+
+    /**
+     * Make the next attempts at an action silently do nothing
+     * @param {string} key - Tweet ID, or @username for follower removal
+     * @param {number} times
+     */
+    failNext(key, times = 1) {
+      failures.set(key, times);
+    },
+
+    /**
+     * Flip the next unlikes of a tweet straight back to liked
+     * @param {string} id
+     * @param {number} times
+     */
+    revertUnlike(id, times = 1) {
+      reverts.set(id, times);
+    },
+
+    /**
+     * Answer a request with 429 Too Many Requests once the run has made this many changes
+     * @param {number} count - Successful actions so far
+     */
+    status429After(count) {
+      status429After.add(count);
+    },
+
+    /**
+     * Answer the next direct-mode API calls with 429 Too Many Requests
+     * @param {number} times
+     */
+    rateLimitApi(times = 1) {
+      apiRateLimits = times;
+    },
+
+    /**
+     * Use up one queued API rate limit
+     * @returns {boolean} Whether this call is rate limited
+     */
+    takeApiRateLimit() {
+      if (apiRateLimits === 0) return false;
+      apiRateLimits--;
+      return true;
+    },
+
+    /**
+     * IDs (or @usernames) removed by each action, for assertions
+     * @returns {object} { delete, 'undo-repost', unlike, 'remove-follower' }
+     */
+    removed() {
+      const result = { delete: [], 'undo-repost': [], unlike: [], 'remove-follower': [] };
+      for (const entry of log) {
+        if (result[entry.action]) result[entry.action].push(entry.id || entry.username);
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_TOAST,
+  createFakeX,
+  displayName,
+  formatTimeLabel
+};
@@ -0,0 +1,103 @@
+/**
+ * Follower spam and bot rule tests
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_FOLLOWER_RULES,
+  compileFollowerRules,
+  toProfileFacts,
+  scoreFollower,
+  describeScore
+} = require('../src/follower-rules');
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+const bot = {
+  username: 'jenny48213377',
+  bio: '',
+  followers: 2,
+  following: 1800,
+  tweets: 0,
+  createdAt: daysAgo(20),
+  defaultAvatar: true,
+  followedByYou: false
+};
+
+const person = {
+  username: 'carol',
+  bio: 'Gardener. Writes about soil.',
+  followers: 420,
+  following: 380,
+  tweets: 5300,
+  createdAt: daysAgo(3000),
+  defaultAvatar: false,
+  followedByYou: false
+};
+
+test('default rules score a bot above the threshold and a person below it', () => {
+  const rules = compileFollowerRules(DEFAULT_FOLLOWER_RULES);
+
+  const botScore = scoreFollower(bot, rules, 5, NOW);
+  assert.equal(botScore.spam, true);
+  assert.deepEqual(botScore.matched.map(rule => rule.name), [
+    'default-avatar', 'generated-handle', 'empty-bio', 'follows-far-more-than-followed', 'new-account', 'few-tweets'
+  ]);
+  assert.equal(botScore.score, 9);
+
+  const personScore = scoreFollower(person, rules, 5, NOW);
+  assert.equal(personScore.spam, false);
+  assert.deepEqual(personScore.matched, []);
+});
+
+test('negative weights vouch for accounts you follow', () => {
+  const rules = compileFollowerRules(DEFAULT_FOLLOWER_RULES);
+  const result = scoreFollower({ ...bot, followedByYou: true }, rules, 5, NOW);
+  assert.equal(result.score, 4);
+  assert.equal(result.spam, false);
+  assert.match(describeScore(result), /^score 4\/5: default-avatar \+2, .*mutual -5$/);
+});
+
+test('all, any and not combine conditions', () => {
+  const rules = compileFollowerRules([
+    { name: 'promo-bot', weight: 5, all: [
+      { field: 'bio', includes: ['DM for promo'] },
+      { any: [{ field: 'followRatio', below: 0.1 }, { field: 'accountAgeDays', below: 30 }] },
+      { not: { field: 'verified', equals: true } }
+    ] }
+  ]);
+  const promo = { ...person, bio: 'dm for PROMO 💰', createdAt: daysAgo(10) };
+
+  assert.equal(scoreFollower(promo, rules, 5, NOW).spam, true);
+  assert.equal(scoreFollower({ ...promo, verified: true }, rules, 5, NOW).spam, false);
+  assert.equal(scoreFollower({ ...promo, createdAt: daysAgo(400) }, rules, 5, NOW).spam, false);
+});
+
+test('fields the profile did not show never match', () => {
+  const rules = compileFollowerRules(DEFAULT_FOLLOWER_RULES);
+  const result = scoreFollower({ username: 'carol' }, rules, 5, NOW);
+  assert.deepEqual(result.matched, []);
+
+  const facts = toProfileFacts({ followers: 10, following: 0 }, NOW);
+  assert.equal(facts.followRatio, Infinity);
+  assert.equal(facts.accountAgeDays, null);
+});
+
+test('rejects rules it cannot run', () => {
+  for (const rules of [
+    {},
+    [{ weight: 1, field: 'bio', empty: true }],
+    [{ name: 'no-weight', field: 'bio', empty: true }],
+    [{ name: 'typo', weight: 1, field: 'bio', contains: 'x' }],
+    [{ name: 'two', weight: 1, field: 'tweets', below: 5, above: 1 }],
+    [{ name: 'text-number', weight: 1, field: 'tweets', below: 'five' }],
+    [{ name: 'bad-pattern', weight: 1, field: 'username', matches: '(' }],
+    [{ name: 'empty-all', weight: 1, all: [] }]
+  ]) {
+    assert.throws(() => compileFollowerRules(rules), Error, JSON.stringify(rules));
+  }
+});
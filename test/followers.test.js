@@ -0,0 +1,245 @@
+/**
+ * Follower verdict tests, and the follower flow against an in-memory driver
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createThrottle, createRunControl } = require('../src/core');
+const {
+  FOLLOWER_CONFIG,
+  resolveFollowerConfig,
+  pruneFollowers,
+  isInactive,
+  toActivity,
+  combineActivity,
+  categorize,
+  readProfileActivity,
+  toProfileFields,
+  toAllowlist,
+  protectionReason
+} = require('../src/followers');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const config = resolveFollowerConfig({
+  delays: { profileLoad: 0, betweenClicks: 0, afterAction: 0, scrollLoad: 0, betweenFollowers: 0 },
+  maxEmptyAttempts: 1
+});
+const throttle = () => createThrottle({ baseDelay: 0, maxDelay: 0 }, 0);
+// The run's log goes to stdout, where the test runner also reads its reports
+const quiet = t => t.mock.method(console, 'log', () => {});
+
+/**
+ * Fake follower driver over a followers list; removed followers leave it
+ * Followers: { username, daysAgo, followedByYou, throttled (profile shows an error this many times),
+ * stuck (removal never takes) }
+ */
+function fakeFollowerDriver(followers) {
+  const list = followers.map(follower => ({ ...follower }));
+  const calls = [];
+
+  return {
+    calls,
+    list,
+    async open(url) { calls.push(`open ${url}`); },
+    async findFollowers() {
+      return list.map(({ username, followedByYou }) => ({ username, followedByYou: Boolean(followedByYou), verified: false }));
+    },
+    async scroll() { calls.push('scroll'); },
+    async readProfile(url) {
+      calls.push(`read ${url}`);
+      const follower = list.find(f => url.endsWith(`/${f.username}`));
+      if (follower.throttled > 0) {
+        follower.throttled--;
+        return { activity: { rateLimited: true, message: 'Etwas ist schiefgelaufen' }, header: null };
+      }
+      return { activity: { datetime: daysAgo(follower.daysAgo), signal: 'tweet' }, header: null };
+    },
+    async removeFollower(username) {
+      calls.push(`remove ${username}`);
+      const follower = list.find(f => f.username === username);
+      if (follower.stuck) return { success: false, error: 'Still listed after removing' };
+      list.splice(list.indexOf(follower), 1);
+      return { success: true };
+    },
+    async checkThrottle() { return null; },
+    async close() { calls.push('close'); }
+  };
+}
+
+test('judges followers by their latest tweet', () => {
+  assert.equal(categorize(toActivity({ datetime: daysAgo(400) }, 180)), 'inactive');
+  assert.equal(categorize(toActivity({ datetime: daysAgo(10) }, 180)), 'active');
+  assert.equal(categorize(toActivity({ protected: true }, 180)), 'protected');
+  assert.equal(categorize(toActivity({ reason: 'no_tweets_visible' }, 180)), 'unknown');
+  assert.equal(toActivity({ datetime: 'garbage' }, 180).reason, 'parse_error');
+  assert.equal(toActivity({ rateLimited: true }, 180).rateLimited, true);
+  assert.equal(toActivity({ rateLimited: true, message: 'Etwas ist schiefgelaufen' }, 180).message, 'Etwas ist schiefgelaufen');
+});
+
+test('an unknown date never counts as inactive', () => {
+  assert.equal(isInactive(null, 0), false);
+  assert.equal(isInactive(new Date(daysAgo(181)), 180), true);
+});
+
+test('each verdict says which signal decided it', () => {
+  assert.equal(toActivity({ datetime: daysAgo(400), reposted: true }, 180).signal, 'repost');
+  assert.equal(toActivity({ datetime: daysAgo(10) }, 180).signal, 'tweet');
+  assert.equal(toActivity({ protected: true }, 180).signal, 'protected');
+  assert.equal(toActivity({ reason: 'no_tweets_visible' }, 180).signal, 'none');
+});
+
+test('a newer tweet on the Replies tab outweighs a quiet profile', () => {
+  const posts = { datetime: daysAgo(400), signal: 'pinned' };
+  const replies = { datetime: daysAgo(3), signal: 'tweet' };
+
+  const combined = toActivity(combineActivity(posts, replies), 180);
+  assert.equal(categorize(combined), 'active');
+  assert.equal(combined.signal, 'reply');
+
+  assert.equal(combineActivity(replies, posts), replies, 'an older Replies tab changes nothing');
+  assert.equal(combineActivity(posts, { reason: 'no_tweets_visible' }), posts);
+  assert.equal(combineActivity(posts, { rateLimited: true }).rateLimited, true);
+});
+
+test('a repost never dates a follower, since it shows the original tweet\'s date', () => {
+  // A profile as X renders it: someone reposted a years-old tweet yesterday, above their own old one
+  const article = (datetime, header) => ({
+    querySelector: selector => {
+      if (selector === 'time') return { getAttribute: () => datetime };
+      return header && selector === '[data-testid="socialContext"]' ? { textContent: header } : null;
+    }
+  });
+  const profile = articles => ({ body: { innerText: '' }, querySelectorAll: () => articles });
+  const lookup = { rateLimit: [], protectedPosts: [], pinned: ['Pinned'], articles: 5 };
+
+  const ownTweet = daysAgo(400);
+  const seen = readProfileActivity(lookup, profile([article(daysAgo(900), 'Dana reposted'), article(ownTweet)]));
+  assert.deepEqual(seen, { datetime: ownTweet, signal: 'tweet', read: 2, reposted: true });
+  const activity = toActivity(seen, 180);
+  assert.equal(categorize(activity), 'unknown');
+  assert.equal(activity.hasActivity, true);
+  assert.deepEqual([activity.signal, activity.reason], ['repost', 'repost_undated']);
+
+  const onlyRepost = toActivity(readProfileActivity(lookup, profile([article(daysAgo(900), 'Dana reposted')])), 180);
+  assert.equal(categorize(onlyRepost), 'unknown');
+  assert.equal(categorize(toActivity({ datetime: daysAgo(10), reposted: true }, 180)), 'active', 'their own recent tweet still counts');
+  assert.equal(combineActivity({ datetime: daysAgo(400), reposted: true }, { datetime: daysAgo(300) }).reposted, true);
+});
+
+test('a spam score decides before activity', () => {
+  const activity = toActivity({ datetime: daysAgo(10) }, 180);
+  assert.equal(categorize({ ...activity, score: { score: 6, threshold: 5, spam: true, matched: [] } }), 'spam');
+  assert.equal(categorize({ ...activity, score: { score: 2, threshold: 5, spam: false, matched: [] } }), 'active');
+});
+
+test('reads counts, join date and avatar from a profile header', () => {
+  const profile = toProfileFields({
+    bio: '',
+    avatar: 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png',
+    followers: '3 Followers',
+    following: '1,234 Following',
+    tweets: '1.2K posts',
+    joined: 'Joined March 2024',
+    verified: false,
+    followsYou: true,
+    followedByYou: false
+  }, 'bot12345');
+
+  assert.equal(profile.followers, 3);
+  assert.equal(profile.following, 1234);
+  assert.equal(profile.tweets, 1200);
+  assert.equal(profile.createdAt, '2024-03-01T00:00:00.000Z');
+  assert.equal(profile.defaultAvatar, true);
+  assert.equal(toProfileFields({ joined: 'Se unió en marzo de 2024' }, 'ana').createdAt, null);
+});
+
+test('reads an allowlist pasted as text or given as handles', () => {
+  const pasted = toAllowlist('@Carol, dave\nhttps://x.com/erin/status/1  # colleague\n\n# customers\nfrank');
+  assert.deepEqual([...pasted], ['carol', 'dave', 'erin', 'frank']);
+  assert.deepEqual([...toAllowlist(['@bob', 'twitter.com/grace'])], ['bob', 'grace']);
+  assert.equal(toAllowlist(null).size, 0);
+});
+
+test('the protection list says why a follower is kept', () => {
+  const allowlist = toAllowlist(['Carol']);
+  const protect = { ...FOLLOWER_CONFIG.protect, verified: true, minFollowers: 10000 };
+
+  assert.equal(protectionReason({ username: 'carol' }, protect, allowlist), 'allowlist');
+  assert.equal(protectionReason({ username: 'dave', followedByYou: true }, protect, allowlist), 'following');
+  assert.equal(protectionReason({ username: 'dave', followedByYou: true }, { ...protect, following: false }, allowlist), null);
+  assert.equal(protectionReason({ username: 'erin', verified: true }, protect, allowlist), 'verified');
+  assert.equal(protectionReason({ username: 'erin', followers: 25000 }, protect, allowlist), 'followers');
+  assert.equal(protectionReason({ username: 'erin', followers: 25000 }, FOLLOWER_CONFIG.protect, allowlist), null);
+  assert.equal(protectionReason({ username: 'erin', followers: null }, protect, allowlist), null);
+});
+
+test('pruneFollowers removes quiet followers through the driver and keeps the rest', async t => {
+  quiet(t);
+  const driver = fakeFollowerDriver([
+    { username: 'active', daysAgo: 3 },
+    { username: 'quiet', daysAgo: 400 },
+    { username: 'mutual', daysAgo: 900, followedByYou: true },
+    { username: 'stuck', daysAgo: 500, stuck: true }
+  ]);
+  const heard = [];
+  const entries = [];
+  const summary = await pruneFollowers(driver, 'jane', {
+    config,
+    throttle: throttle(),
+    journal: { record: entry => entries.push(entry) },
+    hooks: {
+      onDeleted: item => heard.push(`deleted ${item.id}`),
+      onSkipped: item => heard.push(`skipped ${item.id} ${item.decision.rule}`),
+      onError: item => heard.push(`error ${item.id}`)
+    }
+  });
+
+  assert.deepEqual(summary.removedUsers, ['quiet']);
+  assert.deepEqual(summary.failures, [{ username: 'stuck', error: 'Still listed after removing' }]);
+  assert.deepEqual(summary.safeUsers, [{ username: 'mutual', reason: 'following' }]);
+  assert.equal(summary.checked, 4);
+  assert.deepEqual(heard, ['skipped active active', 'deleted quiet', 'skipped mutual safe', 'error stuck']);
+  assert.deepEqual(entries.map(entry => `${entry.action} ${entry.username} ${entry.outcome}`),
+    ['keep active success', 'remove quiet success', 'keep mutual success', 'remove stuck failed']);
+  assert.equal(driver.calls[0], 'open https://x.com/jane/followers');
+  assert.ok(!driver.calls.includes('read https://x.com/mutual'), 'the card alone protects someone you follow');
+  assert.equal(driver.calls[driver.calls.length - 1], 'close');
+});
+
+test('pruneFollowers backs off with the throttling text a profile showed, then checks again', async t => {
+  quiet(t);
+  const driver = fakeFollowerDriver([{ username: 'quiet', daysAgo: 400, throttled: 1 }]);
+  const summary = await pruneFollowers(driver, 'jane', { config, throttle: throttle() });
+
+  assert.deepEqual(summary.removedUsers, ['quiet']);
+  assert.equal(summary.checked, 1);
+  assert.deepEqual(summary.throttle.events.map(event => event.reason), ['toast: Etwas ist schiefgelaufen']);
+});
+
+test('pruneFollowers stops between followers when the control says so', async t => {
+  quiet(t);
+  const control = createRunControl();
+  const driver = fakeFollowerDriver([{ username: 'one', daysAgo: 400 }, { username: 'two', daysAgo: 400 }]);
+  const summary = await pruneFollowers(driver, 'jane', {
+    config,
+    throttle: throttle(),
+    control,
+    hooks: { onDeleted: () => control.stop() }
+  });
+
+  assert.deepEqual(summary.removedUsers, ['one']);
+  assert.equal(summary.stopped, true);
+  assert.equal(driver.calls[driver.calls.length - 1], 'close');
+});
+
+test('pruneFollowers carries out a plan without opening profiles', async t => {
+  quiet(t);
+  const driver = fakeFollowerDriver([{ username: 'one', daysAgo: 1 }, { username: 'two', daysAgo: 1 }]);
+  const summary = await pruneFollowers(driver, 'jane', { config, throttle: throttle(), planUsernames: ['two', 'gone'] });
+
+  assert.deepEqual(summary.removedUsers, ['two']);
+  assert.deepEqual(summary.notFound, ['gone']);
+  assert.ok(!driver.calls.some(call => call.startsWith('read')));
+});
@@ -0,0 +1,207 @@
+/**
+ * Timeline interception tests: reading X's timeline responses, the
+ * fetch/XHR hook and runs over the inventory
+ *
+ * test/fixtures/graphql holds trimmed responses in the web client's
+ * format: UserTweets (pinned tweet, repost, quote, long post behind a
+ * visibility wrapper, tombstone), UserTweetsAndReplies (a conversation
+ * module), Likes and Followers.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, createThrottle } = require('../src/core');
+const { runAllDeletion } = require('../src/engine');
+const {
+  matchOperation,
+  parseTimelineResponse,
+  createInventory,
+  installInterceptor,
+  enumerateTimeline
+} = require('../src/intercept');
+const { createInventoryDriver } = require('../src/drivers/inventory');
+
+const fixture = name => require(`./fixtures/graphql/${name}.json`);
+const config = { ...CONFIG, delays: { betweenClicks: 0, afterDeletion: 0, scrollLoad: 0, rateLimitSafe: 0 } };
+
+/**
+ * An inventory holding every fixture
+ */
+function loadedInventory() {
+  const inventory = createInventory('jane');
+  for (const name of ['UserTweets', 'UserTweetsAndReplies', 'Likes', 'Followers']) {
+    inventory.add(name, fixture(name));
+  }
+  return inventory;
+}
+
+test('matchOperation picks out the timeline calls', () => {
+  assert.equal(matchOperation('https://x.com/i/api/graphql/E3opETHurmVJflFsUBVuUQ/UserTweets?variables=%7B%7D'), 'UserTweets');
+  assert.equal(matchOperation('/i/api/graphql/abc/UserTweetsAndReplies?variables=%7B%7D'), 'UserTweetsAndReplies');
+  assert.equal(matchOperation('https://x.com/i/api/graphql/abc/Followers'), 'Followers');
+  assert.equal(matchOperation('https://x.com/i/api/graphql/abc/TweetDetail?variables=%7B%7D'), null);
+  assert.equal(matchOperation(undefined), null);
+});
+
+test('UserTweets: pinned, reposts as the original, quotes, long posts, no tombstones', () => {
+  const { tweets, cursor } = parseTimelineResponse('UserTweets', fixture('UserTweets'));
+  const byId = Object.fromEntries(tweets.map(tweet => [tweet.id, tweet]));
+
+  assert.deepEqual(tweets.map(tweet => tweet.id), [
+    '1790000000000000001', '1799000000000000003', '1800000000000000002', '1798000000000000005', '1797000000000000006'
+  ]);
+  assert.equal(cursor, 'DAABCgABGBOTTOM');
+  assert.equal(byId['1790000000000000001'].pinned, true);
+
+  const repost = byId['1799000000000000003'];
+  assert.equal(repost.repost, true);
+  assert.equal(repost.author, 'bob');
+  assert.equal(repost.repostedBy, 'jane');
+  assert.equal(repost.date.toISOString(), '2024-06-08T12:00:00.000Z');
+  assert.deepEqual(repost.engagement, { replies: 0, reposts: 80, likes: 500, views: 20000 });
+
+  const post = byId['1800000000000000002'];
+  assert.deepEqual(post.media, ['https://pbs.twimg.com/media/fake1.jpg']);
+  assert.deepEqual([post.repost, post.quote, post.reply], [false, false, false]);
+
+  assert.equal(byId['1798000000000000005'].quote, true);
+  assert.equal(byId['1798000000000000005'].quoted, 'https://x.com/carol/status/1700000000000000077');
+  assert.match(byId['1797000000000000006'].text, /with the rest of it here\.$/);
+});
+
+test('the inventory keeps your tweets per tab, likes and followers', () => {
+  const inventory = loadedInventory();
+
+  assert.deepEqual(inventory.counts(), { POSTS: 5, REPLIES: 2, LIKES: 2, FOLLOWERS: 3 });
+  assert.deepEqual(inventory.items('REPLIES').map(item => [item.id, item.type]), [
+    ['1800200000000000004', 'reply'],
+    ['1800000000000000002', 'post']
+  ]);
+  assert.deepEqual(inventory.items('POSTS').map(item => item.type), ['post', 'repost', 'post', 'quote', 'post']);
+  assert.ok(inventory.items('LIKES').every(item => item.type === 'like' && item.liked));
+
+  const [quiet, bot, star] = inventory.followers();
+  assert.equal(quiet.followedByYou, true);
+  assert.deepEqual([bot.username, bot.tweets, bot.following, bot.defaultAvatar], ['crypto_gains48213', 0, 4800, true]);
+  assert.equal(star.verified, true);
+
+  // Seeing the same page again adds nothing
+  assert.equal(inventory.add('UserTweets', fixture('UserTweets')), 0);
+  const saved = JSON.parse(JSON.stringify(inventory.toJSON()));
+  assert.equal(saved.tweets.POSTS[2].date, '2024-06-10T03:00:17.000Z');
+});
+
+test('installInterceptor passes on fetch and XHR timeline responses and restores both', async () => {
+  const seen = [];
+  class FakeXHR {
+    open(method, url) { this.url = url; }
+    send() {}
+    addEventListener(event, listener) { this.onload = listener; }
+  }
+  const win = {
+    fetch: async url => new Response(JSON.stringify({ url }), { status: 200 }),
+    XMLHttpRequest: FakeXHR
+  };
+  const originalFetch = win.fetch;
+  const originalSend = FakeXHR.prototype.send;
+
+  const uninstall = installInterceptor(win, (operation, json) => seen.push([operation, json.url || json.from]));
+  const response = await win.fetch('https://x.com/i/api/graphql/q/UserTweets?variables=%7B%7D');
+  assert.equal((await response.json()).url, 'https://x.com/i/api/graphql/q/UserTweets?variables=%7B%7D', 'the page still reads its response');
+  await win.fetch('https://x.com/i/api/graphql/q/TweetDetail');
+
+  const xhr = new FakeXHR();
+  xhr.open('GET', 'https://x.com/i/api/graphql/q/Likes?variables=%7B%7D');
+  xhr.send();
+  Object.assign(xhr, { status: 200, responseType: '', responseText: JSON.stringify({ from: 'xhr' }) });
+  xhr.onload();
+
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(seen, [['UserTweets', 'https://x.com/i/api/graphql/q/UserTweets?variables=%7B%7D'], ['Likes', 'xhr']]);
+
+  uninstall();
+  assert.equal(win.fetch, originalFetch);
+  assert.equal(FakeXHR.prototype.send, originalSend);
+});
+
+test('enumerateTimeline reads the page first, then scrolls until nothing new loads', async () => {
+  const inventory = createInventory('jane');
+  const pages = [fixture('UserTweets'), null, null];
+  let scrolls = 0;
+  const driver = {
+    async findItems() { return [{ key: '1', id: '1', text: 'On screen already', repost: false, quote: false }]; },
+    async readItem(item) { return item; },
+    async scroll() {
+      const page = pages[scrolls++];
+      if (page) inventory.add('UserTweets', page);
+    }
+  };
+
+  const count = await enumerateTimeline(driver, inventory, 'POSTS', { ...config, maxEmptyAttempts: 2 });
+
+  assert.equal(count, 6);
+  assert.equal(scrolls, 3);
+  assert.equal(inventory.items('POSTS')[0].text, 'On screen already');
+});
+
+test('runs over the inventory remove each tweet once, without the page', async () => {
+  const removed = [];
+  const remover = {
+    async remove(info, kind) {
+      removed.push(`${kind} ${info.id}`);
+      return { success: true, type: kind };
+    }
+  };
+  const summary = await runAllDeletion(createInventoryDriver(loadedInventory()), 'jane', {
+    config,
+    remover,
+    concurrency: 3,
+    throttle: createThrottle({ baseDelay: 0 }, 0)
+  });
+
+  assert.deepEqual(removed.sort(), [
+    'like 1794000000000000051',
+    'like 1795000000000000050',
+    'post 1790000000000000001',
+    'post 1797000000000000006',
+    'post 1798000000000000005',
+    'post 1800000000000000002',
+    'post 1800200000000000004',
+    'repost 1799000000000000003'
+  ]);
+  assert.equal(summary.total, 8);
+  assert.deepEqual(summary.byType, { post: 3, reply: 1, repost: 1, quote: 1, like: 2 });
+});
+
+test('tweets the remover hands back are reported menu-missing, not removed', async () => {
+  const remover = {
+    async remove(info, kind) {
+      if (info.id === '1797000000000000006') return { success: false, fallback: true, error: 'Unknown response' };
+      return { success: true, type: kind };
+    }
+  };
+  const summary = await runAllDeletion(createInventoryDriver(loadedInventory()), 'jane', {
+    config,
+    remover,
+    contentTypes: ['POSTS'],
+    throttle: createThrottle({ baseDelay: 0 }, 0)
+  });
+
+  assert.equal(summary.total, 3);
+  assert.deepEqual(summary.failures.map(failure => [failure.id, failure.reason]), [['1797000000000000006', 'menu-missing']]);
+});
+
+test('a dry run over the inventory plans without a remover', async () => {
+  const summary = await runAllDeletion(createInventoryDriver(loadedInventory()), 'jane', {
+    config,
+    dryRun: true,
+    contentTypes: ['POSTS'],
+    before: '2024-06-06'
+  });
+
+  assert.deepEqual(summary.planned.filter(entry => entry.action === 'delete').map(entry => entry.id), [
+    '1790000000000000001', '1798000000000000005', '1797000000000000006'
+  ]);
+});
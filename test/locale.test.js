@@ -0,0 +1,105 @@
+/**
+ * Interface string tests: language detection, English fallback and matching
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  UI_STRINGS,
+  detectLanguage,
+  getUiStrings,
+  getAllUiTexts,
+  equalsUiText,
+  findUiText,
+  endsWithUiText
+} = require('../src/locale');
+const {
+  getTweetIdDate,
+  parseCount,
+  parseEngagementLabel,
+  resolveDateRange,
+  compileFilters,
+  evaluateTweet
+} = require('../src/core');
+
+test('detectLanguage reads the primary tag and falls back to English', () => {
+  assert.equal(detectLanguage('de'), 'de');
+  assert.equal(detectLanguage('pt-BR'), 'pt');
+  assert.equal(detectLanguage('JA'), 'ja');
+  assert.equal(detectLanguage('xx'), 'en');
+  assert.equal(detectLanguage(''), 'en');
+  assert.equal(detectLanguage(undefined), 'en');
+});
+
+test('getUiStrings puts the language first and English after', () => {
+  const ui = getUiStrings('de-DE');
+
+  assert.deepEqual(ui.delete, ['Löschen', 'Delete']);
+  assert.deepEqual(Object.keys(ui), Object.keys(UI_STRINGS.en));
+  assert.deepEqual(getUiStrings('en').delete, ['Delete']);
+});
+
+test('every language only uses keys English has', () => {
+  for (const [language, strings] of Object.entries(UI_STRINGS)) {
+    for (const key of Object.keys(strings)) {
+      assert.ok(key in UI_STRINGS.en, `${language}.${key}`);
+    }
+  }
+});
+
+test('getAllUiTexts gathers a message in every language', () => {
+  const texts = getAllUiTexts('rateLimit');
+
+  assert.ok(texts.includes('Something went wrong. Try reloading.'));
+  assert.ok(texts.includes('Etwas ist schiefgelaufen'));
+  assert.ok(texts.includes('問題が発生しました'));
+});
+
+test('matching: exact names, text anywhere and the end of button names', () => {
+  const ui = getUiStrings('fr');
+
+  assert.ok(equalsUiText('  Supprimer ', ui.delete));
+  assert.ok(!equalsUiText('Supprimer le post', ui.delete));
+  assert.equal(findUiText('Vous avez reposté', ui.youReposted), 'Vous avez reposté');
+  assert.equal(findUiText('Something else', ui.youReposted), null);
+
+  assert.ok(endsWithUiText('12 Likes. Liked', ui.liked));
+  assert.ok(!endsWithUiText('12 Likes. Unliked', ui.liked));
+  assert.ok(endsWithUiText('3 J’aime. Je n’aime plus', ui.liked));
+  assert.ok(endsWithUiText('5件のいいね。いいねしました', getUiStrings('ja').liked));
+});
+
+test('getTweetIdDate reads the time out of snowflake IDs', () => {
+  assert.equal(getTweetIdDate('1800000000000000000').toISOString(), '2024-06-10T03:00:17.039Z');
+  assert.equal(getTweetIdDate('12345'), null);
+  assert.equal(getTweetIdDate(null), null);
+});
+
+test('engagement counts are read in every language', () => {
+  assert.deepEqual(parseEngagementLabel('52 Likes. Like'), { metric: 'likes', count: 52 });
+  assert.deepEqual(parseEngagementLabel('1.234 Aufrufe. Post-Statistiken ansehen'), { metric: 'views', count: 1234 });
+  assert.deepEqual(parseEngagementLabel('52 „Gefällt mir“-Angaben. Gefällt mir'), { metric: 'likes', count: 52 });
+  assert.deepEqual(parseEngagementLabel('3 respuestas. Responder'), { metric: 'replies', count: 3 });
+  assert.deepEqual(parseEngagementLabel('1,2 k reposts. Reposter'), { metric: 'reposts', count: 1200 });
+  assert.deepEqual(parseEngagementLabel('5件のいいね。いいねしました'), { metric: 'likes', count: 5 });
+  assert.deepEqual(parseEngagementLabel('12 mil curtidas. Curtir'), { metric: 'likes', count: 12000 });
+  assert.equal(parseEngagementLabel('Like'), null);
+
+  assert.equal(parseCount('1 234'), 1234);
+  assert.equal(parseCount('1,2 Mio.'), 1200000);
+  assert.equal(parseCount('1.2万'), 12000);
+  assert.equal(parseCount('3,456'), 3456);
+  assert.equal(parseCount('12 lots'), null);
+});
+
+test('a count that is shown but unreadable keeps the tweet', () => {
+  const filters = compileFilters({ keepIfAtLeast: { likes: 50 } });
+  const info = likes => ({ id: '1', date: new Date(), text: '', engagement: { replies: 0, reposts: 0, likes, views: 0 } });
+
+  assert.deepEqual(parseEngagementLabel('viele Likes: 5k+'), null);
+  assert.deepEqual(parseEngagementLabel('1.2.3 Likes'), { metric: 'likes', count: null });
+  assert.deepEqual(evaluateTweet(info(null), resolveDateRange(), filters), { action: 'keep', rule: 'engagement:likes-unknown' });
+  assert.deepEqual(evaluateTweet(info(0), resolveDateRange(), filters), { action: 'delete', rule: null });
+});
@@ -0,0 +1,23 @@
+/**
+ * Control panel helper tests: durations and ETAs
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDuration, estimateRemaining } = require('../src/panel');
+
+test('formats durations for the panel', () => {
+  assert.equal(formatDuration(45 * 1000), '45s');
+  assert.equal(formatDuration((12 * 60 + 5) * 1000), '12m 05s');
+  assert.equal(formatDuration((2 * 3600 + 10 * 60) * 1000), '2h 10m');
+  assert.equal(formatDuration(-5), '0s');
+});
+
+test('estimates the time left from the pace so far', () => {
+  assert.equal(estimateRemaining(10, 30, 60000), 120000);
+  assert.equal(estimateRemaining(30, 30, 60000), 0);
+  assert.equal(estimateRemaining(0, 30, 60000), null, 'no pace yet');
+  assert.equal(estimateRemaining(10, null, 60000), null, 'total unknown');
+});
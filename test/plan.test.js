@@ -0,0 +1,29 @@
+/**
+ * Plan tests: building plans from dry-run decisions
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPlan, countPlanItems } = require('../src/plan');
+
+test('createPlan keeps the first decision per ID and counts by type', () => {
+  const plan = createPlan('content', 'jane', [
+    { id: '1', type: 'post', action: 'delete', rule: null },
+    { id: '2', type: 'reply', action: 'keep', rule: 'date:too-new' },
+    { id: '1', type: 'post', action: 'delete', rule: null },
+    { id: null, type: 'post', action: 'delete', rule: null }
+  ], { before: '2022-01-01' });
+
+  assert.equal(plan.version, 1);
+  assert.equal(plan.kind, 'content');
+  assert.deepEqual(plan.items.map(item => item.id), ['1', '2', null]);
+  assert.deepEqual(plan.counts, { post: 2, reply: 0, repost: 0, quote: 0, like: 0, kept: 1 });
+  assert.deepEqual(plan.options, { before: '2022-01-01' });
+});
+
+test('countPlanItems counts follower plans by verdict', () => {
+  assert.deepEqual(countPlanItems('followers', [{ category: 'inactive' }, { category: 'safe' }, { category: 'inactive' }]),
+    { inactive: 2, spam: 0, active: 0, protected: 0, safe: 1, unknown: 0 });
+});
@@ -0,0 +1,163 @@
+/**
+ * Snapshot parser tests against recorded Playwright MCP snapshots
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseSnapshot, getNodeText, findAll, findFirst, findByRef } = require('../src/snapshot');
+const {
+  findTweetElements,
+  isRepost,
+  isQuoteTweet,
+  getTweetType,
+  isInPass,
+  findMoreButtonInTweet,
+  findDeleteButton,
+  findConfirmButton,
+  findUnretweetButton,
+  findUnretweetConfirmButton,
+  findUnlikeButton,
+  getTweetKey,
+  getTweetInfo,
+  captureTweet
+} = require('../src/delete-x-content');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'snapshots', `${name}.txt`), 'utf8');
+
+const timeline = fixture('timeline');
+const menu = fixture('menu');
+const confirmation = fixture('confirmation');
+
+test('parses nodes with role, name, ref, attributes and props', () => {
+  const root = parseSnapshot(timeline);
+  const tab = findByRef(root, 'e104');
+
+  assert.equal(tab.role, 'tab');
+  assert.equal(tab.name, 'Posts');
+  assert.equal(tab.attributes.selected, true);
+  assert.equal(tab.children[0].props.url, '/jane');
+  assert.equal(findByRef(root, 'e101').attributes.level, '2');
+  assert.equal(findByRef(root, 'e246').text, '3h');
+});
+
+test('ignores the page header around the yaml block', () => {
+  const root = parseSnapshot(timeline);
+  assert.deepEqual(root.children.map(node => node.ref), ['e2']);
+});
+
+test('unquotes text values and joins subtree text', () => {
+  const root = parseSnapshot(timeline);
+  assert.equal(findByRef(root, 'e330').text, 'Note: agreed, see "this"');
+  assert.equal(getNodeText(findByRef(root, 'e328')), 'Replying to @bob');
+});
+
+test('accepts MCP tool results as well as raw text', () => {
+  const result = { content: [{ type: 'text', text: confirmation }] };
+  assert.equal(findConfirmButton(result), 'e703');
+  assert.equal(findConfirmButton({ content: confirmation }), 'e703');
+});
+
+test('parses YAML-quoted keys', () => {
+  const root = parseSnapshot('- \'link "Time: 3h" [ref=e9]\':\n  - /url: /jane/status/1');
+  const link = findFirst(root, { role: 'link' });
+  assert.equal(link.name, 'Time: 3h');
+  assert.equal(link.ref, 'e9');
+  assert.equal(link.props.url, '/jane/status/1');
+});
+
+test('findAll can skip matches nested in other matches', () => {
+  const root = parseSnapshot(timeline);
+  const links = findAll(findByRef(root, 'e320'), { role: 'link' }, { nested: false });
+  assert.ok(links.some(link => link.ref === 'e333'));
+  assert.equal(findAll(root, { role: 'button', name: /^\d+ Likes/ }).length, 4);
+});
+
+test('finds each timeline article as a tweet', () => {
+  const tweets = findTweetElements(timeline);
+  assert.deepEqual(tweets.map(tweet => tweet.ref), ['e200', 'e240', 'e280', 'e320']);
+  assert.deepEqual(tweets.map(isRepost), [false, false, true, false]);
+});
+
+test('tells reposts, quote tweets and posts apart', () => {
+  const tweets = findTweetElements(timeline);
+  assert.deepEqual(tweets.map(tweet => getTweetType(tweet, 'POSTS')), ['post', 'post', 'repost', 'quote']);
+  assert.deepEqual(tweets.map(tweet => isQuoteTweet(tweet)), [false, false, false, true]);
+
+  // Our own post that we also reposted has the undo button but no header
+  const selfReposted = timeline.replace('button "1 repost. Repost" [ref=e255]', 'button "1 repost. Reposted" [ref=e255]');
+  const post = findTweetElements(selfReposted).find(tweet => tweet.ref === 'e240');
+  assert.equal(isRepost(post), false);
+
+  // Only the REPOSTS pass undoes reposts
+  assert.equal(isInPass('repost', 'POSTS'), false);
+  assert.equal(isInPass('repost', 'REPOSTS'), true);
+  assert.equal(isInPass('quote', 'REPOSTS'), false);
+  assert.equal(isInPass('quote', 'POSTS'), true);
+});
+
+test('finds the More button inside each tweet only', () => {
+  const tweets = findTweetElements(timeline);
+  assert.deepEqual(tweets.map(tweet => findMoreButtonInTweet(timeline, tweet)), ['e208', 'e247', 'e288', 'e327']);
+  assert.equal(findMoreButtonInTweet(timeline, { ref: 'e999' }), null);
+});
+
+test('does not mistake tweet text or trends for menu items', () => {
+  assert.equal(findDeleteButton(timeline), null);
+  assert.equal(findConfirmButton(timeline), null);
+  assert.equal(findConfirmButton(menu), null);
+});
+
+test('finds Delete in an open menu', () => {
+  assert.equal(findDeleteButton(menu), 'e601');
+});
+
+test('finds Delete in the confirmation sheet', () => {
+  assert.equal(findConfirmButton(confirmation), 'e703');
+  assert.equal(findDeleteButton(confirmation), null);
+});
+
+test('finds undo buttons for reposts and likes', () => {
+  const [pinned, post, repost, reply] = findTweetElements(timeline);
+  assert.equal(findUnretweetButton(timeline, repost), 'e293');
+  assert.equal(findUnretweetButton(timeline, post), null);
+  assert.equal(findUnlikeButton(timeline, reply), 'e340');
+  assert.equal(findUnlikeButton(timeline, pinned), null);
+
+  const undoMenu = '- menu [ref=e800]:\n  - menuitem "Undo repost" [ref=e801]\n  - menuitem "Quote" [ref=e802]';
+  assert.equal(findUnretweetConfirmButton(undoMenu), 'e801');
+});
+
+test('reads tweet info from the tweet subtree', () => {
+  const now = new Date();
+  const [pinned, post, , reply] = findTweetElements(timeline);
+
+  const pinnedInfo = getTweetInfo(timeline, pinned);
+  assert.equal(pinnedInfo.id, '1611000000000000001');
+  assert.equal(pinnedInfo.pinned, true);
+  assert.equal(pinnedInfo.date.getFullYear(), 2023);
+  assert.deepEqual(pinnedInfo.engagement, { replies: 3, reposts: 4, likes: 52, views: 1200 });
+
+  const postInfo = getTweetInfo(timeline, post);
+  assert.equal(postInfo.pinned, false);
+  assert.ok(now - postInfo.date >= 3 * 60 * 60 * 1000 - 1000);
+  assert.match(postInfo.text, /Delete this later\?/);
+
+  // The quoted tweet's status link must not become the reply's key
+  assert.equal(getTweetKey(timeline, reply), '1849000000000000004');
+});
+
+test('captures permalink, media, quote and reply target', () => {
+  const [, post, , reply] = findTweetElements(timeline);
+
+  const postCapture = captureTweet(timeline, post, getTweetInfo(timeline, post), 'jane');
+  assert.equal(postCapture.permalink, 'https://x.com/jane/status/1850000000000000002');
+  assert.deepEqual(postCapture.media, ['https://x.com/jane/status/1850000000000000002/photo/1']);
+
+  const replyCapture = captureTweet(timeline, reply, getTweetInfo(timeline, reply), 'jane');
+  assert.equal(replyCapture.quoted, 'https://x.com/carol/status/1754000000000000005');
+  assert.equal(replyCapture.replyTo, '@bob');
+});
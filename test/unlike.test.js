@@ -0,0 +1,59 @@
+/**
+ * Unlike flow tests against the recorded timeline snapshot
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, findTweetElements, unlikeTweet } = require('../src/delete-x-content');
+
+const timeline = fs.readFileSync(path.join(__dirname, 'fixtures', 'snapshots', 'timeline.txt'), 'utf8');
+const liked = timeline;
+const unliked = timeline.replace('button "40 Likes. Liked" [ref=e340]', 'button "39 Likes. Like" [ref=e340]');
+const tweet = findTweetElements(timeline).find(t => t.ref === 'e320');
+
+for (const key of Object.keys(CONFIG.delays)) {
+  CONFIG.delays[key] = 0;
+}
+// Recorded snapshots never change on their own, so each step checks once
+CONFIG.waits.timeout = 0;
+CONFIG.waits.loadTimeout = 0;
+
+/**
+ * Fake MCP tools that answer snapshots in order and record clicks
+ */
+function fakeTools(snapshots) {
+  const clicks = [];
+  return {
+    clicks,
+    browser_click: async ({ element }) => { clicks.push(element); },
+    browser_snapshot: async () => snapshots.shift()
+  };
+}
+
+test('unlikes once when the unlike sticks', async () => {
+  const tools = fakeTools([unliked]);
+  assert.deepEqual(await unlikeTweet(tools, liked, tweet), { success: true, type: 'like' });
+  assert.deepEqual(tools.clicks, ['Unlike button']);
+});
+
+test('retries when X reverts the unlike', async () => {
+  const tools = fakeTools([liked, unliked]);
+  assert.deepEqual(await unlikeTweet(tools, liked, tweet), { success: true, type: 'like' });
+  assert.deepEqual(tools.clicks, ['Unlike button', 'Unlike button']);
+});
+
+test('gives up when the unlike never sticks', async () => {
+  const tools = fakeTools([liked, liked]);
+  assert.deepEqual(await unlikeTweet(tools, liked, tweet), { success: false, reason: 'throttled', error: 'Unlike did not stick' });
+  assert.equal(tools.clicks.length, CONFIG.unlikeAttempts);
+});
+
+test('likes and unlikes a tweet the Likes tab shows as not liked', async () => {
+  const tools = fakeTools([liked, unliked]);
+  assert.deepEqual(await unlikeTweet(tools, unliked, tweet), { success: true, type: 'like' });
+  assert.deepEqual(tools.clicks, ['Like button', 'Unlike button']);
+});
@@ -0,0 +1,73 @@
+/**
+ * Verification tests: leftover causes and status checks
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findLeftovers, countLeftovers, journaledDeletions, checkStatus } = require('../src/verify');
+
+test('findLeftovers explains each tweet against what the run did', () => {
+  const planned = [
+    { id: '1', type: 'post', action: 'delete', rule: null },
+    { id: '2', type: 'post', action: 'delete', rule: null },
+    { id: '3', type: 'reply', action: 'keep', rule: 'date:too-new' },
+    { id: '4', type: 'post', action: 'delete', rule: null },
+    { id: '4', type: 'post', action: 'delete', rule: null }
+  ];
+  const result = {
+    records: [
+      { id: '1', outcome: 'failed', reason: 'throttled', error: 'Delete did not take' },
+      { id: '2', outcome: 'deleted' }
+    ],
+    failures: [{ id: '1', reason: 'throttled', error: 'Delete did not take' }]
+  };
+
+  const leftovers = findLeftovers(planned, result);
+
+  assert.deepEqual(leftovers.map(leftover => [leftover.id, leftover.cause]), [
+    ['1', 'failed'],
+    ['2', 'came-back'],
+    ['3', 'kept-by-rule'],
+    ['4', 'not-loaded']
+  ]);
+  assert.equal(leftovers[0].reason, 'throttled');
+  assert.equal(leftovers[2].rule, 'date:too-new');
+  assert.deepEqual(countLeftovers(leftovers), { failed: 1, 'came-back': 1, 'not-loaded': 1, 'kept-by-rule': 1, 'still-up': 0 });
+});
+
+test('journaledDeletions lists the deletions that succeeded', () => {
+  const journal = {
+    entries: () => [
+      { action: 'run', argv: [] },
+      { id: '1', action: 'delete', outcome: 'success' },
+      { id: '2', action: 'delete', outcome: 'failed' },
+      { id: '3', action: 'keep', outcome: 'success' },
+      { username: 'bob', action: 'remove', outcome: 'success' }
+    ]
+  };
+
+  assert.deepEqual(journaledDeletions(journal), ['1']);
+});
+
+test('checkStatus tells a missing page from a tweet still up', async () => {
+  const pages = {
+    '/jane/status/1': null,
+    '/jane/status/2': [{ id: '2', repost: false, quote: true }],
+    '/jane/status/3': [{ id: '9' }],
+    '/jane/status/4': []
+  };
+  let current = null;
+  const driver = {
+    async open(url) { current = pages[new URL(url).pathname]; },
+    async isMissingPage() { return current === null; },
+    async findItems() { return current; },
+    async readItem(item) { return item; }
+  };
+
+  assert.deepEqual(await checkStatus(driver, 'jane', '1'), { status: 'gone', type: null });
+  assert.deepEqual(await checkStatus(driver, 'jane', '2'), { status: 'still-up', type: 'quote' });
+  assert.deepEqual(await checkStatus(driver, 'jane', '3'), { status: 'gone', type: null });
+  assert.deepEqual(await checkStatus(driver, 'jane', '4'), { status: 'unknown', type: null });
+});